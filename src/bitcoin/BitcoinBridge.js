@@ -1,21 +1,33 @@
 const bitcoin = require('bitcoinjs-lib');
 const crypto = require('crypto');
 const axios = require('axios');
+const { EventEmitter } = require('events');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
+const { encodeAddress, assertQuantumAddress } = require('../wallet/Address');
+
+const BITCOIN_NETWORKS = {
+    mainnet: bitcoin.networks.bitcoin,
+    testnet: bitcoin.networks.testnet,
+    regtest: bitcoin.networks.regtest
+};
 
 /**
  * Bitcoin integration for Quantum Blockchain Genesis
  * Integrates with the provided Bitcoin address: bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h
  */
 
-class BitcoinQuantumBridge {
-    constructor(quantumBlockchain) {
+class BitcoinQuantumBridge extends EventEmitter {
+    constructor(quantumBlockchain, options = {}) {
+        super();
+        const defaults = DEFAULT_CHAIN_SPEC.bridge;
+
         this.quantumBlockchain = quantumBlockchain;
-        this.genesisAddress = 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h';
-        this.network = bitcoin.networks.bitcoin; // mainnet
+        this.genesisAddress = options.genesisAddress || DEFAULT_CHAIN_SPEC.genesis.address;
+        this.network = BITCOIN_NETWORKS[options.network || defaults.network];
         this.bridgeContract = null;
         this.lockedFunds = new Map();
         this.pendingTransfers = new Map();
-        this.bridgeFee = 0.001; // 0.1% bridge fee
+        this.bridgeFee = options.bridgeFee ?? defaults.bridgeFee; // share of each transfer kept by the bridge
         
         // Performance optimization: index transfers by address
         this.transfersByAddress = new Map();
@@ -47,7 +59,7 @@ class BitcoinQuantumBridge {
     isValidBech32Address(address) {
         try {
             bitcoin.address.fromBech32(address);
-            return address.startsWith('bc1') && address.length >= 42;
+            return address.startsWith(this.network.bech32 + '1') && address.length >= 42;
         } catch (error) {
             return false;
         }
@@ -56,8 +68,8 @@ class BitcoinQuantumBridge {
     generateQuantumAddress() {
         const hash = crypto.createHash('sha256')
             .update('bridge_' + this.genesisAddress + Date.now())
-            .digest('hex');
-        return 'qb1' + hash.substring(0, 39);
+            .digest();
+        return encodeAddress(hash);
     }
 
     generateQuantumProof() {
@@ -68,6 +80,8 @@ class BitcoinQuantumBridge {
 
     // Lock Bitcoin and mint quantum tokens (Bitcoin -> Quantum)
     async lockBitcoinAndMint(bitcoinTxHash, amount, quantumRecipient) {
+        assertQuantumAddress(quantumRecipient, 'quantum recipient');
+        let transfer = null;
         try {
             console.log(`Processing Bitcoin lock transaction: ${bitcoinTxHash} - BitcoinBridge.js:69`);
             
@@ -93,14 +107,16 @@ class BitcoinQuantumBridge {
             this.lockedFunds.set(transferId, lockData);
             
             // Index by address for fast lookup
-            this.indexTransferByAddress(quantumRecipient, {
+            transfer = {
                 transferId,
                 type: 'bitcoin_to_quantum',
                 amount,
                 mintAmount,
                 timestamp: lockData.timestamp,
                 status: lockData.status
-            });
+            };
+            this.indexTransferByAddress(quantumRecipient, transfer);
+            this.setTransferStatus(transfer, lockData, 'locked', quantumRecipient);
 
             // Mint quantum tokens
             const mintTransaction = {
@@ -129,23 +145,28 @@ class BitcoinQuantumBridge {
                 timestamp: Date.now()
             });
 
+            this.setTransferStatus(transfer, lockData, 'minted', quantumRecipient);
+
             console.log(`Minted ${mintAmount} quantum tokens for ${quantumRecipient} - BitcoinBridge.js:118`);
             return { transferId, mintAmount, fee: amount * this.bridgeFee };
 
         } catch (error) {
             console.error('Error in lockBitcoinAndMint: - BitcoinBridge.js:122', error);
+            if (transfer) this.setTransferStatus(transfer, this.lockedFunds.get(transfer.transferId), 'failed', quantumRecipient);
             throw error;
         }
     }
 
     // Burn quantum tokens and unlock Bitcoin (Quantum -> Bitcoin)
     async burnQuantumAndUnlock(quantumSender, amount, bitcoinRecipient) {
+        assertQuantumAddress(quantumSender, 'quantum sender');
+        let transfer = null;
         try {
             console.log(`Processing quantum burn for ${amount} tokens - BitcoinBridge.js:130`);
 
             // Verify quantum wallet has sufficient balance
             const balance = this.quantumBlockchain.getBalance(quantumSender);
-            if (balance < amount) {addTransaction
+            if (balance < amount) {
                 throw new Error('Insufficient quantum token balance');
             }
 
@@ -179,14 +200,16 @@ class BitcoinQuantumBridge {
             this.pendingTransfers.set(transferId, transferData);
             
             // Index by address for fast lookup
-            this.indexTransferByAddress(quantumSender, {
+            transfer = {
                 transferId,
                 type: 'quantum_to_bitcoin',
                 amount,
                 unlockAmount,
                 timestamp: transferData.timestamp,
                 status: transferData.status
-            });
+            };
+            this.indexTransferByAddress(quantumSender, transfer);
+            this.setTransferStatus(transfer, transferData, 'pending', quantumSender);
 
             // In production, this would trigger a Bitcoin transaction
             const bitcoinTxHash = await this.createBitcoinTransaction(bitcoinRecipient, unlockAmount);
@@ -205,11 +228,14 @@ class BitcoinQuantumBridge {
                 timestamp: Date.now()
             });
 
+            this.setTransferStatus(transfer, transferData, 'unlocked', quantumSender);
+
             console.log(`Unlocked ${unlockAmount} Bitcoin to ${bitcoinRecipient} - BitcoinBridge.js:183`);
             return { transferId, unlockAmount, bitcoinTxHash, fee: amount * this.bridgeFee };
 
         } catch (error) {
             console.error('Error in burnQuantumAndUnlock: - BitcoinBridge.js:187', error);
+            if (transfer) this.setTransferStatus(transfer, this.pendingTransfers.get(transfer.transferId), 'failed', quantumSender);
             throw error;
         }
     }
@@ -292,6 +318,24 @@ class BitcoinQuantumBridge {
         };
     }
 
+    // Keep the transfer record and its address index entry in step, and announce the change
+    setTransferStatus(transfer, record, status, address) {
+        transfer.status = status;
+        if (record) record.status = status;
+        this.emit('transferUpdated', { ...transfer, address });
+    }
+
+    // Look up a transfer in either direction by its id
+    getTransfer(transferId) {
+        if (this.lockedFunds.has(transferId)) {
+            return { transferId, type: 'bitcoin_to_quantum', ...this.lockedFunds.get(transferId) };
+        }
+        if (this.pendingTransfers.has(transferId)) {
+            return { transferId, type: 'quantum_to_bitcoin', ...this.pendingTransfers.get(transferId) };
+        }
+        return null;
+    }
+
     // Helper method to index transfers by address
     indexTransferByAddress(address, transferData) {
         if (!this.transfersByAddress.has(address)) {
@@ -326,4 +370,4 @@ class BitcoinQuantumBridge {
     }
 }
 
-module.exports = { BitcoinQuantumBridge };
\ No newline at end of file
+module.exports = { BitcoinQuantumBridge, BITCOIN_NETWORKS };
\ No newline at end of file
@@ -0,0 +1,82 @@
+const bitcoin = require('bitcoinjs-lib');
+const { BITCOIN_NETWORKS } = require('./BitcoinBridge');
+
+/**
+ * Bitcoin side of an atomic swap
+ * A P2WSH output that pays the recipient against the preimage of a SHA-256 hashlock, or the
+ * refund key once the Bitcoin chain reaches `locktime` (a block height, checked with
+ * OP_CHECKLOCKTIMEVERIFY):
+ *
+ *   OP_IF
+ *     OP_SIZE 32 OP_EQUALVERIFY OP_SHA256 <hashlock> OP_EQUALVERIFY <recipient public key>
+ *   OP_ELSE
+ *     <locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP <refund public key>
+ *   OP_ENDIF
+ *   OP_CHECKSIG
+ *
+ * Give it the hashlock of the matching quantum HTLC (wallet/Htlc.js). Both chains take only a
+ * 32-byte preimage, so a claim on one can always be relayed on the other.
+ */
+
+const { OPS } = bitcoin.script;
+const LOCKTIME_THRESHOLD = 500000000; // locktimes from here on are Unix times, not heights
+const PREIMAGE_SIZE = 32;
+
+function publicKeyBuffer(publicKey, label) {
+    const buffer = typeof publicKey === 'string' && /^[0-9a-f]{66}$/.test(publicKey) ? Buffer.from(publicKey, 'hex') : null;
+    if (!buffer || !bitcoin.script.isCanonicalPubKey(buffer)) {
+        throw new Error(`${label} must be a compressed secp256k1 public key in hex`);
+    }
+    return buffer;
+}
+
+function createBitcoinHtlc({ hashlock, recipientPublicKey, refundPublicKey, locktime, network = 'regtest' } = {}) {
+    const bitcoinNetwork = BITCOIN_NETWORKS[network];
+    if (!bitcoinNetwork) throw new Error(`Unknown Bitcoin network ${network}`);
+    if (typeof hashlock !== 'string' || !/^[0-9a-f]{64}$/.test(hashlock)) {
+        throw new Error('hashlock must be a SHA-256 hash as 64 lowercase hex characters');
+    }
+    if (!Number.isSafeInteger(locktime) || locktime < 1 || locktime >= LOCKTIME_THRESHOLD) {
+        throw new Error('locktime must be a Bitcoin block height');
+    }
+
+    const witnessScript = bitcoin.script.compile([
+        OPS.OP_IF,
+        OPS.OP_SIZE,
+        bitcoin.script.number.encode(PREIMAGE_SIZE),
+        OPS.OP_EQUALVERIFY,
+        OPS.OP_SHA256,
+        Buffer.from(hashlock, 'hex'),
+        OPS.OP_EQUALVERIFY,
+        publicKeyBuffer(recipientPublicKey, 'recipientPublicKey'),
+        OPS.OP_ELSE,
+        bitcoin.script.number.encode(locktime),
+        OPS.OP_CHECKLOCKTIMEVERIFY,
+        OPS.OP_DROP,
+        publicKeyBuffer(refundPublicKey, 'refundPublicKey'),
+        OPS.OP_ENDIF,
+        OPS.OP_CHECKSIG
+    ]);
+    const payment = bitcoin.payments.p2wsh({ redeem: { output: witnessScript, network: bitcoinNetwork }, network: bitcoinNetwork });
+
+    return {
+        address: payment.address,
+        witnessScript: witnessScript.toString('hex'),
+        scriptPubKey: payment.output.toString('hex'),
+        hashlock,
+        locktime,
+        network
+    };
+}
+
+// Witness stacks spending the output; signatures are DER-encoded with their sighash byte.
+// A refund transaction must also set nLockTime to at least `locktime` and a non-final sequence.
+function htlcClaimWitness(witnessScript, signature, preimage) {
+    return [Buffer.from(signature, 'hex'), Buffer.from(preimage, 'hex'), Buffer.from([1]), Buffer.from(witnessScript, 'hex')];
+}
+
+function htlcRefundWitness(witnessScript, signature) {
+    return [Buffer.from(signature, 'hex'), Buffer.alloc(0), Buffer.from(witnessScript, 'hex')];
+}
+
+module.exports = { createBitcoinHtlc, htlcClaimWitness, htlcRefundWitness };
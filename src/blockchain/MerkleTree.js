@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * SHA3-256 Merkle tree over transaction hashes
+ * Leaves and inner nodes are domain-separated and an odd node is carried up unpaired,
+ * so no two different transaction lists can produce the same root.
+ */
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function hashLeaf(leaf) {
+    return crypto.createHash('sha3-256')
+        .update(LEAF_PREFIX)
+        .update(Buffer.from(leaf, 'hex'))
+        .digest('hex');
+}
+
+function hashNode(left, right) {
+    return crypto.createHash('sha3-256')
+        .update(NODE_PREFIX)
+        .update(Buffer.from(left, 'hex'))
+        .update(Buffer.from(right, 'hex'))
+        .digest('hex');
+}
+
+class MerkleTree {
+    constructor(leaves) {
+        this.leaves = leaves;
+        this.levels = [leaves.map(hashLeaf)];
+
+        while (this.levels[this.levels.length - 1].length > 1) {
+            const below = this.levels[this.levels.length - 1];
+            const level = [];
+
+            for (let i = 0; i < below.length; i += 2) {
+                level.push(i + 1 < below.length ? hashNode(below[i], below[i + 1]) : below[i]);
+            }
+
+            this.levels.push(level);
+        }
+    }
+
+    get root() {
+        const top = this.levels[this.levels.length - 1];
+        return top.length > 0 ? top[0] : crypto.createHash('sha3-256').digest('hex');
+    }
+
+    // Sibling hashes from the leaf up to the root
+    getProof(index) {
+        if (index < 0 || index >= this.leaves.length) {
+            throw new Error('Leaf index out of range');
+        }
+
+        const proof = [];
+        let position = index;
+
+        for (let height = 0; height < this.levels.length - 1; height++) {
+            const level = this.levels[height];
+            const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+            if (sibling < level.length) {
+                proof.push({ position: sibling < position ? 'left' : 'right', hash: level[sibling] });
+            }
+
+            position = Math.floor(position / 2);
+        }
+
+        return proof;
+    }
+
+    static verifyProof(leaf, proof, root) {
+        let hash = hashLeaf(leaf);
+
+        for (const step of proof) {
+            hash = step.position === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash);
+        }
+
+        return hash === root;
+    }
+}
+
+module.exports = { MerkleTree };
@@ -0,0 +1,16 @@
+const { parentPort, workerData } = require('worker_threads');
+const { QuantumBlock } = require('./QuantumBlockchain');
+
+/**
+ * Proof-of-work search run off the main thread
+ * Receives a block header, reports progress while searching for a nonce and posts the
+ * result. The parent cancels a search by terminating the worker.
+ */
+
+const block = QuantumBlock.fromJSON(workerData.header);
+
+block.mineBlock(workerData.difficulty, progress => {
+    parentPort.postMessage({ type: 'progress', ...progress });
+});
+
+parentPort.postMessage({ type: 'found', nonce: block.nonce, hash: block.hash });
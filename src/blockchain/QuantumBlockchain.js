@@ -1,26 +1,87 @@
 const crypto = require('crypto');
+const path = require('path');
 const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const { MemoryChainStorage } = require('../storage/ChainStorage');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
+const { QuantumTransaction } = require('../wallet/QuantumWallet');
+const { decodeAddress, isValidQuantumAddress, assertQuantumAddress } = require('../wallet/Address');
+const { QuantumKeyPair } = require('../crypto/QuantumSignature');
+const { MerkleTree } = require('./MerkleTree');
+const { TokenRegistry, NATIVE_ASSET, TOKEN_CREATE, issuanceType } = require('./TokenRegistry');
+const { transactionOutflow, transactionInflow, transactionPayout, transactionAssets } = require('./Settlement');
+const { DeFiLedger, isDeFiOperation } = require('../defi/DeFiLedger');
+const { ContractLedger, CONTRACT_DEPLOY, isContractOperation } = require('../contracts/ContractLedger');
 
 /**
  * Quantum-resistant blockchain implementation with Bitcoin integration
  * Genesis block configured with provided Bitcoin address: bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h
  */
 
+class TransactionRejectedError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'TransactionRejectedError';
+        this.code = code;
+    }
+}
+
+class BlockRejectedError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'BlockRejectedError';
+        this.code = code;
+    }
+}
+
+// Balance cache key; QTC balances are keyed by the bare address
+function balanceKey(address, asset) {
+    return asset === NATIVE_ASSET ? address : `${address}:${asset}`;
+}
+
+class MiningAbortedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MiningAbortedError';
+        this.code = 'MINING_ABORTED';
+    }
+}
+
+class MiningInProgressError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MiningInProgressError';
+        this.code = 'MINING_IN_PROGRESS';
+    }
+}
+
+const MINING_WORKER_PATH = path.join(__dirname, 'MiningWorker.js');
+const PROGRESS_CHECK_INTERVAL = 4096; // hashes between clock reads
+const PROGRESS_REPORT_MS = 250;
+const MEDIAN_TIME_SPAN = 11; // a block must be dated after the median of this many predecessors
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
 class QuantumBlock {
-    constructor(index, previousHash, timestamp, data, quantumProof = null) {
+    constructor(index, previousHash, timestamp, data, quantumProof = null, difficulty = 0) {
         this.index = index;
         this.previousHash = previousHash;
         this.timestamp = timestamp;
         this.data = data;
         this.quantumProof = quantumProof;
+        this.difficulty = difficulty; // leading zero hex digits the hash must have
+        this.merkleRoot = this.calculateMerkleRoot();
         this.nonce = 0;
         this.hash = this.calculateHash();
     }
 
     calculateHash() {
+        // Transactions are committed through the Merkle root; the rest of the data is hashed directly
+        const { transactions, ...metadata } = this.data;
+
         // Quantum-resistant hash using multiple algorithms
         const sha256Hash = crypto.createHash('sha256')
-            .update(this.index + this.previousHash + this.timestamp + JSON.stringify(this.data) + this.nonce)
+            .update(this.index + this.previousHash + this.timestamp + this.merkleRoot + JSON.stringify(metadata) + this.difficulty + this.nonce)
             .digest('hex');
         
         const sha3Hash = crypto.createHash('sha3-256')
@@ -30,43 +91,220 @@ class QuantumBlock {
         return sha3Hash;
     }
 
-    mineBlock(difficulty) {
+    mineBlock(difficulty, onProgress = null) {
         const target = Array(difficulty + 1).join("0");
+        const startedAt = Date.now();
+        let reportedAt = startedAt;
         
         while (this.hash.substring(0, difficulty) !== target) {
             this.nonce++;
             this.hash = this.calculateHash();
+
+            if (onProgress && this.nonce % PROGRESS_CHECK_INTERVAL === 0 && Date.now() - reportedAt >= PROGRESS_REPORT_MS) {
+                reportedAt = Date.now();
+                onProgress({
+                    hashes: this.nonce,
+                    hashRate: Math.round((this.nonce * 1000) / (reportedAt - startedAt))
+                });
+            }
         }
         
         console.log(`Block mined: ${this.hash}`);
     }
+
+    calculateMerkleRoot() {
+        return this.getMerkleTree().root;
+    }
+
+    // Leaves are recomputed transaction hashes, so altering any hashed field changes the root
+    getMerkleTree() {
+        const transactions = this.data.transactions || [];
+        return new MerkleTree(transactions.map(trans => QuantumTransaction.computeHash(trans)));
+    }
+
+    getTransactionProof(txHash) {
+        const transactions = this.data.transactions || [];
+        const position = transactions.findIndex(trans => trans.txHash === txHash);
+        if (position === -1) return null;
+
+        return {
+            position,
+            proof: this.getMerkleTree().getProof(position)
+        };
+    }
+
+    // Everything a light client needs to recompute the block hash without its transactions
+    getHeader() {
+        const { transactions, ...metadata } = this.data;
+
+        return {
+            index: this.index,
+            previousHash: this.previousHash,
+            timestamp: this.timestamp,
+            merkleRoot: this.merkleRoot,
+            data: metadata,
+            difficulty: this.difficulty,
+            nonce: this.nonce,
+            hash: this.hash
+        };
+    }
+
+    meetsDifficulty(difficulty = this.difficulty) {
+        return this.hash.substring(0, difficulty) === Array(difficulty + 1).join("0");
+    }
+
+    static fromJSON(data) {
+        const block = new QuantumBlock(data.index, data.previousHash, data.timestamp, data.data, data.quantumProof, data.difficulty);
+        block.merkleRoot = data.merkleRoot;
+        block.nonce = data.nonce;
+        block.hash = data.hash;
+        return block;
+    }
 }
 
 class QuantumBlockchain extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
-        this.chain = [this.createGenesisBlock()];
-        this.difficulty = 4;
+        const defaults = DEFAULT_CHAIN_SPEC.blockchain;
+
+        this.storage = options.storage || new MemoryChainStorage();
+        this.chain = []; // current main chain, genesis first
+        this.blocks = new Map(); // hash -> block, including blocks on side branches
+        this.chainWork = new Map(); // hash -> cumulative proof-of-work up to and including the block
+        this.invalidBlocks = new Set(); // hashes of branches that failed to connect
+        this.difficulty = options.difficulty || defaults.difficulty; // difficulty of the first mined block
+        this.retargetInterval = options.retargetInterval || defaults.retargetInterval; // blocks between difficulty adjustments
+        this.targetBlockTime = options.targetBlockTime || defaults.targetBlockTime; // milliseconds
         this.pendingTransactions = [];
-        this.miningReward = 100;
-        this.genesisAddress = 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h';
+        this.pendingIndex = new Map(); // txHash -> pending transaction
+        this.miningReward = options.miningReward ?? defaults.miningReward;
+        this.maxBlockTransactions = options.maxBlockTransactions || defaults.maxBlockTransactions; // excluding the mining reward
+        this.maxBlockSize = options.maxBlockSize || defaults.maxBlockSize; // serialized bytes, excluding the mining reward
+        this.maxFutureBlockTime = options.maxFutureBlockTime || defaults.maxFutureBlockTime; // ms a block may be dated ahead of the local clock
+        this.chainName = options.chainName || DEFAULT_CHAIN_SPEC.name;
+        this.genesis = { ...DEFAULT_CHAIN_SPEC.genesis, ...options.genesis };
+        this.genesisAddress = this.genesis.address;
+        this.expectedGenesisHash = options.genesisHash || null; // published hash to verify, if any
         
         // Performance optimizations: caching
         this.balanceCache = new Map();
         this.transactionIndex = new Map(); // address -> transaction list
+        this.transactionLocations = new Map(); // txHash -> { blockIndex, blockHash, position }
+        this.accountNonces = new Map(); // address -> next confirmed nonce
+        this.tokens = new TokenRegistry(); // tokens created on the main chain, with their supply
+        this.defi = new DeFiLedger(this.tokens, options.defi); // DeFi pools on the main chain
+        this.contracts = new ContractLedger(options.contracts); // contracts and receipts on the main chain
         this.lastValidatedBlock = 0; // Track last validated block for incremental validation
+        this.miningJob = null; // { block, abort } while a worker searches for a nonce
+
+        this.loadFromStorage();
+    }
+
+    loadFromStorage() {
+        const { blocks, sideBlocks = [], pendingTransactions } = this.storage.load();
+
+        if (blocks.length === 0) {
+            const genesisBlock = this.createGenesisBlock();
+            this.verifyGenesisHash(genesisBlock);
+            this.storage.appendBlock(genesisBlock);
+            this.chain = [genesisBlock];
+        } else {
+            this.chain = blocks.map(data => QuantumBlock.fromJSON(data));
+            this.verifyGenesisHash(this.chain[0]);
+            this.verifyStoredChain();
+        }
+
+        this.chain.forEach(block => this.trackBlock(block));
+
+        // Re-link side branches parent-first so their cumulative work can be computed
+        sideBlocks
+            .map(data => QuantumBlock.fromJSON(data))
+            .sort((a, b) => a.index - b.index)
+            .filter(block => this.blocks.has(block.previousHash) && block.hash === block.calculateHash())
+            .forEach(block => this.trackBlock(block));
+
+        this.setPendingTransactions(pendingTransactions);
+        this.rehydrateIndexes();
+    }
+
+    // A node whose configuration or data directory belongs to another network must not run at all
+    verifyGenesisHash(genesisBlock) {
+        if (this.expectedGenesisHash && genesisBlock.hash !== this.expectedGenesisHash) {
+            throw new Error(`Genesis block hash ${genesisBlock.hash} does not match the expected genesis hash ${this.expectedGenesisHash}`);
+        }
+    }
+
+    verifyStoredChain() {
+        for (let i = 0; i < this.chain.length; i++) {
+            const block = this.chain[i];
+
+            // The Merkle root covers recomputed hashes, so a txHash field can only be checked one by one
+            const transactions = block.data.transactions || [];
+            if (block.index !== i || block.hash !== block.calculateHash() || block.merkleRoot !== block.calculateMerkleRoot() ||
+                transactions.some(trans => trans.txHash !== QuantumTransaction.computeHash(trans))) {
+                throw new Error(`Stored block ${i} is corrupted`);
+            }
+
+            if (i > 0 && block.previousHash !== this.chain[i - 1].hash) {
+                throw new Error(`Stored block ${i} does not link to its predecessor`);
+            }
+
+            if (i > 0 && !this.isBlockTimeValid(block, this.chain)) {
+                throw new Error(`Stored block ${i} has an out-of-range timestamp`);
+            }
+        }
+    }
+
+    rehydrateIndexes() {
+        this.balanceCache.clear();
+        this.transactionIndex.clear();
+        this.transactionLocations.clear();
+        this.accountNonces.clear();
+        this.tokens.clear();
+        this.defi.clear();
+        this.contracts.clear();
+
+        const credit = (address, asset, amount) => {
+            const key = balanceKey(address, asset);
+            this.balanceCache.set(key, (this.balanceCache.get(key) || 0) + amount);
+        };
+
+        for (const block of this.chain) {
+            const transactions = block.data.transactions || [];
+
+            for (const trans of transactions) {
+                for (const asset of transactionAssets(trans)) {
+                    if (trans.fromAddress) credit(trans.fromAddress, asset, transactionPayout(trans, asset) - transactionOutflow(trans, asset));
+                    if (trans.toAddress) credit(trans.toAddress, asset, transactionInflow(trans, asset) - transactionPayout(trans, asset));
+                }
+            }
+
+            this.updateTransactionIndex(transactions, block);
+            this.updateAccountNonces(transactions);
+            this.tokens.apply(transactions, block.index);
+            this.defi.apply(transactions, block);
+            this.contracts.apply(transactions, block);
+        }
     }
 
+    // Built from the chain spec alone, so every node on a network derives the same genesis hash
     createGenesisBlock() {
+        const { address, message, creator, timestamp, allocations } = this.genesis;
+        const genesisTime = new Date(timestamp).getTime();
+
+        const transactions = Object.keys(allocations).sort().map(toAddress =>
+            new QuantumTransaction(null, toAddress, allocations[toAddress], { type: 'genesis_allocation' }, { timestamp: genesisTime })
+        );
+
         const genesisData = {
-            message: "behold light and it is good",
-            bitcoinAddress: this.genesisAddress,
-            timestamp: Date.now(),
-            creator: "Genesis Team",
-            quantumSignature: this.generateQuantumSignature()
+            message,
+            bitcoinAddress: address,
+            chain: this.chainName,
+            creator,
+            transactions
         };
         
-        return new QuantumBlock(0, "0", "2025-10-23T00:00:00Z", genesisData);
+        return new QuantumBlock(0, "0", timestamp, genesisData);
     }
 
     generateQuantumSignature() {
@@ -81,20 +319,147 @@ class QuantumBlockchain extends EventEmitter {
 
     addTransaction(transaction) {
         if (!transaction.fromAddress || !transaction.toAddress) {
-            throw new Error('Transaction must include from and to address');
+            throw new TransactionRejectedError('MISSING_ADDRESS', 'Transaction must include from and to address');
+        }
+
+        for (const [label, address] of [['sender', transaction.fromAddress], ['recipient', transaction.toAddress]]) {
+            try {
+                decodeAddress(address, `${label} address`);
+            } catch (error) {
+                throw new TransactionRejectedError('INVALID_ADDRESS', error.message);
+            }
+        }
+
+        if (!this.isAmountValid(transaction)) {
+            throw new TransactionRejectedError('INVALID_AMOUNT', 'Transaction amount must be a positive number, or 0 for a contract transaction');
+        }
+
+        if (!this.isFeeValid(transaction.fee)) {
+            throw new TransactionRejectedError('INVALID_FEE', 'Transaction fee must be a non-negative number');
         }
 
-        if (!this.isTransactionValid(transaction)) {
-            throw new Error('Cannot add invalid transaction to chain');
+        if (!QuantumTransaction.hasValidWindow(transaction)) {
+            throw new TransactionRejectedError('INVALID_VALIDITY_WINDOW', 'validAfter and validUntil must be { height } or { timestamp }, with validAfter first');
+        }
+
+        // Transactions that are not valid yet wait in the pool; ones that can no longer be mined are refused
+        if (QuantumTransaction.windowStatus(transaction, this.chain.length, Date.now()) === 'expired') {
+            throw new TransactionRejectedError('TRANSACTION_EXPIRED', 'Transaction validity window closed before the next block');
+        }
+
+        if (QuantumTransaction.size(transaction) > this.maxBlockSize) {
+            throw new TransactionRejectedError('TRANSACTION_TOO_LARGE', `Transaction exceeds the ${this.maxBlockSize} byte block size limit`);
+        }
+
+        let isValid;
+        try {
+            isValid = this.isTransactionValid(transaction);
+        } catch (error) {
+            throw new TransactionRejectedError('MISSING_SIGNATURE', error.message);
+        }
+
+        if (!isValid) {
+            throw new TransactionRejectedError('INVALID_SIGNATURE', 'Cannot add invalid transaction to chain');
+        }
+
+        // Refunds are refused until the next block reaches the timelock, so they cannot block a claim
+        if (this.isHtlcRefundLocked(transaction, this.chain.length)) {
+            throw new TransactionRejectedError('HTLC_LOCKED', `HTLC refund is locked until height ${transaction.htlc.timelock}`);
+        }
+
+        if (this.transactionLocations.has(transaction.txHash)) {
+            throw new TransactionRejectedError('DUPLICATE_TRANSACTION', 'Transaction is already included in a block');
+        }
+
+        if (this.pendingIndex.has(transaction.txHash)) {
+            throw new TransactionRejectedError('DUPLICATE_TRANSACTION', 'Transaction is already in the pending pool');
+        }
+
+        this.assertTokenRules(transaction);
+        this.assertDeFiRules(transaction);
+        this.assertContractRules(transaction);
+
+        const expectedNonce = this.getNextNonce(transaction.fromAddress);
+        if (transaction.nonce !== expectedNonce) {
+            throw new TransactionRejectedError('INVALID_NONCE', `Invalid nonce ${transaction.nonce}, expected ${expectedNonce}`);
+        }
+
+        for (const asset of transactionAssets(transaction)) {
+            if (this.getAvailableBalance(transaction.fromAddress, asset) < transactionOutflow(transaction, asset)) {
+                throw new TransactionRejectedError('INSUFFICIENT_FUNDS', `Insufficient ${asset} balance once pending transactions are deducted`);
+            }
         }
 
         this.pendingTransactions.push(transaction);
+        this.pendingIndex.set(transaction.txHash, transaction);
+        this.storage.savePendingTransactions(this.pendingTransactions);
+
+        this.emit('transactionAdded', transaction);
+    }
+
+    // Tokens must be confirmed before they can be minted or moved, and created only once
+    assertTokenRules(transaction) {
+        const tokenError = this.tokens.check(transaction);
+        if (tokenError) {
+            throw new TransactionRejectedError(tokenError.code, tokenError.message);
+        }
+        if (issuanceType(transaction) === TOKEN_CREATE &&
+            this.pendingTransactions.some(trans => trans.asset === transaction.asset && issuanceType(trans) === TOKEN_CREATE)) {
+            throw new TransactionRejectedError('TOKEN_EXISTS', `Token ${transaction.asset} is already being created`);
+        }
     }
 
-    getBalance(address) {
+    // DeFi operations are checked against their pool as the pending pool will leave it
+    assertDeFiRules(transaction) {
+        if (!isDeFiOperation(transaction)) return;
+
+        const ledgerError = this.projectDeFi(transaction.toAddress).check(transaction, Date.now());
+        if (ledgerError) {
+            throw new TransactionRejectedError(ledgerError.code, ledgerError.message);
+        }
+    }
+
+    // Scratch DeFi ledger holding one pool with the pending operations on it applied, in pool order
+    projectDeFi(address) {
+        const ledger = this.defi.clone([address]);
+        const now = Date.now();
+        this.pendingTransactions
+            .filter(trans => trans.toAddress === address && isDeFiOperation(trans))
+            .forEach(trans => ledger.execute(trans, now));
+        return ledger;
+    }
+
+    // Contract transactions are checked against the contracts the pending pool will have deployed
+    assertContractRules(transaction) {
+        if (!isContractOperation(transaction)) return;
+
+        const ledgerError = this.projectContracts().check(transaction);
+        if (ledgerError) {
+            throw new TransactionRejectedError(ledgerError.code, ledgerError.message);
+        }
+    }
+
+    // Scratch contract ledger with the pending deploys applied, as if mined in the next block
+    projectContracts() {
+        const ledger = this.contracts.clone();
+        const context = { height: this.chain.length, timestamp: Date.now() };
+        this.pendingTransactions
+            .filter(trans => isContractOperation(trans) && trans.data.type === CONTRACT_DEPLOY && !ledger.check(trans))
+            .forEach(trans => ledger.execute(trans, context));
+        return ledger;
+    }
+
+    setPendingTransactions(transactions) {
+        this.pendingTransactions = transactions;
+        this.pendingIndex = new Map(transactions.map(trans => [trans.txHash, trans]));
+    }
+
+    // Confirmed balance of QTC, or of the token named by `asset`
+    getBalance(address, asset = NATIVE_ASSET) {
         // Check cache first
-        if (this.balanceCache.has(address)) {
-            return this.balanceCache.get(address);
+        const key = balanceKey(address, asset);
+        if (this.balanceCache.has(key)) {
+            return this.balanceCache.get(key);
         }
 
         let balance = 0;
@@ -102,62 +467,663 @@ class QuantumBlockchain extends EventEmitter {
         for (const block of this.chain) {
             for (const trans of block.data.transactions || []) {
                 if (trans.fromAddress === address) {
-                    balance -= trans.amount;
+                    balance += transactionPayout(trans, asset) - transactionOutflow(trans, asset);
                 }
 
                 if (trans.toAddress === address) {
-                    balance += trans.amount;
+                    balance += transactionInflow(trans, asset) - transactionPayout(trans, asset);
                 }
             }
         }
 
         // Cache the result
-        this.balanceCache.set(address, balance);
+        this.balanceCache.set(key, balance);
         return balance;
     }
 
-    minePendingTransactions(miningRewardAddress) {
-        const rewardTransaction = {
-            fromAddress: null,
-            toAddress: miningRewardAddress,
-            amount: this.miningReward,
-            timestamp: Date.now()
+    // Every asset the address has touched with a non-zero confirmed balance, QTC always first
+    getBalances(address) {
+        const tokens = new Set(this.getTransactionHistory(address)
+            .flatMap(transactionAssets)
+            .filter(asset => asset !== NATIVE_ASSET));
+
+        const holdings = [...tokens].sort()
+            .map(asset => ({ asset, balance: this.getBalance(address, asset), decimals: this.tokens.get(asset)?.decimals ?? null }))
+            .filter(holding => holding.balance !== 0);
+
+        return [{ asset: NATIVE_ASSET, balance: this.getBalance(address) }, ...holdings];
+    }
+
+    // Difficulty a block at this height must be mined at. Every retargetInterval blocks it
+    // moves one hex digit (16x the work) when the last interval ran 4x faster or slower
+    // than targetBlockTime; otherwise it carries over from the parent block.
+    getDifficultyForHeight(height, chain = this.chain) {
+        if (height <= 1) return this.difficulty;
+
+        const parentDifficulty = chain[height - 1].difficulty;
+        if (height <= this.retargetInterval || (height - 1) % this.retargetInterval !== 0) {
+            return parentDifficulty;
+        }
+
+        // Measure from the first block of the interval so the genesis timestamp is never used
+        const actualTimespan = this.blockTime(chain[height - 1]) - this.blockTime(chain[height - this.retargetInterval]);
+        const expectedTimespan = (this.retargetInterval - 1) * this.targetBlockTime;
+
+        if (actualTimespan < expectedTimespan / 4) {
+            return Math.min(parentDifficulty + 1, 64);
+        }
+        if (actualTimespan > expectedTimespan * 4) {
+            return Math.max(parentDifficulty - 1, 1);
+        }
+        return parentDifficulty;
+    }
+
+    getCurrentDifficulty() {
+        return this.getDifficultyForHeight(this.chain.length);
+    }
+
+    blockTime(block) {
+        return new Date(block.timestamp).getTime();
+    }
+
+    // Median timestamp of the MEDIAN_TIME_SPAN blocks below this height on the given chain
+    medianTimePast(height, chain = this.chain) {
+        const times = chain.slice(Math.max(0, height - MEDIAN_TIME_SPAN), height)
+            .map(block => this.blockTime(block))
+            .sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+    }
+
+    // Blocks must be dated after the median time past and at most maxFutureBlockTime ahead of
+    // the local clock, so miners cannot skew the retarget or the timestamp validity windows
+    isBlockTimeValid(block, chain = this.chain, now = Date.now()) {
+        const time = this.blockTime(block);
+        return Number.isFinite(time) && time > this.medianTimePast(block.index, chain) && time <= now + this.maxFutureBlockTime;
+    }
+
+    // Confirmed balance minus what the address already has committed in the pending pool
+    getAvailableBalance(address, asset = NATIVE_ASSET) {
+        const pendingOutflow = this.pendingTransactions
+            .filter(trans => trans.fromAddress === address)
+            .reduce((sum, trans) => sum + transactionOutflow(trans, asset), 0);
+
+        return this.getBalance(address, asset) - pendingOutflow;
+    }
+
+    // Nonce the next confirmed transaction from this address must carry
+    getNonce(address) {
+        return this.accountNonces.get(address) || 0;
+    }
+
+    // Nonce for a new transaction, accounting for ones already waiting in the pool
+    getNextNonce(address) {
+        const pendingCount = this.pendingTransactions
+            .filter(trans => trans.fromAddress === address)
+            .length;
+
+        return this.getNonce(address) + pendingCount;
+    }
+
+    // First one-time key of a public key not yet used by any signature on the main chain or in
+    // the pool, counting multisig co-signatures; wallets resume signing from here after a restore
+    getNextSignatureIndex(publicKey) {
+        let next = 0;
+        const record = signature => {
+            const index = QuantumKeyPair.signatureIndex(signature);
+            if (index !== null) next = Math.max(next, index + 1);
         };
 
-        this.pendingTransactions.push(rewardTransaction);
+        const transactions = [...this.chain.flatMap(block => block.data.transactions || []), ...this.pendingTransactions];
+        for (const trans of transactions) {
+            if (trans.publicKey === publicKey) record(trans.signature);
+            if (trans.multisig) {
+                trans.multisig.publicKeys.forEach((key, index) => {
+                    if (key === publicKey) record(trans.multisig.signatures[index]);
+                });
+            }
+        }
+
+        return next;
+    }
+
+    // Contract transactions move no value; every other transaction moves a positive amount
+    isAmountValid(transaction) {
+        if (isContractOperation(transaction)) return transaction.amount === 0;
+        return typeof transaction.amount === 'number' && Number.isFinite(transaction.amount) && transaction.amount > 0;
+    }
+
+    isFeeValid(fee) {
+        return fee === undefined || (typeof fee === 'number' && Number.isFinite(fee) && fee >= 0);
+    }
+
+    // Fill a block at this height and timestamp from the pool by fee rate, highest first. A
+    // sender's transactions stay in nonce order, so a high-fee transaction can only go in behind
+    // its predecessors, and none go in behind one whose validity window is not open, whose
+    // DeFi operation the pool no longer allows after the operations selected before it, or whose
+    // contract transaction cannot run after them.
+    selectTransactions(height = this.chain.length, time = Date.now()) {
+        const defi = this.defi.clone();
+        const contracts = this.contracts.clone();
+        const queues = new Map(); // sender -> pending transactions in nonce order
+        for (const trans of this.pendingTransactions) {
+            if (!queues.has(trans.fromAddress)) queues.set(trans.fromAddress, []);
+            queues.get(trans.fromAddress).push(trans);
+        }
+        queues.forEach(queue => queue.sort((a, b) => a.nonce - b.nonce));
+
+        const selected = [];
+        let size = 0;
+
+        while (selected.length < this.maxBlockTransactions && queues.size > 0) {
+            // Ties go to the sender seen first in the pool
+            let bestSender = null;
+            for (const [sender, queue] of queues) {
+                if (bestSender === null || QuantumTransaction.feeRate(queue[0]) > QuantumTransaction.feeRate(queues.get(bestSender)[0])) {
+                    bestSender = sender;
+                }
+            }
+
+            const queue = queues.get(bestSender);
+            const trans = queue.shift();
+            const transSize = QuantumTransaction.size(trans);
+
+            if (QuantumTransaction.windowStatus(trans, height, time) !== 'open') {
+                queues.delete(bestSender);
+                continue;
+            }
+
+            // Later transactions from this sender depend on this one, so skip them all
+            if (size + transSize > this.maxBlockSize) {
+                queues.delete(bestSender);
+                continue;
+            }
+
+            if (isDeFiOperation(trans) && defi.execute(trans, time)) {
+                queues.delete(bestSender);
+                continue;
+            }
+
+            if (isContractOperation(trans)) {
+                if (contracts.check(trans)) {
+                    queues.delete(bestSender);
+                    continue;
+                }
+                contracts.execute(trans, { height, timestamp: time });
+            }
+
+            selected.push(trans);
+            size += transSize;
+            if (queue.length === 0) queues.delete(bestSender);
+        }
+
+        return selected;
+    }
+
+    // Mines in a worker thread and resolves with the connected block. Rejects with a
+    // MiningAbortedError if cancelled, via cancelMining() or options.signal, or if a
+    // competing block replaces the tip being mined on, and with a MiningInProgressError
+    // while another block is being mined.
+    async minePendingTransactions(miningRewardAddress, options = {}) {
+        assertQuantumAddress(miningRewardAddress, 'mining reward address');
+        if (this.miningJob) {
+            throw new MiningInProgressError('A block is already being mined');
+        }
+
+        this.dropExpiredTransactions();
+
+        const index = this.getLatestBlock().index + 1;
+        const timestamp = Math.max(Date.now(), this.medianTimePast(index) + 1);
+        const transactions = this.selectTransactions(index, timestamp);
+        const fees = transactions.reduce((sum, trans) => sum + (trans.fee || 0), 0);
+
+        // The block index keeps reward hashes unique, so every reward is a distinct Merkle leaf
+        const rewardTransaction = new QuantumTransaction(null, miningRewardAddress, this.miningReward + fees, {
+            type: 'mining_reward',
+            blockIndex: index,
+            fees
+        });
+
+        const difficulty = this.getDifficultyForHeight(index);
 
         const block = new QuantumBlock(
-            this.getLatestBlock().index + 1,
+            index,
             this.getLatestBlock().hash,
-            Date.now(),
+            timestamp,
             {
-                transactions: this.pendingTransactions,
+                transactions: [...transactions, rewardTransaction],
                 quantumProof: this.generateQuantumSignature()
-            }
+            },
+            null,
+            difficulty
         );
 
-        block.mineBlock(this.difficulty);
+        const found = await this.runMiningWorker(block, options.signal);
+        block.nonce = found.nonce;
+        block.hash = found.hash;
+
+        // A block may have arrived between the worker finishing and this continuation running
+        if (block.previousHash !== this.getLatestBlock().hash) {
+            throw new MiningAbortedError(`Block ${index} was mined on a tip that is no longer current`);
+        }
+
+        if (block.hash !== block.calculateHash() || !block.meetsDifficulty()) {
+            throw new Error('Mining worker returned an invalid proof-of-work');
+        }
         
         console.log('Block successfully mined!');
+        this.trackBlock(block);
+        this.storage.appendBlock(block);
+        this.connectBlock(block);
+
+        // Pending DeFi operations were checked against pools this block may have moved
+        if (this.pendingTransactions.some(isDeFiOperation)) {
+            this.revalidatePendingTransactions();
+        }
+
+        this.emit('blockMined', block);
+        return block;
+    }
+
+    runMiningWorker(block, signal) {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            // The worker's stdout is not piped, so its per-block log line stays out of the node's output
+            const worker = new Worker(MINING_WORKER_PATH, {
+                workerData: { header: block.getHeader(), difficulty: block.difficulty },
+                stdout: true
+            });
+
+            const job = {
+                block,
+                abort: reason => finish(new MiningAbortedError(reason))
+            };
+            const onAbort = () => job.abort(`Mining block ${block.index} was cancelled`);
+
+            const finish = (error, result) => {
+                if (this.miningJob !== job) return;
+                this.miningJob = null;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                worker.terminate();
+
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            this.miningJob = job;
+
+            worker.on('message', message => {
+                if (message.type === 'progress') {
+                    this.emit('miningProgress', {
+                        index: block.index,
+                        difficulty: block.difficulty,
+                        hashes: message.hashes,
+                        hashRate: message.hashRate,
+                        elapsed: Date.now() - startedAt
+                    });
+                } else if (message.type === 'found') {
+                    finish(null, message);
+                }
+            });
+            worker.on('error', error => finish(error));
+            worker.on('exit', code => finish(new Error(`Mining worker exited with code ${code}`)));
+
+            if (signal) {
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    cancelMining() {
+        if (!this.miningJob) return false;
+
+        this.miningJob.abort(`Mining block ${this.miningJob.block.index} was cancelled`);
+        return true;
+    }
+
+    // A mined block would be stale once the tip it builds on is no longer the tip
+    abortStaleMining(competitor) {
+        if (this.miningJob && this.miningJob.block.previousHash !== this.getLatestBlock().hash) {
+            this.miningJob.abort(`Competing block ${competitor.hash} arrived at height ${competitor.index}`);
+        }
+    }
+
+    // Accept a block from outside this node, e.g. a peer. Blocks extending the tip are
+    // connected directly; blocks on another branch are kept, and the node reorganises
+    // onto that branch once it carries more cumulative work than the current chain.
+    addBlock(blockData) {
+        const block = blockData instanceof QuantumBlock ? blockData : QuantumBlock.fromJSON(blockData);
+
+        if (this.blocks.has(block.hash)) {
+            return { status: 'duplicate', block };
+        }
+
+        if (this.invalidBlocks.has(block.hash) || this.invalidBlocks.has(block.previousHash)) {
+            throw new BlockRejectedError('INVALID_BLOCK', 'Block belongs to a branch already rejected as invalid');
+        }
+
+        const parent = this.blocks.get(block.previousHash);
+        if (!parent) {
+            throw new BlockRejectedError('ORPHAN_BLOCK', `Parent block ${block.previousHash} is unknown`);
+        }
+
+        this.validateBlock(block, parent);
+
+        if (parent.hash === this.getLatestBlock().hash) {
+            this.validateBlockTransactions(block);
+            this.trackBlock(block);
+            this.storage.appendBlock(block);
+            this.connectBlock(block);
+            this.revalidatePendingTransactions();
+            this.abortStaleMining(block);
+
+            this.emit('blockAdded', block);
+            return { status: 'extended', block };
+        }
+
+        this.trackBlock(block);
+        this.storage.putBlock(block);
+
+        if (this.chainWork.get(block.hash) > this.chainWork.get(this.getLatestBlock().hash)) {
+            this.reorganize(block);
+            this.abortStaleMining(block);
+            return { status: 'reorganized', block };
+        }
+
+        return { status: 'side', block };
+    }
+
+    // Checks that do not depend on account state: linkage, hashes and proof-of-work
+    validateBlock(block, parent) {
+        if (block.index !== parent.index + 1) {
+            throw new BlockRejectedError('INVALID_BLOCK', 'Block index does not follow its parent');
+        }
+
+        if (block.hash !== block.calculateHash()) {
+            throw new BlockRejectedError('INVALID_BLOCK', 'Block hash does not match its contents');
+        }
+
+        if (block.merkleRoot !== block.calculateMerkleRoot()) {
+            throw new BlockRejectedError('INVALID_BLOCK', 'Merkle root does not match the block transactions');
+        }
+
+        const branch = this.getBranch(parent.hash);
+        if (!this.isBlockTimeValid(block, branch)) {
+            throw new BlockRejectedError('INVALID_BLOCK', `Block timestamp must follow the median of the previous ${MEDIAN_TIME_SPAN} blocks and be at most ${this.maxFutureBlockTime} ms ahead`);
+        }
+
+        const expectedDifficulty = this.getDifficultyForHeight(block.index, branch);
+        if (block.difficulty !== expectedDifficulty || !block.meetsDifficulty()) {
+            throw new BlockRejectedError('INVALID_BLOCK', `Block does not meet difficulty ${expectedDifficulty}`);
+        }
+
+        const transactions = block.data.transactions || [];
+        const rewards = transactions.filter(trans => trans.fromAddress === null);
+        const transfers = transactions.filter(trans => trans.fromAddress !== null);
+
+        if (transfers.length > this.maxBlockTransactions) {
+            throw new BlockRejectedError('INVALID_BLOCK', `Block has more than ${this.maxBlockTransactions} transactions`);
+        }
+
+        if (transfers.reduce((sum, trans) => sum + QuantumTransaction.size(trans), 0) > this.maxBlockSize) {
+            throw new BlockRejectedError('INVALID_BLOCK', `Block exceeds ${this.maxBlockSize} bytes`);
+        }
+
+        for (const trans of transfers) {
+            if (!this.isAmountValid(trans) || !this.isFeeValid(trans.fee)) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} has an invalid amount or fee`);
+            }
+            if (!this.isWindowOpen(trans, block)) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} is outside its validity window`);
+            }
+            if (this.isHtlcRefundLocked(trans, block.index)) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} refunds an HTLC before its timelock`);
+            }
+        }
+
+        const misaddressed = transactions.find(trans => !isValidQuantumAddress(trans.toAddress));
+        if (misaddressed) {
+            throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${misaddressed.txHash} pays an invalid address`);
+        }
+
+        // The miner may claim the block reward plus every fee in the block, and no more
+        const fees = transfers.reduce((sum, trans) => sum + (trans.fee || 0), 0);
+        const isValidReward = trans => this.isRewardForBlock(trans, block) &&
+            Number.isFinite(trans.amount) && trans.amount >= 0 &&
+            trans.amount <= this.miningReward + fees && trans.asset == null;
+        if (rewards.length > 1 || !rewards.every(isValidReward)) {
+            throw new BlockRejectedError('INVALID_BLOCK', 'Block pays an invalid mining reward');
+        }
+
+        for (const trans of transactions) {
+            let isValid;
+            try {
+                isValid = this.isTransactionValid(trans);
+            } catch (error) {
+                isValid = false;
+            }
+
+            if (!isValid) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} has an invalid signature`);
+            }
+        }
+    }
+
+    // Checks against the state at the current tip, which must be the block's parent
+    validateBlockTransactions(block) {
+        const nonces = new Map();
+        const outflows = new Map(); // balance key -> spent so far in this block
+        const tokens = this.tokens.clone(); // so a token created in the block can be minted later in it
+        const defi = this.defi.clone(); // pools as the block's earlier operations leave them
+        const contracts = this.contracts.clone(); // likewise contracts, so a call can follow its deploy
+        const time = this.blockTime(block);
+
+        for (const trans of block.data.transactions || []) {
+            if (!trans.fromAddress) continue;
+
+            if (this.transactionLocations.has(trans.txHash)) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} is already confirmed`);
+            }
+
+            const expectedNonce = nonces.has(trans.fromAddress) ? nonces.get(trans.fromAddress) : this.getNonce(trans.fromAddress);
+            if (trans.nonce !== expectedNonce) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} has nonce ${trans.nonce}, expected ${expectedNonce}`);
+            }
+            nonces.set(trans.fromAddress, expectedNonce + 1);
+
+            const tokenError = tokens.check(trans);
+            if (tokenError) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash}: ${tokenError.message}`);
+            }
+            tokens.apply([trans], block.index);
+
+            const defiError = isDeFiOperation(trans) ? defi.execute(trans, time) : null;
+            if (defiError) {
+                throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash}: ${defiError.message}`);
+            }
+
+            if (isContractOperation(trans)) {
+                const contractError = contracts.check(trans);
+                if (contractError) {
+                    throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash}: ${contractError.message}`);
+                }
+                contracts.execute(trans, { height: block.index, timestamp: time });
+            }
+
+            for (const asset of transactionAssets(trans)) {
+                const key = balanceKey(trans.fromAddress, asset);
+                const outflow = (outflows.get(key) || 0) + transactionOutflow(trans, asset);
+                if (this.getBalance(trans.fromAddress, asset) < outflow) {
+                    throw new BlockRejectedError('INVALID_BLOCK', `Transaction ${trans.txHash} overdraws the ${asset} balance of ${trans.fromAddress}`);
+                }
+                outflows.set(key, outflow);
+            }
+        }
+    }
+
+    reorganize(newTip) {
+        const oldTip = this.getLatestBlock();
+
+        // Walk back from the new tip to the first block shared with the main chain
+        const branch = [];
+        let forkPoint = newTip;
+        while (this.chain[forkPoint.index]?.hash !== forkPoint.hash) {
+            branch.unshift(forkPoint);
+            forkPoint = this.blocks.get(forkPoint.previousHash);
+        }
+
+        const disconnected = [];
+        while (this.getLatestBlock().hash !== forkPoint.hash) {
+            disconnected.unshift(this.disconnectTip());
+        }
+
+        const connected = [];
+        for (const block of branch) {
+            try {
+                this.validateBlockTransactions(block);
+            } catch (error) {
+                // Roll back to the previous main chain and never try this branch again
+                connected.forEach(() => this.disconnectTip());
+                disconnected.forEach(oldBlock => this.connectBlock(oldBlock));
+                this.forgetBranch(block);
+                throw error;
+            }
+
+            this.connectBlock(block);
+            connected.push(block);
+        }
+
+        this.storage.setMainChain(this.chain.map(block => block.hash));
+
+        // Transactions from abandoned blocks go back to the pool unless the new branch confirmed them
+        const returnedTransactions = disconnected
+            .flatMap(block => block.data.transactions || [])
+            .filter(trans => trans.fromAddress !== null && !this.transactionLocations.has(trans.txHash));
+        this.revalidatePendingTransactions(returnedTransactions);
+
+        console.log(`Chain reorganized at block ${forkPoint.index}: ${oldTip.hash} -> ${newTip.hash}`);
+        this.emit('chainReorganized', {
+            oldTip,
+            newTip,
+            forkPoint,
+            disconnectedBlocks: disconnected,
+            connectedBlocks: connected,
+            returnedTransactions
+        });
+    }
+
+    connectBlock(block) {
+        const transactions = block.data.transactions || [];
         this.chain.push(block);
-        
+
         // Invalidate cache and update index for affected addresses
-        this.invalidateBalanceCache(this.pendingTransactions);
-        this.updateTransactionIndex(this.pendingTransactions, block);
-        
-        this.pendingTransactions = [];
-        this.emit('blockMined', block);
+        this.invalidateBalanceCache(transactions);
+        this.updateTransactionIndex(transactions, block);
+        this.updateAccountNonces(transactions);
+        this.tokens.apply(transactions, block.index);
+        this.defi.apply(transactions, block);
+        this.contracts.apply(transactions, block);
+
+        const included = new Set(transactions.map(trans => trans.txHash));
+        this.setPendingTransactions(this.pendingTransactions.filter(trans => !included.has(trans.txHash)));
+        this.storage.savePendingTransactions(this.pendingTransactions);
     }
-    
+
+    disconnectTip() {
+        const block = this.chain.pop();
+        const transactions = block.data.transactions || [];
+
+        this.invalidateBalanceCache(transactions);
+        this.removeFromTransactionIndex(transactions, block);
+        this.tokens.revert(transactions);
+        this.defi.revert(block);
+        this.contracts.revert(block);
+
+        for (const trans of transactions) {
+            if (trans.fromAddress) {
+                this.accountNonces.set(trans.fromAddress, this.getNonce(trans.fromAddress) - 1);
+            }
+        }
+
+        return block;
+    }
+
+    // Drop pool transactions whose window closed before the next block. Revalidating also drops
+    // the sender's later transactions, whose nonces no longer follow on.
+    dropExpiredTransactions() {
+        const height = this.chain.length;
+        const now = Date.now();
+        if (this.pendingTransactions.some(trans => QuantumTransaction.windowStatus(trans, height, now) === 'expired')) {
+            this.revalidatePendingTransactions();
+        }
+    }
+
+    // Re-admit pool candidates through addTransaction, dropping any no longer valid on this chain
+    revalidatePendingTransactions(returnedTransactions = []) {
+        const candidates = [...returnedTransactions, ...this.pendingTransactions];
+        this.setPendingTransactions([]);
+
+        for (const trans of candidates) {
+            try {
+                this.addTransaction(trans);
+            } catch (error) {
+                console.log(`Dropped pending transaction ${trans.txHash}: ${error.message}`);
+            }
+        }
+
+        this.storage.savePendingTransactions(this.pendingTransactions);
+    }
+
+    trackBlock(block) {
+        const parentWork = this.chainWork.get(block.previousHash) || 0n;
+        this.blocks.set(block.hash, block);
+        this.chainWork.set(block.hash, parentWork + 16n ** BigInt(block.difficulty));
+    }
+
+    forgetBranch(block) {
+        const doomed = [block.hash];
+
+        while (doomed.length > 0) {
+            const hash = doomed.pop();
+            this.blocks.delete(hash);
+            this.chainWork.delete(hash);
+            this.invalidBlocks.add(hash);
+
+            for (const candidate of this.blocks.values()) {
+                if (candidate.previousHash === hash) doomed.push(candidate.hash);
+            }
+        }
+    }
+
+    // Blocks from genesis up to and including the given block, on whichever branch it lies
+    getBranch(hash) {
+        const block = this.blocks.get(hash);
+        if (this.chain[block.index]?.hash === hash) {
+            return this.chain.slice(0, block.index + 1);
+        }
+
+        const branch = [];
+        for (let cursor = block; cursor; cursor = this.blocks.get(cursor.previousHash)) {
+            branch.unshift(cursor);
+        }
+        return branch;
+    }
+
     invalidateBalanceCache(transactions) {
         for (const trans of transactions) {
-            if (trans.fromAddress) this.balanceCache.delete(trans.fromAddress);
-            if (trans.toAddress) this.balanceCache.delete(trans.toAddress);
+            for (const asset of transactionAssets(trans)) {
+                if (trans.fromAddress) this.balanceCache.delete(balanceKey(trans.fromAddress, asset));
+                if (trans.toAddress) this.balanceCache.delete(balanceKey(trans.toAddress, asset));
+            }
         }
     }
     
     updateTransactionIndex(transactions, block) {
-        for (const trans of transactions) {
+        for (const [position, trans] of transactions.entries()) {
+            if (trans.txHash) {
+                this.transactionLocations.set(trans.txHash, { blockIndex: block.index, blockHash: block.hash, position });
+            }
+
             // Index by fromAddress
             if (trans.fromAddress) {
                 if (!this.transactionIndex.has(trans.fromAddress)) {
@@ -184,38 +1150,229 @@ class QuantumBlockchain extends EventEmitter {
         }
     }
 
-    isTransactionValid(transaction) {
-        if (transaction.fromAddress === null) return true;
+    removeFromTransactionIndex(transactions, block) {
+        for (const trans of transactions) {
+            if (this.transactionLocations.get(trans.txHash)?.blockHash === block.hash) {
+                this.transactionLocations.delete(trans.txHash);
+            }
 
-        if (!transaction.signature || transaction.signature.length === 0) {
-            throw new Error('No signature in this transaction');
+            for (const address of [trans.fromAddress, trans.toAddress]) {
+                if (address && this.transactionIndex.has(address)) {
+                    this.transactionIndex.set(address, this.transactionIndex.get(address)
+                        .filter(entry => entry.blockHash !== block.hash));
+                }
+            }
         }
+    }
 
-        // Here you would verify the quantum-resistant signature
-        return true;
+    updateAccountNonces(transactions) {
+        for (const trans of transactions) {
+            if (trans.fromAddress) {
+                this.accountNonces.set(trans.fromAddress, this.getNonce(trans.fromAddress) + 1);
+            }
+        }
+    }
+
+    // Whether a transfer's validity window is open at the block's own height and timestamp. The
+    // timestamp is only trusted within isBlockTimeValid's bounds, which blocks are checked against first.
+    isWindowOpen(transaction, block) {
+        return QuantumTransaction.hasValidWindow(transaction) &&
+            QuantumTransaction.windowStatus(transaction, block.index, this.blockTime(block)) === 'open';
+    }
+
+    // A reward names the height of its block, so its hash cannot repeat another transaction's
+    isRewardForBlock(transaction, block) {
+        return transaction.data?.type === 'mining_reward' && transaction.data.blockIndex === block.index;
+    }
+
+    // HTLC refunds (spends without a preimage) may only go in blocks from the timelock height on
+    isHtlcRefundLocked(transaction, height) {
+        return Boolean(transaction.htlc) && transaction.htlc.preimage == null && height < transaction.htlc.timelock;
+    }
+
+    isTransactionValid(transaction) {
+        // Verifies the hash-based signature against the public key carried on the transaction
+        return QuantumTransaction.verifySignature(transaction);
     }
 
     isChainValid() {
+        // Replay account sequences so a transaction cannot be included twice
+        const nonces = new Map();
+
         for (let i = 1; i < this.chain.length; i++) {
             const currentBlock = this.chain[i];
             const previousBlock = this.chain[i - 1];
 
-            if (!this.isTransactionValid(currentBlock)) {
-                return false;
+            for (const trans of currentBlock.data.transactions || []) {
+                try {
+                    if (!this.isTransactionValid(trans)) return false;
+                } catch (error) {
+                    return false;
+                }
+
+                if (!trans.fromAddress && !this.isRewardForBlock(trans, currentBlock)) return false;
+
+                if (trans.fromAddress) {
+                    if (!this.isWindowOpen(trans, currentBlock) || this.isHtlcRefundLocked(trans, i)) return false;
+
+                    const expectedNonce = nonces.get(trans.fromAddress) || 0;
+                    if (trans.nonce !== expectedNonce) return false;
+                    nonces.set(trans.fromAddress, expectedNonce + 1);
+                }
             }
 
             if (currentBlock.hash !== currentBlock.calculateHash()) {
                 return false;
             }
 
+            if (currentBlock.merkleRoot !== currentBlock.calculateMerkleRoot()) {
+                return false;
+            }
+
             if (currentBlock.previousHash !== previousBlock.hash) {
                 return false;
             }
+
+            if (!this.isBlockTimeValid(currentBlock)) {
+                return false;
+            }
+
+            if (currentBlock.difficulty !== this.getDifficultyForHeight(i) || !currentBlock.meetsDifficulty()) {
+                return false;
+            }
         }
 
         return true;
     }
 
+    // Merkle inclusion proof a light client can check against the block header offline
+    getTransactionProof(txHash) {
+        const location = this.transactionLocations.get(txHash);
+        if (!location) return null;
+
+        const block = this.chain[location.blockIndex];
+        const { position, proof } = block.getTransactionProof(txHash);
+
+        return {
+            txHash,
+            blockIndex: block.index,
+            blockHash: block.hash,
+            merkleRoot: block.merkleRoot,
+            position,
+            proof,
+            header: block.getHeader()
+        };
+    }
+
+    isOnMainChain(block) {
+        return this.chain[block.index]?.hash === block.hash;
+    }
+
+    // Blocks built on top of a main-chain block, counting the block itself; 0 off the main chain
+    getConfirmations(block) {
+        return this.isOnMainChain(block) ? this.chain.length - block.index : 0;
+    }
+
+    // Any known block, including side branches, with its standing relative to the main chain
+    getBlockByHash(hash) {
+        const block = this.blocks.get(hash);
+        if (!block) return null;
+
+        return {
+            block,
+            mainChain: this.isOnMainChain(block),
+            confirmations: this.getConfirmations(block)
+        };
+    }
+
+    // Confirmed transactions resolve through the location index, pending ones through the pool index
+    getTransaction(txHash) {
+        const location = this.transactionLocations.get(txHash);
+        if (location) {
+            const block = this.chain[location.blockIndex];
+            return {
+                transaction: block.data.transactions[location.position],
+                status: 'confirmed',
+                blockIndex: block.index,
+                blockHash: block.hash,
+                position: location.position,
+                timestamp: block.timestamp,
+                confirmations: this.getConfirmations(block)
+            };
+        }
+
+        const pending = this.pendingIndex.get(txHash);
+        if (pending) {
+            return { transaction: pending, status: 'pending', confirmations: 0 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Page through main-chain blocks between two heights (inclusive).
+     * The cursor is the hash of the last block of the previous page; pages continue
+     * after it in the requested order, so they stay stable while new blocks arrive.
+     */
+    getBlocks({ from = 0, to = this.chain.length - 1, cursor = null, limit = DEFAULT_PAGE_SIZE, order = 'desc' } = {}) {
+        for (const [name, value] of Object.entries({ from, to, limit })) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new RangeError(`${name} must be a non-negative integer`);
+            }
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            throw new RangeError('order must be asc or desc');
+        }
+
+        let low = from;
+        let high = Math.min(to, this.chain.length - 1);
+
+        if (cursor !== null) {
+            const block = this.blocks.get(cursor);
+            if (!block || !this.isOnMainChain(block)) {
+                throw new RangeError('cursor is not a block on the main chain');
+            }
+            if (order === 'desc') {
+                high = Math.min(high, block.index - 1);
+            } else {
+                low = Math.max(low, block.index + 1);
+            }
+        }
+
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+        const remaining = Math.max(high - low + 1, 0);
+        const count = Math.min(pageSize, remaining);
+
+        const blocks = order === 'desc'
+            ? this.chain.slice(high - count + 1, high + 1).reverse()
+            : this.chain.slice(low, low + count);
+
+        return {
+            blocks,
+            height: this.chain.length - 1,
+            nextCursor: remaining > count ? blocks[blocks.length - 1].hash : null
+        };
+    }
+
+    // Pending pool ordered by fee rate, highest first, as a miner would prefer them
+    getMempool({ offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+        for (const [name, value] of Object.entries({ offset, limit })) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new RangeError(`${name} must be a non-negative integer`);
+            }
+        }
+
+        const ordered = [...this.pendingTransactions]
+            .sort((a, b) => QuantumTransaction.feeRate(b) - QuantumTransaction.feeRate(a));
+
+        return {
+            count: ordered.length,
+            size: ordered.reduce((total, trans) => total + QuantumTransaction.size(trans), 0),
+            totalFees: ordered.reduce((total, trans) => total + (trans.fee || 0), 0),
+            transactions: ordered.slice(offset, offset + Math.min(Math.max(limit, 1), MAX_PAGE_SIZE))
+        };
+    }
+
     getTransactionHistory(address) {
         // Use index for fast lookup if available
         if (this.transactionIndex.has(address)) {
@@ -246,4 +1403,4 @@ class QuantumBlockchain extends EventEmitter {
     }
 }
 
-module.exports = { QuantumBlock, QuantumBlockchain };
\ No newline at end of file
+module.exports = { QuantumBlock, QuantumBlockchain, TransactionRejectedError, BlockRejectedError, MiningAbortedError, MiningInProgressError };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const { NATIVE_ASSET, assetOf, issuanceType } = require('./TokenRegistry');
+const { defiLegs, DEPOSIT, WITHDRAWAL } = require('../defi/DeFiLedger');
+
+/**
+ * What a transaction moves, per asset
+ * The sender pays its outflow and the recipient receives its inflow. DeFi withdrawals run the
+ * other way: the pool the transaction is sent to pays the sender (see defi/DeFiLedger.js).
+ * Every amount comes from signed fields, so balances follow from the transactions alone.
+ */
+
+// [{ asset, amount, direction }]; a plain transfer is a single deposit with the recipient
+function transactionLegs(transaction) {
+    return defiLegs(transaction) || [{ asset: assetOf(transaction), amount: transaction.amount, direction: DEPOSIT }];
+}
+
+function sumLegs(transaction, asset, direction) {
+    return transactionLegs(transaction)
+        .filter(leg => leg.asset === asset && leg.direction === direction)
+        .reduce((sum, leg) => sum + leg.amount, 0);
+}
+
+// Debited from the sender in `asset`: what it deposits plus, in QTC, the fee paid to the miner.
+// Issuance debits no tokens.
+function transactionOutflow(transaction, asset = NATIVE_ASSET) {
+    const fee = asset === NATIVE_ASSET ? (transaction.fee || 0) : 0;
+    if (issuanceType(transaction)) return fee;
+    return sumLegs(transaction, asset, DEPOSIT) + fee;
+}
+
+function transactionInflow(transaction, asset = NATIVE_ASSET) {
+    return sumLegs(transaction, asset, DEPOSIT);
+}
+
+// Paid by the recipient back to the sender
+function transactionPayout(transaction, asset = NATIVE_ASSET) {
+    return sumLegs(transaction, asset, WITHDRAWAL);
+}
+
+// QTC, plus every token the transaction moves or issues
+function transactionAssets(transaction) {
+    return [...new Set([NATIVE_ASSET, ...transactionLegs(transaction).map(leg => leg.asset)])];
+}
+
+module.exports = { transactionOutflow, transactionInflow, transactionPayout, transactionAssets };
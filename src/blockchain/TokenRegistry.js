@@ -0,0 +1,144 @@
+const { isValidQuantumAddress } = require('../wallet/Address');
+
+/**
+ * Native token ledger
+ * Besides QTC, an address can hold any number of tokens. Transactions name the token they move
+ * in `asset` (QTC transactions leave it out), and tokens are issued by transactions whose
+ * `data.type` is one of:
+ *
+ *   token_create  amount is the initial supply, credited to toAddress; data holds `decimals`
+ *                 and `mintAuthority`, the address allowed to mint more (null for a fixed supply)
+ *   token_mint    sent by the mint authority; amount is credited to toAddress
+ *
+ * Any other transaction with an `asset` moves the token from sender to recipient. Token amounts
+ * are integers of the token's smallest unit (`decimals` only affects display) and fees are
+ * always paid in QTC. The registry follows the main chain: connecting a block applies its
+ * issuance and disconnecting it reverts it.
+ */
+
+const NATIVE_ASSET = 'QTC';
+const TOKEN_SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,11}$/;
+const MAX_DECIMALS = 18;
+const TOKEN_CREATE = 'token_create';
+const TOKEN_MINT = 'token_mint';
+
+function assetOf(transaction) {
+    return transaction.asset ?? NATIVE_ASSET;
+}
+
+// token_create or token_mint for issuance transactions, otherwise null
+function issuanceType(transaction) {
+    const type = transaction.asset != null ? transaction.data?.type : null;
+    return type === TOKEN_CREATE || type === TOKEN_MINT ? type : null;
+}
+
+// QTC amounts are any positive number, token amounts positive integers of the smallest unit
+function isAssetAmount(asset, amount) {
+    if (asset === NATIVE_ASSET) return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+    return Number.isSafeInteger(amount) && amount > 0;
+}
+
+class TokenRegistry {
+    constructor(tokens = []) {
+        this.tokens = new Map(tokens.map(token => [token.symbol, token]));
+    }
+
+    get(symbol) {
+        return this.tokens.get(symbol) || null;
+    }
+
+    list() {
+        return Array.from(this.tokens.values());
+    }
+
+    // Scratch copy for validating a block before it is connected
+    clone() {
+        return new TokenRegistry(this.list().map(token => ({ ...token })));
+    }
+
+    clear() {
+        this.tokens.clear();
+    }
+
+    // { code, message } for a transaction that breaks the token rules, otherwise null.
+    // Balances are checked by the chain.
+    check(transaction) {
+        if (transaction.asset == null) return null;
+
+        const { asset, amount, data = {} } = transaction;
+        if (asset === NATIVE_ASSET || typeof asset !== 'string' || !TOKEN_SYMBOL_PATTERN.test(asset)) {
+            return { code: 'INVALID_ASSET', message: `Asset must be a token symbol (2-12 capitals and digits), or omitted for ${NATIVE_ASSET}` };
+        }
+        if (transaction.fromAddress === null) {
+            return { code: 'INVALID_ASSET', message: `Rewards and allocations are paid in ${NATIVE_ASSET}` };
+        }
+        if (!isAssetAmount(asset, amount)) {
+            return { code: 'INVALID_AMOUNT', message: 'Token amounts must be positive integers of the smallest unit' };
+        }
+
+        const token = this.get(asset);
+        const type = issuanceType(transaction);
+
+        if (type === TOKEN_CREATE) {
+            if (token) return { code: 'TOKEN_EXISTS', message: `Token ${asset} already exists` };
+            if (!Number.isInteger(data.decimals) || data.decimals < 0 || data.decimals > MAX_DECIMALS) {
+                return { code: 'INVALID_TOKEN', message: `Token decimals must be an integer from 0 to ${MAX_DECIMALS}` };
+            }
+            if (data.mintAuthority != null && !isValidQuantumAddress(data.mintAuthority)) {
+                return { code: 'INVALID_TOKEN', message: 'Token mintAuthority must be an address, or null for a fixed supply' };
+            }
+            return null;
+        }
+
+        if (!token) return { code: 'UNKNOWN_TOKEN', message: `Token ${asset} does not exist` };
+        if (type === TOKEN_MINT) {
+            if (transaction.fromAddress !== token.mintAuthority) {
+                return { code: 'NOT_MINT_AUTHORITY', message: `Only the mint authority of ${asset} can mint it` };
+            }
+            if (token.supply + amount > Number.MAX_SAFE_INTEGER) {
+                return { code: 'INVALID_AMOUNT', message: `Minting would overflow the supply of ${asset}` };
+            }
+        }
+        return null;
+    }
+
+    // Register creations and add mints to the supply, in block order
+    apply(transactions, blockIndex) {
+        for (const trans of transactions) {
+            const type = issuanceType(trans);
+            if (type === TOKEN_CREATE) {
+                this.tokens.set(trans.asset, {
+                    symbol: trans.asset,
+                    decimals: trans.data.decimals,
+                    supply: trans.amount,
+                    mintAuthority: trans.data.mintAuthority ?? null,
+                    creator: trans.fromAddress,
+                    createdAt: blockIndex
+                });
+            } else if (type === TOKEN_MINT) {
+                this.tokens.get(trans.asset).supply += trans.amount;
+            }
+        }
+    }
+
+    revert(transactions) {
+        for (const trans of [...transactions].reverse()) {
+            const type = issuanceType(trans);
+            if (type === TOKEN_CREATE) {
+                this.tokens.delete(trans.asset);
+            } else if (type === TOKEN_MINT) {
+                this.tokens.get(trans.asset).supply -= trans.amount;
+            }
+        }
+    }
+}
+
+module.exports = {
+    TokenRegistry,
+    NATIVE_ASSET,
+    TOKEN_CREATE,
+    TOKEN_MINT,
+    assetOf,
+    isAssetAmount,
+    issuanceType
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidQuantumAddress } = require('../wallet/Address');
+
+/**
+ * Chain specification for a Genesis network
+ * One JSON document holds the genesis block and every consensus-relevant parameter, so
+ * devnets and testnets differ only by the spec they load. Environment variables
+ * override individual values on top of the spec file.
+ *
+ * genesisHash publishes the hash the genesis block must have; nodes refuse to start
+ * when the block they build or load differs from it. A spec without one is refused unless
+ * it sets allowUnverifiedGenesis, for a scratch network whose hash is not published yet.
+ */
+
+const DEFAULT_CHAIN_SPEC = {
+    name: 'quantum-genesis-mainnet',
+    genesisHash: 'a275726b056d213a1c0de9ba74234849e5878e35a35baa53d98222cb29607c2a',
+    allowUnverifiedGenesis: false,
+    genesis: {
+        address: 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h',
+        message: 'behold light and it is good',
+        creator: 'Genesis Team',
+        timestamp: '2025-10-23T00:00:00Z',
+        allocations: {} // address -> amount credited in the genesis block
+    },
+    blockchain: {
+        difficulty: 4,
+        retargetInterval: 10,
+        targetBlockTime: 60000,
+        miningReward: 100,
+        maxBlockTransactions: 500,
+        maxBlockSize: 1000000,
+        maxFutureBlockTime: 7200000
+    },
+    consensus: {
+        minimumStake: 1000,
+        slashingRate: 0.1,
+        rewardRate: 0.05,
+        epochDuration: 600000,
+        genesisValidatorStake: 10000
+    },
+    bridge: {
+        bridgeFee: 0.001,
+        network: 'mainnet'
+    },
+    defi: {
+        protocolFee: 0.003,
+        liquidationThreshold: 150
+    },
+    contracts: {
+        gasPrice: 0.00001,
+        maxGas: 1000000,
+        maxCodeSize: 24576
+    }
+};
+
+// Environment variable -> [section, key, parser]
+const ENV_OVERRIDES = {
+    CHAIN_NAME: [null, 'name', String],
+    GENESIS_HASH: [null, 'genesisHash', String],
+    ALLOW_UNVERIFIED_GENESIS: [null, 'allowUnverifiedGenesis', value => value === 'true'],
+    GENESIS_ADDRESS: ['genesis', 'address', String],
+    GENESIS_MESSAGE: ['genesis', 'message', String],
+    GENESIS_TIMESTAMP: ['genesis', 'timestamp', String],
+    BLOCKCHAIN_DIFFICULTY: ['blockchain', 'difficulty', parseInt],
+    DIFFICULTY_RETARGET_INTERVAL: ['blockchain', 'retargetInterval', parseInt],
+    TARGET_BLOCK_TIME: ['blockchain', 'targetBlockTime', parseInt],
+    MINING_REWARD: ['blockchain', 'miningReward', parseFloat],
+    MAX_BLOCK_TRANSACTIONS: ['blockchain', 'maxBlockTransactions', parseInt],
+    MAX_BLOCK_SIZE: ['blockchain', 'maxBlockSize', parseInt],
+    MAX_FUTURE_BLOCK_TIME: ['blockchain', 'maxFutureBlockTime', parseInt],
+    MINIMUM_STAKE: ['consensus', 'minimumStake', parseFloat],
+    SLASHING_RATE: ['consensus', 'slashingRate', parseFloat],
+    REWARD_RATE: ['consensus', 'rewardRate', parseFloat],
+    EPOCH_DURATION: ['consensus', 'epochDuration', parseInt],
+    BRIDGE_FEE: ['bridge', 'bridgeFee', parseFloat],
+    BITCOIN_NETWORK: ['bridge', 'network', String],
+    PROTOCOL_FEE: ['defi', 'protocolFee', parseFloat],
+    LIQUIDATION_THRESHOLD: ['defi', 'liquidationThreshold', parseFloat],
+    CONTRACT_GAS_PRICE: ['contracts', 'gasPrice', parseFloat],
+    CONTRACT_MAX_GAS: ['contracts', 'maxGas', parseInt]
+};
+
+const BITCOIN_NETWORKS = ['mainnet', 'testnet', 'regtest'];
+
+function deepFreeze(value) {
+    Object.values(value).forEach(child => {
+        if (child && typeof child === 'object') deepFreeze(child);
+    });
+    return Object.freeze(value);
+}
+
+deepFreeze(DEFAULT_CHAIN_SPEC);
+
+// Spec files override defaults section by section; allocations are replaced as a whole
+function mergeSpec(base, overrides) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+        const isSection = value && typeof value === 'object' && !Array.isArray(value) && key !== 'allocations';
+        merged[key] = isSection ? mergeSpec(base[key] || {}, value) : value;
+    }
+
+    return merged;
+}
+
+function applyEnvOverrides(spec, env) {
+    const result = mergeSpec(spec, {});
+
+    for (const [variable, [section, key, parse]] of Object.entries(ENV_OVERRIDES)) {
+        if (env[variable] === undefined || env[variable] === '') continue;
+
+        const value = parse(env[variable]);
+        if (typeof value === 'number' && Number.isNaN(value)) {
+            throw new Error(`Invalid chain spec: ${variable} must be a number`);
+        }
+
+        if (section) {
+            result[section] = { ...result[section], [key]: value };
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+function validateChainSpec(spec) {
+    const fail = message => {
+        throw new Error(`Invalid chain spec: ${message}`);
+    };
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    const isRate = value => typeof value === 'number' && value >= 0 && value < 1;
+
+    if (!spec.name) fail('name is required');
+    if (spec.genesisHash !== null && !/^[0-9a-f]{64}$/.test(spec.genesisHash)) fail('genesisHash must be a 64-digit hex hash or null');
+    if (typeof spec.allowUnverifiedGenesis !== 'boolean') fail('allowUnverifiedGenesis must be true or false');
+    if (!spec.genesis.address) fail('genesis.address is required');
+    if (Number.isNaN(new Date(spec.genesis.timestamp).getTime())) fail('genesis.timestamp must be a date');
+
+    for (const [address, amount] of Object.entries(spec.genesis.allocations)) {
+        if (!isValidQuantumAddress(address)) fail(`genesis allocation address ${address} is not a valid qb address`);
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            fail(`genesis allocation for ${address} must be a positive number`);
+        }
+    }
+
+    for (const key of ['difficulty', 'retargetInterval', 'targetBlockTime', 'maxBlockTransactions', 'maxBlockSize', 'maxFutureBlockTime']) {
+        if (!isPositiveInteger(spec.blockchain[key])) fail(`blockchain.${key} must be a positive integer`);
+    }
+    if (!(spec.blockchain.miningReward >= 0)) fail('blockchain.miningReward must not be negative');
+
+    if (!(spec.consensus.minimumStake > 0)) fail('consensus.minimumStake must be positive');
+    if (!isPositiveInteger(spec.consensus.epochDuration)) fail('consensus.epochDuration must be a positive integer');
+    if (!isRate(spec.consensus.slashingRate)) fail('consensus.slashingRate must be between 0 and 1');
+    if (!isRate(spec.consensus.rewardRate)) fail('consensus.rewardRate must be between 0 and 1');
+
+    if (!isRate(spec.bridge.bridgeFee)) fail('bridge.bridgeFee must be between 0 and 1');
+    if (!BITCOIN_NETWORKS.includes(spec.bridge.network)) fail(`bridge.network must be one of ${BITCOIN_NETWORKS.join(', ')}`);
+
+    if (!isRate(spec.defi.protocolFee)) fail('defi.protocolFee must be between 0 and 1');
+    if (!(spec.defi.liquidationThreshold >= 100)) fail('defi.liquidationThreshold must be at least 100 (percent)');
+
+    if (!(spec.contracts.gasPrice >= 0)) fail('contracts.gasPrice must not be negative');
+    for (const key of ['maxGas', 'maxCodeSize']) {
+        if (!isPositiveInteger(spec.contracts[key])) fail(`contracts.${key} must be a positive integer`);
+    }
+    if (spec.contracts.maxCodeSize > 65535) fail('contracts.maxCodeSize must be at most 65535, the reach of a jump');
+
+    if (spec.genesisHash === null && !spec.allowUnverifiedGenesis) {
+        fail(`${spec.name} publishes no genesisHash; publish one, or set allowUnverifiedGenesis to run it unverified`);
+    }
+
+    return spec;
+}
+
+// Load a spec file (relative to the working directory) over the defaults, then apply env overrides
+function loadChainSpec(filePath = null, env = process.env) {
+    let spec = DEFAULT_CHAIN_SPEC;
+    let fileSpec = {};
+
+    if (filePath) {
+        const resolved = path.resolve(filePath);
+        try {
+            fileSpec = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read chain spec ${resolved}: ${error.message}`);
+        }
+        spec = mergeSpec(spec, fileSpec);
+    }
+
+    spec = applyEnvOverrides(spec, env);
+
+    // The built-in hash only describes the built-in genesis; a custom genesis publishes its own
+    const customGenesis = spec.name !== DEFAULT_CHAIN_SPEC.name ||
+        JSON.stringify(spec.genesis) !== JSON.stringify(DEFAULT_CHAIN_SPEC.genesis);
+    if (customGenesis && fileSpec.genesisHash === undefined && !env.GENESIS_HASH) {
+        spec.genesisHash = null;
+    }
+
+    return validateChainSpec(spec);
+}
+
+module.exports = { DEFAULT_CHAIN_SPEC, loadChainSpec, validateChainSpec };
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { QuantumTransaction } = require('../wallet/QuantumWallet');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
 
 /**
  * Quantum-resistant consensus mechanism for the Genesis blockchain
@@ -7,18 +9,21 @@ const { EventEmitter } = require('events');
  */
 
 class QuantumConsensus extends EventEmitter {
-    constructor(blockchain) {
+    constructor(blockchain, options = {}) {
         super();
+        const defaults = DEFAULT_CHAIN_SPEC.consensus;
+
         this.blockchain = blockchain;
         this.validators = new Map();
         this.stakes = new Map();
         this.votingPower = new Map();
         this.currentEpoch = 0;
-        this.epochDuration = 600000; // 10 minutes in milliseconds
-        this.minimumStake = 1000;
-        this.slashingRate = 0.1; // 10% slashing for malicious behavior
-        this.rewardRate = 0.05; // 5% annual staking reward
-        this.genesisValidator = 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h';
+        this.epochDuration = options.epochDuration ?? defaults.epochDuration; // milliseconds
+        this.minimumStake = options.minimumStake ?? defaults.minimumStake;
+        this.slashingRate = options.slashingRate ?? defaults.slashingRate; // share of stake slashed for malicious behavior
+        this.rewardRate = options.rewardRate ?? defaults.rewardRate; // annual staking reward
+        this.genesisValidatorStake = options.genesisValidatorStake ?? defaults.genesisValidatorStake;
+        this.genesisValidator = options.genesisValidator || DEFAULT_CHAIN_SPEC.genesis.address;
         this.quantumProofAlgorithm = 'CRYSTALS-Dilithium';
         this.lastEpochTime = Date.now();
         
@@ -30,7 +35,7 @@ class QuantumConsensus extends EventEmitter {
         this.validators.set(this.genesisValidator, {
             address: this.genesisValidator,
             publicKey: this.generateQuantumPublicKey(),
-            stake: 10000,
+            stake: this.genesisValidatorStake,
             isActive: true,
             reputation: 100,
             totalValidatedBlocks: 0,
@@ -38,7 +43,7 @@ class QuantumConsensus extends EventEmitter {
             quantumSignature: this.generateQuantumSignature()
         });
 
-        this.stakes.set(this.genesisValidator, 10000);
+        this.stakes.set(this.genesisValidator, this.genesisValidatorStake);
         this.votingPower.set(this.genesisValidator, this.calculateVotingPower(this.genesisValidator));
         
         console.log(`Genesis validator initialized: ${this.genesisValidator}`);
@@ -299,8 +304,11 @@ class QuantumConsensus extends EventEmitter {
     }
 
     verifyQuantumSignature(transaction) {
-        // Simulate quantum signature verification
-        return transaction.quantumProof && transaction.quantumProof.length > 0;
+        try {
+            return QuantumTransaction.verifySignature(transaction);
+        } catch (error) {
+            return false;
+        }
     }
 
     generateQuantumProof(block, validator) {
@@ -0,0 +1,268 @@
+const { addressFromCreation } = require('../wallet/Address');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
+const { ContractVM, ContractError, isContractArgs } = require('./ContractVM');
+
+/**
+ * On-chain contracts
+ * A contract is an account at the version 3 address of the transaction that deployed it, holding
+ * code for the contract VM (see ContractVM.js) and a storage of its own. Two transaction types
+ * drive it, both with amount 0 and a `data.gasLimit`:
+ *
+ *   contract_deploy  sent to addressFromCreation(sender, nonce); data.code and data.entrypoints
+ *                    as produced by assemble(). Runs the `init` entry point, if any, with data.args.
+ *   contract_call    sent to the contract; runs the entry point data.method with data.args
+ *
+ * Calls run while their block is applied, at the block's height and timestamp, so every node
+ * reaches the same storage by replaying the chain. A call that reverts stays in its block with a
+ * 'reverted' receipt and changes nothing; a deploy whose `init` reverts deploys nothing. The fee
+ * must cover gasLimit * gasPrice and is paid in full whatever the run uses, so balances still
+ * follow from the signed transactions alone.
+ */
+
+const CONTRACT_DEPLOY = 'contract_deploy';
+const CONTRACT_CALL = 'contract_call';
+const INIT = 'init';
+const DEFAULT_GAS_LIMIT = 100000;
+const CALL_GAS = 100; // charged to every call and deploy before the code runs
+const CODE_BYTE_GAS = 10; // charged per byte of deployed code
+const MAX_CACHED_PROGRAMS = 256; // decoded programs kept, least recently used dropped first
+
+function isContractOperation(transaction) {
+    const type = transaction.data?.type;
+    return transaction.fromAddress != null && (type === CONTRACT_DEPLOY || type === CONTRACT_CALL);
+}
+
+const reject = (code, message) => ({ code, message });
+
+// Storage as a JSON object
+function contractJSON(contract) {
+    return { ...contract, storage: Object.fromEntries(contract.storage) };
+}
+
+class ContractLedger {
+    constructor(options = {}, programs = new Map()) {
+        const defaults = DEFAULT_CHAIN_SPEC.contracts;
+
+        this.gasPrice = options.gasPrice ?? defaults.gasPrice; // QTC of fee per unit of gas
+        this.maxGas = options.maxGas ?? defaults.maxGas; // gas limit of a single transaction
+        this.maxCodeSize = options.maxCodeSize ?? defaults.maxCodeSize; // bytes
+        this.contracts = new Map(); // address -> { address, creator, code, entrypoints, storage, deployedAt, txHash }
+        this.receipts = new Map(); // txHash -> receipt of a confirmed contract transaction
+        this.undo = new Map(); // block hash -> { contracts: address -> contract before the block, null if deployed in it, receipts }
+        this.programs = programs; // code and entry points -> ContractVM of contracts that ran, shared with clones since code never changes
+    }
+
+    get(address) {
+        return this.contracts.get(address) || null;
+    }
+
+    list() {
+        return Array.from(this.contracts.values());
+    }
+
+    getReceipt(txHash) {
+        return this.receipts.get(txHash) || null;
+    }
+
+    // Scratch copy of every contract, for checking and running transactions without applying them
+    clone() {
+        const ledger = new ContractLedger(this, this.programs);
+        for (const [address, contract] of this.contracts) {
+            ledger.contracts.set(address, { ...contract, storage: new Map(contract.storage) });
+        }
+        return ledger;
+    }
+
+    clear() {
+        this.contracts.clear();
+        this.receipts.clear();
+        this.undo.clear();
+    }
+
+    // Smallest fee a transaction with this gas limit may pay, rounded to 8 decimal places
+    minimumFee(gasLimit) {
+        return Math.round(gasLimit * this.gasPrice * 1e8) / 1e8;
+    }
+
+    // Gas a transaction uses before its code runs
+    intrinsicGas(transaction) {
+        const { type, code } = transaction.data;
+        return CALL_GAS + (type === CONTRACT_DEPLOY && typeof code === 'string' ? (code.length / 2) * CODE_BYTE_GAS : 0);
+    }
+
+    // Decoded code, or throws INVALID_CODE
+    compile(code, entrypoints) {
+        return new ContractVM(code, entrypoints, { maxCodeSize: this.maxCodeSize });
+    }
+
+    // Decoded code of a contract that runs, from the cache of recently used programs
+    program(code, entrypoints) {
+        const key = `${code}:${JSON.stringify(entrypoints)}`;
+        const program = this.programs.get(key) || this.compile(code, entrypoints);
+
+        this.programs.delete(key);
+        this.programs.set(key, program);
+        if (this.programs.size > MAX_CACHED_PROGRAMS) {
+            this.programs.delete(this.programs.keys().next().value);
+        }
+        return program;
+    }
+
+    // { code, message } for a transaction the chain cannot run at this point, otherwise null.
+    // Reverting is not a reason to refuse one: that is decided when it runs.
+    check(transaction) {
+        const { type, gasLimit, args = [], method } = transaction.data;
+
+        if (transaction.asset != null || transaction.amount !== 0) {
+            return reject('INVALID_CONTRACT_OPERATION', 'Contract transactions move no value: amount must be 0 and asset unset');
+        }
+        if (!isContractArgs(args)) {
+            return reject('INVALID_CONTRACT_OPERATION', 'data.args must be at most 16 safe integers or strings of up to 256 characters');
+        }
+        if (!Number.isSafeInteger(gasLimit) || gasLimit < this.intrinsicGas(transaction) || gasLimit > this.maxGas) {
+            return reject('INVALID_GAS_LIMIT', `data.gasLimit must be an integer from ${this.intrinsicGas(transaction)} to ${this.maxGas}`);
+        }
+        if ((transaction.fee || 0) < this.minimumFee(gasLimit)) {
+            return reject('FEE_TOO_LOW', `A gas limit of ${gasLimit} needs a fee of at least ${this.minimumFee(gasLimit)}`);
+        }
+
+        if (type === CONTRACT_DEPLOY) {
+            if (transaction.toAddress !== addressFromCreation(transaction.fromAddress, transaction.nonce)) {
+                return reject('INVALID_CONTRACT_OPERATION', 'A contract must be deployed to the address created by its sender and nonce');
+            }
+            // Not cached: the deploy may never be mined
+            try {
+                this.compile(transaction.data.code, transaction.data.entrypoints);
+            } catch (error) {
+                if (!(error instanceof ContractError)) throw error;
+                return reject(error.code, error.message);
+            }
+            return null;
+        }
+
+        const contract = this.get(transaction.toAddress);
+        if (!contract) return reject('CONTRACT_NOT_FOUND', `No contract at ${transaction.toAddress}`);
+        if (method === INIT || !this.program(contract.code, contract.entrypoints).hasEntrypoint(method)) {
+            return reject('UNKNOWN_METHOD', `Contract has no method ${method}`);
+        }
+        return null;
+    }
+
+    // Apply a block's contract transactions in order, remembering what they touch so it can be reverted
+    apply(transactions, block) {
+        const context = { height: block.index, timestamp: new Date(block.timestamp).getTime() };
+        const before = new Map();
+        const receipts = [];
+
+        for (const trans of transactions) {
+            if (!isContractOperation(trans)) continue;
+            if (!before.has(trans.toAddress)) {
+                const contract = this.get(trans.toAddress);
+                before.set(trans.toAddress, contract ? { ...contract, storage: new Map(contract.storage) } : null);
+            }
+
+            const receipt = this.execute(trans, context);
+            this.receipts.set(trans.txHash, { ...receipt, blockIndex: block.index, blockHash: block.hash });
+            receipts.push(trans.txHash);
+        }
+
+        if (receipts.length > 0) this.undo.set(block.hash, { contracts: before, receipts });
+    }
+
+    revert(block) {
+        const undo = this.undo.get(block.hash);
+        if (!undo) return;
+
+        for (const [address, contract] of undo.contracts) {
+            if (contract) {
+                this.contracts.set(address, contract);
+            } else {
+                this.contracts.delete(address);
+            }
+        }
+        undo.receipts.forEach(txHash => this.receipts.delete(txHash));
+        this.undo.delete(block.hash);
+    }
+
+    // Run a checked transaction at { height, timestamp }, committing its storage writes only if
+    // it succeeds, and return its receipt
+    execute(transaction, { height, timestamp }) {
+        const { type, gasLimit, args = [] } = transaction.data;
+        const deploying = type === CONTRACT_DEPLOY;
+        const intrinsicGas = this.intrinsicGas(transaction);
+
+        const contract = deploying ? {
+            address: transaction.toAddress,
+            creator: transaction.fromAddress,
+            code: transaction.data.code,
+            entrypoints: transaction.data.entrypoints,
+            storage: new Map(),
+            deployedAt: height,
+            txHash: transaction.txHash
+        } : this.get(transaction.toAddress);
+        const program = this.program(contract.code, contract.entrypoints);
+        const method = deploying ? INIT : transaction.data.method;
+
+        let result = { status: 'success', gasUsed: 0, returnValue: null, logs: [], writes: new Map(), error: null };
+        if (!deploying || program.hasEntrypoint(INIT)) {
+            result = program.run(method, {
+                args,
+                caller: transaction.fromAddress,
+                address: contract.address,
+                height,
+                timestamp,
+                gasLimit: gasLimit - intrinsicGas,
+                storage: contract.storage
+            });
+        }
+
+        if (result.status === 'success') {
+            if (deploying) this.contracts.set(contract.address, contract);
+            for (const [key, value] of result.writes) {
+                if (value === 0) {
+                    contract.storage.delete(key);
+                } else {
+                    contract.storage.set(key, value);
+                }
+            }
+        }
+
+        return {
+            txHash: transaction.txHash,
+            type,
+            contract: contract.address,
+            method,
+            caller: transaction.fromAddress,
+            status: result.status,
+            gasUsed: intrinsicGas + result.gasUsed,
+            returnValue: result.returnValue,
+            logs: result.logs.map(log => ({ contract: contract.address, ...log })),
+            error: result.error
+        };
+    }
+
+    // Run a method without a transaction and keep nothing; up to maxGas
+    query(address, method, args, { caller, height, timestamp }) {
+        const contract = this.get(address);
+        if (!contract) throw new ContractError(`No contract at ${address}`, 'CONTRACT_NOT_FOUND');
+        if (!isContractArgs(args)) throw new ContractError('args must be at most 16 safe integers or strings of up to 256 characters', 'INVALID_CONTRACT_OPERATION');
+
+        const program = this.program(contract.code, contract.entrypoints);
+        if (method === INIT || !program.hasEntrypoint(method)) throw new ContractError(`Contract has no method ${method}`, 'UNKNOWN_METHOD');
+
+        const { writes, ...result } = program.run(method, {
+            args, caller, address, height, timestamp, gasLimit: this.maxGas, storage: contract.storage
+        });
+        return result;
+    }
+}
+
+module.exports = {
+    ContractLedger,
+    CONTRACT_DEPLOY,
+    CONTRACT_CALL,
+    INIT,
+    DEFAULT_GAS_LIMIT,
+    isContractOperation,
+    contractJSON
+};
@@ -0,0 +1,420 @@
+/**
+ * Contract virtual machine
+ * Contracts are bytecode for a small stack machine. Values are safe integers and strings of up
+ * to 256 characters, so there is no floating point, clock or randomness a contract could read:
+ * the same code, storage, arguments and block give the same result on every node. Every
+ * instruction costs gas, charged before it runs; a run that would exceed its gas limit stops
+ * with OUT_OF_GAS. Any failure, or an explicit REVERT, discards the run's storage writes and
+ * logs.
+ *
+ * Code is the hex of its bytes, each instruction an opcode byte and its operand:
+ *
+ *   PUSH <int|string>     push a constant (a string is assembled to PUSHS)
+ *   POP, DUP n, SWAP n    drop the top; copy the value n below the top; swap the top with it
+ *   ADD SUB MUL DIV MOD   integer arithmetic on the top two values (DIV truncates)
+ *   LT GT EQ NOT AND OR   comparisons and logic, giving 1 or 0; 0 and '' are false
+ *   CONCAT                join the top two values as a string
+ *   JUMP l, JUMPI l       jump to label l, always or if the popped value is true
+ *   STOP, RETURN          end the run, RETURN with the popped value as its result
+ *   REVERT                fail with the popped value as the message
+ *   CALLER ADDRESS        sender of the transaction, and the contract's own address
+ *   ARG n, ARGC           the n-th call argument, and how many there are
+ *   HEIGHT TIMESTAMP      index and timestamp (ms) of the block executing the call
+ *   SLOAD, SSTORE         read (0 if unset) or write a key of the contract's storage;
+ *                         SSTORE pops the value, then the key; storing 0 deletes the key
+ *   LOG n                 log an event: pops n values, then the event name pushed before them
+ *
+ * `assemble` turns source text into { code, entrypoints }. Lines hold one instruction each,
+ * `name:` labels the next instruction, `.entry name` also makes it an entry point that calls
+ * can name, and `;` starts a comment. A run starts at an entry point and ends at STOP, RETURN,
+ * REVERT or the end of the code.
+ */
+
+const MAX_STACK = 256;
+const MAX_STRING_LENGTH = 256;
+const MAX_ARGS = 16;
+const LOG_VALUE_GAS = 10;
+const ENTRYPOINT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// name -> { code, gas, operand }; operands are encoded after the opcode byte
+const OPCODES = {
+    STOP: { code: 0x00, gas: 0 },
+    PUSH: { code: 0x01, gas: 1, operand: 'integer' },
+    PUSHS: { code: 0x02, gas: 1, operand: 'string' },
+    POP: { code: 0x03, gas: 1 },
+    DUP: { code: 0x04, gas: 1, operand: 'depth' },
+    SWAP: { code: 0x05, gas: 1, operand: 'depth' },
+    ADD: { code: 0x10, gas: 2 },
+    SUB: { code: 0x11, gas: 2 },
+    MUL: { code: 0x12, gas: 3 },
+    DIV: { code: 0x13, gas: 3 },
+    MOD: { code: 0x14, gas: 3 },
+    LT: { code: 0x15, gas: 2 },
+    GT: { code: 0x16, gas: 2 },
+    EQ: { code: 0x17, gas: 2 },
+    NOT: { code: 0x18, gas: 2 },
+    AND: { code: 0x19, gas: 2 },
+    OR: { code: 0x1a, gas: 2 },
+    CONCAT: { code: 0x20, gas: 3 },
+    JUMP: { code: 0x30, gas: 2, operand: 'target' },
+    JUMPI: { code: 0x31, gas: 3, operand: 'target' },
+    RETURN: { code: 0x32, gas: 0 },
+    REVERT: { code: 0x33, gas: 0 },
+    CALLER: { code: 0x40, gas: 2 },
+    ADDRESS: { code: 0x41, gas: 2 },
+    ARG: { code: 0x42, gas: 2, operand: 'depth' },
+    ARGC: { code: 0x43, gas: 2 },
+    HEIGHT: { code: 0x44, gas: 2 },
+    TIMESTAMP: { code: 0x45, gas: 2 },
+    SLOAD: { code: 0x50, gas: 50 },
+    SSTORE: { code: 0x51, gas: 200 },
+    LOG: { code: 0x60, gas: 20, operand: 'depth' }
+};
+
+const OPCODES_BY_CODE = new Map(Object.entries(OPCODES).map(([name, op]) => [op.code, { name, ...op }]));
+
+class ContractError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ContractError';
+        this.code = code;
+    }
+}
+
+function isContractValue(value) {
+    return Number.isSafeInteger(value) || (typeof value === 'string' && value.length <= MAX_STRING_LENGTH);
+}
+
+function isContractArgs(args) {
+    return Array.isArray(args) && args.length <= MAX_ARGS && args.every(isContractValue);
+}
+
+const isTrue = value => value !== 0 && value !== '';
+
+function encodeOperand(kind, value) {
+    switch (kind) {
+    case 'integer': {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigInt64BE(BigInt(value));
+        return buffer;
+    }
+    case 'string': {
+        const bytes = Buffer.from(value, 'utf8');
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(bytes.length);
+        return Buffer.concat([length, bytes]);
+    }
+    case 'target': {
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16BE(value);
+        return buffer;
+    }
+    default:
+        return Buffer.from([value]);
+    }
+}
+
+// Source text -> { code, entrypoints }; throws ASSEMBLY_ERROR naming the line
+function assemble(source) {
+    if (typeof source !== 'string') throw new ContractError('Source must be a string', 'ASSEMBLY_ERROR');
+
+    const items = [];
+    const labels = new Map();
+    const entrypoints = {};
+    let offset = 0;
+
+    source.split('\n').forEach((text, index) => {
+        const fail = message => {
+            throw new ContractError(`Line ${index + 1}: ${message}`, 'ASSEMBLY_ERROR');
+        };
+        const tokens = (text.match(/"(?:[^"\\]|\\.)*"|;.*|[^\s;]+/g) || []).filter(token => !token.startsWith(';'));
+        const define = name => {
+            if (!ENTRYPOINT_PATTERN.test(name)) fail(`invalid label ${name}`);
+            if (labels.has(name)) fail(`duplicate label ${name}`);
+            labels.set(name, offset);
+        };
+
+        while (tokens.length > 0 && tokens[0].endsWith(':')) define(tokens.shift().slice(0, -1));
+        if (tokens.length === 0) return;
+
+        if (tokens[0] === '.entry') {
+            if (tokens.length !== 2) fail('.entry takes one name');
+            define(tokens[1]);
+            entrypoints[tokens[1]] = offset;
+            return;
+        }
+
+        let name = tokens[0].toUpperCase();
+        if (name === 'PUSH' && tokens[1]?.startsWith('"')) name = 'PUSHS';
+        const op = OPCODES[name];
+        if (!op) fail(`unknown instruction ${tokens[0]}`);
+        if (tokens.length !== (op.operand ? 2 : 1)) fail(`${name} takes ${op.operand ? 'one operand' : 'no operand'}`);
+
+        let operand = tokens[1];
+        if (op.operand === 'string') {
+            try {
+                operand = JSON.parse(operand);
+            } catch (error) {
+                fail(`invalid string ${operand}`);
+            }
+            if (operand.length > MAX_STRING_LENGTH) fail(`strings are at most ${MAX_STRING_LENGTH} characters`);
+        } else if (op.operand === 'integer' || op.operand === 'depth') {
+            operand = /^-?\d+$/.test(operand) ? Number(operand) : NaN;
+            const valid = op.operand === 'integer' ? Number.isSafeInteger(operand) : operand >= 0 && operand <= 255;
+            if (!valid) fail(`${name} needs ${op.operand === 'integer' ? 'a safe integer or a string' : 'an integer from 0 to 255'}`);
+        }
+
+        items.push({ op, operand, fail });
+        if (op.operand === 'target') {
+            offset += 3;
+        } else {
+            offset += 1 + (op.operand ? encodeOperand(op.operand, operand).length : 0);
+        }
+    });
+
+    const bytes = items.map(({ op, operand, fail }) => {
+        if (op.operand === 'target') {
+            if (!labels.has(operand)) fail(`unknown label ${operand}`);
+            operand = labels.get(operand);
+        }
+        return Buffer.concat([Buffer.from([op.code]), op.operand ? encodeOperand(op.operand, operand) : Buffer.alloc(0)]);
+    });
+
+    return { code: Buffer.concat(bytes).toString('hex'), entrypoints };
+}
+
+class ContractVM {
+    // Decodes and checks the code and entry points; throws INVALID_CODE saying what is wrong
+    constructor(code, entrypoints, { maxCodeSize = Infinity } = {}) {
+        const fail = message => {
+            throw new ContractError(message, 'INVALID_CODE');
+        };
+
+        if (typeof code !== 'string' || code.length === 0 || !/^(?:[0-9a-f]{2})+$/.test(code)) fail('Code must be non-empty lowercase hex');
+        const bytes = Buffer.from(code, 'hex');
+        if (bytes.length > maxCodeSize) fail(`Code exceeds ${maxCodeSize} bytes`);
+
+        this.instructions = new Map(); // offset -> { name, gas, operand, value, next }
+        let offset = 0;
+        while (offset < bytes.length) {
+            const op = OPCODES_BY_CODE.get(bytes[offset]);
+            if (!op) fail(`Unknown opcode 0x${bytes[offset].toString(16).padStart(2, '0')} at ${offset}`);
+
+            const start = offset;
+            offset += 1;
+            let value = null;
+            const need = length => {
+                if (offset + length > bytes.length) fail(`Truncated ${op.name} at ${start}`);
+            };
+
+            if (op.operand === 'integer') {
+                need(8);
+                const big = bytes.readBigInt64BE(offset);
+                value = Number(big);
+                if (!Number.isSafeInteger(value)) fail(`PUSH at ${start} is not a safe integer`);
+                offset += 8;
+            } else if (op.operand === 'string') {
+                need(2);
+                const length = bytes.readUInt16BE(offset);
+                need(2 + length);
+                const raw = bytes.subarray(offset + 2, offset + 2 + length);
+                value = raw.toString('utf8');
+                if (!Buffer.from(value, 'utf8').equals(raw) || value.length > MAX_STRING_LENGTH) fail(`PUSHS at ${start} is not a valid string`);
+                offset += 2 + length;
+            } else if (op.operand === 'target') {
+                need(2);
+                value = bytes.readUInt16BE(offset);
+                offset += 2;
+            } else if (op.operand) {
+                need(1);
+                value = bytes[offset];
+                offset += 1;
+            }
+
+            this.instructions.set(start, { ...op, value, next: offset });
+        }
+
+        for (const [start, instruction] of this.instructions) {
+            if (instruction.operand === 'target' && !this.instructions.has(instruction.value)) {
+                fail(`${instruction.name} at ${start} does not target an instruction`);
+            }
+        }
+
+        if (!entrypoints || typeof entrypoints !== 'object' || Array.isArray(entrypoints)) fail('Entry points must map names to offsets');
+        for (const [name, start] of Object.entries(entrypoints)) {
+            if (!ENTRYPOINT_PATTERN.test(name)) fail(`Invalid entry point name ${name}`);
+            if (!this.instructions.has(start)) fail(`Entry point ${name} does not start an instruction`);
+        }
+        this.entrypoints = entrypoints;
+    }
+
+    hasEntrypoint(name) {
+        return typeof name === 'string' && Object.hasOwn(this.entrypoints, name);
+    }
+
+    // Run an entry point. Returns { status: 'success' | 'reverted', gasUsed, returnValue, logs,
+    // writes, error }; storage is only read, and writes (key -> value, 0 to delete) are the
+    // caller's to commit.
+    run(entrypoint, { args = [], caller, address, height, timestamp, gasLimit, storage = new Map() }) {
+        const stack = [];
+        const writes = new Map();
+        const logs = [];
+        let gasUsed = 0;
+        let returnValue = null;
+
+        const fail = (code, message) => {
+            throw new ContractError(message, code);
+        };
+        const push = value => {
+            if (!isContractValue(value)) fail('INVALID_VALUE', `Values are safe integers or strings of up to ${MAX_STRING_LENGTH} characters`);
+            if (stack.length >= MAX_STACK) fail('STACK_OVERFLOW', `Stack exceeds ${MAX_STACK} values`);
+            stack.push(value);
+        };
+        const pop = () => {
+            if (stack.length === 0) fail('STACK_UNDERFLOW', 'Stack is empty');
+            return stack.pop();
+        };
+        const popInteger = () => {
+            const value = pop();
+            if (!Number.isSafeInteger(value)) fail('INVALID_OPERAND', `Expected an integer, got ${JSON.stringify(value)}`);
+            return value;
+        };
+        const popKey = () => {
+            const key = pop();
+            if (typeof key !== 'string' || key.length === 0) fail('INVALID_OPERAND', 'Storage keys are non-empty strings');
+            return key;
+        };
+        const arithmetic = operation => {
+            const b = popInteger();
+            const a = popInteger();
+            const result = operation(a, b);
+            if (!Number.isSafeInteger(result)) fail('ARITHMETIC_OVERFLOW', 'Result is not a safe integer');
+            push(result);
+        };
+        const compare = operation => {
+            const b = pop();
+            const a = pop();
+            push(operation(a, b) ? 1 : 0);
+        };
+        const peek = depth => {
+            if (depth >= stack.length) fail('STACK_UNDERFLOW', `Stack has no value ${depth} below the top`);
+            return stack.length - 1 - depth;
+        };
+
+        try {
+            if (!this.hasEntrypoint(entrypoint)) fail('UNKNOWN_METHOD', `No entry point ${entrypoint}`);
+            let pc = this.entrypoints[entrypoint];
+
+            for (;;) {
+                const instruction = this.instructions.get(pc);
+                if (!instruction) break; // ran off the end
+
+                const cost = instruction.gas + (instruction.name === 'LOG' ? instruction.value * LOG_VALUE_GAS : 0);
+                if (gasUsed + cost > gasLimit) {
+                    gasUsed = gasLimit;
+                    fail('OUT_OF_GAS', `Out of gas at ${instruction.name} (${pc})`);
+                }
+                gasUsed += cost;
+                pc = instruction.next;
+
+                const { name, value } = instruction;
+                if (name === 'STOP') break;
+                if (name === 'RETURN') {
+                    returnValue = pop();
+                    break;
+                }
+
+                switch (name) {
+                case 'PUSH':
+                case 'PUSHS':
+                    push(value);
+                    break;
+                case 'POP':
+                    pop();
+                    break;
+                case 'DUP':
+                    push(stack[peek(value)]);
+                    break;
+                case 'SWAP': {
+                    const top = peek(0);
+                    const other = peek(value);
+                    [stack[top], stack[other]] = [stack[other], stack[top]];
+                    break;
+                }
+                case 'ADD': arithmetic((a, b) => a + b); break;
+                case 'SUB': arithmetic((a, b) => a - b); break;
+                case 'MUL': arithmetic((a, b) => a * b); break;
+                case 'DIV':
+                case 'MOD':
+                    arithmetic((a, b) => {
+                        if (b === 0) fail('DIVISION_BY_ZERO', `${name} by zero`);
+                        return name === 'DIV' ? Math.trunc(a / b) : a % b;
+                    });
+                    break;
+                case 'LT':
+                case 'GT': {
+                    const b = popInteger();
+                    const a = popInteger();
+                    push((name === 'LT' ? a < b : a > b) ? 1 : 0);
+                    break;
+                }
+                case 'EQ': compare((a, b) => a === b); break;
+                case 'AND': compare((a, b) => isTrue(a) && isTrue(b)); break;
+                case 'OR': compare((a, b) => isTrue(a) || isTrue(b)); break;
+                case 'NOT':
+                    push(isTrue(pop()) ? 0 : 1);
+                    break;
+                case 'CONCAT': {
+                    const b = pop();
+                    const a = pop();
+                    push(`${a}${b}`);
+                    break;
+                }
+                case 'JUMP':
+                    pc = value;
+                    break;
+                case 'JUMPI':
+                    if (isTrue(pop())) pc = value;
+                    break;
+                case 'REVERT':
+                    fail('CONTRACT_REVERTED', String(pop()));
+                    break;
+                case 'CALLER': push(caller); break;
+                case 'ADDRESS': push(address); break;
+                case 'ARG':
+                    if (value >= args.length) fail('MISSING_ARGUMENT', `Call has no argument ${value}`);
+                    push(args[value]);
+                    break;
+                case 'ARGC': push(args.length); break;
+                case 'HEIGHT': push(height); break;
+                case 'TIMESTAMP': push(timestamp); break;
+                case 'SLOAD': {
+                    const key = popKey();
+                    push(writes.has(key) ? writes.get(key) : (storage.get(key) ?? 0));
+                    break;
+                }
+                case 'SSTORE': {
+                    const stored = pop();
+                    writes.set(popKey(), stored);
+                    break;
+                }
+                case 'LOG': {
+                    if (value >= stack.length) fail('STACK_UNDERFLOW', `LOG ${value} needs ${value + 1} values`);
+                    const values = stack.splice(stack.length - value);
+                    const event = pop();
+                    if (typeof event !== 'string') fail('INVALID_OPERAND', 'LOG needs an event name below its values');
+                    logs.push({ event, args: values });
+                    break;
+                }
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof ContractError)) throw error;
+            return { status: 'reverted', gasUsed, returnValue: null, logs: [], writes: new Map(), error: { code: error.code, message: error.message } };
+        }
+
+        return { status: 'success', gasUsed, returnValue, logs, writes, error: null };
+    }
+}
+
+module.exports = { ContractVM, ContractError, OPCODES, MAX_ARGS, assemble, isContractArgs };
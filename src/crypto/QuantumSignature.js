@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+
+/**
+ * Hash-based post-quantum signatures for the Genesis blockchain
+ * WOTS+ one-time signatures arranged in a multi-tree XMSS hypertree (XMSS^MT),
+ * built only on SHA3-256 so security rests on the hash function alone.
+ *
+ * The scheme is stateful: every signature consumes one one-time key, so a key pair
+ * must never sign two messages with the same index.
+ */
+
+const N = 32; // hash output length in bytes
+const W = 16; // Winternitz parameter
+const LOG_W = 4;
+const LEN1 = (8 * N) / LOG_W; // 64 message digits
+const LEN2 = 3; // checksum digits: floor(log2(LEN1 * (W - 1)) / LOG_W) + 1
+const LEN = LEN1 + LEN2;
+const INDEX_BYTES = 8;
+
+// Address types used for domain separation of every hash call
+const ADDRESS_WOTS_HASH = 0;
+const ADDRESS_WOTS_PK = 1;
+const ADDRESS_TREE = 2;
+const ADDRESS_WOTS_PRF = 3;
+
+const SIGNATURE_ALGORITHM = 'XMSS^MT-SHA3-256';
+const DEFAULT_LAYERS = 2;
+const DEFAULT_SUBTREE_HEIGHT = 5;
+
+function sha3(...inputs) {
+    const hash = crypto.createHash('sha3-256');
+    for (const input of inputs) hash.update(input);
+    return hash.digest();
+}
+
+function hashAddress(layer, tree, type, keyPair = 0, chainOrHeight = 0, hashOrIndex = 0) {
+    const address = Buffer.alloc(32);
+    address.writeUInt32BE(layer, 0);
+    address.writeUInt32BE(Math.floor(tree / 0x100000000), 4);
+    address.writeUInt32BE(tree % 0x100000000, 8);
+    address.writeUInt32BE(type, 12);
+    address.writeUInt32BE(keyPair, 16);
+    address.writeUInt32BE(chainOrHeight, 20);
+    address.writeUInt32BE(hashOrIndex, 24);
+    return address;
+}
+
+// Convert a digest into base-W digits followed by its checksum digits
+function digestToChainLengths(digest) {
+    const digits = [];
+    for (const byte of digest) {
+        digits.push(byte >> 4, byte & 0x0f);
+    }
+
+    let checksum = digits.reduce((sum, digit) => sum + (W - 1 - digit), 0);
+    checksum <<= 8 - ((LEN2 * LOG_W) % 8);
+
+    const checksumBytes = Buffer.alloc(2);
+    checksumBytes.writeUInt16BE(checksum);
+    digits.push(checksumBytes[0] >> 4, checksumBytes[0] & 0x0f, checksumBytes[1] >> 4);
+
+    return digits;
+}
+
+function chain(pubSeed, value, start, steps, layer, tree, keyPair, chainIndex) {
+    let result = value;
+    for (let i = start; i < start + steps; i++) {
+        result = sha3(pubSeed, hashAddress(layer, tree, ADDRESS_WOTS_HASH, keyPair, chainIndex, i), result);
+    }
+    return result;
+}
+
+function compressWotsPublicKey(pubSeed, chainEnds, layer, tree, keyPair) {
+    return sha3(pubSeed, hashAddress(layer, tree, ADDRESS_WOTS_PK, keyPair), ...chainEnds);
+}
+
+function hashTreeNode(pubSeed, left, right, layer, tree, height, index) {
+    return sha3(pubSeed, hashAddress(layer, tree, ADDRESS_TREE, 0, height, index), left, right);
+}
+
+function messageDigest(pubSeed, root, index, message) {
+    const indexBytes = Buffer.alloc(INDEX_BYTES);
+    indexBytes.writeBigUInt64BE(BigInt(index));
+    return sha3(pubSeed, root, indexBytes, Buffer.from(message, 'utf8'));
+}
+
+function encodePublicKey(layers, subtreeHeight, pubSeed, root) {
+    return Buffer.concat([Buffer.from([layers, subtreeHeight]), pubSeed, root]).toString('hex');
+}
+
+function decodePublicKey(publicKey) {
+    const bytes = Buffer.from(publicKey, 'hex');
+    if (bytes.length !== 2 + 2 * N) return null;
+
+    return {
+        layers: bytes[0],
+        subtreeHeight: bytes[1],
+        pubSeed: bytes.subarray(2, 2 + N),
+        root: bytes.subarray(2 + N)
+    };
+}
+
+class QuantumKeyPair {
+    constructor(privateKey, options = {}) {
+        this.layers = options.layers || DEFAULT_LAYERS;
+        this.subtreeHeight = options.subtreeHeight || DEFAULT_SUBTREE_HEIGHT;
+        this.nextIndex = options.nextIndex || 0;
+
+        this.skSeed = sha3('xmss-sk-seed', privateKey);
+        this.pubSeed = sha3('xmss-pub-seed', privateKey);
+
+        // One cached subtree per layer; the top layer only ever has tree 0
+        this.subtrees = new Map();
+
+        const topTree = this.getSubtree(this.layers - 1, 0);
+        this.root = topTree.levels[this.subtreeHeight][0];
+        this.publicKey = encodePublicKey(this.layers, this.subtreeHeight, this.pubSeed, this.root);
+    }
+
+    get capacity() {
+        return 2 ** (this.layers * this.subtreeHeight);
+    }
+
+    get remainingSignatures() {
+        return this.capacity - this.nextIndex;
+    }
+
+    sign(message) {
+        if (this.nextIndex >= this.capacity) {
+            throw new Error('Quantum key pair has no one-time signatures left');
+        }
+
+        const index = this.nextIndex++;
+        const leafMask = 2 ** this.subtreeHeight;
+        const parts = [Buffer.alloc(INDEX_BYTES)];
+        parts[0].writeBigUInt64BE(BigInt(index));
+
+        let digest = messageDigest(this.pubSeed, this.root, index, message);
+        let tree = Math.floor(index / leafMask);
+        let leaf = index % leafMask;
+
+        for (let layer = 0; layer < this.layers; layer++) {
+            const subtree = this.getSubtree(layer, tree);
+
+            parts.push(...this.wotsSign(digest, layer, tree, leaf));
+            parts.push(...this.authenticationPath(subtree.levels, leaf));
+
+            digest = subtree.levels[this.subtreeHeight][0];
+            leaf = tree % leafMask;
+            tree = Math.floor(tree / leafMask);
+        }
+
+        return Buffer.concat(parts).toString('hex');
+    }
+
+    static verify(message, signature, publicKey) {
+        if (typeof signature !== 'string' || typeof publicKey !== 'string') return false;
+
+        const key = decodePublicKey(publicKey);
+        if (!key || key.layers < 1 || key.subtreeHeight < 1) return false;
+
+        const bytes = Buffer.from(signature, 'hex');
+        const layerSize = (LEN + key.subtreeHeight) * N;
+        if (bytes.length !== INDEX_BYTES + key.layers * layerSize) return false;
+
+        const index = Number(bytes.readBigUInt64BE(0));
+        const leafMask = 2 ** key.subtreeHeight;
+        if (index >= 2 ** (key.layers * key.subtreeHeight)) return false;
+
+        let node = messageDigest(key.pubSeed, key.root, index, message);
+        let tree = Math.floor(index / leafMask);
+        let leaf = index % leafMask;
+        let offset = INDEX_BYTES;
+
+        for (let layer = 0; layer < key.layers; layer++) {
+            const lengths = digestToChainLengths(node);
+            const chainEnds = [];
+
+            for (let i = 0; i < LEN; i++) {
+                const value = bytes.subarray(offset, offset + N);
+                chainEnds.push(chain(key.pubSeed, value, lengths[i], W - 1 - lengths[i], layer, tree, leaf, i));
+                offset += N;
+            }
+
+            node = compressWotsPublicKey(key.pubSeed, chainEnds, layer, tree, leaf);
+
+            let nodeIndex = leaf;
+            for (let height = 0; height < key.subtreeHeight; height++) {
+                const sibling = bytes.subarray(offset, offset + N);
+                offset += N;
+
+                const parentIndex = Math.floor(nodeIndex / 2);
+                node = nodeIndex % 2 === 0
+                    ? hashTreeNode(key.pubSeed, node, sibling, layer, tree, height + 1, parentIndex)
+                    : hashTreeNode(key.pubSeed, sibling, node, layer, tree, height + 1, parentIndex);
+                nodeIndex = parentIndex;
+            }
+
+            leaf = tree % leafMask;
+            tree = Math.floor(tree / leafMask);
+        }
+
+        return crypto.timingSafeEqual(node, key.root);
+    }
+
+    // Structural check only: hex of the right length with usable tree parameters
+    static isValidPublicKey(publicKey) {
+        if (typeof publicKey !== 'string' || !/^[0-9a-f]+$/.test(publicKey)) return false;
+        const key = decodePublicKey(publicKey);
+        return Boolean(key) && key.layers >= 1 && key.subtreeHeight >= 1;
+    }
+
+    // The one-time key index a signature used, read from its first bytes
+    static signatureIndex(signature) {
+        if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature.slice(0, INDEX_BYTES * 2)) || signature.length < INDEX_BYTES * 2) {
+            return null;
+        }
+        return Number(Buffer.from(signature.slice(0, INDEX_BYTES * 2), 'hex').readBigUInt64BE(0));
+    }
+
+    getSubtree(layer, tree) {
+        const cached = this.subtrees.get(layer);
+        if (cached && cached.tree === tree) return cached;
+
+        const leaves = [];
+        for (let leaf = 0; leaf < 2 ** this.subtreeHeight; leaf++) {
+            leaves.push(this.wotsPublicKey(layer, tree, leaf));
+        }
+
+        const levels = [leaves];
+        for (let height = 1; height <= this.subtreeHeight; height++) {
+            const below = levels[height - 1];
+            const level = [];
+            for (let i = 0; i < below.length; i += 2) {
+                level.push(hashTreeNode(this.pubSeed, below[i], below[i + 1], layer, tree, height, i / 2));
+            }
+            levels.push(level);
+        }
+
+        const subtree = { tree, levels };
+        this.subtrees.set(layer, subtree);
+        return subtree;
+    }
+
+    authenticationPath(levels, leaf) {
+        const path = [];
+        let nodeIndex = leaf;
+        for (let height = 0; height < this.subtreeHeight; height++) {
+            path.push(levels[height][nodeIndex ^ 1]);
+            nodeIndex = Math.floor(nodeIndex / 2);
+        }
+        return path;
+    }
+
+    wotsSecret(layer, tree, keyPair, chainIndex) {
+        return sha3(this.skSeed, hashAddress(layer, tree, ADDRESS_WOTS_PRF, keyPair, chainIndex));
+    }
+
+    wotsPublicKey(layer, tree, keyPair) {
+        const chainEnds = [];
+        for (let i = 0; i < LEN; i++) {
+            chainEnds.push(chain(this.pubSeed, this.wotsSecret(layer, tree, keyPair, i), 0, W - 1, layer, tree, keyPair, i));
+        }
+        return compressWotsPublicKey(this.pubSeed, chainEnds, layer, tree, keyPair);
+    }
+
+    wotsSign(digest, layer, tree, keyPair) {
+        return digestToChainLengths(digest).map((length, i) =>
+            chain(this.pubSeed, this.wotsSecret(layer, tree, keyPair, i), 0, length, layer, tree, keyPair, i)
+        );
+    }
+}
+
+module.exports = { QuantumKeyPair, SIGNATURE_ALGORITHM };
@@ -0,0 +1,461 @@
+const { NATIVE_ASSET, assetOf, isAssetAmount } = require('../blockchain/TokenRegistry');
+const { addressFromCreation } = require('../wallet/Address');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
+
+/**
+ * On-chain DeFi state
+ * Liquidity, staking and lending pools are accounts at the version 3 address of the transaction
+ * that created them. Every operation on a pool is a transaction from the user to the pool whose
+ * `data.type` names the operation, and it states every amount it moves in either direction, so
+ * the sender signs exactly what they pay and receive. The chain accepts it only if the pool's
+ * rules allow those amounts at that point in the chain: balances follow from the signed
+ * transactions alone, and pool state from replaying them in block order.
+ *
+ * `amount` of `asset` is an operation's first leg and data.amountB of data.assetB ('QTC' or a
+ * token symbol) its second, if it has one:
+ *
+ *   defi_create_pool          deposits both reserves; mints sqrt(amountA * amountB) shares
+ *   defi_add_liquidity        deposits tokenA and tokenB; mints shares at the pool ratio (data.minLiquidity guards it)
+ *   defi_remove_liquidity     burns data.liquidity shares; withdraws up to their part of each reserve
+ *   defi_swap                 deposits one token; withdraws up to the constant-product output of the other
+ *   defi_create_staking_pool  deposits the reward budget; data.stakingToken, data.rewardRate per second
+ *   defi_stake, defi_unstake  deposit or withdraw the staking token
+ *   defi_claim_rewards        withdraws up to the rewards earned
+ *   defi_create_lending_pool  supplies the first liquidity; data.interestRate, data.collateralRatio, data.collateralAsset
+ *   defi_supply, defi_withdraw    deposit or withdraw supplied liquidity
+ *   defi_borrow               withdraws a loan against a deposit of collateral
+ *   defi_repay                deposits a repayment; withdraws up to the same share of the collateral
+ *
+ * Whatever a withdrawal leaves below its limit stays in the pool.
+ */
+
+const DEPOSIT = 'deposit';
+const WITHDRAWAL = 'withdrawal';
+
+// data.type -> the pool kind it acts on and the direction of each leg
+const DEFI_OPERATIONS = {
+    defi_create_pool: { kind: 'liquidity', creates: true, legs: [DEPOSIT, DEPOSIT] },
+    defi_add_liquidity: { kind: 'liquidity', legs: [DEPOSIT, DEPOSIT] },
+    defi_remove_liquidity: { kind: 'liquidity', legs: [WITHDRAWAL, WITHDRAWAL] },
+    defi_swap: { kind: 'liquidity', legs: [DEPOSIT, WITHDRAWAL] },
+    defi_create_staking_pool: { kind: 'staking', creates: true, legs: [DEPOSIT] },
+    defi_stake: { kind: 'staking', legs: [DEPOSIT] },
+    defi_unstake: { kind: 'staking', legs: [WITHDRAWAL] },
+    defi_claim_rewards: { kind: 'staking', legs: [WITHDRAWAL] },
+    defi_create_lending_pool: { kind: 'lending', creates: true, legs: [DEPOSIT] },
+    defi_supply: { kind: 'lending', legs: [DEPOSIT] },
+    defi_withdraw: { kind: 'lending', legs: [WITHDRAWAL] },
+    defi_borrow: { kind: 'lending', legs: [WITHDRAWAL, DEPOSIT] },
+    defi_repay: { kind: 'lending', legs: [DEPOSIT, WITHDRAWAL] }
+};
+
+function defiOperation(transaction) {
+    const type = transaction.data?.type;
+    return transaction.fromAddress != null && Object.hasOwn(DEFI_OPERATIONS, type) ? DEFI_OPERATIONS[type] : null;
+}
+
+function isDeFiOperation(transaction) {
+    return defiOperation(transaction) !== null;
+}
+
+// [{ asset, amount, direction }] moved between the sender and the pool, or null for other transactions
+function defiLegs(transaction) {
+    const operation = defiOperation(transaction);
+    if (!operation) return null;
+
+    const legs = [{ asset: assetOf(transaction), amount: transaction.amount, direction: operation.legs[0] }];
+    if (operation.legs.length > 1) {
+        legs.push({ asset: transaction.data.assetB, amount: transaction.data.amountB, direction: operation.legs[1] });
+    }
+    return legs;
+}
+
+const reject = (code, message) => ({ code, message });
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+class DeFiLedger {
+    constructor(tokens, options = {}) {
+        const defaults = DEFAULT_CHAIN_SPEC.defi;
+
+        this.tokens = tokens; // confirmed tokens, which new pools may name
+        this.protocolFee = options.protocolFee ?? defaults.protocolFee; // share of each swap input
+        this.liquidationThreshold = options.liquidationThreshold ?? defaults.liquidationThreshold; // default collateral ratio, percent
+        this.pools = new Map(); // address -> pool
+        this.undo = new Map(); // block hash -> address -> pool before the block, null if the block created it
+    }
+
+    get(address) {
+        return this.pools.get(address) || null;
+    }
+
+    list(kind = null) {
+        return Array.from(this.pools.values()).filter(pool => kind === null || pool.kind === kind);
+    }
+
+    // Scratch copy of every pool, or of the given ones, for checking operations without applying them
+    clone(addresses = null) {
+        const ledger = new DeFiLedger(this.tokens, this);
+        for (const [address, pool] of this.pools) {
+            if (addresses === null || addresses.includes(address)) ledger.pools.set(address, structuredClone(pool));
+        }
+        return ledger;
+    }
+
+    clear() {
+        this.pools.clear();
+        this.undo.clear();
+    }
+
+    // { code, message } for an operation the pool rules refuse at this time, otherwise null
+    check(transaction, time) {
+        return this.clone([transaction.toAddress]).execute(transaction, time);
+    }
+
+    // Apply a block's operations in order, remembering the pools they touch so it can be reverted
+    apply(transactions, block) {
+        const time = new Date(block.timestamp).getTime();
+        const before = new Map();
+
+        for (const trans of transactions) {
+            if (!isDeFiOperation(trans)) continue;
+            if (!before.has(trans.toAddress)) {
+                const pool = this.get(trans.toAddress);
+                before.set(trans.toAddress, pool ? structuredClone(pool) : null);
+            }
+            this.execute(trans, time);
+        }
+
+        if (before.size > 0) this.undo.set(block.hash, before);
+    }
+
+    revert(block) {
+        const before = this.undo.get(block.hash);
+        if (!before) return;
+
+        for (const [address, pool] of before) {
+            if (pool) {
+                this.pools.set(address, pool);
+            } else {
+                this.pools.delete(address);
+            }
+        }
+        this.undo.delete(block.hash);
+    }
+
+    // Apply one operation and return null, or return { code, message } and change nothing
+    execute(transaction, time) {
+        const operation = defiOperation(transaction);
+        const [first, second] = defiLegs(transaction);
+        const { data } = transaction;
+
+        if (second ? !this.isAsset(second.asset) || !isAssetAmount(second.asset, second.amount) : data.assetB !== undefined || data.amountB !== undefined) {
+            return reject('INVALID_DEFI_OPERATION', `${data.type} ${second ? 'needs a positive data.amountB of a known data.assetB' : 'has no second leg'}`);
+        }
+
+        if (operation.creates) {
+            if (transaction.toAddress !== addressFromCreation(transaction.fromAddress, transaction.nonce)) {
+                return reject('INVALID_DEFI_OPERATION', 'A new pool must be sent to the address created by its sender and nonce');
+            }
+            return this[data.type](transaction, first, second, time);
+        }
+
+        const pool = this.get(transaction.toAddress);
+        if (!pool) return reject('POOL_NOT_FOUND', `No pool at ${transaction.toAddress}`);
+        if (pool.kind !== operation.kind) {
+            return reject('INVALID_DEFI_OPERATION', `${data.type} needs a ${operation.kind} pool, not a ${pool.kind} pool`);
+        }
+        return this[data.type](pool, transaction, first, second, time);
+    }
+
+    isAsset(asset) {
+        return asset === NATIVE_ASSET || (typeof asset === 'string' && this.tokens.get(asset) !== null);
+    }
+
+    // Liquidity pools
+
+    defi_create_pool(transaction, first, second, time) {
+        if (first.asset === second.asset) return reject('INVALID_DEFI_OPERATION', 'A liquidity pool needs two different assets');
+
+        const totalLiquidity = Math.sqrt(first.amount * second.amount);
+        this.pools.set(transaction.toAddress, {
+            address: transaction.toAddress,
+            kind: 'liquidity',
+            tokenA: first.asset,
+            tokenB: second.asset,
+            reserveA: first.amount,
+            reserveB: second.amount,
+            totalLiquidity,
+            lpTokens: { [transaction.fromAddress]: totalLiquidity },
+            creator: transaction.fromAddress,
+            createdAt: time
+        });
+        return null;
+    }
+
+    defi_add_liquidity(pool, transaction, first, second) {
+        if (first.asset !== pool.tokenA || second.asset !== pool.tokenB) {
+            return reject('INVALID_DEFI_OPERATION', `Deposit ${pool.tokenA} first and ${pool.tokenB} second`);
+        }
+
+        const minted = this.mintedLiquidity(pool, first.amount, second.amount);
+        if (minted < (transaction.data.minLiquidity || 0)) {
+            return reject('POOL_OUTPUT_EXCEEDED', `Deposit mints ${minted} shares, below minLiquidity`);
+        }
+
+        pool.reserveA += first.amount;
+        pool.reserveB += second.amount;
+        pool.totalLiquidity += minted;
+        pool.lpTokens[transaction.fromAddress] = (pool.lpTokens[transaction.fromAddress] || 0) + minted;
+        return null;
+    }
+
+    defi_remove_liquidity(pool, transaction, first, second) {
+        const { liquidity } = transaction.data;
+        if (first.asset !== pool.tokenA || second.asset !== pool.tokenB) {
+            return reject('INVALID_DEFI_OPERATION', `Withdraw ${pool.tokenA} first and ${pool.tokenB} second`);
+        }
+        if (!isNonNegative(liquidity) || liquidity === 0 || liquidity > (pool.lpTokens[transaction.fromAddress] || 0)) {
+            return reject('INSUFFICIENT_POSITION', 'data.liquidity must be positive and at most the sender\'s shares');
+        }
+
+        const share = this.liquidityShare(pool, liquidity);
+        if (first.amount > share.amountA || second.amount > share.amountB) {
+            return reject('POOL_OUTPUT_EXCEEDED', `${liquidity} shares redeem at most ${share.amountA} ${pool.tokenA} and ${share.amountB} ${pool.tokenB}`);
+        }
+
+        pool.reserveA -= first.amount;
+        pool.reserveB -= second.amount;
+        pool.totalLiquidity -= liquidity;
+        pool.lpTokens[transaction.fromAddress] -= liquidity;
+        return null;
+    }
+
+    defi_swap(pool, transaction, first, second) {
+        const assets = [pool.tokenA, pool.tokenB];
+        if (!assets.includes(first.asset) || second.asset !== assets.find(asset => asset !== first.asset)) {
+            return reject('INVALID_DEFI_OPERATION', `Swap ${pool.tokenA} for ${pool.tokenB} or the other way round`);
+        }
+
+        const reserveOut = first.asset === pool.tokenA ? pool.reserveB : pool.reserveA;
+        const amountOut = this.swapOutput(pool, first.asset, first.amount);
+        if (second.amount > amountOut) {
+            return reject('POOL_OUTPUT_EXCEEDED', `${first.amount} ${first.asset} buys at most ${amountOut} ${second.asset}`);
+        }
+        if (second.amount >= reserveOut) {
+            return reject('INSUFFICIENT_LIQUIDITY', 'Output exceeds available liquidity');
+        }
+
+        if (first.asset === pool.tokenA) {
+            pool.reserveA += first.amount;
+            pool.reserveB -= second.amount;
+        } else {
+            pool.reserveB += first.amount;
+            pool.reserveA -= second.amount;
+        }
+        return null;
+    }
+
+    // Constant product formula, x * y = k, after the protocol fee is taken from the input
+    swapOutput(pool, assetIn, amountIn) {
+        const [reserveIn, reserveOut] = assetIn === pool.tokenA ? [pool.reserveA, pool.reserveB] : [pool.reserveB, pool.reserveA];
+        const amountInWithFee = amountIn * (1 - this.protocolFee);
+        return (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
+    }
+
+    mintedLiquidity(pool, amountA, amountB) {
+        if (pool.totalLiquidity <= 0) return Math.sqrt(amountA * amountB);
+        return Math.min(
+            (amountA * pool.totalLiquidity) / pool.reserveA,
+            (amountB * pool.totalLiquidity) / pool.reserveB
+        );
+    }
+
+    liquidityShare(pool, liquidity) {
+        return {
+            amountA: (liquidity * pool.reserveA) / pool.totalLiquidity,
+            amountB: (liquidity * pool.reserveB) / pool.totalLiquidity
+        };
+    }
+
+    // Staking pools: rewardRate per second is shared among stakers in proportion to their stake
+
+    defi_create_staking_pool(transaction, first, second, time) {
+        const { stakingToken, rewardRate } = transaction.data;
+        if (!this.isAsset(stakingToken) || !isNonNegative(rewardRate) || rewardRate === 0) {
+            return reject('INVALID_DEFI_OPERATION', 'A staking pool needs a known data.stakingToken and a positive data.rewardRate');
+        }
+
+        this.pools.set(transaction.toAddress, {
+            address: transaction.toAddress,
+            kind: 'staking',
+            stakingToken,
+            rewardToken: first.asset,
+            rewardRate,
+            rewardReserve: first.amount,
+            totalStaked: 0,
+            rewardPerTokenStored: 0,
+            lastUpdateTime: time,
+            stakers: {},
+            creator: transaction.fromAddress,
+            createdAt: time
+        });
+        return null;
+    }
+
+    defi_stake(pool, transaction, first, second, time) {
+        if (first.asset !== pool.stakingToken) return reject('INVALID_DEFI_OPERATION', `Stake ${pool.stakingToken}`);
+
+        const staker = this.settleRewards(pool, transaction.fromAddress, time);
+        staker.stakedAmount += first.amount;
+        pool.totalStaked += first.amount;
+        return null;
+    }
+
+    defi_unstake(pool, transaction, first, second, time) {
+        if (first.asset !== pool.stakingToken) return reject('INVALID_DEFI_OPERATION', `Unstake ${pool.stakingToken}`);
+        if (first.amount > (pool.stakers[transaction.fromAddress]?.stakedAmount || 0)) {
+            return reject('INSUFFICIENT_POSITION', 'Insufficient staked amount');
+        }
+
+        const staker = this.settleRewards(pool, transaction.fromAddress, time);
+        staker.stakedAmount -= first.amount;
+        pool.totalStaked -= first.amount;
+        return null;
+    }
+
+    defi_claim_rewards(pool, transaction, first, second, time) {
+        if (first.asset !== pool.rewardToken) return reject('INVALID_DEFI_OPERATION', `Rewards are paid in ${pool.rewardToken}`);
+
+        const earned = this.earned(pool, transaction.fromAddress, time);
+        if (first.amount > earned) {
+            return reject('POOL_OUTPUT_EXCEEDED', `Only ${earned} ${pool.rewardToken} earned`);
+        }
+        if (first.amount > pool.rewardReserve) {
+            return reject('INSUFFICIENT_LIQUIDITY', 'Reward budget exhausted');
+        }
+
+        const staker = this.settleRewards(pool, transaction.fromAddress, time);
+        staker.rewards -= first.amount;
+        pool.rewardReserve -= first.amount;
+        return null;
+    }
+
+    // Accrues by block time, which a miner can only set ahead of the clock by maxFutureBlockTime
+    // (see QuantumBlockchain.isBlockTimeValid), so a misdated block cannot release the reserve early
+    rewardPerToken(pool, time) {
+        if (pool.totalStaked <= 0) return pool.rewardPerTokenStored;
+        const seconds = Math.max(0, time - pool.lastUpdateTime) / 1000;
+        return pool.rewardPerTokenStored + (pool.rewardRate * seconds) / pool.totalStaked;
+    }
+
+    earned(pool, address, time) {
+        const staker = pool.stakers[address];
+        if (!staker) return 0;
+        return staker.stakedAmount * (this.rewardPerToken(pool, time) - staker.rewardPerTokenPaid) + staker.rewards;
+    }
+
+    // Bring the pool and the staker's rewards up to `time`, before their stake changes
+    settleRewards(pool, address, time) {
+        const rewards = this.earned(pool, address, time);
+        pool.rewardPerTokenStored = this.rewardPerToken(pool, time);
+        pool.lastUpdateTime = Math.max(pool.lastUpdateTime, time);
+
+        const staker = pool.stakers[address] || (pool.stakers[address] = { stakedAmount: 0, rewardPerTokenPaid: 0, rewards: 0 });
+        staker.rewards = rewards;
+        staker.rewardPerTokenPaid = pool.rewardPerTokenStored;
+        return staker;
+    }
+
+    // Lending pools: loans need collateralRatio percent of their amount in collateral
+
+    defi_create_lending_pool(transaction, first, second, time) {
+        const { interestRate = 0, collateralRatio = this.liquidationThreshold, collateralAsset = first.asset } = transaction.data;
+        if (!isNonNegative(interestRate) || !isNonNegative(collateralRatio) || collateralRatio === 0 || !this.isAsset(collateralAsset)) {
+            return reject('INVALID_DEFI_OPERATION', 'A lending pool needs a non-negative interestRate, a positive collateralRatio and a known collateralAsset');
+        }
+
+        this.pools.set(transaction.toAddress, {
+            address: transaction.toAddress,
+            kind: 'lending',
+            asset: first.asset,
+            collateralAsset,
+            interestRate,
+            collateralRatio,
+            totalSupply: first.amount,
+            totalBorrows: 0,
+            lenders: { [transaction.fromAddress]: { supplied: first.amount } },
+            borrowers: {},
+            creator: transaction.fromAddress,
+            createdAt: time
+        });
+        return null;
+    }
+
+    defi_supply(pool, transaction, first) {
+        if (first.asset !== pool.asset) return reject('INVALID_DEFI_OPERATION', `Supply ${pool.asset}`);
+
+        const lender = pool.lenders[transaction.fromAddress] || (pool.lenders[transaction.fromAddress] = { supplied: 0 });
+        lender.supplied += first.amount;
+        pool.totalSupply += first.amount;
+        return null;
+    }
+
+    defi_withdraw(pool, transaction, first) {
+        if (first.asset !== pool.asset) return reject('INVALID_DEFI_OPERATION', `Withdraw ${pool.asset}`);
+        if (first.amount > (pool.lenders[transaction.fromAddress]?.supplied || 0)) {
+            return reject('INSUFFICIENT_POSITION', 'Withdrawal exceeds the amount supplied');
+        }
+        if (first.amount > pool.totalSupply - pool.totalBorrows) {
+            return reject('INSUFFICIENT_LIQUIDITY', 'Insufficient liquidity');
+        }
+
+        pool.lenders[transaction.fromAddress].supplied -= first.amount;
+        pool.totalSupply -= first.amount;
+        return null;
+    }
+
+    defi_borrow(pool, transaction, first, second) {
+        if (first.asset !== pool.asset || second.asset !== pool.collateralAsset) {
+            return reject('INVALID_DEFI_OPERATION', `Borrow ${pool.asset} against ${pool.collateralAsset}`);
+        }
+        if (second.amount < first.amount * (pool.collateralRatio / 100)) {
+            return reject('INSUFFICIENT_COLLATERAL', 'Insufficient collateral');
+        }
+        if (first.amount > pool.totalSupply - pool.totalBorrows) {
+            return reject('INSUFFICIENT_LIQUIDITY', 'Insufficient liquidity');
+        }
+
+        const borrower = pool.borrowers[transaction.fromAddress] || (pool.borrowers[transaction.fromAddress] = { borrowed: 0, collateral: 0 });
+        borrower.borrowed += first.amount;
+        borrower.collateral += second.amount;
+        pool.totalBorrows += first.amount;
+        return null;
+    }
+
+    defi_repay(pool, transaction, first, second) {
+        if (first.asset !== pool.asset || second.asset !== pool.collateralAsset) {
+            return reject('INVALID_DEFI_OPERATION', `Repay ${pool.asset} for ${pool.collateralAsset}`);
+        }
+        const borrower = pool.borrowers[transaction.fromAddress];
+        if (!borrower || first.amount > borrower.borrowed) {
+            return reject('INSUFFICIENT_POSITION', 'Invalid repayment amount');
+        }
+
+        const returnable = this.collateralReturned(pool, transaction.fromAddress, first.amount);
+        if (second.amount > returnable) {
+            return reject('POOL_OUTPUT_EXCEEDED', `Repaying ${first.amount} returns at most ${returnable} ${pool.collateralAsset}`);
+        }
+
+        borrower.borrowed -= first.amount;
+        borrower.collateral -= second.amount;
+        pool.totalBorrows -= first.amount;
+        return null;
+    }
+
+    collateralReturned(pool, address, amount) {
+        const borrower = pool.borrowers[address];
+        return borrower && borrower.borrowed > 0 ? (amount / borrower.borrowed) * borrower.collateral : 0;
+    }
+}
+
+module.exports = { DeFiLedger, DEFI_OPERATIONS, DEPOSIT, WITHDRAWAL, isDeFiOperation, defiLegs };
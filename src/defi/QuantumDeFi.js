@@ -1,382 +1,377 @@
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { DEFAULT_CHAIN_SPEC } = require('../config/ChainSpec');
+const { assertQuantumAddress, addressFromCreation } = require('../wallet/Address');
+const { QuantumTransaction } = require('../wallet/QuantumWallet');
+const { NATIVE_ASSET } = require('../blockchain/TokenRegistry');
+const { isDeFiOperation } = require('./DeFiLedger');
 
 /**
- * Quantum-resistant DeFi smart contracts for the Genesis blockchain
+ * Quantum-resistant DeFi for the Genesis blockchain
+ * Quotes pool operations and prepares the transactions that settle them (see DeFiLedger.js).
+ * General-purpose contracts run in the contract VM (see contracts/ContractVM.js).
  */
 
-class QuantumSmartContract extends EventEmitter {
-    constructor(contractAddress, bytecode, abi) {
+// Token amounts are whole units of the smallest denomination; QTC amounts need no rounding
+function roundDown(asset, amount) {
+    return asset === NATIVE_ASSET ? amount : Math.floor(amount);
+}
+
+class DeFiError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DeFiError';
+        this.code = code;
+    }
+}
+
+// Liquidity pool operations announced as poolUpdated once they are in a main-chain block
+const POOL_ACTIONS = {
+    defi_create_pool: 'created',
+    defi_add_liquidity: 'liquidityAdded',
+    defi_remove_liquidity: 'liquidityRemoved',
+    defi_swap: 'swap'
+};
+
+/**
+ * DeFi operations for clients
+ * Pools live on the chain (see DeFiLedger.js). Each operation here quotes its amounts from the
+ * pool as the pending pool will leave it and returns them with the unsigned transaction that
+ * carries them out; the user signs its txHash and submits it like any other transaction.
+ * Amounts of tokens are rounded down to whole units. A transaction the pool no longer allows
+ * when it is mined, because other operations moved the pool first, is dropped: quote again.
+ */
+class QuantumDeFiProtocol extends EventEmitter {
+    constructor(blockchain, options = {}) {
         super();
-        this.contractAddress = contractAddress;
-        this.bytecode = bytecode;
-        this.abi = abi;
-        this.state = {};
-        this.events = [];
-        this.createdAt = Date.now();
-        this.quantumProof = this.generateQuantumProof();
+        this.blockchain = blockchain;
+        this.ledger = blockchain.defi;
+        this.genesisAddress = options.genesisAddress || DEFAULT_CHAIN_SPEC.genesis.address;
+
+        blockchain.on('blockMined', block => this.announceBlock(block));
+        blockchain.on('blockAdded', block => this.announceBlock(block));
+        blockchain.on('chainReorganized', ({ connectedBlocks }) => connectedBlocks.forEach(block => this.announceBlock(block)));
     }
 
-    generateQuantumProof() {
-        return crypto.createHash('sha3-512')
-            .update(this.contractAddress + this.bytecode + this.createdAt)
-            .digest('hex');
+    // Consensus parameters, so they come from the chain's ledger
+    get protocolFee() {
+        return this.ledger.protocolFee;
     }
 
-    execute(functionName, parameters, sender) {
-        if (!this.abi[functionName]) {
-            throw new Error(`Function ${functionName} not found in contract`);
-        }
+    get liquidationThreshold() {
+        return this.ledger.liquidationThreshold;
+    }
 
-        const result = this.abi[functionName].call(this, parameters, sender);
-        this.emit('executed', { functionName, parameters, result, sender });
-        return result;
+    getPools(kind = null) {
+        return this.ledger.list(kind);
     }
 
-    updateState(key, value) {
-        this.state[key] = value;
-        this.emit('stateUpdated', { key, value });
+    getPool(poolId) {
+        return this.ledger.get(poolId);
     }
 
-    getState(key) {
-        return this.state[key];
+    // Pool as the pending pool will leave it
+    projectedPool(poolId, kind, label) {
+        const pool = this.blockchain.projectDeFi(poolId).get(poolId);
+        if (!pool || pool.kind !== kind) throw new DeFiError(`${label} not found`, 'POOL_NOT_FOUND');
+        return pool;
     }
-}
 
-class QuantumDeFiProtocol {
-    constructor(blockchain) {
-        this.blockchain = blockchain;
-        this.liquidityPools = new Map();
-        this.stakingPools = new Map();
-        this.lendingPools = new Map();
-        this.yieldFarms = new Map();
-        this.protocolFee = 0.003; // 0.3%
-        this.genesisAddress = 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h';
+    // Unsigned operation from `sender` on the pool at `poolId`, checked against the chain rules.
+    // `legs` are the first and optional second { asset, amount }.
+    buildOperation(sender, poolId, type, legs, params = {}, { fee = 0, nonce } = {}) {
+        const [first, second] = legs;
+        const transaction = QuantumTransaction.deserialize({
+            fromAddress: sender,
+            toAddress: poolId,
+            amount: first.amount,
+            asset: first.asset === NATIVE_ASSET ? undefined : first.asset,
+            fee,
+            data: second ? { type, ...params, assetB: second.asset, amountB: second.amount } : { type, ...params },
+            nonce: nonce ?? this.blockchain.getNextNonce(sender),
+            timestamp: Date.now()
+        });
+
+        this.blockchain.assertTokenRules(transaction);
+        this.blockchain.assertDeFiRules(transaction);
+        return transaction;
+    }
+
+    // Pools are created at the address of the creating transaction's sender and nonce
+    buildCreation(creator, type, legs, params, options = {}) {
+        const nonce = options.nonce ?? this.blockchain.getNextNonce(creator);
+        const poolId = addressFromCreation(creator, nonce);
+        return { poolId, transaction: this.buildOperation(creator, poolId, type, legs, params, { ...options, nonce }) };
     }
 
     // Automated Market Maker (AMM) Functions
-    createLiquidityPool(tokenA, tokenB, initialAmountA, initialAmountB, creator) {
-        const poolId = crypto.createHash('sha256')
-            .update(tokenA + tokenB + Date.now())
-            .digest('hex');
+    createLiquidityPool(tokenA, tokenB, initialAmountA, initialAmountB, creator, options = {}) {
+        assertQuantumAddress(creator, 'creator');
+        if (!(initialAmountA > 0) || !(initialAmountB > 0)) throw new DeFiError('Invalid liquidity amounts', 'INVALID_AMOUNT');
 
-        const pool = {
-            id: poolId,
-            tokenA,
-            tokenB,
-            reserveA: initialAmountA,
-            reserveB: initialAmountB,
-            totalLiquidity: Math.sqrt(initialAmountA * initialAmountB),
-            creator,
-            createdAt: Date.now(),
-            lpTokens: new Map(),
-            quantumSignature: this.generateQuantumSignature()
-        };
+        const { poolId, transaction } = this.buildCreation(creator, 'defi_create_pool', [
+            { asset: tokenA, amount: initialAmountA },
+            { asset: tokenB, amount: initialAmountB }
+        ], {}, options);
 
-        this.liquidityPools.set(poolId, pool);
-        
-        // Mint LP tokens to creator
-        pool.lpTokens.set(creator, pool.totalLiquidity);
+        return { poolId, liquidity: Math.sqrt(initialAmountA * initialAmountB), transaction };
+    }
 
-        return poolId;
+    // Announce a liquidity pool's reserves after every change to them
+    emitPoolUpdate(pool, action) {
+        this.emit('poolUpdated', {
+            poolId: pool.address,
+            action,
+            tokenA: pool.tokenA,
+            tokenB: pool.tokenB,
+            reserveA: pool.reserveA,
+            reserveB: pool.reserveB,
+            totalLiquidity: pool.totalLiquidity,
+            timestamp: Date.now()
+        });
     }
 
-    addLiquidity(poolId, amountA, amountB, provider) {
+    announceBlock(block) {
+        for (const trans of block.data.transactions || []) {
+            const action = isDeFiOperation(trans) ? POOL_ACTIONS[trans.data.type] : null;
+            const pool = action ? this.ledger.get(trans.toAddress) : null;
+            if (pool) this.emitPoolUpdate(pool, action);
+        }
+    }
+
+    // Deposits at the pool ratio: whichever amount is in excess is reduced to match the other
+    addLiquidity(poolId, amountA, amountB, provider, options = {}) {
+        assertQuantumAddress(provider, 'provider');
+
         // Early validation
-        if (amountA <= 0 || amountB <= 0) throw new Error('Invalid liquidity amounts');
-        
-        const pool = this.liquidityPools.get(poolId);
-        if (!pool) throw new Error('Pool not found');
-        
+        if (!(amountA > 0) || !(amountB > 0)) throw new DeFiError('Invalid liquidity amounts', 'INVALID_AMOUNT');
+
+        const pool = this.projectedPool(poolId, 'liquidity', 'Pool');
+
         // Validate pool has reserves
-        if (pool.reserveA <= 0 || pool.reserveB <= 0) throw new Error('Invalid pool state');
+        if (pool.reserveA <= 0 || pool.reserveB <= 0) throw new DeFiError('Invalid pool state', 'INSUFFICIENT_LIQUIDITY');
 
         const optimalAmountB = (amountA * pool.reserveB) / pool.reserveA;
         const optimalAmountA = (amountB * pool.reserveA) / pool.reserveB;
 
         let finalAmountA, finalAmountB;
-        
+
         if (optimalAmountB <= amountB) {
             finalAmountA = amountA;
-            finalAmountB = optimalAmountB;
+            finalAmountB = roundDown(pool.tokenB, optimalAmountB);
         } else {
-            finalAmountA = optimalAmountA;
+            finalAmountA = roundDown(pool.tokenA, optimalAmountA);
             finalAmountB = amountB;
         }
+        if (finalAmountA <= 0 || finalAmountB <= 0) throw new DeFiError('Invalid liquidity amounts', 'INVALID_AMOUNT');
 
-        const liquidityMinted = Math.min(
-            (finalAmountA * pool.totalLiquidity) / pool.reserveA,
-            (finalAmountB * pool.totalLiquidity) / pool.reserveB
-        );
-
-        pool.reserveA += finalAmountA;
-        pool.reserveB += finalAmountB;
-        pool.totalLiquidity += liquidityMinted;
-
-        const currentLp = pool.lpTokens.get(provider) || 0;
-        pool.lpTokens.set(provider, currentLp + liquidityMinted);
+        const liquidityMinted = this.ledger.mintedLiquidity(pool, finalAmountA, finalAmountB);
+        const transaction = this.buildOperation(provider, poolId, 'defi_add_liquidity', [
+            { asset: pool.tokenA, amount: finalAmountA },
+            { asset: pool.tokenB, amount: finalAmountB }
+        ], options.minLiquidity !== undefined ? { minLiquidity: options.minLiquidity } : {}, options);
 
-        return { liquidityMinted, amountA: finalAmountA, amountB: finalAmountB };
+        return { liquidityMinted, amountA: finalAmountA, amountB: finalAmountB, transaction };
     }
 
-    removeLiquidity(poolId, liquidityAmount, provider) {
-        const pool = this.liquidityPools.get(poolId);
-        if (!pool) throw new Error('Pool not found');
+    removeLiquidity(poolId, liquidityAmount, provider, options = {}) {
+        assertQuantumAddress(provider, 'provider');
+        if (!(liquidityAmount > 0)) throw new DeFiError('Invalid liquidity amount', 'INVALID_AMOUNT');
 
-        const providerLiquidity = pool.lpTokens.get(provider) || 0;
+        const pool = this.projectedPool(poolId, 'liquidity', 'Pool');
+
+        const providerLiquidity = pool.lpTokens[provider] || 0;
         if (providerLiquidity < liquidityAmount) {
-            throw new Error('Insufficient liquidity tokens');
+            throw new DeFiError('Insufficient liquidity tokens', 'INSUFFICIENT_POSITION');
         }
 
-        const amountA = (liquidityAmount * pool.reserveA) / pool.totalLiquidity;
-        const amountB = (liquidityAmount * pool.reserveB) / pool.totalLiquidity;
+        const share = this.ledger.liquidityShare(pool, liquidityAmount);
+        const amountA = roundDown(pool.tokenA, share.amountA);
+        const amountB = roundDown(pool.tokenB, share.amountB);
+        if (amountA <= 0 || amountB <= 0) throw new DeFiError('Liquidity amount too small to redeem', 'INVALID_AMOUNT');
 
-        pool.reserveA -= amountA;
-        pool.reserveB -= amountB;
-        pool.totalLiquidity -= liquidityAmount;
-        pool.lpTokens.set(provider, providerLiquidity - liquidityAmount);
+        const transaction = this.buildOperation(provider, poolId, 'defi_remove_liquidity', [
+            { asset: pool.tokenA, amount: amountA },
+            { asset: pool.tokenB, amount: amountB }
+        ], { liquidity: liquidityAmount }, options);
 
-        return { amountA, amountB };
+        return { amountA, amountB, transaction };
     }
 
-    swap(poolId, tokenIn, amountIn, minAmountOut, trader) {
+    // The transaction asks for the full quoted output, so it only goes through at this price or better
+    swap(poolId, tokenIn, amountIn, minAmountOut, trader, options = {}) {
+        assertQuantumAddress(trader, 'trader');
+
         // Early validation to avoid wasted computation
-        if (amountIn <= 0) throw new Error('Invalid input amount');
-        if (minAmountOut < 0) throw new Error('Invalid minimum output amount');
-        
-        const pool = this.liquidityPools.get(poolId);
-        if (!pool) throw new Error('Pool not found');
-
-        let reserveIn, reserveOut, amountOut;
-        
+        if (!(amountIn > 0)) throw new DeFiError('Invalid input amount', 'INVALID_AMOUNT');
+        if (!(minAmountOut >= 0)) throw new DeFiError('Invalid minimum output amount', 'INVALID_AMOUNT');
+
+        const pool = this.projectedPool(poolId, 'liquidity', 'Pool');
+
+        let tokenOut, reserveOut;
         if (tokenIn === pool.tokenA) {
-            reserveIn = pool.reserveA;
-            reserveOut = pool.reserveB;
+            [tokenOut, reserveOut] = [pool.tokenB, pool.reserveB];
         } else if (tokenIn === pool.tokenB) {
-            reserveIn = pool.reserveB;
-            reserveOut = pool.reserveA;
+            [tokenOut, reserveOut] = [pool.tokenA, pool.reserveA];
         } else {
-            throw new Error('Invalid token');
+            throw new DeFiError('Invalid token', 'INVALID_DEFI_OPERATION');
         }
 
         // Validate sufficient liquidity before computation
-        if (reserveOut <= 0) throw new Error('Insufficient liquidity');
+        if (reserveOut <= 0) throw new DeFiError('Insufficient liquidity', 'INSUFFICIENT_LIQUIDITY');
 
-        // Apply protocol fee
-        const amountInWithFee = amountIn * (1 - this.protocolFee);
-        
-        // Constant product formula: x * y = k
-        amountOut = (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
-
-        if (amountOut < minAmountOut) {
-            throw new Error('Insufficient output amount');
-        }
-        
-        // Validate output doesn't exceed available liquidity
-        if (amountOut >= reserveOut) {
-            throw new Error('Output exceeds available liquidity');
+        const amountOut = roundDown(tokenOut, this.ledger.swapOutput(pool, tokenIn, amountIn));
+        if (amountOut <= 0 || amountOut < minAmountOut) {
+            throw new DeFiError('Insufficient output amount', 'POOL_OUTPUT_EXCEEDED');
         }
 
-        // Update reserves
-        if (tokenIn === pool.tokenA) {
-            pool.reserveA += amountIn;
-            pool.reserveB -= amountOut;
-        } else {
-            pool.reserveB += amountIn;
-            pool.reserveA -= amountOut;
-        }
+        const transaction = this.buildOperation(trader, poolId, 'defi_swap', [
+            { asset: tokenIn, amount: amountIn },
+            { asset: tokenOut, amount: amountOut }
+        ], {}, options);
 
-        return { amountOut, fee: amountIn * this.protocolFee };
+        return { amountOut, fee: amountIn * this.protocolFee, transaction };
     }
 
-    // Staking Functions
-    createStakingPool(stakingToken, rewardToken, rewardRate, creator) {
-        const poolId = crypto.createHash('sha256')
-            .update(stakingToken + rewardToken + Date.now())
-            .digest('hex');
+    // Staking Functions: the creator deposits `rewards` in rewardToken, paid out at rewardRate per second
+    createStakingPool(stakingToken, rewardToken, rewardRate, rewards, creator, options = {}) {
+        assertQuantumAddress(creator, 'creator');
+        if (!(rewardRate > 0)) throw new DeFiError('Invalid reward rate', 'INVALID_AMOUNT');
+        if (!(rewards > 0)) throw new DeFiError('Invalid reward budget', 'INVALID_AMOUNT');
 
-        const pool = {
-            id: poolId,
+        return this.buildCreation(creator, 'defi_create_staking_pool', [{ asset: rewardToken, amount: rewards }], {
             stakingToken,
-            rewardToken,
-            rewardRate, // rewards per second
-            totalStaked: 0,
-            totalRewards: 0,
-            lastUpdateTime: Date.now(),
-            rewardPerTokenStored: 0,
-            stakers: new Map(),
-            creator,
-            quantumSignature: this.generateQuantumSignature()
-        };
-
-        this.stakingPools.set(poolId, pool);
-        return poolId;
+            rewardRate
+        }, options);
     }
 
-    stake(poolId, amount, staker) {
-        // Early validation
-        if (amount <= 0) throw new Error('Invalid stake amount');
-        
-        const pool = this.stakingPools.get(poolId);
-        if (!pool) throw new Error('Staking pool not found');
-
-        this.updateRewards(pool);
+    stake(poolId, amount, staker, options = {}) {
+        assertQuantumAddress(staker, 'staker');
 
-        const stakerInfo = pool.stakers.get(staker) || {
-            stakedAmount: 0,
-            rewardPerTokenPaid: 0,
-            rewards: 0
-        };
-
-        if (stakerInfo.stakedAmount > 0) {
-            stakerInfo.rewards += this.earned(pool, staker);
-        }
+        // Early validation
+        if (!(amount > 0)) throw new DeFiError('Invalid stake amount', 'INVALID_AMOUNT');
 
-        stakerInfo.stakedAmount += amount;
-        stakerInfo.rewardPerTokenPaid = pool.rewardPerTokenStored;
-        pool.totalStaked += amount;
+        const pool = this.projectedPool(poolId, 'staking', 'Staking pool');
+        const transaction = this.buildOperation(staker, poolId, 'defi_stake', [{ asset: pool.stakingToken, amount }], {}, options);
 
-        pool.stakers.set(staker, stakerInfo);
-        return stakerInfo;
+        return { stakedAmount: (pool.stakers[staker]?.stakedAmount || 0) + amount, transaction };
     }
 
-    unstake(poolId, amount, staker) {
-        const pool = this.stakingPools.get(poolId);
-        if (!pool) throw new Error('Staking pool not found');
-
-        const stakerInfo = pool.stakers.get(staker);
-        if (!stakerInfo || stakerInfo.stakedAmount < amount) {
-            throw new Error('Insufficient staked amount');
-        }
+    unstake(poolId, amount, staker, options = {}) {
+        assertQuantumAddress(staker, 'staker');
+        if (!(amount > 0)) throw new DeFiError('Invalid stake amount', 'INVALID_AMOUNT');
 
-        this.updateRewards(pool);
+        const pool = this.projectedPool(poolId, 'staking', 'Staking pool');
 
-        stakerInfo.rewards += this.earned(pool, staker);
-        stakerInfo.stakedAmount -= amount;
-        stakerInfo.rewardPerTokenPaid = pool.rewardPerTokenStored;
-        pool.totalStaked -= amount;
+        const stakedAmount = pool.stakers[staker]?.stakedAmount || 0;
+        if (stakedAmount < amount) {
+            throw new DeFiError('Insufficient staked amount', 'INSUFFICIENT_POSITION');
+        }
 
-        return stakerInfo;
+        const transaction = this.buildOperation(staker, poolId, 'defi_unstake', [{ asset: pool.stakingToken, amount }], {}, options);
+        return { stakedAmount: stakedAmount - amount, transaction };
     }
 
-    claimRewards(poolId, staker) {
-        const pool = this.stakingPools.get(poolId);
-        if (!pool) throw new Error('Staking pool not found');
+    // Claims everything earned so far, up to what is left of the reward budget
+    claimRewards(poolId, staker, options = {}) {
+        assertQuantumAddress(staker, 'staker');
 
-        this.updateRewards(pool);
+        const pool = this.projectedPool(poolId, 'staking', 'Staking pool');
+        if (!pool.stakers[staker]) throw new DeFiError('No staking found', 'INSUFFICIENT_POSITION');
 
-        const stakerInfo = pool.stakers.get(staker);
-        if (!stakerInfo) throw new Error('No staking found');
+        const earned = Math.min(this.ledger.earned(pool, staker, Date.now()), pool.rewardReserve);
+        const rewards = roundDown(pool.rewardToken, earned);
+        if (rewards <= 0) throw new DeFiError('No rewards to claim', 'INSUFFICIENT_POSITION');
 
-        const rewards = this.earned(pool, staker);
-        stakerInfo.rewards = 0;
-        stakerInfo.rewardPerTokenPaid = pool.rewardPerTokenStored;
-
-        return rewards;
+        const transaction = this.buildOperation(staker, poolId, 'defi_claim_rewards', [{ asset: pool.rewardToken, amount: rewards }], {}, options);
+        return { rewards, transaction };
     }
 
-    updateRewards(pool) {
-        const now = Date.now();
-        if (pool.totalStaked > 0) {
-            const timeDiff = (now - pool.lastUpdateTime) / 1000; // seconds
-            pool.rewardPerTokenStored += (pool.rewardRate * timeDiff) / pool.totalStaked;
-        }
-        pool.lastUpdateTime = now;
+    // Lending Protocol Functions: the creator supplies the first `supply`. Collateral is in
+    // options.collateralAsset, the lent asset by default, counted unit for unit.
+    createLendingPool(asset, interestRate, collateralRatio, supply, creator, options = {}) {
+        assertQuantumAddress(creator, 'creator');
+        if (!(supply > 0)) throw new DeFiError('Invalid supply amount', 'INVALID_AMOUNT');
+
+        return this.buildCreation(creator, 'defi_create_lending_pool', [{ asset, amount: supply }], {
+            interestRate,
+            collateralRatio: collateralRatio || this.liquidationThreshold, // required collateral ratio (e.g., 150%)
+            collateralAsset: options.collateralAsset ?? asset
+        }, options);
     }
 
-    earned(pool, staker) {
-        const stakerInfo = pool.stakers.get(staker);
-        if (!stakerInfo) return 0;
+    supply(poolId, amount, supplier, options = {}) {
+        assertQuantumAddress(supplier, 'supplier');
+        if (!(amount > 0)) throw new DeFiError('Invalid supply amount', 'INVALID_AMOUNT');
 
-        return (stakerInfo.stakedAmount * 
-                (pool.rewardPerTokenStored - stakerInfo.rewardPerTokenPaid)) + 
-                stakerInfo.rewards;
-    }
-
-    // Lending Protocol Functions
-    createLendingPool(asset, interestRate, collateralRatio, creator) {
-        const poolId = crypto.createHash('sha256')
-            .update(asset + Date.now())
-            .digest('hex');
+        const pool = this.projectedPool(poolId, 'lending', 'Lending pool');
+        const transaction = this.buildOperation(supplier, poolId, 'defi_supply', [{ asset: pool.asset, amount }], {}, options);
 
-        const pool = {
-            id: poolId,
-            asset,
-            interestRate, // annual percentage rate
-            collateralRatio, // required collateral ratio (e.g., 150%)
-            totalSupply: 0,
-            totalBorrows: 0,
-            lenders: new Map(),
-            borrowers: new Map(),
-            creator,
-            quantumSignature: this.generateQuantumSignature()
-        };
-
-        this.lendingPools.set(poolId, pool);
-        return poolId;
+        return { supplied: (pool.lenders[supplier]?.supplied || 0) + amount, transaction };
     }
 
-    supply(poolId, amount, supplier) {
-        const pool = this.lendingPools.get(poolId);
-        if (!pool) throw new Error('Lending pool not found');
+    withdraw(poolId, amount, supplier, options = {}) {
+        assertQuantumAddress(supplier, 'supplier');
+        if (!(amount > 0)) throw new DeFiError('Invalid withdrawal amount', 'INVALID_AMOUNT');
+
+        const pool = this.projectedPool(poolId, 'lending', 'Lending pool');
 
-        const supplierInfo = pool.lenders.get(supplier) || { supplied: 0, earned: 0 };
-        supplierInfo.supplied += amount;
-        pool.totalSupply += amount;
+        const supplied = pool.lenders[supplier]?.supplied || 0;
+        if (supplied < amount) throw new DeFiError('Insufficient supplied amount', 'INSUFFICIENT_POSITION');
+        if (amount > pool.totalSupply - pool.totalBorrows) throw new DeFiError('Insufficient liquidity', 'INSUFFICIENT_LIQUIDITY');
 
-        pool.lenders.set(supplier, supplierInfo);
-        return supplierInfo;
+        const transaction = this.buildOperation(supplier, poolId, 'defi_withdraw', [{ asset: pool.asset, amount }], {}, options);
+        return { supplied: supplied - amount, transaction };
     }
 
-    borrow(poolId, amount, collateralAmount, borrower) {
+    borrow(poolId, amount, collateralAmount, borrower, options = {}) {
+        assertQuantumAddress(borrower, 'borrower');
+
         // Early validation
-        if (amount <= 0) throw new Error('Invalid borrow amount');
-        if (collateralAmount <= 0) throw new Error('Invalid collateral amount');
-        
-        const pool = this.lendingPools.get(poolId);
-        if (!pool) throw new Error('Lending pool not found');
+        if (!(amount > 0)) throw new DeFiError('Invalid borrow amount', 'INVALID_AMOUNT');
+        if (!(collateralAmount > 0)) throw new DeFiError('Invalid collateral amount', 'INVALID_AMOUNT');
+
+        const pool = this.projectedPool(poolId, 'lending', 'Lending pool');
 
         const requiredCollateral = amount * (pool.collateralRatio / 100);
         if (collateralAmount < requiredCollateral) {
-            throw new Error('Insufficient collateral');
+            throw new DeFiError('Insufficient collateral', 'INSUFFICIENT_COLLATERAL');
         }
 
         if (amount > pool.totalSupply - pool.totalBorrows) {
-            throw new Error('Insufficient liquidity');
+            throw new DeFiError('Insufficient liquidity', 'INSUFFICIENT_LIQUIDITY');
         }
 
-        const borrowerInfo = pool.borrowers.get(borrower) || {
-            borrowed: 0,
-            collateral: 0,
-            lastBorrowTime: Date.now()
-        };
-
-        borrowerInfo.borrowed += amount;
-        borrowerInfo.collateral += collateralAmount;
-        borrowerInfo.lastBorrowTime = Date.now();
-        pool.totalBorrows += amount;
+        const transaction = this.buildOperation(borrower, poolId, 'defi_borrow', [
+            { asset: pool.asset, amount },
+            { asset: pool.collateralAsset, amount: collateralAmount }
+        ], {}, options);
 
-        pool.borrowers.set(borrower, borrowerInfo);
-        return borrowerInfo;
+        const borrowerInfo = pool.borrowers[borrower] || { borrowed: 0, collateral: 0 };
+        return { borrowed: borrowerInfo.borrowed + amount, collateral: borrowerInfo.collateral + collateralAmount, transaction };
     }
 
-    repay(poolId, amount, borrower) {
-        const pool = this.lendingPools.get(poolId);
-        if (!pool) throw new Error('Lending pool not found');
+    // Releases collateral in proportion to the share of the loan repaid
+    repay(poolId, amount, borrower, options = {}) {
+        assertQuantumAddress(borrower, 'borrower');
 
-        const borrowerInfo = pool.borrowers.get(borrower);
-        if (!borrowerInfo || borrowerInfo.borrowed < amount) {
-            throw new Error('Invalid repayment amount');
-        }
+        const pool = this.projectedPool(poolId, 'lending', 'Lending pool');
 
-        borrowerInfo.borrowed -= amount;
-        pool.totalBorrows -= amount;
+        const borrowerInfo = pool.borrowers[borrower];
+        if (!(amount > 0) || !borrowerInfo || borrowerInfo.borrowed < amount) {
+            throw new DeFiError('Invalid repayment amount', 'INSUFFICIENT_POSITION');
+        }
 
         // Calculate collateral to return
-        const collateralToReturn = (amount / (borrowerInfo.borrowed + amount)) * borrowerInfo.collateral;
-        borrowerInfo.collateral -= collateralToReturn;
+        const collateralReturned = roundDown(pool.collateralAsset, this.ledger.collateralReturned(pool, borrower, amount));
+        if (collateralReturned <= 0) throw new DeFiError('Repayment too small to release collateral', 'INVALID_AMOUNT');
 
-        return { repaidAmount: amount, collateralReturned: collateralToReturn };
+        const transaction = this.buildOperation(borrower, poolId, 'defi_repay', [
+            { asset: pool.asset, amount },
+            { asset: pool.collateralAsset, amount: collateralReturned }
+        ], {}, options);
+
+        return { repaidAmount: amount, collateralReturned, transaction };
     }
 
     generateQuantumSignature() {
@@ -386,6 +381,8 @@ class QuantumDeFiProtocol {
 
     // Governance functions
     createProposal(title, description, proposer) {
+        assertQuantumAddress(proposer, 'proposer');
+
         const proposalId = crypto.createHash('sha256')
             .update(title + description + Date.now())
             .digest('hex');
@@ -405,4 +402,4 @@ class QuantumDeFiProtocol {
     }
 }
 
-module.exports = { QuantumSmartContract, QuantumDeFiProtocol };
\ No newline at end of file
+module.exports = { QuantumDeFiProtocol, DeFiError };
\ No newline at end of file
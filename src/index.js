@@ -1,30 +1,149 @@
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { QuantumBlockchain } = require('./blockchain/QuantumBlockchain');
-const { QuantumTransaction, QuantumWallet } = require('./wallet/QuantumWallet');
-const { QuantumDeFiProtocol } = require('./defi/QuantumDeFi');
+const { QuantumBlockchain, TransactionRejectedError, MiningAbortedError, MiningInProgressError } = require('./blockchain/QuantumBlockchain');
+const { QuantumTransaction, QuantumWallet, MalformedTransactionError } = require('./wallet/QuantumWallet');
+const { KeystoreError } = require('./wallet/Keystore');
+const { InvalidAddressError, assertQuantumAddress, addressFromCreation } = require('./wallet/Address');
+const { MultisigCoordinator, MultisigError } = require('./wallet/Multisig');
+const { HtlcRegistry, HtlcError } = require('./wallet/Htlc');
+const { QuantumDeFiProtocol, DeFiError } = require('./defi/QuantumDeFi');
+const { ContractError, assemble } = require('./contracts/ContractVM');
+const { CONTRACT_DEPLOY, CONTRACT_CALL, DEFAULT_GAS_LIMIT, contractJSON } = require('./contracts/ContractLedger');
 const { BitcoinQuantumBridge } = require('./bitcoin/BitcoinBridge');
+const { createBitcoinHtlc } = require('./bitcoin/BitcoinHtlc');
 const { QuantumConsensus } = require('./consensus/QuantumConsensus');
+const { FileChainStorage } = require('./storage/ChainStorage');
+const { NATIVE_ASSET, TOKEN_CREATE, TOKEN_MINT } = require('./blockchain/TokenRegistry');
+const { P2PNode } = require('./network/P2PNode');
+const { EventStream } = require('./network/EventStream');
+const { JsonRpcServer, RpcError, RpcErrorCode, errorResponse } = require('./rpc/JsonRpcServer');
+const { registerRpcMethods } = require('./rpc/methods');
+const { loadChainSpec } = require('./config/ChainSpec');
 
 /**
  * Quantum Blockchain Genesis - Main Application
  * Genesis Bitcoin Address: bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h
  */
 
+// Missing query parameters fall back to the callee's defaults; anything else must parse as a number
+function parseQueryInteger(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+const MULTISIG_ERROR_STATUS = { ACCOUNT_NOT_FOUND: 404, PROPOSAL_NOT_FOUND: 404, THRESHOLD_NOT_MET: 409 };
+
+// Multisig routes reject bad policies, proposals and signatures, and relay chain rejections on broadcast
+function sendMultisigError(res, error) {
+    if (error instanceof MultisigError) {
+        return res.status(MULTISIG_ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof InvalidAddressError || error instanceof MalformedTransactionError || error instanceof TransactionRejectedError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+const HTLC_ERROR_STATUS = { HTLC_NOT_FOUND: 404, HTLC_LOCKED: 409, HTLC_EMPTY: 409 };
+
+// HTLC routes reject bad terms and preimages, and relay chain rejections of the spend
+function sendHtlcError(res, error) {
+    if (error instanceof HtlcError) {
+        return res.status(HTLC_ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof InvalidAddressError || error instanceof MalformedTransactionError || error instanceof TransactionRejectedError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// DeFi routes reject bad amounts and positions, and relay chain rejections of the prepared operation
+function sendDeFiError(res, error) {
+    if (error instanceof DeFiError) {
+        return res.status(error.code === 'POOL_NOT_FOUND' ? 404 : 400).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof InvalidAddressError || error instanceof MalformedTransactionError || error instanceof TransactionRejectedError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// Contract routes reject bad code, methods and arguments, and relay chain rejections of the prepared transaction
+function sendContractError(res, error) {
+    if (error instanceof ContractError) {
+        return res.status(error.code === 'CONTRACT_NOT_FOUND' ? 404 : 400).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof InvalidAddressError || error instanceof MalformedTransactionError || error instanceof TransactionRejectedError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+function devWalletsDisabled(res) {
+    res.status(403).json({
+        error: 'Server-side wallets are disabled on this node; sign transactions locally and use /api/transaction/submit',
+        code: 'DEV_WALLETS_DISABLED'
+    });
+}
+
 class QuantumGenesisApp {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
         this.port = process.env.PORT || 3000;
         
-        // Initialize blockchain components
-        this.blockchain = new QuantumBlockchain();
-        this.consensus = new QuantumConsensus(this.blockchain);
-        this.defiProtocol = new QuantumDeFiProtocol(this.blockchain);
-        this.bitcoinBridge = new BitcoinQuantumBridge(this.blockchain);
+        // Every network parameter comes from the chain spec (CHAIN_SPEC file plus env overrides)
+        this.chainSpec = options.chainSpec || loadChainSpec(process.env.CHAIN_SPEC);
+        const { name, genesisHash, genesis, blockchain, consensus, bridge, defi, contracts } = this.chainSpec;
+
+        // Initialize blockchain components (in-memory storage unless one is provided)
+        this.blockchain = new QuantumBlockchain({
+            storage: options.storage,
+            chainName: name,
+            genesis,
+            genesisHash,
+            defi,
+            contracts,
+            ...blockchain
+        });
+        if (!genesisHash) {
+            console.warn(`⚠️  Chain spec ${name} runs with an unverified genesis; publish its hash as genesisHash: ${this.blockchain.chain[0].hash}`);
+        }
+        this.consensus = new QuantumConsensus(this.blockchain, { ...consensus, genesisValidator: genesis.address });
+        this.defiProtocol = new QuantumDeFiProtocol(this.blockchain, { genesisAddress: genesis.address });
+        this.bitcoinBridge = new BitcoinQuantumBridge(this.blockchain, { ...bridge, genesisAddress: genesis.address });
+
+        // Peer-to-peer networking only starts when a P2P port is configured
+        this.p2pPort = options.p2pPort ?? (parseInt(process.env.P2P_PORT) || null);
+        this.p2p = new P2PNode(this.blockchain, {
+            port: this.p2pPort || undefined,
+            peers: options.peers || (process.env.PEERS || '').split(',').map(peer => peer.trim()).filter(Boolean)
+        });
+
+        // socket.io channels for dashboards, served alongside the API once started
+        this.events = new EventStream({
+            blockchain: this.blockchain,
+            defi: this.defiProtocol,
+            bridge: this.bitcoinBridge,
+            consensus: this.consensus
+        });
         
-        // Initialize wallets storage
+        // Server-held wallets (private keys in memory) are a development convenience;
+        // production clients sign locally and use /api/transaction/submit
+        this.devWallets = options.devWallets ?? (process.env.DEV_WALLETS
+            ? process.env.DEV_WALLETS === 'true'
+            : process.env.NODE_ENV !== 'production');
         this.wallets = new Map();
+
+        // M-of-N accounts and the proposals their co-signers are signing
+        this.multisig = new MultisigCoordinator(this.blockchain);
+
+        // Hash time-locked contracts whose terms this node knows, for claims and refunds
+        this.htlcs = new HtlcRegistry(this.blockchain);
+
+        // JSON-RPC 2.0 at POST /rpc, alongside the REST routes
+        this.rpc = new JsonRpcServer();
+        registerRpcMethods(this.rpc, this);
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -43,16 +162,48 @@ class QuantumGenesisApp {
             // Only validate chain if explicitly requested to avoid performance hit
             const shouldValidate = req.query.validate === 'true';
             res.json({
+                chain: this.chainSpec.name,
+                genesisHash: this.blockchain.chain[0].hash,
                 chainLength: this.blockchain.chain.length,
-                difficulty: this.blockchain.difficulty,
+                difficulty: this.blockchain.getCurrentDifficulty(),
+                targetBlockTime: this.blockchain.targetBlockTime,
+                retargetInterval: this.blockchain.retargetInterval,
+                maxBlockTransactions: this.blockchain.maxBlockTransactions,
+                maxBlockSize: this.blockchain.maxBlockSize,
                 genesisAddress: this.blockchain.genesisAddress,
                 pendingTransactions: this.blockchain.pendingTransactions.length,
+                mining: this.blockchain.miningJob !== null,
                 isValid: shouldValidate ? this.blockchain.isChainValid() : undefined
             });
         });
 
         this.app.get('/api/blockchain/blocks', (req, res) => {
-            res.json(this.blockchain.chain);
+            try {
+                const { from, to, cursor, limit, order } = req.query;
+
+                res.json(this.blockchain.getBlocks({
+                    from: parseQueryInteger(from),
+                    to: parseQueryInteger(to),
+                    limit: parseQueryInteger(limit),
+                    cursor: cursor || undefined,
+                    order
+                }));
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/blockchain/block/hash/:hash', (req, res) => {
+            const result = this.blockchain.getBlockByHash(req.params.hash);
+
+            if (result) {
+                res.json(result);
+            } else {
+                res.status(404).json({ error: 'Block not found' });
+            }
         });
 
         this.app.get('/api/blockchain/block/:index', (req, res) => {
@@ -68,6 +219,8 @@ class QuantumGenesisApp {
 
         // Wallet routes
         this.app.post('/api/wallet/create', (req, res) => {
+            if (!this.devWallets) return devWalletsDisabled(res);
+
             try {
                 const wallet = new QuantumWallet();
                 this.wallets.set(wallet.address, wallet);
@@ -82,35 +235,114 @@ class QuantumGenesisApp {
             }
         });
 
+        // QTC balance, or a token's with ?asset=SYMBOL
         this.app.get('/api/wallet/:address/balance', (req, res) => {
             try {
-                const balance = this.blockchain.getBalance(req.params.address);
-                res.json({ address: req.params.address, balance });
+                const address = assertQuantumAddress(req.params.address);
+                const asset = req.query.asset || NATIVE_ASSET;
+                res.json({ address, asset, balance: this.blockchain.getBalance(address, asset) });
+            } catch (error) {
+                if (error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/wallet/:address/balances', (req, res) => {
+            try {
+                const address = assertQuantumAddress(req.params.address);
+                res.json({ address, balances: this.blockchain.getBalances(address) });
+            } catch (error) {
+                if (error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/wallet/:address/nonce', (req, res) => {
+            try {
+                const address = assertQuantumAddress(req.params.address);
+                res.json({
+                    address,
+                    nonce: this.blockchain.getNextNonce(address),
+                    confirmedNonce: this.blockchain.getNonce(address)
+                });
             } catch (error) {
+                if (error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
         this.app.get('/api/wallet/:address/transactions', (req, res) => {
             try {
-                const transactions = this.blockchain.getTransactionHistory(req.params.address);
+                const transactions = this.blockchain.getTransactionHistory(assertQuantumAddress(req.params.address));
                 res.json(transactions);
             } catch (error) {
+                if (error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Keystores let a local dev node sign with a wallet created elsewhere
+        this.app.post('/api/wallet/keystore/import', async (req, res) => {
+            if (!this.devWallets) return devWalletsDisabled(res);
+
+            try {
+                const wallet = await this.importKeystore(req.body.keystore, req.body.password);
+
+                res.json({
+                    address: wallet.address,
+                    publicKey: wallet.publicKey,
+                    balance: wallet.getBalance(this.blockchain),
+                    remainingSignatures: wallet.remainingSignatures
+                });
+            } catch (error) {
+                if (error instanceof KeystoreError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/wallet/:address/keystore', async (req, res) => {
+            if (!this.devWallets) return devWalletsDisabled(res);
+
+            try {
+                const keystore = await this.exportKeystore(req.params.address, req.body.password);
+                if (!keystore) {
+                    return res.status(404).json({ error: 'Wallet not found' });
+                }
+                res.json(keystore);
+            } catch (error) {
+                if (error instanceof KeystoreError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
         // Transaction routes
         this.app.post('/api/transaction/create', (req, res) => {
+            if (!this.devWallets) return devWalletsDisabled(res);
+
             try {
-                const { fromAddress, toAddress, amount } = req.body;
+                const { fromAddress, toAddress, amount, fee } = req.body;
                 
                 const wallet = this.wallets.get(fromAddress);
                 if (!wallet) {
                     return res.status(400).json({ error: 'Wallet not found' });
                 }
 
-                const transaction = wallet.createTransaction(toAddress, amount);
+                const transaction = wallet.createTransaction(toAddress, amount, {}, {
+                    nonce: this.blockchain.getNextNonce(fromAddress),
+                    fee
+                });
                 this.blockchain.addTransaction(transaction);
                 
                 res.json({
@@ -119,62 +351,352 @@ class QuantumGenesisApp {
                     message: 'Transaction added to pending pool'
                 });
             } catch (error) {
+                if (error instanceof TransactionRejectedError || error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Client-side signing: fetch the unsigned transaction, sign its txHash locally, submit it
+        this.app.post('/api/transaction/prepare', (req, res) => {
+            try {
+                res.json(this.prepareTransaction(req.body));
+            } catch (error) {
+                if (error instanceof MalformedTransactionError || error instanceof InvalidAddressError || error instanceof TransactionRejectedError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
-        this.app.post('/api/blockchain/mine', (req, res) => {
+        this.app.post('/api/transaction/submit', (req, res) => {
+            try {
+                const transaction = this.submitTransaction(req.body.transaction);
+
+                res.json({
+                    success: true,
+                    transactionHash: transaction.txHash,
+                    message: 'Transaction added to pending pool'
+                });
+            } catch (error) {
+                if (error instanceof MalformedTransactionError || error instanceof TransactionRejectedError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/transaction/:txHash', (req, res) => {
+            const result = this.blockchain.getTransaction(req.params.txHash);
+
+            if (result) {
+                res.json(result);
+            } else {
+                res.status(404).json({ error: 'Transaction not found' });
+            }
+        });
+
+        this.app.get('/api/mempool', (req, res) => {
+            try {
+                res.json(this.blockchain.getMempool({
+                    offset: parseQueryInteger(req.query.offset),
+                    limit: parseQueryInteger(req.query.limit)
+                }));
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/transaction/:hash/proof', (req, res) => {
+            const proof = this.blockchain.getTransactionProof(req.params.hash);
+
+            if (proof) {
+                res.json(proof);
+            } else {
+                res.status(404).json({ error: 'Transaction not found in any block' });
+            }
+        });
+
+        this.app.post('/api/blockchain/mine', async (req, res) => {
             try {
                 const { minerAddress } = req.body;
                 
-                this.blockchain.minePendingTransactions(minerAddress);
+                const block = await this.blockchain.minePendingTransactions(minerAddress);
                 
                 res.json({
                     success: true,
                     message: 'Block mined successfully',
+                    blockHash: block.hash,
                     blockCount: this.blockchain.chain.length
                 });
             } catch (error) {
+                if (error instanceof MiningAbortedError || error instanceof MiningInProgressError) {
+                    return res.status(409).json({ error: error.message, code: error.code });
+                }
+                if (error instanceof InvalidAddressError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // DeFi routes
-        this.app.post('/api/defi/pool/create', (req, res) => {
+        this.app.post('/api/blockchain/mine/cancel', (req, res) => {
+            res.json({ success: true, cancelled: this.blockchain.cancelMining() });
+        });
+
+        // Multisig routes: create the account, propose, collect co-signatures, broadcast
+        this.app.post('/api/multisig/create', (req, res) => {
             try {
-                const { tokenA, tokenB, amountA, amountB, creator } = req.body;
-                
-                const poolId = this.defiProtocol.createLiquidityPool(
-                    tokenA, tokenB, amountA, amountB, creator
-                );
-                
-                res.json({ success: true, poolId });
+                const { threshold, publicKeys } = req.body;
+                res.json(this.multisig.createAccount(threshold, publicKeys).toJSON());
+            } catch (error) {
+                sendMultisigError(res, error);
+            }
+        });
+
+        this.app.get('/api/multisig/proposal/:txHash', (req, res) => {
+            const proposal = this.multisig.getProposal(req.params.txHash);
+
+            if (proposal) {
+                res.json(proposal);
+            } else {
+                res.status(404).json({ error: 'Proposal not found' });
+            }
+        });
+
+        this.app.post('/api/multisig/proposal/:txHash/sign', (req, res) => {
+            try {
+                const { publicKey, signature } = req.body;
+                res.json(this.multisig.addSignature(req.params.txHash, publicKey, signature));
+            } catch (error) {
+                sendMultisigError(res, error);
+            }
+        });
+
+        this.app.post('/api/multisig/proposal/:txHash/broadcast', (req, res) => {
+            try {
+                const transaction = this.multisig.broadcast(req.params.txHash);
+
+                res.json({
+                    success: true,
+                    transactionHash: transaction.txHash,
+                    message: 'Transaction added to pending pool'
+                });
+            } catch (error) {
+                sendMultisigError(res, error);
+            }
+        });
+
+        this.app.get('/api/multisig/:address', (req, res) => {
+            const account = this.multisig.getAccount(req.params.address);
+            if (!account) {
+                return res.status(404).json({ error: 'Multisig account not found' });
+            }
+
+            res.json({
+                ...account.toJSON(),
+                balance: this.blockchain.getBalance(account.address),
+                nonce: this.multisig.getNextNonce(account.address),
+                proposals: this.multisig.getProposals(account.address)
+            });
+        });
+
+        this.app.post('/api/multisig/:address/propose', (req, res) => {
+            try {
+                res.json(this.multisig.propose(req.params.address, req.body));
             } catch (error) {
+                sendMultisigError(res, error);
+            }
+        });
+
+        // Token routes; create and mint return the unsigned transaction to sign and submit
+        this.app.get('/api/tokens', (req, res) => {
+            res.json(this.blockchain.tokens.list());
+        });
+
+        this.app.get('/api/tokens/:symbol', (req, res) => {
+            const token = this.blockchain.tokens.get(req.params.symbol);
+
+            if (token) {
+                res.json(token);
+            } else {
+                res.status(404).json({ error: 'Token not found' });
+            }
+        });
+
+        this.app.post('/api/tokens/create', (req, res) => {
+            try {
+                res.json(this.prepareTokenCreation(req.body));
+            } catch (error) {
+                if (error instanceof MalformedTransactionError || error instanceof InvalidAddressError || error instanceof TransactionRejectedError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
-        this.app.post('/api/defi/swap', (req, res) => {
+        this.app.post('/api/tokens/:symbol/mint', (req, res) => {
             try {
-                const { poolId, tokenIn, amountIn, minAmountOut, trader } = req.body;
-                
-                const result = this.defiProtocol.swap(
-                    poolId, tokenIn, amountIn, minAmountOut, trader
-                );
-                
-                res.json({ success: true, ...result });
+                if (!this.blockchain.tokens.get(req.params.symbol)) {
+                    return res.status(404).json({ error: 'Token not found' });
+                }
+                res.json(this.prepareTokenMint(req.params.symbol, req.body));
             } catch (error) {
+                if (error instanceof MalformedTransactionError || error instanceof InvalidAddressError || error instanceof TransactionRejectedError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
                 res.status(500).json({ error: error.message });
             }
         });
 
+        // HTLC routes: register the terms (and prepare the funding transfer), inspect, claim, refund
+        this.app.post('/api/htlc/create', (req, res) => {
+            try {
+                const { sender, recipient, hashlock, timelock, amount, fee } = req.body;
+                const contract = this.htlcs.create({ sender, recipient, hashlock, timelock });
+
+                res.json({
+                    ...this.htlcs.describe(contract.address),
+                    funding: amount === undefined ? null : this.prepareTransaction({ fromAddress: sender, toAddress: contract.address, amount, fee })
+                });
+            } catch (error) {
+                sendHtlcError(res, error);
+            }
+        });
+
+        // Matching Bitcoin P2WSH HTLC for the other leg of an atomic swap
+        this.app.post('/api/htlc/bitcoin-script', (req, res) => {
+            try {
+                res.json(createBitcoinHtlc(req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/htlc/:address', (req, res) => {
+            try {
+                res.json(this.htlcs.describe(req.params.address));
+            } catch (error) {
+                sendHtlcError(res, error);
+            }
+        });
+
+        // Claims and refunds return the unsigned spend for the recipient or sender to sign and submit
+        this.app.post('/api/htlc/:address/claim', (req, res) => {
+            try {
+                const { preimage, fee } = req.body;
+                const transaction = this.htlcs.prepareClaim(req.params.address, preimage, { fee });
+                res.json({ amount: transaction.amount, ...this.preparedTransaction(transaction) });
+            } catch (error) {
+                sendHtlcError(res, error);
+            }
+        });
+
+        this.app.post('/api/htlc/:address/refund', (req, res) => {
+            try {
+                const transaction = this.htlcs.prepareRefund(req.params.address, { fee: req.body.fee });
+                res.json({ amount: transaction.amount, ...this.preparedTransaction(transaction) });
+            } catch (error) {
+                sendHtlcError(res, error);
+            }
+        });
+
+        // DeFi routes; each operation returns its quote and the unsigned transaction to sign and submit
+        const defiRoute = (path, operation) => this.app.post(path, (req, res) => {
+            try {
+                res.json(this.prepareDeFiOperation(operation(req.body)));
+            } catch (error) {
+                sendDeFiError(res, error);
+            }
+        });
+        const defi = this.defiProtocol;
+
+        defiRoute('/api/defi/pool/create', ({ tokenA, tokenB, amountA, amountB, creator, fee }) =>
+            defi.createLiquidityPool(tokenA, tokenB, amountA, amountB, creator, { fee }));
+        defiRoute('/api/defi/liquidity/add', ({ poolId, amountA, amountB, provider, minLiquidity, fee }) =>
+            defi.addLiquidity(poolId, amountA, amountB, provider, { minLiquidity, fee }));
+        defiRoute('/api/defi/liquidity/remove', ({ poolId, liquidity, provider, fee }) =>
+            defi.removeLiquidity(poolId, liquidity, provider, { fee }));
+        defiRoute('/api/defi/swap', ({ poolId, tokenIn, amountIn, minAmountOut, trader, fee }) =>
+            defi.swap(poolId, tokenIn, amountIn, minAmountOut, trader, { fee }));
+        defiRoute('/api/defi/staking/create', ({ stakingToken, rewardToken, rewardRate, rewards, creator, fee }) =>
+            defi.createStakingPool(stakingToken, rewardToken, rewardRate, rewards, creator, { fee }));
+        defiRoute('/api/defi/stake', ({ poolId, amount, staker, fee }) => defi.stake(poolId, amount, staker, { fee }));
+        defiRoute('/api/defi/unstake', ({ poolId, amount, staker, fee }) => defi.unstake(poolId, amount, staker, { fee }));
+        defiRoute('/api/defi/rewards/claim', ({ poolId, staker, fee }) => defi.claimRewards(poolId, staker, { fee }));
+        defiRoute('/api/defi/lending/create', ({ asset, interestRate, collateralRatio, supply, collateralAsset, creator, fee }) =>
+            defi.createLendingPool(asset, interestRate, collateralRatio, supply, creator, { collateralAsset, fee }));
+        defiRoute('/api/defi/supply', ({ poolId, amount, supplier, fee }) => defi.supply(poolId, amount, supplier, { fee }));
+        defiRoute('/api/defi/withdraw', ({ poolId, amount, supplier, fee }) => defi.withdraw(poolId, amount, supplier, { fee }));
+        defiRoute('/api/defi/borrow', ({ poolId, amount, collateralAmount, borrower, fee }) =>
+            defi.borrow(poolId, amount, collateralAmount, borrower, { fee }));
+        defiRoute('/api/defi/repay', ({ poolId, amount, borrower, fee }) => defi.repay(poolId, amount, borrower, { fee }));
+
         this.app.get('/api/defi/pools', (req, res) => {
-            const pools = Array.from(this.defiProtocol.liquidityPools.entries()).map(([id, pool]) => ({
-                id,
-                ...pool
-            }));
-            
-            res.json(pools);
+            res.json(this.defiProtocol.getPools(req.query.kind || null));
+        });
+
+        this.app.get('/api/defi/pool/:poolId', (req, res) => {
+            const pool = this.defiProtocol.getPool(req.params.poolId);
+
+            if (pool) {
+                res.json(pool);
+            } else {
+                res.status(404).json({ error: 'Pool not found' });
+            }
+        });
+
+        // Contract routes; deploy and call return the unsigned transaction to sign and submit
+        this.app.get('/api/contracts', (req, res) => {
+            res.json(this.blockchain.contracts.list().map(contractJSON));
+        });
+
+        this.app.get('/api/contracts/receipts/:txHash', (req, res) => {
+            const receipt = this.blockchain.contracts.getReceipt(req.params.txHash);
+
+            if (receipt) {
+                res.json(receipt);
+            } else {
+                res.status(404).json({ error: 'Receipt not found' });
+            }
+        });
+
+        this.app.get('/api/contracts/:address', (req, res) => {
+            const contract = this.blockchain.contracts.get(req.params.address);
+
+            if (contract) {
+                res.json(contractJSON(contract));
+            } else {
+                res.status(404).json({ error: 'Contract not found' });
+            }
+        });
+
+        this.app.post('/api/contracts/deploy', (req, res) => {
+            try {
+                res.json(this.prepareContractDeploy(req.body));
+            } catch (error) {
+                sendContractError(res, error);
+            }
+        });
+
+        this.app.post('/api/contracts/:address/call', (req, res) => {
+            try {
+                res.json(this.prepareContractCall(req.params.address, req.body));
+            } catch (error) {
+                sendContractError(res, error);
+            }
+        });
+
+        this.app.post('/api/contracts/:address/query', (req, res) => {
+            try {
+                res.json(this.queryContract(req.params.address, req.body));
+            } catch (error) {
+                sendContractError(res, error);
+            }
         });
 
         // Bitcoin bridge routes
@@ -184,7 +706,9 @@ class QuantumGenesisApp {
                 
                 this.bitcoinBridge.lockBitcoinAndMint(bitcoinTxHash, amount, quantumRecipient)
                     .then(result => res.json({ success: true, ...result }))
-                    .catch(error => res.status(500).json({ error: error.message }));
+                    .catch(error => error instanceof InvalidAddressError
+                        ? res.status(400).json({ error: error.message, code: error.code })
+                        : res.status(500).json({ error: error.message }));
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -196,7 +720,9 @@ class QuantumGenesisApp {
                 
                 this.bitcoinBridge.burnQuantumAndUnlock(quantumSender, amount, bitcoinRecipient)
                     .then(result => res.json({ success: true, ...result }))
-                    .catch(error => res.status(500).json({ error: error.message }));
+                    .catch(error => error instanceof InvalidAddressError
+                        ? res.status(400).json({ error: error.message, code: error.code })
+                        : res.status(500).json({ error: error.message }));
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -206,6 +732,15 @@ class QuantumGenesisApp {
             res.json(this.bitcoinBridge.getBridgeStats());
         });
 
+        // Network routes
+        this.app.get('/api/network/peers', (req, res) => {
+            res.json({
+                nodeId: this.p2p.nodeId,
+                listening: this.p2p.server ? this.p2p.port : null,
+                peers: this.p2p.getPeers()
+            });
+        });
+
         // Consensus routes
         this.app.get('/api/consensus/stats', (req, res) => {
             res.json(this.consensus.getConsensusStats());
@@ -227,6 +762,22 @@ class QuantumGenesisApp {
             }
         });
 
+        // JSON-RPC: a single call or a batch; notifications alone get 204 No Content
+        this.app.post('/rpc', async (req, res) => {
+            const response = await this.rpc.handle(req.body);
+
+            if (response) {
+                res.json(response);
+            } else {
+                res.status(204).end();
+            }
+        });
+
+        this.app.use('/rpc', (error, req, res, next) => {
+            if (error.type !== 'entity.parse.failed') return next(error);
+            res.json(errorResponse(null, new RpcError(RpcErrorCode.PARSE_ERROR, 'Parse error')));
+        });
+
         // Health check
         this.app.get('/api/health', (req, res) => {
             res.json({
@@ -236,6 +787,9 @@ class QuantumGenesisApp {
                     blocks: this.blockchain.chain.length,
                     pending: this.blockchain.pendingTransactions.length
                 },
+                network: {
+                    peers: this.p2p.getPeers().length
+                },
                 consensus: {
                     epoch: this.consensus.currentEpoch,
                     validators: this.consensus.validators.size
@@ -278,6 +832,19 @@ class QuantumGenesisApp {
             console.log(`⛏️  Block mined: ${block.hash}`);
         });
 
+        this.blockchain.on('chainReorganized', ({ oldTip, newTip, returnedTransactions }) => {
+            console.log(`🔀 Chain reorganized: ${oldTip.hash} -> ${newTip.hash} (${returnedTransactions.length} transactions returned to pool)`);
+        });
+
+        // Network events
+        this.p2p.on('peerConnected', (peer) => {
+            console.log(`🤝 Peer connected: ${peer.url || peer.nodeId} at height ${peer.height}`);
+        });
+
+        this.p2p.on('peerBanned', (peer) => {
+            console.log(`🚫 Peer banned: ${peer.url || peer.nodeId} (${peer.reason})`);
+        });
+
         // Consensus events
         this.consensus.on('epochTransition', (data) => {
             console.log(`🔄 Epoch transition: ${data.previousEpoch} -> ${data.currentEpoch}`);
@@ -287,18 +854,156 @@ class QuantumGenesisApp {
             console.log(`👥 New validator registered: ${validator.address}`);
         });
 
-        // Bridge events would go here
-        // DeFi events would go here
+        // Bridge events
+        this.bitcoinBridge.on('transferUpdated', (transfer) => {
+            console.log(`🌉 Bridge transfer ${transfer.transferId}: ${transfer.status}`);
+        });
     }
 
     start() {
-        this.app.listen(this.port, () => {
+        this.server = http.createServer(this.app);
+        this.events.attach(this.server);
+
+        this.server.listen(this.port, () => {
             console.log(`🌐 Quantum Blockchain Genesis running on port ${this.port}`);
             console.log(`📱 Web interface: http://localhost:${this.port}`);
             console.log(`🔌 API endpoint: http://localhost:${this.port}/api`);
+            console.log(`📡 Event stream: socket.io on port ${this.port}`);
             console.log(`\n🎯 Genesis Address: ${this.blockchain.genesisAddress}`);
             console.log('💡 "behold light and it is good"');
         });
+
+        if (this.p2pPort) {
+            this.p2p.start()
+                .then(port => console.log(`🛰️  P2P node listening on port ${port} (${this.p2p.seedPeers.length} seed peers)`))
+                .catch(error => console.error('❌ P2P node failed to start:', error));
+        }
+    }
+
+    // Unsigned transaction with the sender's next nonce filled in, plus the exact bytes to sign
+    prepareTransaction({ fromAddress, toAddress, amount, asset, fee = 0, data = {}, nonce, validAfter, validUntil } = {}) {
+        const transaction = QuantumTransaction.deserialize({
+            fromAddress,
+            toAddress,
+            amount,
+            asset,
+            fee,
+            data,
+            nonce: nonce ?? this.blockchain.getNextNonce(fromAddress),
+            timestamp: Date.now(),
+            validAfter,
+            validUntil
+        });
+        assertQuantumAddress(fromAddress, 'sender address');
+        assertQuantumAddress(toAddress, 'recipient address');
+        this.blockchain.assertTokenRules(transaction);
+        this.blockchain.assertDeFiRules(transaction);
+        this.blockchain.assertContractRules(transaction);
+
+        return this.preparedTransaction(transaction);
+    }
+
+    // What a client needs to sign a transaction locally
+    preparedTransaction(transaction) {
+        return {
+            transaction: JSON.parse(QuantumTransaction.serialize(transaction)),
+            signingPayload: QuantumTransaction.signingPayload(transaction),
+            txHash: transaction.txHash
+        };
+    }
+
+    // A DeFi operation's quote, with its unsigned transaction prepared for signing
+    prepareDeFiOperation({ transaction, ...quote }) {
+        return { ...quote, ...this.preparedTransaction(transaction) };
+    }
+
+    // Contract deployment from assembly `source`, or from `code` and `entrypoints` already
+    // assembled. The fee defaults to what the gas limit needs.
+    prepareContractDeploy({ creator, source, code, entrypoints, args = [], gasLimit = DEFAULT_GAS_LIMIT, fee, nonce } = {}) {
+        if (source !== undefined) ({ code, entrypoints } = assemble(source));
+        assertQuantumAddress(creator, 'creator address');
+
+        const deployNonce = nonce ?? this.blockchain.getNextNonce(creator);
+        const address = addressFromCreation(creator, deployNonce);
+        return {
+            address,
+            ...this.prepareTransaction({
+                fromAddress: creator,
+                toAddress: address,
+                amount: 0,
+                fee: fee ?? this.blockchain.contracts.minimumFee(gasLimit),
+                data: { type: CONTRACT_DEPLOY, code, entrypoints, args, gasLimit },
+                nonce: deployNonce
+            })
+        };
+    }
+
+    prepareContractCall(address, { caller, method, args = [], gasLimit = DEFAULT_GAS_LIMIT, fee } = {}) {
+        this.assertContract(address);
+        return this.prepareTransaction({
+            fromAddress: caller,
+            toAddress: address,
+            amount: 0,
+            fee: fee ?? this.blockchain.contracts.minimumFee(gasLimit),
+            data: { type: CONTRACT_CALL, method, args, gasLimit }
+        });
+    }
+
+    // Run a method against confirmed storage as if in the next block; nothing is kept
+    queryContract(address, { caller = '', method, args = [] } = {}) {
+        return this.blockchain.contracts.query(address, method, args, {
+            caller,
+            height: this.blockchain.chain.length,
+            timestamp: Date.now()
+        });
+    }
+
+    assertContract(address) {
+        if (!this.blockchain.contracts.get(address)) {
+            throw new ContractError(`No contract at ${address}`, 'CONTRACT_NOT_FOUND');
+        }
+    }
+
+    // Token creation: `supply` smallest units go to `recipient` (default: the creator)
+    prepareTokenCreation({ creator, symbol, decimals, supply, mintAuthority = null, recipient = creator, fee } = {}) {
+        return this.prepareTransaction({
+            fromAddress: creator,
+            toAddress: recipient,
+            amount: supply,
+            asset: symbol,
+            fee,
+            data: { type: TOKEN_CREATE, decimals, mintAuthority }
+        });
+    }
+
+    // Minting is signed by the token's mint authority
+    prepareTokenMint(symbol, { toAddress, amount, fee } = {}) {
+        const { mintAuthority } = this.blockchain.tokens.get(symbol);
+        if (!mintAuthority) {
+            throw new TransactionRejectedError('NOT_MINT_AUTHORITY', `Token ${symbol} has a fixed supply`);
+        }
+
+        return this.prepareTransaction({ fromAddress: mintAuthority, toAddress, amount, asset: symbol, fee, data: { type: TOKEN_MINT } });
+    }
+
+    // Accept a transaction signed by the client; the node never sees the private key
+    submitTransaction(serialized) {
+        const transaction = QuantumTransaction.deserialize(serialized);
+        this.blockchain.addTransaction(transaction);
+        return transaction;
+    }
+
+    // Load a keystore into the node's dev wallets, skipping signature keys already used on chain
+    async importKeystore(keystore, password) {
+        const wallet = await QuantumWallet.fromKeystore(keystore, password);
+        wallet.syncWithChain(this.blockchain);
+        this.wallets.set(wallet.address, wallet);
+        return wallet;
+    }
+
+    exportKeystore(address, password) {
+        const wallet = this.wallets.get(address);
+        return wallet ? wallet.toKeystore(password) : null;
     }
 
     // Utility methods
@@ -320,18 +1025,20 @@ class QuantumGenesisApp {
             console.log(`👤 Demo wallet 2: ${wallet2.address}`);
             
             // Mine some blocks to give wallets funds
-            this.blockchain.minePendingTransactions(wallet1.address);
-            this.blockchain.minePendingTransactions(wallet2.address);
+            await this.blockchain.minePendingTransactions(wallet1.address);
+            await this.blockchain.minePendingTransactions(wallet2.address);
             
             console.log(`💰 Wallet 1 balance: ${this.blockchain.getBalance(wallet1.address)}`);
             console.log(`💰 Wallet 2 balance: ${this.blockchain.getBalance(wallet2.address)}`);
             
             // Create a transaction
-            const transaction = wallet1.createTransaction(wallet2.address, 50);
+            const transaction = wallet1.createTransaction(wallet2.address, 50, {}, {
+                nonce: this.blockchain.getNextNonce(wallet1.address)
+            });
             this.blockchain.addTransaction(transaction);
             
             // Mine the transaction
-            this.blockchain.minePendingTransactions(wallet1.address);
+            await this.blockchain.minePendingTransactions(wallet1.address);
             
             console.log(`✅ Transaction completed`);
             console.log(`💰 Wallet 1 balance: ${this.blockchain.getBalance(wallet1.address)}`);
@@ -345,13 +1052,23 @@ class QuantumGenesisApp {
 
 // Start the application
 if (require.main === module) {
-    const app = new QuantumGenesisApp();
+    const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+    let app;
+    try {
+        app = new QuantumGenesisApp({ storage: new FileChainStorage(dataDir) });
+    } catch (error) {
+        console.error(`❌ Refusing to start: ${error.message}`);
+        process.exit(1);
+    }
     app.start();
     
-    // Run demo operations after startup
-    setTimeout(() => {
-        app.performDemoOperations();
-    }, 2000);
+    // Run demo operations after startup; they rely on server-held wallets
+    if (app.devWallets) {
+        setTimeout(() => {
+            app.performDemoOperations();
+        }, 2000);
+    }
 }
 
 module.exports = QuantumGenesisApp;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const { Server } = require('socket.io');
+
+/**
+ * Real-time event stream for dashboards and wallets
+ * A socket.io server attached to the API's HTTP server. Clients subscribe to channels
+ * and only receive the events published on them:
+ *
+ *   blocks               new main-chain blocks ('block') and reorganisations ('reorg')
+ *   transactions         transactions entering the pending pool ('transaction')
+ *   address:<address>    pending and confirmed transactions to or from one address ('transaction')
+ *   pools                reserve changes of every liquidity pool ('pool')
+ *   pool:<poolId>        reserve changes of one liquidity pool ('pool')
+ *   bridge               status changes of every bridge transfer ('transfer')
+ *   transfer:<id>        status changes of one bridge transfer ('transfer')
+ *   consensus            validator, stake, slashing and epoch events ('consensus')
+ *
+ * Every payload carries the channel it was published on, so a client subscribed to
+ * overlapping channels can tell the copies apart.
+ */
+
+const CHANNEL_PATTERN = /^(blocks|transactions|pools|bridge|consensus|address:\S{1,128}|pool:\S{1,128}|transfer:[0-9a-f-]{36})$/;
+const MAX_SUBSCRIPTIONS = 100; // per socket
+
+const CONSENSUS_EVENTS = ['validatorRegistered', 'stakeAdded', 'stakeRemoved', 'blockValidated', 'validatorSlashed', 'epochTransition'];
+
+class EventStream {
+    constructor({ blockchain, defi = null, bridge = null, consensus = null }) {
+        this.blockchain = blockchain;
+        this.defi = defi;
+        this.bridge = bridge;
+        this.consensus = consensus;
+        this.io = null;
+        this.listeners = []; // [emitter, event, handler] to detach on close
+    }
+
+    attach(httpServer, options = {}) {
+        this.io = new Server(httpServer, { cors: { origin: '*' }, ...options });
+        this.io.on('connection', socket => this.handleConnection(socket));
+
+        this.listen(this.blockchain, 'blockMined', block => this.publishBlock(block, 'mined'));
+        this.listen(this.blockchain, 'blockAdded', block => this.publishBlock(block, 'added'));
+        this.listen(this.blockchain, 'chainReorganized', reorg => this.publishReorg(reorg));
+        this.listen(this.blockchain, 'transactionAdded', transaction => this.publishPendingTransaction(transaction));
+
+        if (this.defi) {
+            this.listen(this.defi, 'poolUpdated', pool => {
+                this.publish('pools', 'pool', { pool });
+                this.publish(`pool:${pool.poolId}`, 'pool', { pool });
+            });
+        }
+
+        if (this.bridge) {
+            this.listen(this.bridge, 'transferUpdated', transfer => {
+                this.publish('bridge', 'transfer', { transfer });
+                this.publish(`transfer:${transfer.transferId}`, 'transfer', { transfer });
+            });
+        }
+
+        if (this.consensus) {
+            for (const event of CONSENSUS_EVENTS) {
+                this.listen(this.consensus, event, data => this.publish('consensus', 'consensus', { type: event, data }));
+            }
+        }
+
+        return this.io;
+    }
+
+    listen(emitter, event, handler) {
+        emitter.on(event, handler);
+        this.listeners.push([emitter, event, handler]);
+    }
+
+    handleConnection(socket) {
+        // Channels arrive as a name or a list of names; the optional ack reports what was joined
+        socket.on('subscribe', (channels, ack) => {
+            const requested = [].concat(channels);
+            const invalid = requested.filter(channel => typeof channel !== 'string' || !CHANNEL_PATTERN.test(channel));
+            const joined = [...socket.rooms].filter(room => room !== socket.id);
+
+            if (invalid.length > 0) {
+                return respond(ack, { error: `Unknown channel: ${invalid.join(', ')}` });
+            }
+            if (new Set([...joined, ...requested]).size > MAX_SUBSCRIPTIONS) {
+                return respond(ack, { error: `At most ${MAX_SUBSCRIPTIONS} channels per connection` });
+            }
+
+            socket.join(requested);
+            respond(ack, { subscribed: requested });
+        });
+
+        socket.on('unsubscribe', (channels, ack) => {
+            const requested = [].concat(channels).filter(channel => typeof channel === 'string' && channel !== socket.id);
+            requested.forEach(channel => socket.leave(channel));
+            respond(ack, { unsubscribed: requested });
+        });
+    }
+
+    publish(channel, event, payload) {
+        this.io.to(channel).emit(event, { channel, ...payload });
+    }
+
+    publishBlock(block, status) {
+        this.publish('blocks', 'block', { status, block });
+        this.publishConfirmedTransactions(block);
+    }
+
+    publishReorg({ oldTip, newTip, disconnectedBlocks, connectedBlocks, returnedTransactions }) {
+        this.publish('blocks', 'reorg', {
+            oldTip: oldTip.hash,
+            newTip: newTip.hash,
+            disconnected: disconnectedBlocks.map(block => block.hash),
+            connected: connectedBlocks.map(block => block.hash),
+            returnedTransactions: returnedTransactions.map(trans => trans.txHash)
+        });
+        connectedBlocks.forEach(block => this.publishConfirmedTransactions(block));
+    }
+
+    publishPendingTransaction(transaction) {
+        this.publish('transactions', 'transaction', { status: 'pending', transaction });
+        for (const address of involvedAddresses(transaction)) {
+            this.publish(`address:${address}`, 'transaction', { status: 'pending', transaction });
+        }
+    }
+
+    publishConfirmedTransactions(block) {
+        for (const transaction of block.data.transactions || []) {
+            for (const address of involvedAddresses(transaction)) {
+                this.publish(`address:${address}`, 'transaction', {
+                    status: 'confirmed',
+                    blockIndex: block.index,
+                    blockHash: block.hash,
+                    transaction
+                });
+            }
+        }
+    }
+
+    close() {
+        for (const [emitter, event, handler] of this.listeners) {
+            emitter.off(event, handler);
+        }
+        this.listeners = [];
+
+        return new Promise(resolve => {
+            if (!this.io) return resolve();
+            this.io.close(() => resolve());
+            this.io = null;
+        });
+    }
+}
+
+function involvedAddresses(transaction) {
+    return [...new Set([transaction.fromAddress, transaction.toAddress].filter(Boolean))];
+}
+
+function respond(ack, result) {
+    if (typeof ack === 'function') ack(result);
+}
+
+module.exports = { EventStream, CHANNEL_PATTERN };
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { BlockRejectedError } = require('../blockchain/QuantumBlockchain');
+const { QuantumTransaction } = require('../wallet/QuantumWallet');
+
+/**
+ * Peer-to-peer networking for Genesis nodes over WebSockets
+ * Nodes handshake on their genesis block, gossip new transactions and blocks, and pull
+ * missing blocks by height or hash. A peer relaying an invalid block or a malformed
+ * transaction is disconnected and banned for the lifetime of the node.
+ */
+
+const MessageType = {
+    HANDSHAKE: 'HANDSHAKE',
+    NEW_TRANSACTION: 'NEW_TRANSACTION',
+    NEW_BLOCK: 'NEW_BLOCK',
+    GET_BLOCKS: 'GET_BLOCKS', // { fromHeight, count } along the sender's main chain
+    GET_BLOCK: 'GET_BLOCK', // { hash } on any branch
+    BLOCKS: 'BLOCKS'
+};
+
+const MAX_BLOCKS_PER_MESSAGE = 100;
+const MAX_KNOWN_TRANSACTIONS = 10000;
+const MAX_ORPHAN_BLOCKS = 500;
+
+class P2PNode extends EventEmitter {
+    constructor(blockchain, options = {}) {
+        super();
+        this.blockchain = blockchain;
+        this.host = options.host || '0.0.0.0';
+        this.port = options.port || 0;
+        this.seedPeers = options.peers || []; // ws:// URLs to dial on start
+        this.reconnectInterval = options.reconnectInterval || 5000;
+        this.nodeId = crypto.randomBytes(16).toString('hex');
+
+        this.server = null;
+        this.peers = new Map(); // socket -> { nodeId, url, height, tipHash, inbound }
+        this.bannedPeers = new Set(); // node ids and dialled URLs
+        this.knownTransactions = new Set(); // tx hashes already gossiped, oldest first
+        this.orphanBlocks = new Map(); // missing parent hash -> blocks waiting on it
+        this.reconnectTimers = new Map(); // url -> timer
+        this.stopped = false;
+
+        this.onBlockMined = block => this.broadcast(MessageType.NEW_BLOCK, { block });
+        this.onTransactionAdded = transaction => this.announceTransaction(transaction);
+    }
+
+    async start() {
+        this.stopped = false;
+        this.blockchain.on('blockMined', this.onBlockMined);
+        this.blockchain.on('transactionAdded', this.onTransactionAdded);
+
+        this.server = new WebSocket.Server({ host: this.host, port: this.port });
+        this.server.on('connection', (socket, request) => {
+            this.registerSocket(socket, { inbound: true, remoteAddress: request.socket.remoteAddress });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+        this.port = this.server.address().port;
+
+        this.seedPeers.forEach(url => this.connect(url));
+        return this.port;
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.blockchain.off('blockMined', this.onBlockMined);
+        this.blockchain.off('transactionAdded', this.onTransactionAdded);
+
+        this.reconnectTimers.forEach(timer => clearTimeout(timer));
+        this.reconnectTimers.clear();
+
+        for (const socket of this.peers.keys()) {
+            socket.terminate();
+        }
+        this.peers.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    connect(url) {
+        if (this.stopped || this.bannedPeers.has(url)) return null;
+
+        const socket = new WebSocket(url);
+        const peer = this.registerSocket(socket, { inbound: false, url });
+
+        // Keep retrying seed peers so nodes can be started in any order
+        socket.on('close', () => {
+            if (this.stopped || peer.retry === false || this.bannedPeers.has(url) || !this.seedPeers.includes(url)) return;
+            this.reconnectTimers.set(url, setTimeout(() => {
+                this.reconnectTimers.delete(url);
+                this.connect(url);
+            }, this.reconnectInterval));
+        });
+
+        return socket;
+    }
+
+    registerSocket(socket, info) {
+        const peer = { nodeId: null, height: 0, tipHash: null, ...info };
+        this.peers.set(socket, peer);
+
+        socket.on('open', () => this.sendHandshake(socket));
+        socket.on('message', raw => this.handleMessage(socket, raw));
+        socket.on('close', () => {
+            const peer = this.peers.get(socket);
+            this.peers.delete(socket);
+            if (peer && peer.nodeId) this.emit('peerDisconnected', peer);
+        });
+        socket.on('error', error => {
+            console.log(`Peer ${info.url || info.remoteAddress} error: ${error.message}`);
+        });
+
+        if (info.inbound) this.sendHandshake(socket);
+        return peer;
+    }
+
+    sendHandshake(socket) {
+        const tip = this.blockchain.getLatestBlock();
+        this.send(socket, MessageType.HANDSHAKE, {
+            nodeId: this.nodeId,
+            genesisHash: this.blockchain.chain[0].hash,
+            height: tip.index,
+            tipHash: tip.hash
+        });
+    }
+
+    handleMessage(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return this.disconnect(socket, 'Malformed message');
+        }
+
+        const peer = this.peers.get(socket);
+        if (!peer) return;
+
+        if (message.type !== MessageType.HANDSHAKE && !peer.nodeId) {
+            return this.disconnect(socket, 'Message received before handshake');
+        }
+
+        const payload = message.payload || {};
+        switch (message.type) {
+            case MessageType.HANDSHAKE:
+                return this.handleHandshake(socket, peer, payload);
+            case MessageType.NEW_TRANSACTION:
+                return this.handleTransaction(socket, payload.transaction);
+            case MessageType.NEW_BLOCK:
+                return this.handleBlocks(socket, peer, [payload.block], true);
+            case MessageType.GET_BLOCKS:
+                return this.handleGetBlocks(socket, payload);
+            case MessageType.GET_BLOCK:
+                return this.handleGetBlock(socket, payload);
+            case MessageType.BLOCKS:
+                return this.handleBlocks(socket, peer, payload.blocks || [], false);
+            default:
+                return this.disconnect(socket, `Unknown message type ${message.type}`);
+        }
+    }
+
+    handleHandshake(socket, peer, payload) {
+        if (payload.nodeId === this.nodeId) {
+            peer.retry = false;
+            return this.disconnect(socket, 'Connected to self');
+        }
+
+        if (this.bannedPeers.has(payload.nodeId)) {
+            return this.disconnect(socket, 'Peer is banned');
+        }
+
+        if (payload.genesisHash !== this.blockchain.chain[0].hash) {
+            return this.disconnect(socket, 'Genesis block mismatch');
+        }
+
+        // When both sides dial each other, both keep the connection dialled by the lower node id
+        const existing = Array.from(this.peers.entries())
+            .find(([other, info]) => other !== socket && info.nodeId === payload.nodeId);
+        if (existing) {
+            const dialledByLower = peer.inbound ? payload.nodeId < this.nodeId : this.nodeId < payload.nodeId;
+            const [dropSocket, dropPeer] = dialledByLower ? existing : [socket, peer];
+            dropPeer.retry = false;
+            this.disconnect(dropSocket, 'Already connected to peer');
+            if (dropSocket === socket) return;
+        }
+
+        peer.nodeId = payload.nodeId;
+        peer.height = payload.height;
+        peer.tipHash = payload.tipHash;
+        this.emit('peerConnected', peer);
+
+        // Sync on connect: pull whatever the peer has beyond our tip
+        if (payload.height > this.blockchain.getLatestBlock().index) {
+            this.requestBlocks(socket, this.blockchain.chain.length);
+        }
+    }
+
+    handleTransaction(socket, payload) {
+        // Parse before anything else, so a forged txHash can neither reach the pool nor shadow a real one
+        let transaction;
+        try {
+            transaction = QuantumTransaction.deserialize(payload);
+        } catch (error) {
+            this.ban(socket, error.message);
+            return;
+        }
+
+        if (this.knownTransactions.has(transaction.txHash)) return;
+        this.rememberTransaction(transaction.txHash);
+
+        try {
+            this.blockchain.addTransaction(transaction);
+        } catch (error) {
+            // Nonce races and duplicates are routine during gossip, so this is not misbehaviour
+            return;
+        }
+
+        this.broadcast(MessageType.NEW_TRANSACTION, { transaction }, socket);
+    }
+
+    handleGetBlocks(socket, payload) {
+        const fromHeight = Math.max(parseInt(payload.fromHeight) || 0, 0);
+        const count = Math.min(Math.max(parseInt(payload.count) || MAX_BLOCKS_PER_MESSAGE, 1), MAX_BLOCKS_PER_MESSAGE);
+
+        this.send(socket, MessageType.BLOCKS, {
+            fromHeight,
+            blocks: this.blockchain.chain.slice(fromHeight, fromHeight + count)
+        });
+    }
+
+    handleGetBlock(socket, payload) {
+        const block = this.blockchain.blocks.get(payload.hash);
+        this.send(socket, MessageType.BLOCKS, { blocks: block ? [block] : [] });
+    }
+
+    handleBlocks(socket, peer, blocks, announced) {
+        for (const block of blocks) {
+            if (!block || !block.hash) continue;
+            peer.height = Math.max(peer.height, block.index);
+
+            if (!this.acceptBlock(socket, block, announced)) return;
+        }
+
+        // A full batch means the peer may have more; keep paging until we reach its height
+        if (!announced && blocks.length === MAX_BLOCKS_PER_MESSAGE && peer.height > this.blockchain.getLatestBlock().index) {
+            this.requestBlocks(socket, this.blockchain.chain.length);
+        }
+    }
+
+    // Returns false once the sending peer has been banned
+    acceptBlock(socket, blockData, relay) {
+        let result;
+        try {
+            result = this.blockchain.addBlock(blockData);
+        } catch (error) {
+            if (error instanceof BlockRejectedError && error.code === 'ORPHAN_BLOCK') {
+                this.addOrphan(blockData);
+
+                // Far behind: page through the peer's chain; otherwise walk back to the fork point
+                if (blockData.index > this.blockchain.getLatestBlock().index + 1) {
+                    this.requestBlocks(socket, this.blockchain.chain.length);
+                } else {
+                    this.send(socket, MessageType.GET_BLOCK, { hash: blockData.previousHash });
+                }
+                return true;
+            }
+
+            // Anything else, including blocks too malformed to parse, is misbehaviour
+            this.ban(socket, error.message);
+            return false;
+        }
+
+        if (result.status === 'duplicate') return true;
+
+        this.emit('blockReceived', result);
+        if (relay) {
+            this.broadcast(MessageType.NEW_BLOCK, { block: result.block }, socket);
+        }
+
+        // Blocks that arrived before this one can now be linked
+        const waiting = this.orphanBlocks.get(result.block.hash) || [];
+        this.orphanBlocks.delete(result.block.hash);
+        for (const orphan of waiting) {
+            if (!this.acceptBlock(socket, orphan, relay)) return false;
+        }
+
+        return true;
+    }
+
+    addOrphan(block) {
+        const count = Array.from(this.orphanBlocks.values()).reduce((sum, list) => sum + list.length, 0);
+        if (count >= MAX_ORPHAN_BLOCKS) return;
+
+        const waiting = this.orphanBlocks.get(block.previousHash) || [];
+        if (!waiting.some(orphan => orphan.hash === block.hash)) {
+            waiting.push(block);
+        }
+        this.orphanBlocks.set(block.previousHash, waiting);
+    }
+
+    requestBlocks(socket, fromHeight) {
+        this.send(socket, MessageType.GET_BLOCKS, { fromHeight, count: MAX_BLOCKS_PER_MESSAGE });
+    }
+
+    announceTransaction(transaction) {
+        if (this.knownTransactions.has(transaction.txHash)) return;
+        this.rememberTransaction(transaction.txHash);
+        this.broadcast(MessageType.NEW_TRANSACTION, { transaction });
+    }
+
+    rememberTransaction(txHash) {
+        this.knownTransactions.add(txHash);
+        if (this.knownTransactions.size > MAX_KNOWN_TRANSACTIONS) {
+            this.knownTransactions.delete(this.knownTransactions.values().next().value);
+        }
+    }
+
+    ban(socket, reason) {
+        const peer = this.peers.get(socket);
+        if (peer) {
+            if (peer.nodeId) this.bannedPeers.add(peer.nodeId);
+            if (peer.url) this.bannedPeers.add(peer.url);
+            this.emit('peerBanned', { ...peer, reason });
+        }
+        this.disconnect(socket, reason);
+    }
+
+    disconnect(socket, reason) {
+        const peer = this.peers.get(socket);
+        console.log(`Disconnecting peer ${peer?.url || peer?.nodeId || 'unknown'}: ${reason}`);
+        this.peers.delete(socket);
+        socket.close();
+        if (peer && peer.nodeId) this.emit('peerDisconnected', peer);
+    }
+
+    // Send to every handshaken peer except the one a message came from
+    broadcast(type, payload, exclude = null) {
+        for (const [socket, peer] of this.peers.entries()) {
+            if (socket !== exclude && peer.nodeId) {
+                this.send(socket, type, payload);
+            }
+        }
+    }
+
+    send(socket, type, payload) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type, payload }));
+        }
+    }
+
+    getPeers() {
+        return Array.from(this.peers.values())
+            .filter(peer => peer.nodeId)
+            .map(({ nodeId, url, height, tipHash, inbound }) => ({ nodeId, url, height, tipHash, inbound }));
+    }
+}
+
+module.exports = { P2PNode, MessageType };
@@ -0,0 +1,169 @@
+/**
+ * JSON-RPC 2.0 dispatcher
+ * Methods are registered with a parameter schema, so calls can pass parameters by
+ * position or by name and are checked before the handler runs. Supports batches and
+ * notifications (requests without an id, which get no response).
+ */
+
+const RpcErrorCode = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    // Implementation-defined server errors
+    APPLICATION_ERROR: -32000, // the operation itself failed, e.g. insufficient liquidity
+    NOT_FOUND: -32001,
+    REJECTED: -32002 // rejected by chain rules; data.code carries the rejection code
+};
+
+const MAX_BATCH_SIZE = 100;
+
+const PARAM_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+class RpcError extends Error {
+    constructor(code, message, data = undefined) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+class JsonRpcServer {
+    constructor() {
+        this.methods = new Map(); // name -> { description, params, handler }
+    }
+
+    // params: [{ name, type, required, description }] in positional order
+    register(name, { description = '', params = [], handler }) {
+        if (this.methods.has(name)) {
+            throw new Error(`RPC method ${name} is already registered`);
+        }
+        this.methods.set(name, { description, params, handler });
+    }
+
+    listMethods() {
+        return Array.from(this.methods.entries()).map(([name, { description, params }]) => ({
+            name,
+            description,
+            params: params.map(({ name: param, type, required = false, description: about = '' }) => ({
+                name: param, type, required, description: about
+            }))
+        }));
+    }
+
+    // Returns the response body, or null when there is nothing to send back
+    async handle(payload) {
+        if (Array.isArray(payload)) {
+            if (payload.length === 0) {
+                return errorResponse(null, new RpcError(RpcErrorCode.INVALID_REQUEST, 'Empty batch'));
+            }
+            if (payload.length > MAX_BATCH_SIZE) {
+                return errorResponse(null, new RpcError(RpcErrorCode.INVALID_REQUEST, `Batches are limited to ${MAX_BATCH_SIZE} calls`));
+            }
+
+            // Calls in a batch run one after another, in order, so later calls see earlier effects
+            const responses = [];
+            for (const request of payload) {
+                const response = await this.handleCall(request);
+                if (response) responses.push(response);
+            }
+            return responses.length > 0 ? responses : null;
+        }
+
+        return this.handleCall(payload);
+    }
+
+    async handleCall(request) {
+        if (!isValidRequest(request)) {
+            const id = request && ['string', 'number'].includes(typeof request.id) ? request.id : null;
+            return errorResponse(id, new RpcError(RpcErrorCode.INVALID_REQUEST, 'Invalid Request'));
+        }
+
+        const isNotification = !('id' in request);
+        let result;
+
+        try {
+            const method = this.methods.get(request.method);
+            if (!method) {
+                throw new RpcError(RpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+            }
+
+            result = await method.handler(this.parseParams(method, request.params));
+        } catch (error) {
+            return isNotification ? null : errorResponse(request.id, toRpcError(error));
+        }
+
+        return isNotification ? null : { jsonrpc: '2.0', result: result === undefined ? null : result, id: request.id };
+    }
+
+    // Accepts positional or named parameters and returns them by name, type-checked
+    parseParams(method, params = {}) {
+        let named = { ...params };
+
+        if (Array.isArray(params)) {
+            if (params.length > method.params.length) {
+                throw new RpcError(RpcErrorCode.INVALID_PARAMS, `Expected at most ${method.params.length} parameters`);
+            }
+            named = Object.fromEntries(params.map((value, position) => [method.params[position].name, value]));
+        } else {
+            const unknown = Object.keys(params).filter(key => !method.params.some(param => param.name === key));
+            if (unknown.length > 0) {
+                throw new RpcError(RpcErrorCode.INVALID_PARAMS, `Unknown parameter: ${unknown.join(', ')}`);
+            }
+        }
+
+        for (const { name, type, required } of method.params) {
+            const value = named[name];
+            if (value === undefined || value === null) {
+                if (required) throw new RpcError(RpcErrorCode.INVALID_PARAMS, `Missing parameter: ${name}`);
+                delete named[name];
+            } else if (type && !PARAM_TYPES[type](value)) {
+                throw new RpcError(RpcErrorCode.INVALID_PARAMS, `Parameter ${name} must be ${type === 'integer' ? 'an' : 'a'} ${type}`);
+            }
+        }
+
+        return named;
+    }
+}
+
+function isValidRequest(request) {
+    return request !== null &&
+        typeof request === 'object' &&
+        !Array.isArray(request) &&
+        request.jsonrpc === '2.0' &&
+        typeof request.method === 'string' &&
+        (request.params === undefined || (request.params !== null && typeof request.params === 'object')) &&
+        (!('id' in request) || request.id === null || ['string', 'number'].includes(typeof request.id));
+}
+
+// Chain rejections keep their code; programming errors are reported as internal
+function toRpcError(error) {
+    if (error instanceof RpcError) return error;
+    if (typeof error.code === 'string') {
+        return new RpcError(RpcErrorCode.REJECTED, error.message, { code: error.code });
+    }
+    if (error instanceof RangeError) {
+        return new RpcError(RpcErrorCode.INVALID_PARAMS, error.message);
+    }
+    if (error instanceof TypeError || error instanceof ReferenceError) {
+        return new RpcError(RpcErrorCode.INTERNAL_ERROR, 'Internal error');
+    }
+    return new RpcError(RpcErrorCode.APPLICATION_ERROR, error.message);
+}
+
+function errorResponse(id, error) {
+    const body = { code: error.code, message: error.message };
+    if (error.data !== undefined) body.data = error.data;
+    return { jsonrpc: '2.0', error: body, id };
+}
+
+module.exports = { JsonRpcServer, RpcError, RpcErrorCode, errorResponse };
@@ -0,0 +1,694 @@
+const { QuantumWallet, MalformedTransactionError } = require('../wallet/QuantumWallet');
+const { InvalidAddressError, assertQuantumAddress } = require('../wallet/Address');
+const { RpcError, RpcErrorCode } = require('./JsonRpcServer');
+const { createBitcoinHtlc } = require('../bitcoin/BitcoinHtlc');
+const { DeFiError } = require('../defi/QuantumDeFi');
+const { ContractError } = require('../contracts/ContractVM');
+const { contractJSON } = require('../contracts/ContractLedger');
+
+/**
+ * JSON-RPC methods of a Genesis node
+ * Namespaced by component (chain_, wallet_, token_, multisig_, htlc_, defi_, contract_, bridge_, consensus_,
+ * network_) and mirroring the REST API, so both interfaces stay backed by the same operations.
+ */
+
+const addressParam = (name = 'address', description = '') => ({ name, type: 'string', required: true, description });
+
+function found(value, what) {
+    if (value === null || value === undefined) {
+        throw new RpcError(RpcErrorCode.NOT_FOUND, `${what} not found`);
+    }
+    return value;
+}
+
+// An account address parameter, checked the way the REST routes check theirs
+function accountAddress(address) {
+    try {
+        return assertQuantumAddress(address);
+    } catch (error) {
+        if (error instanceof InvalidAddressError) {
+            throw new RpcError(RpcErrorCode.INVALID_PARAMS, error.message, { code: error.code });
+        }
+        throw error;
+    }
+}
+
+// Malformed transactions are bad parameters rather than chain rejections
+function rejectMalformed(operation) {
+    try {
+        return operation();
+    } catch (error) {
+        if (error instanceof MalformedTransactionError) {
+            throw new RpcError(RpcErrorCode.INVALID_PARAMS, error.message);
+        }
+        throw error;
+    }
+}
+
+function registerRpcMethods(rpc, app) {
+    const { blockchain, defiProtocol, bitcoinBridge, consensus, p2p } = app;
+
+    rpc.register('rpc_methods', {
+        description: 'List the available methods with their parameter schemas',
+        handler: () => rpc.listMethods()
+    });
+
+    // Chain
+    rpc.register('chain_getInfo', {
+        description: 'Chain name, height, difficulty and limits',
+        handler: () => ({
+            chain: app.chainSpec.name,
+            genesisHash: blockchain.chain[0].hash,
+            height: blockchain.chain.length - 1,
+            latestBlockHash: blockchain.getLatestBlock().hash,
+            difficulty: blockchain.getCurrentDifficulty(),
+            targetBlockTime: blockchain.targetBlockTime,
+            maxBlockTransactions: blockchain.maxBlockTransactions,
+            maxBlockSize: blockchain.maxBlockSize,
+            pendingTransactions: blockchain.pendingTransactions.length,
+            mining: blockchain.miningJob !== null
+        })
+    });
+
+    rpc.register('chain_getBlockByHash', {
+        description: 'Block on any branch, with whether it is on the main chain and its confirmations',
+        params: [{ name: 'hash', type: 'string', required: true }],
+        handler: ({ hash }) => found(blockchain.getBlockByHash(hash), 'Block')
+    });
+
+    rpc.register('chain_getBlockByNumber', {
+        description: 'Main-chain block at a height',
+        params: [{ name: 'index', type: 'integer', required: true }],
+        handler: ({ index }) => found(blockchain.chain[index], 'Block')
+    });
+
+    rpc.register('chain_getBlocks', {
+        description: 'Page through main-chain blocks; pass nextCursor back as cursor',
+        params: [
+            { name: 'limit', type: 'integer', description: 'At most 100, default 20' },
+            { name: 'cursor', type: 'string', description: 'Hash of the last block of the previous page' },
+            { name: 'from', type: 'integer', description: 'Lowest height, inclusive' },
+            { name: 'to', type: 'integer', description: 'Highest height, inclusive' },
+            { name: 'order', type: 'string', description: 'desc (default) or asc' }
+        ],
+        handler: options => blockchain.getBlocks(options)
+    });
+
+    rpc.register('chain_getTransaction', {
+        description: 'Pending or confirmed transaction with its block position and confirmations',
+        params: [{ name: 'txHash', type: 'string', required: true }],
+        handler: ({ txHash }) => found(blockchain.getTransaction(txHash), 'Transaction')
+    });
+
+    rpc.register('chain_getTransactionProof', {
+        description: 'Merkle inclusion proof for a mined transaction',
+        params: [{ name: 'txHash', type: 'string', required: true }],
+        handler: ({ txHash }) => found(blockchain.getTransactionProof(txHash), 'Transaction')
+    });
+
+    rpc.register('chain_getMempool', {
+        description: 'Pending transactions ordered by fee rate',
+        params: [{ name: 'offset', type: 'integer' }, { name: 'limit', type: 'integer' }],
+        handler: options => blockchain.getMempool(options)
+    });
+
+    rpc.register('chain_prepareTransaction', {
+        description: 'Unsigned transaction with the next nonce filled in; sign its txHash locally',
+        params: [
+            addressParam('fromAddress'),
+            addressParam('toAddress'),
+            { name: 'amount', type: 'number', required: true },
+            { name: 'asset', type: 'string', description: 'Token symbol; omit for QTC' },
+            { name: 'fee', type: 'number' },
+            { name: 'data', type: 'object' },
+            { name: 'nonce', type: 'integer', description: 'Defaults to the sender\'s next nonce' },
+            { name: 'validAfter', type: 'object', description: 'First block it may be mined in: { height } or { timestamp }' },
+            { name: 'validUntil', type: 'object', description: 'Last block it may be mined in: { height } or { timestamp }' }
+        ],
+        handler: fields => rejectMalformed(() => app.prepareTransaction(fields))
+    });
+
+    rpc.register('chain_submitTransaction', {
+        description: 'Add a transaction signed client-side to the pending pool',
+        params: [{ name: 'transaction', required: true, description: 'Serialized transaction, as a string or object' }],
+        handler: ({ transaction }) => ({
+            transactionHash: rejectMalformed(() => app.submitTransaction(transaction)).txHash
+        })
+    });
+
+    rpc.register('chain_mine', {
+        description: 'Mine the pending transactions into a block',
+        params: [addressParam('minerAddress', 'Receives the block reward and fees')],
+        handler: async ({ minerAddress }) => {
+            const block = await blockchain.minePendingTransactions(minerAddress);
+            return { blockHash: block.hash, height: block.index };
+        }
+    });
+
+    rpc.register('chain_cancelMining', {
+        description: 'Abort the block being mined',
+        handler: () => ({ cancelled: blockchain.cancelMining() })
+    });
+
+    // Wallet
+    rpc.register('wallet_getBalance', {
+        description: 'Confirmed balance of an address in QTC or a token',
+        params: [addressParam(), { name: 'asset', type: 'string', description: 'Token symbol; omit for QTC' }],
+        handler: ({ address, asset = 'QTC' }) => {
+            const account = accountAddress(address);
+            return { address: account, asset, balance: blockchain.getBalance(account, asset) };
+        }
+    });
+
+    rpc.register('wallet_getBalances', {
+        description: 'Confirmed QTC and token balances of an address',
+        params: [addressParam()],
+        handler: ({ address }) => {
+            const account = accountAddress(address);
+            return { address: account, balances: blockchain.getBalances(account) };
+        }
+    });
+
+    rpc.register('wallet_getNonce', {
+        description: 'Nonce for the next transaction, counting pending ones',
+        params: [addressParam()],
+        handler: ({ address }) => {
+            const account = accountAddress(address);
+            return {
+                address: account,
+                nonce: blockchain.getNextNonce(account),
+                confirmedNonce: blockchain.getNonce(account)
+            };
+        }
+    });
+
+    rpc.register('wallet_getTransactions', {
+        description: 'Confirmed transaction history of an address',
+        params: [addressParam()],
+        handler: ({ address }) => blockchain.getTransactionHistory(accountAddress(address))
+    });
+
+    // Server-held wallets exist only when the node enables them for development
+    if (app.devWallets) {
+        rpc.register('wallet_create', {
+            description: 'Create a wallet held by this node (development only)',
+            handler: () => {
+                const wallet = new QuantumWallet();
+                app.wallets.set(wallet.address, wallet);
+                return { address: wallet.address, publicKey: wallet.publicKey, balance: wallet.getBalance(blockchain) };
+            }
+        });
+
+        rpc.register('wallet_sendTransaction', {
+            description: 'Sign with a wallet held by this node and add the transaction to the pending pool (development only)',
+            params: [
+                addressParam('fromAddress'),
+                addressParam('toAddress'),
+                { name: 'amount', type: 'number', required: true },
+                { name: 'fee', type: 'number' }
+            ],
+            handler: ({ fromAddress, toAddress, amount, fee }) => {
+                const wallet = found(app.wallets.get(fromAddress), 'Wallet');
+                const transaction = wallet.createTransaction(toAddress, amount, {}, {
+                    nonce: blockchain.getNextNonce(fromAddress),
+                    fee
+                });
+                blockchain.addTransaction(transaction);
+                return { transactionHash: transaction.txHash };
+            }
+        });
+
+        rpc.register('wallet_importKeystore', {
+            description: 'Decrypt a keystore and hold its wallet on this node (development only)',
+            params: [
+                { name: 'keystore', type: 'object', required: true },
+                { name: 'password', type: 'string', required: true }
+            ],
+            handler: async ({ keystore, password }) => {
+                const wallet = await app.importKeystore(keystore, password);
+                return { address: wallet.address, publicKey: wallet.publicKey, remainingSignatures: wallet.remainingSignatures };
+            }
+        });
+
+        rpc.register('wallet_exportKeystore', {
+            description: 'Encrypt a wallet held by this node as a keystore (development only)',
+            params: [
+                addressParam('address'),
+                { name: 'password', type: 'string', required: true }
+            ],
+            handler: async ({ address, password }) => found(await app.exportKeystore(address, password), 'Wallet')
+        });
+    }
+
+    // Tokens
+    rpc.register('token_list', {
+        description: 'Every token on the chain with its supply',
+        handler: () => blockchain.tokens.list()
+    });
+
+    rpc.register('token_get', {
+        description: 'A token by symbol',
+        params: [{ name: 'symbol', type: 'string', required: true }],
+        handler: ({ symbol }) => found(blockchain.tokens.get(symbol), 'Token')
+    });
+
+    rpc.register('token_prepareCreate', {
+        description: 'Unsigned transaction creating a token; sign its txHash as the creator',
+        params: [
+            addressParam('creator'),
+            { name: 'symbol', type: 'string', required: true, description: '2-12 capitals and digits' },
+            { name: 'decimals', type: 'integer', required: true },
+            { name: 'supply', type: 'integer', required: true, description: 'Initial supply in the smallest unit' },
+            { name: 'mintAuthority', type: 'string', description: 'Address allowed to mint more; omit for a fixed supply' },
+            { name: 'recipient', type: 'string', description: 'Receives the initial supply; defaults to the creator' },
+            { name: 'fee', type: 'number' }
+        ],
+        handler: fields => rejectMalformed(() => app.prepareTokenCreation(fields))
+    });
+
+    rpc.register('token_prepareMint', {
+        description: 'Unsigned transaction minting a token; sign its txHash as the mint authority',
+        params: [
+            { name: 'symbol', type: 'string', required: true },
+            addressParam('toAddress'),
+            { name: 'amount', type: 'integer', required: true },
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ symbol, ...fields }) => {
+            found(blockchain.tokens.get(symbol), 'Token');
+            return rejectMalformed(() => app.prepareTokenMint(symbol, fields));
+        }
+    });
+
+    // Multisig
+    rpc.register('multisig_create', {
+        description: 'Register an M-of-N account and return its address',
+        params: [
+            { name: 'threshold', type: 'integer', required: true },
+            { name: 'publicKeys', type: 'array', required: true }
+        ],
+        handler: ({ threshold, publicKeys }) => app.multisig.createAccount(threshold, publicKeys).toJSON()
+    });
+
+    rpc.register('multisig_getAccount', {
+        description: 'Policy, balance, next nonce and open proposals of a multisig account',
+        params: [addressParam()],
+        handler: ({ address }) => {
+            const account = found(app.multisig.getAccount(address), 'Multisig account');
+            return {
+                ...account.toJSON(),
+                balance: blockchain.getBalance(address),
+                nonce: app.multisig.getNextNonce(address),
+                proposals: app.multisig.getProposals(address)
+            };
+        }
+    });
+
+    rpc.register('multisig_propose', {
+        description: 'Open a transaction from a multisig account for co-signing',
+        params: [
+            addressParam('address'),
+            addressParam('toAddress'),
+            { name: 'amount', type: 'number', required: true },
+            { name: 'fee', type: 'number' },
+            { name: 'data', type: 'object' },
+            { name: 'nonce', type: 'integer', description: 'Defaults to the next nonce not reserved by another proposal' },
+            { name: 'validAfter', type: 'object', description: 'First block it may be mined in: { height } or { timestamp }' },
+            { name: 'validUntil', type: 'object', description: 'Last block it may be mined in: { height } or { timestamp }' }
+        ],
+        handler: ({ address, ...fields }) => rejectMalformed(() => app.multisig.propose(address, fields))
+    });
+
+    rpc.register('multisig_getProposal', {
+        description: 'A proposal with its signing progress',
+        params: [{ name: 'txHash', type: 'string', required: true }],
+        handler: ({ txHash }) => found(app.multisig.getProposal(txHash), 'Proposal')
+    });
+
+    rpc.register('multisig_sign', {
+        description: "Add a co-signer's signature over the proposal txHash",
+        params: [
+            { name: 'txHash', type: 'string', required: true },
+            { name: 'publicKey', type: 'string', required: true },
+            { name: 'signature', type: 'string', required: true }
+        ],
+        handler: ({ txHash, publicKey, signature }) => app.multisig.addSignature(txHash, publicKey, signature)
+    });
+
+    rpc.register('multisig_broadcast', {
+        description: 'Add a proposal that meets its threshold to the pending pool',
+        params: [{ name: 'txHash', type: 'string', required: true }],
+        handler: ({ txHash }) => ({ transactionHash: app.multisig.broadcast(txHash).txHash })
+    });
+
+    // Hash time-locked contracts
+    const htlcTerms = [
+        addressParam('sender'),
+        addressParam('recipient'),
+        { name: 'hashlock', type: 'string', required: true, description: 'SHA-256 of the preimage, hex' },
+        { name: 'timelock', type: 'integer', required: true, description: 'Height from which the sender may refund' }
+    ];
+
+    rpc.register('htlc_create', {
+        description: 'Register HTLC terms and return the contract address to fund',
+        params: htlcTerms,
+        handler: terms => app.htlcs.describe(app.htlcs.create(terms).address)
+    });
+
+    rpc.register('htlc_get', {
+        description: 'Terms, balance, status and any revealed preimage of an HTLC',
+        params: [addressParam()],
+        handler: ({ address }) => {
+            found(app.htlcs.get(address), 'HTLC');
+            return app.htlcs.describe(address);
+        }
+    });
+
+    rpc.register('htlc_prepareClaim', {
+        description: 'Unsigned spend paying an HTLC to its recipient with the preimage; sign its txHash as the recipient',
+        params: [
+            addressParam(),
+            { name: 'preimage', type: 'string', required: true },
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ address, preimage, fee }) => {
+            const transaction = app.htlcs.prepareClaim(address, preimage, { fee });
+            return { amount: transaction.amount, ...app.preparedTransaction(transaction) };
+        }
+    });
+
+    rpc.register('htlc_prepareRefund', {
+        description: 'Unsigned spend returning an HTLC to its sender from the timelock height on; sign its txHash as the sender',
+        params: [addressParam(), { name: 'fee', type: 'number' }],
+        handler: ({ address, fee }) => {
+            const transaction = app.htlcs.prepareRefund(address, { fee });
+            return { amount: transaction.amount, ...app.preparedTransaction(transaction) };
+        }
+    });
+
+    rpc.register('htlc_bitcoinScript', {
+        description: 'P2WSH Bitcoin HTLC with the same hashlock, for the other leg of an atomic swap',
+        params: [
+            { name: 'hashlock', type: 'string', required: true },
+            { name: 'recipientPublicKey', type: 'string', required: true },
+            { name: 'refundPublicKey', type: 'string', required: true },
+            { name: 'locktime', type: 'integer', required: true, description: 'Bitcoin block height' },
+            { name: 'network', type: 'string', description: 'mainnet, testnet or regtest (default)' }
+        ],
+        handler: options => {
+            try {
+                return createBitcoinHtlc(options);
+            } catch (error) {
+                throw new RpcError(RpcErrorCode.INVALID_PARAMS, error.message);
+            }
+        }
+    });
+
+    // DeFi: every operation returns its quote and the unsigned transaction; sign its txHash as the user
+    const poolParam = { name: 'poolId', type: 'string', required: true };
+    // Refused quotes are failed operations; the chain's own rejections keep their REJECTED code
+    const prepareDeFi = operation => rejectMalformed(() => {
+        try {
+            return app.prepareDeFiOperation(operation());
+        } catch (error) {
+            if (!(error instanceof DeFiError)) throw error;
+            if (error.code === 'POOL_NOT_FOUND') throw new RpcError(RpcErrorCode.NOT_FOUND, error.message);
+            throw new RpcError(RpcErrorCode.APPLICATION_ERROR, error.message, { code: error.code });
+        }
+    });
+
+    rpc.register('defi_getPools', {
+        description: 'All pools on the chain, or those of one kind',
+        params: [{ name: 'kind', type: 'string', description: 'liquidity, staking or lending' }],
+        handler: ({ kind }) => defiProtocol.getPools(kind ?? null)
+    });
+
+    rpc.register('defi_getPool', {
+        description: 'A pool by address, with its positions',
+        params: [poolParam],
+        handler: ({ poolId }) => found(defiProtocol.getPool(poolId), 'Pool')
+    });
+
+    rpc.register('defi_createPool', {
+        description: 'Create a liquidity pool with initial reserves',
+        params: [
+            { name: 'tokenA', type: 'string', required: true, description: 'QTC or a token symbol' },
+            { name: 'tokenB', type: 'string', required: true },
+            { name: 'amountA', type: 'number', required: true },
+            { name: 'amountB', type: 'number', required: true },
+            addressParam('creator'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ tokenA, tokenB, amountA, amountB, creator, fee }) =>
+            prepareDeFi(() => defiProtocol.createLiquidityPool(tokenA, tokenB, amountA, amountB, creator, { fee }))
+    });
+
+    rpc.register('defi_addLiquidity', {
+        description: 'Deposit both tokens of a pool at its current ratio',
+        params: [
+            poolParam,
+            { name: 'amountA', type: 'number', required: true },
+            { name: 'amountB', type: 'number', required: true },
+            addressParam('provider'),
+            { name: 'minLiquidity', type: 'number', description: 'Fewest shares to accept' },
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ poolId, amountA, amountB, provider, minLiquidity, fee }) =>
+            prepareDeFi(() => defiProtocol.addLiquidity(poolId, amountA, amountB, provider, { minLiquidity, fee }))
+    });
+
+    rpc.register('defi_removeLiquidity', {
+        description: 'Redeem liquidity tokens for a share of the reserves',
+        params: [
+            poolParam,
+            { name: 'liquidity', type: 'number', required: true },
+            addressParam('provider'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ poolId, liquidity, provider, fee }) =>
+            prepareDeFi(() => defiProtocol.removeLiquidity(poolId, liquidity, provider, { fee }))
+    });
+
+    rpc.register('defi_swap', {
+        description: 'Swap one token of a pool for the other',
+        params: [
+            poolParam,
+            { name: 'tokenIn', type: 'string', required: true },
+            { name: 'amountIn', type: 'number', required: true },
+            { name: 'minAmountOut', type: 'number', required: true },
+            addressParam('trader'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ poolId, tokenIn, amountIn, minAmountOut, trader, fee }) =>
+            prepareDeFi(() => defiProtocol.swap(poolId, tokenIn, amountIn, minAmountOut, trader, { fee }))
+    });
+
+    rpc.register('defi_createStakingPool', {
+        description: 'Create a staking pool funded with a reward budget',
+        params: [
+            { name: 'stakingToken', type: 'string', required: true },
+            { name: 'rewardToken', type: 'string', required: true },
+            { name: 'rewardRate', type: 'number', required: true, description: 'Rewards per second, shared by all stakers' },
+            { name: 'rewards', type: 'number', required: true, description: 'Reward budget deposited by the creator' },
+            addressParam('creator'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ stakingToken, rewardToken, rewardRate, rewards, creator, fee }) =>
+            prepareDeFi(() => defiProtocol.createStakingPool(stakingToken, rewardToken, rewardRate, rewards, creator, { fee }))
+    });
+
+    rpc.register('defi_stake', {
+        description: 'Deposit the staking token',
+        params: [poolParam, { name: 'amount', type: 'number', required: true }, addressParam('staker'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, amount, staker, fee }) => prepareDeFi(() => defiProtocol.stake(poolId, amount, staker, { fee }))
+    });
+
+    rpc.register('defi_unstake', {
+        description: 'Withdraw staked tokens',
+        params: [poolParam, { name: 'amount', type: 'number', required: true }, addressParam('staker'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, amount, staker, fee }) => prepareDeFi(() => defiProtocol.unstake(poolId, amount, staker, { fee }))
+    });
+
+    rpc.register('defi_claimRewards', {
+        description: 'Withdraw the rewards earned so far',
+        params: [poolParam, addressParam('staker'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, staker, fee }) => prepareDeFi(() => defiProtocol.claimRewards(poolId, staker, { fee }))
+    });
+
+    rpc.register('defi_createLendingPool', {
+        description: 'Create a lending pool with its first supply',
+        params: [
+            { name: 'asset', type: 'string', required: true },
+            { name: 'interestRate', type: 'number', required: true },
+            { name: 'collateralRatio', type: 'number', description: 'Required collateral, percent of the loan' },
+            { name: 'supply', type: 'number', required: true },
+            { name: 'collateralAsset', type: 'string', description: 'Defaults to the lent asset' },
+            addressParam('creator'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ asset, interestRate, collateralRatio, supply, collateralAsset, creator, fee }) =>
+            prepareDeFi(() => defiProtocol.createLendingPool(asset, interestRate, collateralRatio, supply, creator, { collateralAsset, fee }))
+    });
+
+    rpc.register('defi_supply', {
+        description: 'Supply liquidity to a lending pool',
+        params: [poolParam, { name: 'amount', type: 'number', required: true }, addressParam('supplier'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, amount, supplier, fee }) => prepareDeFi(() => defiProtocol.supply(poolId, amount, supplier, { fee }))
+    });
+
+    rpc.register('defi_withdraw', {
+        description: 'Withdraw supplied liquidity',
+        params: [poolParam, { name: 'amount', type: 'number', required: true }, addressParam('supplier'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, amount, supplier, fee }) => prepareDeFi(() => defiProtocol.withdraw(poolId, amount, supplier, { fee }))
+    });
+
+    rpc.register('defi_borrow', {
+        description: 'Borrow against a deposit of collateral',
+        params: [
+            poolParam,
+            { name: 'amount', type: 'number', required: true },
+            { name: 'collateralAmount', type: 'number', required: true },
+            addressParam('borrower'),
+            { name: 'fee', type: 'number' }
+        ],
+        handler: ({ poolId, amount, collateralAmount, borrower, fee }) =>
+            prepareDeFi(() => defiProtocol.borrow(poolId, amount, collateralAmount, borrower, { fee }))
+    });
+
+    rpc.register('defi_repay', {
+        description: 'Repay a loan and release the same share of its collateral',
+        params: [poolParam, { name: 'amount', type: 'number', required: true }, addressParam('borrower'), { name: 'fee', type: 'number' }],
+        handler: ({ poolId, amount, borrower, fee }) => prepareDeFi(() => defiProtocol.repay(poolId, amount, borrower, { fee }))
+    });
+
+    // Contracts: deploy and call return the unsigned transaction; sign its txHash as the sender
+    const contractParams = [
+        { name: 'args', type: 'array', description: 'Up to 16 safe integers or strings' },
+        { name: 'gasLimit', type: 'integer' },
+        { name: 'fee', type: 'number', description: 'Defaults to gasLimit * gasPrice' }
+    ];
+    // Bad code, methods and arguments fail the operation; the chain's own rejections keep their REJECTED code
+    const contractOperation = operation => rejectMalformed(() => {
+        try {
+            return operation();
+        } catch (error) {
+            if (!(error instanceof ContractError)) throw error;
+            if (error.code === 'CONTRACT_NOT_FOUND') throw new RpcError(RpcErrorCode.NOT_FOUND, error.message);
+            throw new RpcError(RpcErrorCode.APPLICATION_ERROR, error.message, { code: error.code });
+        }
+    });
+
+    rpc.register('contract_get', {
+        description: 'A contract by address, with its code and storage',
+        params: [addressParam()],
+        handler: ({ address }) => contractJSON(found(blockchain.contracts.get(address), 'Contract'))
+    });
+
+    rpc.register('contract_getReceipt', {
+        description: 'Status, gas used, return value and logs of a confirmed contract transaction',
+        params: [{ name: 'txHash', type: 'string', required: true }],
+        handler: ({ txHash }) => found(blockchain.contracts.getReceipt(txHash), 'Receipt')
+    });
+
+    rpc.register('contract_prepareDeploy', {
+        description: 'Unsigned transaction deploying a contract from assembly source, or from assembled code and entrypoints',
+        params: [
+            addressParam('creator'),
+            { name: 'source', type: 'string' },
+            { name: 'code', type: 'string', description: 'Hex bytecode' },
+            { name: 'entrypoints', type: 'object', description: 'Entry point name -> code offset' },
+            ...contractParams
+        ],
+        handler: fields => contractOperation(() => app.prepareContractDeploy(fields))
+    });
+
+    rpc.register('contract_prepareCall', {
+        description: 'Unsigned transaction calling a contract method',
+        params: [addressParam(), addressParam('caller'), { name: 'method', type: 'string', required: true }, ...contractParams],
+        handler: ({ address, ...fields }) => contractOperation(() => app.prepareContractCall(address, fields))
+    });
+
+    rpc.register('contract_query', {
+        description: 'Run a method against confirmed storage without a transaction; nothing is kept',
+        params: [
+            addressParam(),
+            { name: 'method', type: 'string', required: true },
+            { name: 'args', type: 'array' },
+            { name: 'caller', type: 'string', description: 'Value of CALLER; defaults to an empty string' }
+        ],
+        handler: ({ address, ...fields }) => contractOperation(() => app.queryContract(address, fields))
+    });
+
+    // Bitcoin bridge
+    rpc.register('bridge_lockBitcoin', {
+        description: 'Mint quantum tokens against a Bitcoin lock transaction',
+        params: [
+            { name: 'bitcoinTxHash', type: 'string', required: true },
+            { name: 'amount', type: 'number', required: true },
+            addressParam('quantumRecipient')
+        ],
+        handler: ({ bitcoinTxHash, amount, quantumRecipient }) =>
+            bitcoinBridge.lockBitcoinAndMint(bitcoinTxHash, amount, quantumRecipient)
+    });
+
+    rpc.register('bridge_burnQuantum', {
+        description: 'Burn quantum tokens and release Bitcoin',
+        params: [
+            addressParam('quantumSender'),
+            { name: 'amount', type: 'number', required: true },
+            addressParam('bitcoinRecipient')
+        ],
+        handler: ({ quantumSender, amount, bitcoinRecipient }) =>
+            bitcoinBridge.burnQuantumAndUnlock(quantumSender, amount, bitcoinRecipient)
+    });
+
+    rpc.register('bridge_getTransfer', {
+        description: 'A bridge transfer and its status',
+        params: [{ name: 'transferId', type: 'string', required: true }],
+        handler: ({ transferId }) => found(bitcoinBridge.getTransfer(transferId), 'Transfer')
+    });
+
+    rpc.register('bridge_getTransferHistory', {
+        description: 'Bridge transfers of a quantum address, newest first',
+        params: [addressParam()],
+        handler: ({ address: account }) => bitcoinBridge.getTransferHistory(account)
+    });
+
+    rpc.register('bridge_getStats', {
+        description: 'Bridge totals and fee',
+        handler: () => bitcoinBridge.getBridgeStats()
+    });
+
+    // Consensus
+    rpc.register('consensus_getStats', {
+        description: 'Epoch, stake and validator totals',
+        handler: () => consensus.getConsensusStats()
+    });
+
+    rpc.register('consensus_getValidators', {
+        description: 'All registered validators',
+        handler: () => Array.from(consensus.validators.values())
+    });
+
+    rpc.register('consensus_registerValidator', {
+        description: 'Register a validator with its initial stake',
+        params: [
+            addressParam(),
+            { name: 'publicKey', type: 'string', required: true },
+            { name: 'initialStake', type: 'number', required: true }
+        ],
+        handler: ({ address: account, publicKey, initialStake }) => consensus.registerValidator(account, publicKey, initialStake)
+    });
+
+    // Network
+    rpc.register('network_getPeers', {
+        description: 'Connected peers and this node\'s id',
+        handler: () => ({
+            nodeId: p2p.nodeId,
+            listening: p2p.server ? p2p.port : null,
+            peers: p2p.getPeers()
+        })
+    });
+}
+
+module.exports = { registerRpcMethods };
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable chain storage for the Genesis blockchain
+ * Blocks are persisted as an append-only log with a separate index of the main chain.
+ * Blocks on side branches stay in the log so a later reorganisation can switch to them.
+ */
+
+class MemoryChainStorage {
+    constructor() {
+        // Keep serialized copies so tests exercise the same JSON round-trip as disk storage
+        this.blocks = new Map(); // hash -> serialized block
+        this.chain = []; // main chain hashes
+        this.pendingTransactions = '[]';
+    }
+
+    load() {
+        const mainChain = new Set(this.chain);
+
+        return {
+            blocks: this.chain.map(hash => JSON.parse(this.blocks.get(hash))),
+            sideBlocks: Array.from(this.blocks.keys())
+                .filter(hash => !mainChain.has(hash))
+                .map(hash => JSON.parse(this.blocks.get(hash))),
+            pendingTransactions: JSON.parse(this.pendingTransactions)
+        };
+    }
+
+    appendBlock(block) {
+        this.putBlock(block);
+        this.chain.push(block.hash);
+    }
+
+    putBlock(block) {
+        this.blocks.set(block.hash, JSON.stringify(block));
+    }
+
+    setMainChain(hashes) {
+        this.chain = [...hashes];
+    }
+
+    savePendingTransactions(transactions) {
+        this.pendingTransactions = JSON.stringify(transactions);
+    }
+}
+
+class FileChainStorage {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.logPath = path.join(dataDir, 'blocks.log');
+        this.indexPath = path.join(dataDir, 'index.json');
+        this.mempoolPath = path.join(dataDir, 'mempool.json');
+
+        fs.mkdirSync(dataDir, { recursive: true });
+
+        // Index entries: { index, hash, offset, length } for every block in the log
+        this.entries = new Map();
+        this.chain = []; // main chain hashes
+        this.logSize = 0;
+    }
+
+    load() {
+        const stored = this.readJsonFile(this.indexPath, { version: 1, chain: [], side: [] });
+        this.entries = new Map([...stored.chain, ...(stored.side || [])].map(entry => [entry.hash, entry]));
+        this.chain = stored.chain.map(entry => entry.hash);
+        this.logSize = fs.existsSync(this.logPath) ? fs.statSync(this.logPath).size : 0;
+
+        this.recoverUnindexedBlocks();
+
+        const mainChain = new Set(this.chain);
+        const sideHashes = Array.from(this.entries.keys()).filter(hash => !mainChain.has(hash));
+
+        let blocks = [];
+        let sideBlocks = [];
+        if (this.entries.size > 0) {
+            const fd = fs.openSync(this.logPath, 'r');
+            try {
+                blocks = this.chain.map(hash => this.readBlock(fd, this.entries.get(hash)));
+                sideBlocks = sideHashes.map(hash => this.readBlock(fd, this.entries.get(hash)));
+            } finally {
+                fs.closeSync(fd);
+            }
+        }
+
+        return {
+            blocks,
+            sideBlocks,
+            pendingTransactions: this.readJsonFile(this.mempoolPath, [])
+        };
+    }
+
+    appendBlock(block) {
+        this.writeBlock(block);
+        this.chain.push(block.hash);
+        this.writeIndex();
+    }
+
+    putBlock(block) {
+        this.writeBlock(block);
+        this.writeIndex();
+    }
+
+    setMainChain(hashes) {
+        this.chain = [...hashes];
+        this.writeIndex();
+    }
+
+    savePendingTransactions(transactions) {
+        this.writeJsonFileAtomic(this.mempoolPath, transactions);
+    }
+
+    writeBlock(block) {
+        if (this.entries.has(block.hash)) return;
+
+        const line = Buffer.from(JSON.stringify(block) + '\n', 'utf8');
+        fs.appendFileSync(this.logPath, line);
+
+        this.entries.set(block.hash, {
+            index: block.index,
+            hash: block.hash,
+            offset: this.logSize,
+            length: line.length - 1
+        });
+        this.logSize += line.length;
+    }
+
+    readBlock(fd, entry) {
+        const buffer = Buffer.alloc(entry.length);
+        fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+        return JSON.parse(buffer.toString('utf8'));
+    }
+
+    // A crash between appending to the log and rewriting the index leaves complete
+    // blocks past the last indexed offset, or a torn final line. Re-index the former
+    // and truncate the latter so the log stays append-only and parseable.
+    recoverUnindexedBlocks() {
+        const offset = Array.from(this.entries.values())
+            .reduce((end, entry) => Math.max(end, entry.offset + entry.length + 1), 0);
+
+        if (offset >= this.logSize) return;
+
+        const tail = fs.readFileSync(this.logPath).subarray(offset);
+        let recovered = false;
+        let start = 0;
+
+        while (start < tail.length) {
+            const end = tail.indexOf(0x0a, start);
+            if (end === -1) break;
+
+            let block;
+            try {
+                block = JSON.parse(tail.subarray(start, end).toString('utf8'));
+            } catch (error) {
+                break;
+            }
+
+            this.entries.set(block.hash, { index: block.index, hash: block.hash, offset: offset + start, length: end - start });
+            if (block.previousHash === this.chain[this.chain.length - 1]) {
+                this.chain.push(block.hash);
+            }
+            recovered = true;
+            start = end + 1;
+        }
+
+        if (offset + start < this.logSize) {
+            fs.truncateSync(this.logPath, offset + start);
+            this.logSize = offset + start;
+        }
+
+        if (recovered) {
+            this.writeIndex();
+        }
+    }
+
+    writeIndex() {
+        const mainChain = new Set(this.chain);
+
+        this.writeJsonFileAtomic(this.indexPath, {
+            version: 1,
+            chain: this.chain.map(hash => this.entries.get(hash)),
+            side: Array.from(this.entries.values()).filter(entry => !mainChain.has(entry.hash))
+        });
+    }
+
+    readJsonFile(filePath, fallback) {
+        if (!fs.existsSync(filePath)) return fallback;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    writeJsonFileAtomic(filePath, value) {
+        const tmpPath = filePath + '.tmp';
+        fs.writeFileSync(tmpPath, JSON.stringify(value));
+        fs.renameSync(tmpPath, filePath);
+    }
+}
+
+module.exports = { MemoryChainStorage, FileChainStorage };
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { bech32m } = require('bech32');
+const { QuantumKeyPair } = require('../crypto/QuantumSignature');
+
+/**
+ * Quantum Genesis addresses
+ * bech32m strings with the human-readable part "qb": one version word followed by the
+ * program bytes, like a SegWit v1 Bitcoin address. Version 0 programs are the SHA-256 of an
+ * XMSS^MT public key, version 1 programs of an M-of-N multisig policy, version 2 programs of
+ * hash time-locked contract terms and version 3 programs of the address and nonce of the
+ * transaction that created an account held by chain rules, such as a DeFi pool or a contract.
+ * The checksum catches any typo of up to four characters, so a mistyped recipient is rejected
+ * instead of silently burning funds.
+ *
+ * Only the lowercase form is valid: balances and nonces are keyed by the address string.
+ */
+
+const ADDRESS_HRP = 'qb';
+const ADDRESS_VERSION = 0;
+const MULTISIG_ADDRESS_VERSION = 1;
+const HTLC_ADDRESS_VERSION = 2;
+const CREATED_ADDRESS_VERSION = 3;
+const ADDRESS_VERSIONS = [ADDRESS_VERSION, MULTISIG_ADDRESS_VERSION, HTLC_ADDRESS_VERSION, CREATED_ADDRESS_VERSION];
+const PROGRAM_LENGTH = 32;
+const MAX_ADDRESS_LENGTH = 90;
+const MAX_COSIGNERS = 15;
+
+class InvalidAddressError extends Error {
+    constructor(address, reason, label = 'address') {
+        super(`Invalid ${label} ${JSON.stringify(address)}: ${reason}`);
+        this.name = 'InvalidAddressError';
+        this.code = 'INVALID_ADDRESS';
+        this.reason = reason;
+    }
+}
+
+function encodeAddress(program, version = ADDRESS_VERSION) {
+    if (!Buffer.isBuffer(program) || program.length !== PROGRAM_LENGTH) {
+        throw new Error(`Address program must be ${PROGRAM_LENGTH} bytes`);
+    }
+    return bech32m.encode(ADDRESS_HRP, [version, ...bech32m.toWords(program)], MAX_ADDRESS_LENGTH);
+}
+
+// Returns { version, program }; throws InvalidAddressError saying what is wrong
+function decodeAddress(address, label = 'address') {
+    const fail = reason => { throw new InvalidAddressError(address, reason, label); };
+
+    if (typeof address !== 'string') fail('must be a string');
+    if (address !== address.toLowerCase()) fail('must be lowercase');
+
+    let decoded;
+    try {
+        decoded = bech32m.decode(address, MAX_ADDRESS_LENGTH);
+    } catch (error) {
+        fail('bad checksum or encoding');
+    }
+
+    if (decoded.prefix !== ADDRESS_HRP) fail(`expected the ${ADDRESS_HRP}1 prefix`);
+    const [version, ...words] = decoded.words;
+    if (!ADDRESS_VERSIONS.includes(version)) fail(`unsupported address version ${version}`);
+
+    const program = bech32m.fromWordsUnsafe(words);
+    if (!program || program.length !== PROGRAM_LENGTH) fail(`program must be ${PROGRAM_LENGTH} bytes`);
+
+    return { version, program: Buffer.from(program) };
+}
+
+function isValidQuantumAddress(address) {
+    try {
+        decodeAddress(address);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Entry points call this on user-supplied addresses; returns the address unchanged
+function assertQuantumAddress(address, label = 'address') {
+    decodeAddress(address, label);
+    return address;
+}
+
+function addressFromPublicKey(publicKey) {
+    return encodeAddress(crypto.createHash('sha256').update(publicKey).digest());
+}
+
+// Throws unless the policy is canonical: 1 to MAX_COSIGNERS distinct public keys in ascending
+// order and 1 <= threshold <= the number of keys. See Multisig.js
+function addressFromMultisig(threshold, publicKeys) {
+    if (!Array.isArray(publicKeys) || publicKeys.length === 0 || publicKeys.length > MAX_COSIGNERS) {
+        throw new Error(`A multisig policy needs 1 to ${MAX_COSIGNERS} public keys`);
+    }
+    if (!publicKeys.every(publicKey => QuantumKeyPair.isValidPublicKey(publicKey))) {
+        throw new Error('Multisig public keys must be XMSS^MT public keys');
+    }
+    if (publicKeys.some((publicKey, index) => index > 0 && publicKey <= publicKeys[index - 1])) {
+        throw new Error('Multisig public keys must be distinct and in ascending order');
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+        throw new Error(`Multisig threshold must be between 1 and ${publicKeys.length}`);
+    }
+
+    const policy = JSON.stringify({ threshold, publicKeys });
+    return encodeAddress(crypto.createHash('sha256').update(policy).digest(), MULTISIG_ADDRESS_VERSION);
+}
+
+// Throws unless the terms are two valid addresses, a SHA-256 hashlock as 64 lowercase hex
+// characters and a positive timelock height. See Htlc.js
+function addressFromHtlc({ sender, recipient, hashlock, timelock } = {}) {
+    assertQuantumAddress(sender, 'HTLC sender address');
+    assertQuantumAddress(recipient, 'HTLC recipient address');
+    if (typeof hashlock !== 'string' || !/^[0-9a-f]{64}$/.test(hashlock)) {
+        throw new Error('HTLC hashlock must be a SHA-256 hash as 64 lowercase hex characters');
+    }
+    if (!Number.isSafeInteger(timelock) || timelock < 1) {
+        throw new Error('HTLC timelock must be a positive block height');
+    }
+
+    const terms = JSON.stringify({ sender, recipient, hashlock, timelock });
+    return encodeAddress(crypto.createHash('sha256').update(terms).digest(), HTLC_ADDRESS_VERSION);
+}
+
+// Address of the account created by the transaction with this sender and nonce; see DeFiLedger.js
+// and contracts/ContractLedger.js
+function addressFromCreation(creator, nonce) {
+    assertQuantumAddress(creator, 'creator address');
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+        throw new Error('Creation nonce must be a non-negative integer');
+    }
+
+    const creation = JSON.stringify({ creator, nonce });
+    return encodeAddress(crypto.createHash('sha256').update(creation).digest(), CREATED_ADDRESS_VERSION);
+}
+
+module.exports = {
+    ADDRESS_HRP,
+    ADDRESS_VERSION,
+    MULTISIG_ADDRESS_VERSION,
+    HTLC_ADDRESS_VERSION,
+    CREATED_ADDRESS_VERSION,
+    MAX_COSIGNERS,
+    InvalidAddressError,
+    encodeAddress,
+    decodeAddress,
+    isValidQuantumAddress,
+    assertQuantumAddress,
+    addressFromPublicKey,
+    addressFromMultisig,
+    addressFromHtlc,
+    addressFromCreation
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { QuantumWallet } = require('./QuantumWallet');
+const { generateMnemonic, validateMnemonic, mnemonicToSeed } = require('./Mnemonic');
+
+/**
+ * Hierarchical deterministic wallets
+ * One BIP39 seed derives any number of QuantumWallet keys along paths of the form
+ * m/44'/1977'/<account>'/0'/<index>'. Hash-based keys have no public derivation, so every
+ * step is hardened (SLIP-0010 style HMAC-SHA512 chaining): extended public keys cannot be
+ * shared, and deriving deposit addresses needs the seed.
+ *
+ * XMSS^MT keys are stateful. A derived wallet does not know which one-time keys it has
+ * used, so it refuses to sign until syncWithChain() has skipped those used on chain.
+ */
+
+const HARDENED_OFFSET = 0x80000000;
+const MASTER_KEY_SALT = 'Quantum Genesis seed';
+const PURPOSE = 44;
+const COIN_TYPE = 1977; // not registered in SLIP-0044; identifies Genesis keys in paths
+const CHANGE = 0; // external chain; kept for BIP44 path compatibility
+
+class HDWallet {
+    constructor(seed, options = {}) {
+        if (!Buffer.isBuffer(seed) || seed.length < 16 || seed.length > 64) {
+            throw new Error('HD seed must be 16 to 64 bytes');
+        }
+
+        this.mnemonic = options.mnemonic || null;
+        this.keyOptions = options.keyOptions || {}; // passed to each derived QuantumWallet
+
+        const master = crypto.createHmac('sha512', MASTER_KEY_SALT).update(seed).digest();
+        this.masterKey = master.subarray(0, 32);
+        this.masterChainCode = master.subarray(32);
+    }
+
+    static generate(options = {}) {
+        const mnemonic = generateMnemonic(options.strength);
+        return HDWallet.fromMnemonic(mnemonic, options.passphrase, options);
+    }
+
+    static fromMnemonic(mnemonic, passphrase = '', options = {}) {
+        if (!validateMnemonic(mnemonic)) {
+            throw new Error('Invalid mnemonic phrase');
+        }
+        return new HDWallet(mnemonicToSeed(mnemonic, passphrase), { ...options, mnemonic });
+    }
+
+    static path(account = 0, index = 0) {
+        return `m/${PURPOSE}'/${COIN_TYPE}'/${account}'/${CHANGE}'/${index}'`;
+    }
+
+    // Parse "m/44'/1977'/0'/0'/5'" into child numbers; every level must be hardened
+    static parsePath(path) {
+        const segments = path.split('/');
+        if (segments[0] !== 'm') throw new Error(`Derivation path must start with m: ${path}`);
+
+        return segments.slice(1).map(segment => {
+            const match = /^(\d+)['h]$/.exec(segment);
+            if (!match) throw new Error(`Only hardened derivation is supported: ${segment}`);
+
+            const index = Number(match[1]);
+            if (index >= HARDENED_OFFSET) throw new Error(`Derivation index out of range: ${segment}`);
+            return index + HARDENED_OFFSET;
+        });
+    }
+
+    // 32-byte private key at a path
+    deriveKey(path) {
+        let key = this.masterKey;
+        let chainCode = this.masterChainCode;
+
+        for (const childNumber of HDWallet.parsePath(path)) {
+            const data = Buffer.alloc(37);
+            key.copy(data, 1);
+            data.writeUInt32BE(childNumber, 33);
+
+            const child = crypto.createHmac('sha512', chainCode).update(data).digest();
+            key = child.subarray(0, 32);
+            chainCode = child.subarray(32);
+        }
+
+        return key;
+    }
+
+    deriveWallet(account = 0, index = 0) {
+        const wallet = new QuantumWallet(this.deriveKey(HDWallet.path(account, index)).toString('hex'), this.keyOptions);
+        wallet.derivationPath = HDWallet.path(account, index);
+        return wallet;
+    }
+
+    // Addresses only, e.g. to look up balances after a restore
+    deriveAddresses(account = 0, count = 1, start = 0) {
+        return Array.from({ length: count }, (_, offset) => this.deriveWallet(account, start + offset).address);
+    }
+}
+
+module.exports = { HDWallet };
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { QuantumTransaction } = require('./QuantumWallet');
+const { addressFromHtlc } = require('./Address');
+
+/**
+ * Hash time-locked contracts
+ * An HTLC locks funds to a recipient under a SHA-256 hashlock and a block-height timelock. Its
+ * address (version 2) is the hash of those terms, and anyone funds it with an ordinary transfer.
+ * The recipient claims the funds by revealing the 32-byte preimage of the hashlock; from the
+ * timelock height on, the sender can take them back with a refund. The party a spend pays signs
+ * it, and both spend the contract's next nonce, so only one of them confirms.
+ *
+ * A Bitcoin HTLC with the same hashlock (see bitcoin/BitcoinHtlc.js) makes an atomic swap: the
+ * claim on one chain reveals the preimage that unlocks the other.
+ */
+
+class HtlcError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'HtlcError';
+        this.code = code;
+    }
+}
+
+// Random 32-byte preimage and its SHA-256 hashlock, both hex
+function createSecret() {
+    const preimage = crypto.randomBytes(32);
+    return {
+        preimage: preimage.toString('hex'),
+        hashlock: crypto.createHash('sha256').update(preimage).digest('hex')
+    };
+}
+
+class HashTimeLockedContract {
+    constructor({ sender, recipient, hashlock, timelock } = {}) {
+        try {
+            this.address = addressFromHtlc({ sender, recipient, hashlock, timelock });
+        } catch (error) {
+            throw new HtlcError(error.message, 'INVALID_HTLC');
+        }
+
+        this.sender = sender;
+        this.recipient = recipient;
+        this.hashlock = hashlock;
+        this.timelock = timelock;
+    }
+
+    isPreimage(preimage) {
+        return QuantumTransaction.isHtlcPreimage(preimage, this.hashlock);
+    }
+
+    createClaim(preimage, amount, options = {}) {
+        return this.createSpend(this.recipient, amount, preimage, options);
+    }
+
+    createRefund(amount, options = {}) {
+        return this.createSpend(this.sender, amount, null, options);
+    }
+
+    // Unsigned spend carrying the terms; the recipient signs a claim and the sender a refund
+    createSpend(toAddress, amount, preimage, { fee = 0, nonce = 0, timestamp = Date.now() } = {}) {
+        const transaction = QuantumTransaction.deserialize({
+            fromAddress: this.address,
+            toAddress,
+            amount,
+            fee,
+            data: {},
+            nonce,
+            timestamp
+        });
+        transaction.htlc = { ...this.terms(), preimage };
+        return transaction;
+    }
+
+    terms() {
+        return { sender: this.sender, recipient: this.recipient, hashlock: this.hashlock, timelock: this.timelock };
+    }
+
+    toJSON() {
+        return { address: this.address, ...this.terms() };
+    }
+}
+
+class HtlcRegistry {
+    constructor(blockchain) {
+        this.blockchain = blockchain;
+        this.contracts = new Map(); // address -> contract
+    }
+
+    // Registering the same terms twice returns the same contract
+    create(terms) {
+        const contract = new HashTimeLockedContract(terms);
+        if (!this.contracts.has(contract.address)) this.contracts.set(contract.address, contract);
+        return this.contracts.get(contract.address);
+    }
+
+    get(address) {
+        return this.contracts.get(address) || null;
+    }
+
+    // Unsigned claim for the recipient to sign and submit
+    prepareClaim(address, preimage, { fee = 0 } = {}) {
+        const contract = this.requireContract(address);
+        if (!contract.isPreimage(preimage)) {
+            throw new HtlcError('Preimage is not the 32 bytes that hash to the hashlock', 'INVALID_PREIMAGE');
+        }
+        return this.spend(contract, contract.recipient, preimage, fee);
+    }
+
+    // Unsigned refund for the sender to sign and submit
+    prepareRefund(address, { fee = 0 } = {}) {
+        const contract = this.requireContract(address);
+        if (this.blockchain.chain.length < contract.timelock) {
+            throw new HtlcError(`Refunds open at height ${contract.timelock}`, 'HTLC_LOCKED');
+        }
+        return this.spend(contract, contract.sender, null, fee);
+    }
+
+    // Spends everything a pending spend has not already taken
+    spend(contract, toAddress, preimage, fee) {
+        if (!this.blockchain.isFeeValid(fee)) throw new HtlcError('Fee must be a non-negative number', 'INVALID_FEE');
+
+        const amount = this.blockchain.getAvailableBalance(contract.address) - fee;
+        if (!(amount > 0)) throw new HtlcError('HTLC holds no funds to spend', 'HTLC_EMPTY');
+
+        return contract.createSpend(toAddress, amount, preimage, {
+            fee,
+            nonce: this.blockchain.getNextNonce(contract.address)
+        });
+    }
+
+    requireContract(address) {
+        const contract = this.get(address);
+        if (!contract) throw new HtlcError(`Unknown HTLC ${address}`, 'HTLC_NOT_FOUND');
+        return contract;
+    }
+
+    // Terms, balance and state. The preimage shows up as soon as a claim reaches the pool,
+    // which is when the other side of a swap can use it.
+    describe(address) {
+        const contract = this.requireContract(address);
+        const spends = this.blockchain.getTransactionHistory(address).filter(trans => trans.fromAddress === address);
+        const pending = this.blockchain.pendingTransactions.filter(trans => trans.fromAddress === address);
+        const claim = [...spends, ...pending].find(trans => trans.htlc.preimage != null);
+        const balance = this.blockchain.getBalance(address);
+
+        let status = 'unfunded';
+        if (balance > 0) {
+            status = this.blockchain.chain.length >= contract.timelock ? 'refundable' : 'locked';
+        } else if (spends.some(trans => trans.htlc.preimage != null)) {
+            status = 'claimed';
+        } else if (spends.length > 0) {
+            status = 'refunded';
+        }
+
+        return {
+            ...contract.toJSON(),
+            balance,
+            status,
+            preimage: claim ? claim.htlc.preimage : null,
+            pendingSpends: pending.map(trans => trans.txHash)
+        };
+    }
+}
+
+module.exports = { HashTimeLockedContract, HtlcRegistry, HtlcError, createSecret };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Password-encrypted keystore files
+ * A wallet's 32-byte private key is encrypted with AES-256-GCM under a key stretched from the
+ * password with scrypt. The JSON format is versioned and shared with the standalone browser
+ * wallet (standalone/quantum-core.js), which implements the same KDF and cipher on WebCrypto.
+ *
+ * Everything outside `crypto` is public but authenticated: the address and the signer state
+ * are bound to the ciphertext as GCM additional data, so editing them (e.g. rewinding the
+ * XMSS signature index to reuse one-time keys) makes decryption fail.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF = 'scrypt';
+const DEFAULT_KDF_PARAMS = { n: 2 ** 15, r: 8, p: 1 }; // 32 MiB, well under a second
+const MAX_KDF_MEMORY = 256 * 1024 * 1024; // refuse keystores that would need more to open
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 32;
+const TAG_LENGTH = 16;
+
+class KeystoreError extends Error {
+    constructor(message, code = 'INVALID_KEYSTORE') {
+        super(message);
+        this.name = 'KeystoreError';
+        this.code = code;
+    }
+}
+
+function isHex(value, bytes) {
+    return typeof value === 'string' && /^([0-9a-f]{2})*$/i.test(value) && (bytes === undefined || value.length === bytes * 2);
+}
+
+function validateKdfParams({ n, r, p }) {
+    const valid = [n, r, p].every(Number.isInteger) && n > 1 && (n & (n - 1)) === 0 && r > 0 && p > 0;
+    if (!valid) throw new KeystoreError('scrypt n must be a power of two above 1, and r and p positive integers');
+    if (128 * n * r * p > MAX_KDF_MEMORY) throw new KeystoreError('scrypt parameters need too much memory');
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new KeystoreError('Password must be a non-empty string', 'INVALID_PASSWORD');
+    }
+}
+
+// Additional data covering the public fields; the browser wallet builds the same string
+function associatedData(version, address, signer) {
+    const state = signer
+        ? { algorithm: signer.algorithm, layers: signer.layers, subtreeHeight: signer.subtreeHeight, nextIndex: signer.nextIndex }
+        : null;
+    return Buffer.from(JSON.stringify({ version, address, signer: state }), 'utf8');
+}
+
+function deriveKey(password, salt, { n, r, p }) {
+    return scrypt(password.normalize('NFKC'), salt, KEY_LENGTH, { N: n, r, p, maxmem: 2 * MAX_KDF_MEMORY });
+}
+
+// `wallet` is anything with a hex privateKey and an address; a keyPair adds the XMSS^MT state
+async function encryptKeystore(wallet, password, options = {}) {
+    validatePassword(password);
+    if (!isHex(wallet.privateKey, KEY_LENGTH)) {
+        throw new KeystoreError('Only 32-byte hex private keys can be stored in a keystore');
+    }
+
+    const kdfparams = { ...DEFAULT_KDF_PARAMS, ...options.kdfParams };
+    validateKdfParams(kdfparams);
+
+    const signer = wallet.keyPair ? {
+        algorithm: wallet.signatureAlgorithm,
+        layers: wallet.keyPair.layers,
+        subtreeHeight: wallet.keyPair.subtreeHeight,
+        nextIndex: wallet.keyPair.nextIndex
+    } : null;
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(password, salt, kdfparams);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(associatedData(KEYSTORE_VERSION, wallet.address, signer));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(wallet.privateKey, 'hex')), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        id: crypto.randomUUID(),
+        address: wallet.address,
+        signer,
+        crypto: {
+            cipher: CIPHER,
+            cipherparams: { iv: iv.toString('hex') },
+            ciphertext: ciphertext.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            kdf: KDF,
+            kdfparams: { ...kdfparams, dklen: KEY_LENGTH, salt: salt.toString('hex') }
+        }
+    };
+}
+
+function parseKeystore(input) {
+    let keystore = input;
+    if (typeof input === 'string') {
+        try {
+            keystore = JSON.parse(input);
+        } catch (error) {
+            throw new KeystoreError('Keystore is not valid JSON');
+        }
+    }
+    if (!keystore || typeof keystore !== 'object') throw new KeystoreError('Keystore must be a JSON object');
+
+    if (keystore.version !== KEYSTORE_VERSION) {
+        throw new KeystoreError(`Unsupported keystore version: ${keystore.version}`, 'UNSUPPORTED_KEYSTORE');
+    }
+
+    const { crypto: params } = keystore;
+    if (!params || params.cipher !== CIPHER || params.kdf !== KDF) {
+        throw new KeystoreError(`Keystore must use ${KDF} and ${CIPHER}`, 'UNSUPPORTED_KEYSTORE');
+    }
+    if (typeof keystore.address !== 'string' || !isHex(params.ciphertext, KEY_LENGTH) ||
+        !isHex(params.tag, TAG_LENGTH) || !isHex(params.cipherparams?.iv, IV_LENGTH) ||
+        !isHex(params.kdfparams?.salt) || params.kdfparams.dklen !== KEY_LENGTH) {
+        throw new KeystoreError('Keystore is missing or has malformed fields');
+    }
+    validateKdfParams(params.kdfparams);
+
+    return keystore;
+}
+
+// Returns { privateKey, address, signer }; a wrong password and a tampered file look the same
+async function decryptKeystore(input, password) {
+    validatePassword(password);
+    const keystore = parseKeystore(input);
+    const { crypto: params } = keystore;
+
+    const key = await deriveKey(password, Buffer.from(params.kdfparams.salt, 'hex'), params.kdfparams);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(params.cipherparams.iv, 'hex'));
+    decipher.setAAD(associatedData(keystore.version, keystore.address, keystore.signer));
+    decipher.setAuthTag(Buffer.from(params.tag, 'hex'));
+
+    let privateKey;
+    try {
+        privateKey = Buffer.concat([decipher.update(Buffer.from(params.ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+        throw new KeystoreError('Wrong password or corrupted keystore', 'INVALID_PASSWORD');
+    }
+
+    return { privateKey: privateKey.toString('hex'), address: keystore.address, signer: keystore.signer || null };
+}
+
+module.exports = { encryptKeystore, decryptKeystore, KeystoreError, KEYSTORE_VERSION };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const WORDLIST = require('./wordlists/english.json');
+
+/**
+ * BIP39 mnemonic phrases for wallet backup
+ * Entropy is encoded as words from the standard English list, with a SHA-256 checksum
+ * in the last word, and stretched into a 64-byte seed with PBKDF2-HMAC-SHA512. Phrases
+ * and seeds are interoperable with other BIP39 implementations.
+ */
+
+const SEED_ITERATIONS = 2048;
+const VALID_STRENGTHS = [128, 160, 192, 224, 256]; // entropy bits -> 12, 15, 18, 21 or 24 words
+
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]));
+
+function normalize(text) {
+    return text.normalize('NFKD');
+}
+
+function checksumBits(entropy) {
+    const hash = crypto.createHash('sha256').update(entropy).digest();
+    return bytesToBits(hash).slice(0, (entropy.length * 8) / 32);
+}
+
+function bytesToBits(bytes) {
+    return Array.from(bytes, byte => byte.toString(2).padStart(8, '0')).join('');
+}
+
+function entropyToMnemonic(entropy) {
+    if (!VALID_STRENGTHS.includes(entropy.length * 8)) {
+        throw new Error(`Entropy must be ${VALID_STRENGTHS.join(', ')} bits`);
+    }
+
+    const bits = bytesToBits(entropy) + checksumBits(entropy);
+    const words = [];
+    for (let i = 0; i < bits.length; i += 11) {
+        words.push(WORDLIST[parseInt(bits.slice(i, i + 11), 2)]);
+    }
+    return words.join(' ');
+}
+
+// Throws on unknown words, a wrong word count or a checksum mismatch
+function mnemonicToEntropy(mnemonic) {
+    const words = normalize(mnemonic).trim().split(/\s+/);
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+        throw new Error('Mnemonic must have 12, 15, 18, 21 or 24 words');
+    }
+
+    const bits = words.map(word => {
+        const index = WORD_INDEX.get(word);
+        if (index === undefined) throw new Error(`Unknown mnemonic word: ${word}`);
+        return index.toString(2).padStart(11, '0');
+    }).join('');
+
+    const entropyLength = Math.floor(bits.length / 33) * 32;
+    const entropy = Buffer.from(bits.slice(0, entropyLength).match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    if (checksumBits(entropy) !== bits.slice(entropyLength)) {
+        throw new Error('Invalid mnemonic checksum');
+    }
+    return entropy;
+}
+
+function generateMnemonic(strength = 256) {
+    if (!VALID_STRENGTHS.includes(strength)) {
+        throw new Error(`Mnemonic strength must be one of ${VALID_STRENGTHS.join(', ')} bits`);
+    }
+    return entropyToMnemonic(crypto.randomBytes(strength / 8));
+}
+
+function validateMnemonic(mnemonic) {
+    try {
+        mnemonicToEntropy(mnemonic);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The optional passphrase yields an entirely different seed, acting as a 25th word
+function mnemonicToSeed(mnemonic, passphrase = '') {
+    const phrase = normalize(mnemonic).trim().split(/\s+/).join(' ');
+    return crypto.pbkdf2Sync(phrase, normalize('mnemonic' + passphrase), SEED_ITERATIONS, 64, 'sha512');
+}
+
+module.exports = {
+    generateMnemonic,
+    validateMnemonic,
+    mnemonicToSeed,
+    entropyToMnemonic,
+    mnemonicToEntropy
+};
@@ -0,0 +1,168 @@
+const { QuantumTransaction } = require('./QuantumWallet');
+const { QuantumKeyPair } = require('../crypto/QuantumSignature');
+const { addressFromMultisig, assertQuantumAddress } = require('./Address');
+
+/**
+ * M-of-N multisig accounts
+ * An account is a threshold and a set of XMSS^MT public keys. Its address (version 1) is the
+ * hash of that policy, so the policy travels with every transaction the account sends, along
+ * with one signature slot per key. The chain accepts the transaction once at least `threshold`
+ * slots hold valid signatures over its txHash.
+ *
+ * MultisigCoordinator keeps open proposals on the node while co-signers sign them locally:
+ * create the account, propose a transaction, add co-signatures, then broadcast it.
+ */
+
+class MultisigError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'MultisigError';
+        this.code = code;
+    }
+}
+
+class MultisigAccount {
+    constructor(threshold, publicKeys) {
+        // Key order is canonical so the same co-signers always get the same address
+        const sorted = Array.isArray(publicKeys) ? [...publicKeys].sort() : publicKeys;
+        try {
+            this.address = addressFromMultisig(threshold, sorted);
+        } catch (error) {
+            throw new MultisigError(error.message, 'INVALID_MULTISIG');
+        }
+
+        this.threshold = threshold;
+        this.publicKeys = sorted;
+    }
+
+    // Unsigned transaction with an empty signature slot per co-signer
+    createTransaction(toAddress, amount, data = {}, options = {}) {
+        assertQuantumAddress(toAddress, 'recipient address');
+
+        const transaction = QuantumTransaction.deserialize({
+            fromAddress: this.address,
+            toAddress,
+            amount,
+            fee: options.fee ?? 0,
+            data,
+            nonce: options.nonce ?? 0,
+            timestamp: options.timestamp ?? Date.now(),
+            validAfter: options.validAfter,
+            validUntil: options.validUntil
+        });
+        transaction.multisig = {
+            threshold: this.threshold,
+            publicKeys: [...this.publicKeys],
+            signatures: this.publicKeys.map(() => null)
+        };
+        return transaction;
+    }
+
+    toJSON() {
+        return { address: this.address, threshold: this.threshold, publicKeys: this.publicKeys };
+    }
+}
+
+class MultisigCoordinator {
+    constructor(blockchain) {
+        this.blockchain = blockchain;
+        this.accounts = new Map();
+        this.proposals = new Map(); // txHash -> partially signed transaction
+    }
+
+    createAccount(threshold, publicKeys) {
+        const account = new MultisigAccount(threshold, publicKeys);
+        this.accounts.set(account.address, account);
+        return account;
+    }
+
+    getAccount(address) {
+        return this.accounts.get(address) || null;
+    }
+
+    // Open proposals reserve their nonces, so several can be signed side by side
+    getNextNonce(address) {
+        const reserved = Array.from(this.proposals.values())
+            .filter(transaction => transaction.fromAddress === address)
+            .map(transaction => transaction.nonce + 1);
+
+        return Math.max(this.blockchain.getNextNonce(address), ...reserved);
+    }
+
+    propose(address, { toAddress, amount, fee = 0, data = {}, nonce, validAfter, validUntil } = {}) {
+        const account = this.getAccount(address);
+        if (!account) throw new MultisigError(`Unknown multisig account ${address}`, 'ACCOUNT_NOT_FOUND');
+
+        const transaction = account.createTransaction(toAddress, amount, data, {
+            fee,
+            nonce: nonce ?? this.getNextNonce(address),
+            validAfter,
+            validUntil
+        });
+        this.proposals.set(transaction.txHash, transaction);
+        return this.describe(transaction);
+    }
+
+    getProposal(txHash) {
+        const transaction = this.proposals.get(txHash);
+        return transaction ? this.describe(transaction) : null;
+    }
+
+    getProposals(address) {
+        return Array.from(this.proposals.values())
+            .filter(transaction => transaction.fromAddress === address)
+            .map(transaction => this.describe(transaction));
+    }
+
+    // `signature` is the co-signer's signature over the proposal's txHash
+    addSignature(txHash, publicKey, signature) {
+        const transaction = this.requireProposal(txHash);
+
+        const index = transaction.multisig.publicKeys.indexOf(publicKey);
+        if (index === -1) {
+            throw new MultisigError('Public key is not a co-signer of this account', 'UNKNOWN_COSIGNER');
+        }
+        if (!QuantumKeyPair.verify(transaction.txHash, signature, publicKey)) {
+            throw new MultisigError('Signature does not verify against the proposal txHash', 'INVALID_SIGNATURE');
+        }
+
+        transaction.multisig.signatures[index] = signature;
+        return this.describe(transaction);
+    }
+
+    // Hands the transaction to the chain; chain rejections propagate and keep the proposal open
+    broadcast(txHash) {
+        const transaction = this.requireProposal(txHash);
+
+        const { signed, threshold } = this.describe(transaction);
+        if (signed < threshold) {
+            throw new MultisigError(`Proposal has ${signed} of ${threshold} required signatures`, 'THRESHOLD_NOT_MET');
+        }
+
+        this.blockchain.addTransaction(transaction);
+        this.proposals.delete(txHash);
+        return transaction;
+    }
+
+    requireProposal(txHash) {
+        const transaction = this.proposals.get(txHash);
+        if (!transaction) throw new MultisigError(`Unknown proposal ${txHash}`, 'PROPOSAL_NOT_FOUND');
+        return transaction;
+    }
+
+    describe(transaction) {
+        const { threshold, publicKeys, signatures } = transaction.multisig;
+        const signed = signatures.filter(signature => signature !== null).length;
+
+        return {
+            txHash: transaction.txHash,
+            transaction: JSON.parse(QuantumTransaction.serialize(transaction)),
+            threshold,
+            signed,
+            ready: signed >= threshold,
+            cosigners: publicKeys.map((publicKey, index) => ({ publicKey, signed: signatures[index] !== null }))
+        };
+    }
+}
+
+module.exports = { MultisigAccount, MultisigCoordinator, MultisigError };
@@ -1,54 +1,266 @@
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { QuantumKeyPair, SIGNATURE_ALGORITHM } = require('../crypto/QuantumSignature');
+const { encryptKeystore, decryptKeystore, KeystoreError } = require('./Keystore');
+const { addressFromPublicKey, addressFromMultisig, addressFromHtlc, assertQuantumAddress } = require('./Address');
+
+// Fields a serialized transaction may carry; all but the last six are covered by the hash
+const SIGNED_FIELDS = ['fromAddress', 'toAddress', 'amount', 'asset', 'fee', 'nonce', 'timestamp', 'data', 'validAfter', 'validUntil'];
+const SERIALIZED_FIELDS = [...SIGNED_FIELDS, 'publicKey', 'signature', 'multisig', 'htlc', 'quantumProof', 'txHash'];
+const HTLC_FIELDS = ['sender', 'recipient', 'hashlock', 'timelock', 'preimage'];
+const PREIMAGE_PATTERN = /^[0-9a-f]{64}$/; // 32 bytes, the most a standard Bitcoin witness spends against the same hashlock
+
+// JSON with object keys sorted at every level and no whitespace, so equal values serialize identically
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// A validity window bound is a block height or a block timestamp in milliseconds
+function isWindowBound(bound) {
+    if (bound === null || typeof bound !== 'object' || Array.isArray(bound) || Object.keys(bound).length !== 1) return false;
+    if ('height' in bound) return Number.isSafeInteger(bound.height) && bound.height >= 0;
+    if ('timestamp' in bound) return Number.isSafeInteger(bound.timestamp) && bound.timestamp > 0;
+    return false;
+}
+
+function boundReached(bound, height, time) {
+    return 'height' in bound ? height >= bound.height : time >= bound.timestamp;
+}
+
+function boundPassed(bound, height, time) {
+    return 'height' in bound ? height > bound.height : time > bound.timestamp;
+}
+
+class MalformedTransactionError extends Error {
+    constructor(message) {
+        super(`Malformed transaction: ${message}`);
+        this.name = 'MalformedTransactionError';
+        this.code = 'MALFORMED_TRANSACTION';
+    }
+}
 
 /**
  * Quantum-resistant transaction system for DeFi operations
  */
 
 class QuantumTransaction extends EventEmitter {
-    constructor(fromAddress, toAddress, amount, data = {}) {
+    constructor(fromAddress, toAddress, amount, data = {}, options = {}) {
         super();
         this.fromAddress = fromAddress;
         this.toAddress = toAddress;
         this.amount = amount;
-        this.timestamp = Date.now();
+        this.asset = options.asset ?? undefined; // token symbol; QTC transfers leave it out
+        this.timestamp = options.timestamp || Date.now();
+        this.nonce = options.nonce || 0; // position in the sender's account sequence
+        this.fee = options.fee || 0; // paid by the sender to the miner on top of amount
         this.data = data;
+        // Optional validity window, both ends inclusive: { height } or { timestamp }
+        this.validAfter = options.validAfter ?? undefined;
+        this.validUntil = options.validUntil ?? undefined;
         this.signature = null;
+        this.publicKey = null;
         this.quantumProof = null;
         this.txHash = this.calculateHash();
     }
 
     calculateHash() {
+        return QuantumTransaction.computeHash(this);
+    }
+
+    // Works on plain transaction objects too, e.g. ones reloaded from storage
+    static computeHash(transaction) {
         return crypto.createHash('sha3-256')
-            .update(this.fromAddress + this.toAddress + this.amount + this.timestamp + JSON.stringify(this.data))
+            .update(QuantumTransaction.signingPayload(transaction))
             .digest('hex');
     }
 
+    // Canonical JSON of the signed fields. txHash is its SHA3-256, and that hash is what gets signed.
+    static signingPayload(transaction) {
+        return canonicalJSON({
+            fromAddress: transaction.fromAddress,
+            toAddress: transaction.toAddress,
+            amount: transaction.amount,
+            fee: transaction.fee || 0,
+            nonce: transaction.nonce,
+            timestamp: transaction.timestamp,
+            data: transaction.data ?? {},
+            // Optional fields are left out when unset, so transactions without them keep their hashes
+            asset: transaction.asset ?? undefined,
+            validAfter: transaction.validAfter ?? undefined,
+            validUntil: transaction.validUntil ?? undefined
+        });
+    }
+
+    // Wire format of a (possibly unsigned) transaction, as accepted by POST /api/transaction/submit
+    static serialize(transaction) {
+        return canonicalJSON({
+            ...JSON.parse(QuantumTransaction.signingPayload(transaction)),
+            publicKey: transaction.publicKey ?? null,
+            signature: transaction.signature ?? null,
+            multisig: transaction.multisig ?? undefined,
+            htlc: transaction.htlc ?? undefined,
+            txHash: QuantumTransaction.computeHash(transaction)
+        });
+    }
+
+    // Parse a serialized transaction (string or object), checking field types and any txHash it carries.
+    // Signatures are not checked here; that happens when the transaction is added to the chain.
+    static deserialize(serialized) {
+        let fields = serialized;
+        if (typeof serialized === 'string') {
+            try {
+                fields = JSON.parse(serialized);
+            } catch (error) {
+                throw new MalformedTransactionError('not valid JSON');
+            }
+        }
+
+        if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new MalformedTransactionError('expected an object');
+        }
+
+        const unknown = Object.keys(fields).filter(key => !SERIALIZED_FIELDS.includes(key));
+        if (unknown.length > 0) throw new MalformedTransactionError(`unknown field ${unknown.join(', ')}`);
+
+        const isString = value => typeof value === 'string' && value.length > 0;
+        const isOptionalString = value => value === undefined || value === null || isString(value);
+
+        if (!isString(fields.fromAddress)) throw new MalformedTransactionError('fromAddress must be a string');
+        if (!isString(fields.toAddress)) throw new MalformedTransactionError('toAddress must be a string');
+        if (typeof fields.amount !== 'number' || !Number.isFinite(fields.amount)) throw new MalformedTransactionError('amount must be a number');
+        if (fields.fee !== undefined && (typeof fields.fee !== 'number' || !Number.isFinite(fields.fee))) throw new MalformedTransactionError('fee must be a number');
+        if (!Number.isSafeInteger(fields.nonce) || fields.nonce < 0) throw new MalformedTransactionError('nonce must be a non-negative integer');
+        if (!Number.isSafeInteger(fields.timestamp) || fields.timestamp <= 0) throw new MalformedTransactionError('timestamp must be a positive integer');
+        if (fields.data !== undefined && (fields.data === null || typeof fields.data !== 'object' || Array.isArray(fields.data))) {
+            throw new MalformedTransactionError('data must be an object');
+        }
+        for (const key of ['asset', 'publicKey', 'signature', 'quantumProof', 'txHash']) {
+            if (!isOptionalString(fields[key])) throw new MalformedTransactionError(`${key} must be a string`);
+        }
+        for (const key of ['validAfter', 'validUntil']) {
+            if (fields[key] != null && !isWindowBound(fields[key])) {
+                throw new MalformedTransactionError(`${key} must be { height } or { timestamp }`);
+            }
+        }
+        if (fields.multisig !== undefined && fields.multisig !== null) {
+            const { threshold, publicKeys, signatures, ...extra } = fields.multisig;
+            const valid = Object.keys(extra).length === 0 && Number.isInteger(threshold) &&
+                Array.isArray(publicKeys) && publicKeys.every(isString) &&
+                Array.isArray(signatures) && signatures.length === publicKeys.length && signatures.every(isOptionalString);
+            if (!valid) throw new MalformedTransactionError('multisig must hold a threshold, publicKeys and one signature slot per key');
+        }
+        if (fields.htlc !== undefined && fields.htlc !== null) {
+            const { sender, recipient, hashlock, timelock, preimage } = fields.htlc;
+            const valid = Object.keys(fields.htlc).every(key => HTLC_FIELDS.includes(key)) &&
+                [sender, recipient, hashlock].every(isString) && Number.isSafeInteger(timelock) &&
+                (preimage == null || PREIMAGE_PATTERN.test(preimage));
+            if (!valid) throw new MalformedTransactionError('htlc must hold the sender, recipient, hashlock and timelock, and a 32-byte hex preimage to claim');
+        }
+
+        const transaction = QuantumTransaction.fromJSON({ ...fields, txHash: undefined });
+        if (fields.txHash && fields.txHash !== transaction.txHash) {
+            throw new MalformedTransactionError('txHash does not match the signed fields');
+        }
+
+        return transaction;
+    }
+
+    // Rebuild a transaction instance from its JSON form, keeping its signature
+    static fromJSON(data) {
+        const transaction = new QuantumTransaction(data.fromAddress, data.toAddress, data.amount, data.data ?? {}, {
+            timestamp: data.timestamp,
+            nonce: data.nonce,
+            fee: data.fee,
+            asset: data.asset,
+            validAfter: data.validAfter,
+            validUntil: data.validUntil
+        });
+        transaction.signature = data.signature ?? null;
+        transaction.publicKey = data.publicKey ?? null;
+        transaction.quantumProof = data.quantumProof ?? null;
+        if (data.multisig) {
+            const { threshold, publicKeys, signatures } = data.multisig;
+            transaction.multisig = { threshold, publicKeys: [...publicKeys], signatures: signatures.map(signature => signature ?? null) };
+        }
+        if (data.htlc) {
+            const { sender, recipient, hashlock, timelock, preimage } = data.htlc;
+            transaction.htlc = { sender, recipient, hashlock, timelock, preimage: preimage ?? null };
+        }
+        transaction.txHash = data.txHash || transaction.calculateHash();
+        return transaction;
+    }
+
+    // Serialized size in bytes, used for block size limits and fee rates
+    static size(transaction) {
+        return Buffer.byteLength(JSON.stringify(transaction), 'utf8');
+    }
+
+    static feeRate(transaction) {
+        return (transaction.fee || 0) / QuantumTransaction.size(transaction);
+    }
+
+    // Both bounds well formed, and validAfter not past validUntil when they are of the same kind
+    static hasValidWindow(transaction) {
+        const { validAfter, validUntil } = transaction;
+        if (validAfter != null && !isWindowBound(validAfter)) return false;
+        if (validUntil != null && !isWindowBound(validUntil)) return false;
+        if (validAfter == null || validUntil == null) return true;
+
+        const kind = 'height' in validAfter ? 'height' : 'timestamp';
+        return !(kind in validUntil) || validAfter[kind] <= validUntil[kind];
+    }
+
+    // 'scheduled' before validAfter, 'expired' after validUntil, otherwise 'open', for a block
+    // at this height and timestamp
+    static windowStatus(transaction, height, time) {
+        const { validAfter, validUntil } = transaction;
+        if (validUntil != null && boundPassed(validUntil, height, time)) return 'expired';
+        if (validAfter != null && !boundReached(validAfter, height, time)) return 'scheduled';
+        return 'open';
+    }
+
     signTransaction(signingKey) {
-        // Handle both elliptic keys and quantum wallets
-        const publicAddress = signingKey.address || (signingKey.getPublic && signingKey.getPublic('hex'));
-        
-        if (publicAddress !== this.fromAddress) {
+        if (this.multisig) {
+            this.cosign(signingKey);
+            return;
+        }
+
+        // HTLC spends are signed by the party they pay, not by the contract
+        if (signingKey.address !== (this.htlc ? this.toAddress : this.fromAddress)) {
             throw new Error('You cannot sign transactions for other wallets!');
         }
 
         const hashTx = this.calculateHash();
         
-        // For quantum wallets, create signature using SHA3-512
-        if (signingKey.privateKey && !signingKey.sign) {
-            const signatureHash = crypto.createHash('sha3-512')
-                .update(signingKey.privateKey + hashTx)
-                .digest('hex');
-            this.signature = signatureHash;
-        } else {
-            // For elliptic keys
-            const sig = signingKey.sign(hashTx, 'base64');
-            this.signature = sig.toDER('hex');
-        }
-        
+        // A hash-based signature, verifiable with the public key
+        this.publicKey = signingKey.publicKey;
+        this.signature = signingKey.sign(hashTx);
         this.quantumProof = this.generateQuantumProof();
     }
 
+    // Fill the co-signer's slot of a multisig transaction; signing twice would waste a one-time key
+    cosign(wallet) {
+        if (!wallet.keyPair) throw new Error('Multisig transactions are co-signed with quantum wallets');
+
+        const index = this.multisig.publicKeys.indexOf(wallet.publicKey);
+        if (index === -1) throw new Error('This wallet is not a co-signer of the multisig account');
+
+        if (!this.multisig.signatures[index]) {
+            this.multisig.signatures[index] = wallet.sign(this.calculateHash());
+        }
+        return this.multisig.signatures[index];
+    }
+
     generateQuantumProof() {
         // Simulate quantum-resistant proof generation
         const proofData = {
@@ -63,49 +275,178 @@ class QuantumTransaction extends EventEmitter {
             .digest('hex');
     }
 
+    toJSON() {
+        // Serialize transaction fields only, not EventEmitter internals
+        return {
+            fromAddress: this.fromAddress,
+            toAddress: this.toAddress,
+            amount: this.amount,
+            asset: this.asset, // omitted from JSON for QTC
+            timestamp: this.timestamp,
+            nonce: this.nonce,
+            fee: this.fee,
+            data: this.data,
+            validAfter: this.validAfter, // the window is omitted from JSON unless set
+            validUntil: this.validUntil,
+            signature: this.signature,
+            publicKey: this.publicKey,
+            multisig: this.multisig, // omitted from JSON unless set
+            htlc: this.htlc, // likewise
+            quantumProof: this.quantumProof,
+            txHash: this.txHash
+        };
+    }
+
     isValid() {
-        if (this.fromAddress === null) return true;
+        return QuantumTransaction.verifySignature(this);
+    }
+
+    static verifySignature(transaction) {
+        // Rewards and allocations carry no signature, but their txHash must still be their own
+        if (transaction.fromAddress === null) return transaction.txHash === QuantumTransaction.computeHash(transaction);
+        if (transaction.multisig) return QuantumTransaction.verifyMultisig(transaction);
+        if (transaction.htlc) return QuantumTransaction.verifyHtlc(transaction);
 
-        if (!this.signature || this.signature.length === 0) {
+        if (!transaction.signature || transaction.signature.length === 0) {
             throw new Error('No signature in this transaction');
         }
 
-        // In a real implementation, you would verify the quantum-resistant signature here
-        return true;
+        const hashTx = QuantumTransaction.computeHash(transaction);
+        if (transaction.txHash !== hashTx) return false;
+
+        // The signer's public key must hash to the sender address
+        if (!transaction.publicKey || QuantumWallet.addressFromPublicKey(transaction.publicKey) !== transaction.fromAddress) {
+            return false;
+        }
+        return QuantumKeyPair.verify(hashTx, transaction.signature, transaction.publicKey);
+    }
+
+    // The policy must hash to fromAddress, every filled slot must verify and at least
+    // `threshold` slots must be filled. Too few signatures throws, like a missing signature.
+    static verifyMultisig(transaction) {
+        const { threshold, publicKeys, signatures } = transaction.multisig;
+
+        let policyAddress;
+        try {
+            policyAddress = addressFromMultisig(threshold, publicKeys);
+        } catch (error) {
+            return false;
+        }
+        if (policyAddress !== transaction.fromAddress || transaction.signature) return false;
+        if (!Array.isArray(signatures) || signatures.length !== publicKeys.length) return false;
+
+        const signed = signatures.filter(signature => signature !== null).length;
+        if (signed < threshold) {
+            throw new Error(`Multisig transaction has ${signed} of ${threshold} required signatures`);
+        }
+
+        const hashTx = QuantumTransaction.computeHash(transaction);
+        if (transaction.txHash !== hashTx) return false;
+
+        return signatures.every((signature, index) =>
+            signature === null || QuantumKeyPair.verify(hashTx, signature, publicKeys[index])
+        );
+    }
+
+    // An HTLC spend's terms must hash to fromAddress. A claim pays the recipient and reveals the
+    // preimage of the hashlock; a refund pays the sender. Either way the party paid signs it, so
+    // nobody else can choose its amount, fee or data. The chain checks the refund timelock
+    // against the block height.
+    static verifyHtlc(transaction) {
+        const { sender, recipient, hashlock, timelock, preimage } = transaction.htlc;
+
+        let contractAddress;
+        try {
+            contractAddress = addressFromHtlc({ sender, recipient, hashlock, timelock });
+        } catch (error) {
+            return false;
+        }
+        if (contractAddress !== transaction.fromAddress || transaction.multisig) return false;
+        if (preimage == null ? transaction.toAddress !== sender
+            : transaction.toAddress !== recipient || !QuantumTransaction.isHtlcPreimage(preimage, hashlock)) {
+            return false;
+        }
+
+        if (!transaction.signature) {
+            throw new Error('No signature in this transaction');
+        }
+
+        const hashTx = QuantumTransaction.computeHash(transaction);
+        if (transaction.txHash !== hashTx) return false;
+
+        if (!transaction.publicKey || QuantumWallet.addressFromPublicKey(transaction.publicKey) !== transaction.toAddress) {
+            return false;
+        }
+        return QuantumKeyPair.verify(hashTx, transaction.signature, transaction.publicKey);
+    }
+
+    static isHtlcPreimage(preimage, hashlock) {
+        return typeof preimage === 'string' && PREIMAGE_PATTERN.test(preimage) &&
+            crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex') === hashlock;
     }
 }
 
 class QuantumWallet {
-    constructor(privateKey = null) {
+    constructor(privateKey = null, options = {}) {
         this.privateKey = privateKey || crypto.randomBytes(32).toString('hex');
+        this.keyPair = new QuantumKeyPair(this.privateKey, options);
+        this.signatureAlgorithm = SIGNATURE_ALGORITHM;
         this.publicKey = this.generatePublicKey();
         this.address = this.generateAddress();
         this.balance = 0;
+        this.nonce = 0; // next nonce to use when the caller does not supply one
         this.transactions = [];
+
+        // A fresh key has used no one-time keys; an existing one only knows its index when given
+        // one (as a keystore does) or after syncWithChain(), and refuses to sign until then
+        this.signatureIndexKnown = !privateKey || options.nextIndex !== undefined;
     }
 
     generatePublicKey() {
-        return crypto.createHash('sha256')
-            .update(this.privateKey)
-            .digest('hex');
+        // Root of the hash-based signature tree; signatures verify against it alone
+        return this.keyPair.publicKey;
     }
 
     generateAddress() {
-        // Generate a bech32-style address for quantum blockchain
-        const hash = crypto.createHash('sha256')
-            .update(this.publicKey)
-            .digest('hex');
-        
-        return 'qb1' + hash.substring(0, 39); // quantum blockchain address prefix
+        return QuantumWallet.addressFromPublicKey(this.publicKey);
+    }
+
+    static addressFromPublicKey(publicKey) {
+        // bech32m "qb" address of the public key hash (see Address.js)
+        return addressFromPublicKey(publicKey);
+    }
+
+    get remainingSignatures() {
+        return this.keyPair.remainingSignatures;
+    }
+
+    // After restoring a key (e.g. from a mnemonic), skip the nonces its confirmed and pending
+    // transactions already used, and the one-time keys those and any multisig co-signatures used
+    syncWithChain(blockchain) {
+        const used = blockchain.getNextNonce(this.address);
+        this.keyPair.nextIndex = Math.max(this.keyPair.nextIndex, used, blockchain.getNextSignatureIndex(this.publicKey));
+        this.nonce = Math.max(this.nonce, used);
+        this.signatureIndexKnown = true;
+    }
+
+    sign(message) {
+        if (!this.signatureIndexKnown) {
+            throw new Error('Sync this wallet with the chain before signing; a restored key does not know which one-time keys it has used');
+        }
+        return this.keyPair.sign(message);
     }
 
     signTransaction(transaction) {
         transaction.signTransaction(this);
     }
 
-    createTransaction(toAddress, amount, data = {}) {
-        const transaction = new QuantumTransaction(this.address, toAddress, amount, data);
+    createTransaction(toAddress, amount, data = {}, options = {}) {
+        assertQuantumAddress(toAddress, 'recipient address');
+        const nonce = options.nonce !== undefined ? options.nonce : this.nonce;
+
+        const transaction = new QuantumTransaction(this.address, toAddress, amount, data, { ...options, nonce });
         this.signTransaction(transaction);
+        this.nonce = nonce + 1;
         this.transactions.push(transaction);
         return transaction;
     }
@@ -117,6 +458,27 @@ class QuantumWallet {
     getTransactionHistory(blockchain) {
         return blockchain.getTransactionHistory(this.address);
     }
+
+    // Password-encrypted JSON backup of the key and its signature index (see Keystore.js)
+    toKeystore(password, options = {}) {
+        return encryptKeystore(this, password, options);
+    }
+
+    static async fromKeystore(keystore, password, options = {}) {
+        const { privateKey, address, signer } = await decryptKeystore(keystore, password);
+        if (signer && signer.algorithm !== SIGNATURE_ALGORITHM) {
+            throw new KeystoreError(`Keystore key is for ${signer.algorithm}, not ${SIGNATURE_ALGORITHM}`, 'UNSUPPORTED_KEYSTORE');
+        }
+
+        const wallet = new QuantumWallet(privateKey, {
+            ...options,
+            ...(signer && { layers: signer.layers, subtreeHeight: signer.subtreeHeight, nextIndex: signer.nextIndex })
+        });
+        if (wallet.address !== address) {
+            throw new KeystoreError('Keystore address does not belong to its key');
+        }
+        return wallet;
+    }
 }
 
-module.exports = { QuantumTransaction, QuantumWallet };
\ No newline at end of file
+module.exports = { QuantumTransaction, QuantumWallet, MalformedTransactionError };
\ No newline at end of file
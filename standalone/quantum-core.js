@@ -36,6 +36,164 @@ class QuantumCrypto {
     }
 }
 
+// Password-encrypted keystore files in the same versioned format as the Node wallet
+// (src/wallet/Keystore.js): scrypt stretches the password, AES-256-GCM encrypts the key.
+// WebCrypto has no scrypt, so its Salsa20/8 core runs here on top of WebCrypto's PBKDF2.
+class QuantumKeystore {
+    static get VERSION() { return 1; }
+
+    static hexToBytes(hex) {
+        return new Uint8Array((hex.match(/.{2}/g) || []).map(byte => parseInt(byte, 16)));
+    }
+
+    static bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static async pbkdf2(password, salt, length) {
+        const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: 1, hash: 'SHA-256' }, key, length * 8);
+        return new Uint8Array(bits);
+    }
+
+    static salsa20_8(block) {
+        const x = block.slice();
+        const rotate = (value, bits) => (value << bits) | (value >>> (32 - bits));
+        for (let round = 0; round < 8; round += 2) {
+            x[4] ^= rotate(x[0] + x[12], 7);   x[8] ^= rotate(x[4] + x[0], 9);
+            x[12] ^= rotate(x[8] + x[4], 13);  x[0] ^= rotate(x[12] + x[8], 18);
+            x[9] ^= rotate(x[5] + x[1], 7);    x[13] ^= rotate(x[9] + x[5], 9);
+            x[1] ^= rotate(x[13] + x[9], 13);  x[5] ^= rotate(x[1] + x[13], 18);
+            x[14] ^= rotate(x[10] + x[6], 7);  x[2] ^= rotate(x[14] + x[10], 9);
+            x[6] ^= rotate(x[2] + x[14], 13);  x[10] ^= rotate(x[6] + x[2], 18);
+            x[3] ^= rotate(x[15] + x[11], 7);  x[7] ^= rotate(x[3] + x[15], 9);
+            x[11] ^= rotate(x[7] + x[3], 13);  x[15] ^= rotate(x[11] + x[7], 18);
+            x[1] ^= rotate(x[0] + x[3], 7);    x[2] ^= rotate(x[1] + x[0], 9);
+            x[3] ^= rotate(x[2] + x[1], 13);   x[0] ^= rotate(x[3] + x[2], 18);
+            x[6] ^= rotate(x[5] + x[4], 7);    x[7] ^= rotate(x[6] + x[5], 9);
+            x[4] ^= rotate(x[7] + x[6], 13);   x[5] ^= rotate(x[4] + x[7], 18);
+            x[11] ^= rotate(x[10] + x[9], 7);  x[8] ^= rotate(x[11] + x[10], 9);
+            x[9] ^= rotate(x[8] + x[11], 13);  x[10] ^= rotate(x[9] + x[8], 18);
+            x[12] ^= rotate(x[15] + x[14], 7); x[13] ^= rotate(x[12] + x[15], 9);
+            x[14] ^= rotate(x[13] + x[12], 13); x[15] ^= rotate(x[14] + x[13], 18);
+        }
+        for (let i = 0; i < 16; i++) block[i] = (block[i] + x[i]) >>> 0;
+    }
+
+    // scrypt BlockMix: 2r 64-byte blocks, evens first then odds
+    static blockMix(input, output, r) {
+        const x = input.slice((2 * r - 1) * 16, 2 * r * 16);
+        for (let i = 0; i < 2 * r; i++) {
+            for (let j = 0; j < 16; j++) x[j] ^= input[i * 16 + j];
+            this.salsa20_8(x);
+            output.set(x, ((i % 2) * r + (i >> 1)) * 16);
+        }
+    }
+
+    static roMix(block, n, r) {
+        const words = 32 * r;
+        const v = new Uint32Array(words * n);
+        let y = new Uint32Array(words);
+        let x = block;
+        for (let i = 0; i < n; i++) {
+            v.set(x, i * words);
+            this.blockMix(x, y, r);
+            [x, y] = [y, x];
+        }
+        for (let i = 0; i < n; i++) {
+            const j = x[(2 * r - 1) * 16] & (n - 1);
+            for (let k = 0; k < words; k++) x[k] ^= v[j * words + k];
+            this.blockMix(x, y, r);
+            [x, y] = [y, x];
+        }
+        block.set(x);
+    }
+
+    static async scrypt(password, salt, { n, r, p, dklen }) {
+        const blocks = await this.pbkdf2(password, salt, p * 128 * r);
+        const view = new DataView(blocks.buffer);
+        for (let i = 0; i < p; i++) {
+            const block = new Uint32Array(32 * r);
+            const offset = i * 128 * r;
+            for (let k = 0; k < block.length; k++) block[k] = view.getUint32(offset + k * 4, true);
+            this.roMix(block, n, r);
+            for (let k = 0; k < block.length; k++) view.setUint32(offset + k * 4, block[k], true);
+        }
+        return this.pbkdf2(password, blocks, dklen);
+    }
+
+    // Public fields bound to the ciphertext; must match associatedData() in the Node wallet
+    static associatedData(version, address, signer) {
+        const state = signer
+            ? { algorithm: signer.algorithm, layers: signer.layers, subtreeHeight: signer.subtreeHeight, nextIndex: signer.nextIndex }
+            : null;
+        return new TextEncoder().encode(JSON.stringify({ version, address, signer: state }));
+    }
+
+    static async aesKey(password, kdfparams) {
+        const passwordBytes = new TextEncoder().encode(password.normalize('NFKC'));
+        const key = await this.scrypt(passwordBytes, this.hexToBytes(kdfparams.salt), kdfparams);
+        return crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    static async encrypt(wallet, password, kdfParams = {}) {
+        if (!password) throw new Error('Password is required');
+
+        const address = await wallet.address;
+        const kdfparams = { n: 2 ** 15, r: 8, p: 1, ...kdfParams, dklen: 32, salt: QuantumCrypto.generateRandomBytes(32) };
+        const iv = this.hexToBytes(QuantumCrypto.generateRandomBytes(12));
+        const key = await this.aesKey(password, kdfparams);
+
+        const sealed = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.associatedData(this.VERSION, address, null) },
+            key,
+            this.hexToBytes(wallet.privateKey)
+        ));
+
+        return {
+            version: this.VERSION,
+            id: crypto.randomUUID(),
+            address,
+            signer: null,
+            crypto: {
+                cipher: 'aes-256-gcm',
+                cipherparams: { iv: this.bytesToHex(iv) },
+                ciphertext: this.bytesToHex(sealed.slice(0, -16)),
+                tag: this.bytesToHex(sealed.slice(-16)),
+                kdf: 'scrypt',
+                kdfparams
+            }
+        };
+    }
+
+    // Returns { privateKey, address, signer }
+    static async decrypt(keystore, password) {
+        if (typeof keystore === 'string') keystore = JSON.parse(keystore);
+        if (keystore.version !== this.VERSION) throw new Error(`Unsupported keystore version: ${keystore.version}`);
+        if (keystore.crypto?.cipher !== 'aes-256-gcm' || keystore.crypto.kdf !== 'scrypt') {
+            throw new Error('Keystore must use scrypt and aes-256-gcm');
+        }
+
+        const { cipherparams, ciphertext, tag, kdfparams } = keystore.crypto;
+        const key = await this.aesKey(password, kdfparams);
+
+        try {
+            const privateKey = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.hexToBytes(cipherparams.iv),
+                    additionalData: this.associatedData(keystore.version, keystore.address, keystore.signer)
+                },
+                key,
+                this.hexToBytes(ciphertext + tag)
+            );
+            return { privateKey: this.bytesToHex(new Uint8Array(privateKey)), address: keystore.address, signer: keystore.signer || null };
+        } catch (error) {
+            throw new Error('Wrong password or corrupted keystore');
+        }
+    }
+}
+
 class QuantumBlock {
     constructor(index, previousHash, timestamp, data, nonce = 0) {
         this.index = index;
@@ -100,8 +258,8 @@ class QuantumTransaction {
 }
 
 class QuantumWallet {
-    constructor() {
-        this.privateKey = QuantumCrypto.generateRandomBytes(32);
+    constructor(privateKey = null) {
+        this.privateKey = privateKey || QuantumCrypto.generateRandomBytes(32);
         this.publicKey = this.generatePublicKey();
         this.address = this.generateAddress();
         this.balance = 0;
@@ -162,6 +162,67 @@ async function createWallet() {
     }
 }
 
+async function exportKeystore() {
+    const address = document.getElementById('keystoreAddress').value;
+    const password = document.getElementById('keystorePassword').value;
+    const wallet = userWallets.get(address);
+
+    if (!wallet) {
+        showOutput('keystoreOutput', 'Wallet not found; create or import it first', true);
+        return;
+    }
+    if (!password) {
+        showOutput('keystoreOutput', 'Please choose a password', true);
+        return;
+    }
+
+    showLoading('keystoreOutput');
+
+    try {
+        const keystore = JSON.stringify(await QuantumKeystore.encrypt(wallet, password), null, 2);
+
+        // Offer the file as a download and show it for copying
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([keystore], { type: 'application/json' }));
+        link.download = `keystore-${address}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        showOutput('keystoreOutput', `Keystore exported for ${formatAddress(address)}\n\n${keystore}`);
+    } catch (error) {
+        showOutput('keystoreOutput', `Error: ${error.message}`, true);
+    }
+}
+
+async function importKeystore() {
+    const keystore = document.getElementById('keystoreJson').value;
+    const password = document.getElementById('keystorePassword').value;
+
+    if (!keystore || !password) {
+        showOutput('keystoreOutput', 'Please paste a keystore and enter its password', true);
+        return;
+    }
+
+    showLoading('keystoreOutput');
+
+    try {
+        const { privateKey, address, signer } = await QuantumKeystore.decrypt(keystore, password);
+        const wallet = new QuantumWallet(privateKey);
+
+        // Node wallets derive addresses from XMSS keys, which this simulation does not implement
+        if (await wallet.address !== address) {
+            throw new Error(signer
+                ? `This ${signer.algorithm} keystore belongs to a node wallet; import it with POST /api/wallet/keystore/import`
+                : 'Keystore address does not belong to its key');
+        }
+
+        userWallets.set(address, wallet);
+        showOutput('keystoreOutput', `Wallet Imported!\n\nAddress: ${address}\nBalance: ${formatAmount(quantumBlockchain.getBalance(address))} QTC`);
+    } catch (error) {
+        showOutput('keystoreOutput', `Error: ${error.message}`, true);
+    }
+}
+
 function checkBalance() {
     const address = document.getElementById('balanceAddress').value;
     if (!address) {
@@ -0,0 +1,99 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { encodeAddress, decodeAddress, isValidQuantumAddress } = require('../src/wallet/Address');
+const { testAddress } = require('./addresses');
+
+// Replace one data character with another from the bech32 alphabet
+function mistype(address, position = 10) {
+  const replacement = address[position] === 'q' ? 'p' : 'q';
+  return address.slice(0, position) + replacement + address.slice(position + 1);
+}
+
+describe('Addresses', () => {
+  test('should encode a version and 32-byte program as a bech32m qb address', () => {
+    const program = Buffer.alloc(32, 0xab);
+    const address = encodeAddress(program);
+
+    expect(address).toMatch(/^qb1q[02-9ac-hj-np-z]{58}$/);
+    expect(decodeAddress(address)).toEqual({ version: 0, program });
+    expect(new QuantumWallet().address).toMatch(/^qb1q/);
+  });
+
+  test('should reject typos, other formats and non-canonical forms', () => {
+    const address = testAddress('alice');
+    const reason = value => {
+      try {
+        decodeAddress(value);
+      } catch (error) {
+        return error.code === 'INVALID_ADDRESS' && error.reason;
+      }
+      return null;
+    };
+
+    expect(isValidQuantumAddress(address)).toBe(true);
+    expect(reason(mistype(address))).toBe('bad checksum or encoding');
+    expect(reason(address.toUpperCase())).toBe('must be lowercase');
+    expect(reason('qb1' + 'a'.repeat(39))).toBe('bad checksum or encoding');
+    expect(reason('bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h')).toBe('bad checksum or encoding'); // bech32, not bech32m
+    expect(reason(encodeAddress(Buffer.alloc(32), 4))).toBe('unsupported address version 4');
+    expect(reason(undefined)).toBe('must be a string');
+  });
+
+  describe('Entry points', () => {
+    let app;
+    let wallet;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      wallet = new QuantumWallet();
+      await app.blockchain.minePendingTransactions(wallet.address);
+    });
+
+    function call(path, body) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods.post)
+        .route.stack[0].handle;
+      // Bridge routes answer from a promise chain, so wait for the response itself
+      return new Promise(resolve => {
+        let status = 200;
+        const res = { json: payload => resolve({ status, body: payload }) };
+        res.status = code => {
+          status = code;
+          return res;
+        };
+        handler({ body }, res);
+      });
+    }
+
+    test('should refuse to sign for or accept a mistyped recipient', () => {
+      const typo = mistype(testAddress('friend'));
+      expect(() => wallet.createTransaction(typo, 10)).toThrow('Invalid recipient address');
+
+      // A client that skips the check still gets a clear rejection from the node
+      const transaction = new QuantumTransaction(wallet.address, typo, 10, {}, { nonce: 0 });
+      wallet.signTransaction(transaction);
+      expect(() => app.blockchain.addTransaction(transaction)).toThrow(expect.objectContaining({ code: 'INVALID_ADDRESS' }));
+      expect(app.blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should answer 400 with INVALID_ADDRESS from every API entry point', async () => {
+      const typo = mistype(testAddress('friend'));
+      const responses = await Promise.all([
+        call('/api/transaction/prepare', { fromAddress: wallet.address, toAddress: typo, amount: 10 }),
+        call('/api/blockchain/mine', { minerAddress: 'qb1miner' }),
+        call('/api/defi/pool/create', { tokenA: 'QTC', tokenB: 'ETH', amountA: 1, amountB: 1, creator: typo }),
+        call('/api/defi/swap', { poolId: testAddress('pool'), tokenIn: 'QTC', amountIn: 10, minAmountOut: 0, trader: typo }),
+        call('/api/bridge/lock-bitcoin', { bitcoinTxHash: 'a'.repeat(64), amount: 1, quantumRecipient: typo }),
+        call('/api/bridge/burn-quantum', { quantumSender: typo, amount: 1, bitcoinRecipient: 'bc1qkm8plv5449r3t53dge6x6rmutk3wtkjlwczx8h' })
+      ]);
+
+      for (const { status, body } of responses) {
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_ADDRESS');
+      }
+      expect(responses[0].body.error).toContain('Invalid recipient address');
+      expect(app.blockchain.chain).toHaveLength(2);
+    });
+  });
+});
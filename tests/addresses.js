@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+const { encodeAddress } = require('../src/wallet/Address');
+
+// Valid, deterministic qb addresses for accounts the tests never sign for
+function testAddress(label) {
+  return encodeAddress(crypto.createHash('sha256').update(`test:${label}`).digest());
+}
+
+module.exports = { testAddress };
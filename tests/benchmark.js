@@ -5,6 +5,7 @@
 
 const QuantumGenesisApp = require('../src/index');
 const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
 
 function measureTime(operation, iterations = 1) {
   const startTime = Date.now();
@@ -35,7 +36,7 @@ async function runBenchmarks() {
   console.log('------------------------------------------');
   
   const wallet = new QuantumWallet();
-  app.blockchain.minePendingTransactions(wallet.address);
+  await app.blockchain.minePendingTransactions(wallet.address);
   
   // First query (cache miss)
   const firstQueryTime = measureTime(() => {
@@ -58,7 +59,7 @@ async function runBenchmarks() {
   
   // Add more transactions to the blockchain
   for (let i = 0; i < 5; i++) {
-    app.blockchain.minePendingTransactions(wallet.address);
+    await app.blockchain.minePendingTransactions(wallet.address);
   }
   
   // First query (builds index)
@@ -94,7 +95,7 @@ async function runBenchmarks() {
   console.log('📊 Benchmark 4: Bridge Transfer History');
   console.log('------------------------------------------');
   
-  const recipient = 'qb1benchmark_recipient';
+  const recipient = testAddress('benchmark_recipient');
   
   // Add transfers (indexing happens automatically)
   for (let i = 0; i < 20; i++) {
@@ -136,12 +137,12 @@ async function runBenchmarks() {
   console.log('📊 Benchmark 6: DeFi Input Validation');
   console.log('------------------------------------------');
   
-  const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 1000, 2000, 'creator');
+  const poolId = testAddress('pool');
   
   let validationCaught = 0;
   const validationTime = measureTime(() => {
     try {
-      app.defiProtocol.swap(poolId, 'TOKENA', 0, 100, 'trader'); // Invalid amount
+      app.defiProtocol.swap(poolId, 'QTC', 0, 100, testAddress('trader')); // Invalid amount
     } catch (err) {
       validationCaught++;
     }
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { DEFAULT_CHAIN_SPEC, loadChainSpec } = require('../src/config/ChainSpec');
+const { testAddress } = require('./addresses');
+
+describe('Chain Spec', () => {
+  let specDir;
+
+  beforeEach(() => {
+    specDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quantum-spec-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(specDir, { recursive: true, force: true });
+  });
+
+  function writeSpec(spec) {
+    const file = path.join(specDir, 'spec.json');
+    fs.writeFileSync(file, JSON.stringify(spec));
+    return file;
+  }
+
+  test('should fall back to the built-in defaults', () => {
+    expect(loadChainSpec(null, {})).toEqual(DEFAULT_CHAIN_SPEC);
+  });
+
+  test('should merge a spec file over the defaults and apply env overrides last', () => {
+    const file = writeSpec({
+      name: 'quantum-genesis-testnet',
+      allowUnverifiedGenesis: true,
+      blockchain: { difficulty: 2, miningReward: 50 },
+      consensus: { minimumStake: 10 }
+    });
+
+    const spec = loadChainSpec(file, { MINING_REWARD: '75', SLASHING_RATE: '0.2' });
+
+    expect(spec.name).toBe('quantum-genesis-testnet');
+    expect(spec.blockchain.difficulty).toBe(2);
+    expect(spec.blockchain.miningReward).toBe(75);
+    expect(spec.blockchain.targetBlockTime).toBe(DEFAULT_CHAIN_SPEC.blockchain.targetBlockTime);
+    expect(spec.consensus.minimumStake).toBe(10);
+    expect(spec.consensus.slashingRate).toBe(0.2);
+  });
+
+  test('should reject invalid parameters', () => {
+    expect(() => loadChainSpec(writeSpec({ blockchain: { difficulty: 0 } }), {}))
+      .toThrow('blockchain.difficulty must be a positive integer');
+    expect(() => loadChainSpec(null, { BRIDGE_FEE: 'abc' })).toThrow('BRIDGE_FEE must be a number');
+    expect(() => loadChainSpec(writeSpec({ genesis: { allocations: { [testAddress('someone')]: -5 } } }), {}))
+      .toThrow(`genesis allocation for ${testAddress('someone')} must be a positive number`);
+    expect(() => loadChainSpec(writeSpec({ genesis: { allocations: { qb1someone: 5 } } }), {}))
+      .toThrow('genesis allocation address qb1someone is not a valid qb address');
+    expect(() => loadChainSpec(path.join(specDir, 'missing.json'), {})).toThrow('Cannot read chain spec');
+  });
+
+  test('should derive the same genesis hash from the same spec', () => {
+    const first = new QuantumBlockchain();
+    const second = new QuantumBlockchain();
+    const devnet = new QuantumBlockchain({ chainName: 'quantum-genesis-devnet' });
+
+    expect(first.chain[0].hash).toBe(second.chain[0].hash);
+    expect(devnet.chain[0].hash).not.toBe(first.chain[0].hash);
+  });
+
+  test('should credit genesis allocations', () => {
+    const genesis = { allocations: { [testAddress('alice')]: 500, [testAddress('bob')]: 250 } };
+    const blockchain = new QuantumBlockchain({ genesis });
+
+    expect(blockchain.getBalance(testAddress('alice'))).toBe(500);
+    expect(blockchain.getBalance(testAddress('bob'))).toBe(250);
+    expect(blockchain.getTransactionProof(blockchain.chain[0].data.transactions[0].txHash).blockIndex).toBe(0);
+    expect(new QuantumBlockchain({ genesis }).chain[0].hash).toBe(blockchain.chain[0].hash);
+  });
+
+  test('should pass spec parameters into every component', () => {
+    const spec = loadChainSpec(writeSpec({
+      name: 'quantum-genesis-devnet',
+      allowUnverifiedGenesis: true,
+      blockchain: { difficulty: 1, miningReward: 42 },
+      consensus: { minimumStake: 5, epochDuration: 1000, genesisValidatorStake: 50 },
+      bridge: { bridgeFee: 0.01 },
+      defi: { protocolFee: 0.01, liquidationThreshold: 200 }
+    }), {});
+
+    const app = new QuantumGenesisApp({ chainSpec: spec });
+
+    expect(app.blockchain.difficulty).toBe(1);
+    expect(app.blockchain.miningReward).toBe(42);
+    expect(app.blockchain.chainName).toBe('quantum-genesis-devnet');
+    expect(app.consensus.minimumStake).toBe(5);
+    expect(app.consensus.epochDuration).toBe(1000);
+    expect(app.consensus.stakes.get(spec.genesis.address)).toBe(50);
+    expect(app.bitcoinBridge.bridgeFee).toBe(0.01);
+    expect(app.defiProtocol.protocolFee).toBe(0.01);
+    expect(app.defiProtocol.liquidationThreshold).toBe(200);
+  });
+
+  describe('Genesis hash verification', () => {
+    function blockchainFromSpec(spec, storage) {
+      return new QuantumBlockchain({ storage, chainName: spec.name, genesis: spec.genesis, genesisHash: spec.genesisHash, ...spec.blockchain });
+    }
+
+    test('should match the published hashes of the bundled specs', () => {
+      const devnet = loadChainSpec(path.join(__dirname, '../chainspecs/devnet.json'), {});
+
+      expect(blockchainFromSpec(DEFAULT_CHAIN_SPEC).chain[0].hash).toBe(DEFAULT_CHAIN_SPEC.genesisHash);
+      expect(blockchainFromSpec(devnet).chain[0].hash).toBe(devnet.genesisHash);
+    });
+
+    test('should refuse to start on a genesis that does not match the published hash', () => {
+      const spec = loadChainSpec(null, { GENESIS_MESSAGE: 'a different beginning', GENESIS_HASH: DEFAULT_CHAIN_SPEC.genesisHash });
+      const storage = new MemoryChainStorage();
+
+      expect(() => blockchainFromSpec(spec, storage)).toThrow('does not match the expected genesis hash');
+      expect(storage.chain).toEqual([]);
+      expect(() => new QuantumGenesisApp({ chainSpec: spec })).toThrow('does not match the expected genesis hash');
+    });
+
+    test('should refuse to load a data directory from another network', () => {
+      const devnet = loadChainSpec(path.join(__dirname, '../chainspecs/devnet.json'), {});
+      const storage = new MemoryChainStorage();
+      blockchainFromSpec(devnet, storage);
+
+      expect(() => blockchainFromSpec(DEFAULT_CHAIN_SPEC, storage)).toThrow('does not match the expected genesis hash');
+    });
+
+    test('should refuse a custom genesis without a published hash unless it opts in', () => {
+      expect(() => loadChainSpec(writeSpec({ name: 'quantum-genesis-scratch' }), {}))
+        .toThrow('quantum-genesis-scratch publishes no genesisHash');
+      expect(() => loadChainSpec(null, { GENESIS_MESSAGE: 'a different beginning' })).toThrow('publishes no genesisHash');
+      expect(() => loadChainSpec(writeSpec({ name: 'quantum-genesis-scratch', genesisHash: null }), {})).toThrow('publishes no genesisHash');
+
+      const spec = loadChainSpec(writeSpec({ name: 'quantum-genesis-scratch', allowUnverifiedGenesis: true }), {});
+      expect(spec.genesisHash).toBeNull();
+      expect(() => blockchainFromSpec(spec)).not.toThrow();
+      expect(loadChainSpec(null, { GENESIS_MESSAGE: 'a different beginning', ALLOW_UNVERIFIED_GENESIS: 'true' }).genesisHash).toBeNull();
+
+      expect(() => loadChainSpec(null, { GENESIS_HASH: 'not-a-hash' })).toThrow('genesisHash must be');
+      expect(() => loadChainSpec(writeSpec({ allowUnverifiedGenesis: 'yes' }), {})).toThrow('allowUnverifiedGenesis must be true or false');
+    });
+  });
+});
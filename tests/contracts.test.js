@@ -0,0 +1,297 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain, TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { ContractVM, assemble } = require('../src/contracts/ContractVM');
+const { ContractLedger } = require('../src/contracts/ContractLedger');
+const { addressFromCreation, decodeAddress } = require('../src/wallet/Address');
+const { testAddress } = require('./addresses');
+
+const COUNTER = `
+.entry init
+    PUSH "owner"
+    CALLER
+    SSTORE
+    STOP
+
+.entry increment          ; count += ARG 0
+    PUSH "count"
+    SLOAD
+    ARG 0
+    ADD
+    PUSH "count"
+    DUP 1
+    SSTORE
+    PUSH "Incremented"
+    DUP 1
+    LOG 1
+    RETURN
+
+.entry get
+    PUSH "count"
+    SLOAD
+    RETURN
+
+.entry reset              ; owner only
+    CALLER
+    PUSH "owner"
+    SLOAD
+    EQ
+    JUMPI authorised
+    PUSH "Only the owner can reset"
+    REVERT
+authorised:
+    PUSH "count"
+    PUSH 0
+    SSTORE
+    STOP
+
+.entry spin
+loop:
+    JUMP loop
+`;
+
+describe('Contract VM', () => {
+  const { code, entrypoints } = assemble(COUNTER);
+  const vm = new ContractVM(code, entrypoints);
+  const context = { caller: 'alice', address: 'counter', height: 1, timestamp: 0, gasLimit: 10000 };
+
+  test('should run entry points against storage and return their writes and logs', () => {
+    const storage = new Map([['count', 2]]);
+    const result = vm.run('increment', { ...context, args: [5], storage });
+
+    expect(result).toMatchObject({ status: 'success', returnValue: 7, logs: [{ event: 'Incremented', args: [7] }] });
+    expect(result.writes).toEqual(new Map([['count', 7]]));
+    expect(storage.get('count')).toBe(2);
+    expect(vm.run('get', { ...context, storage }).gasUsed).toBe(1 + 50);
+  });
+
+  test('should revert with a code and discard writes and logs', () => {
+    const storage = new Map([['owner', 'alice']]);
+
+    expect(vm.run('reset', { ...context, caller: 'bob', storage })).toMatchObject({
+      status: 'reverted', writes: new Map(), logs: [], error: { code: 'CONTRACT_REVERTED', message: 'Only the owner can reset' }
+    });
+    expect(vm.run('reset', { ...context, storage }).writes).toEqual(new Map([['count', 0]]));
+    expect(vm.run('increment', { ...context, storage }).error.code).toBe('MISSING_ARGUMENT');
+    expect(vm.run('increment', { ...context, args: [Number.MAX_SAFE_INTEGER], storage: new Map([['count', 1]]) }).error.code)
+      .toBe('ARITHMETIC_OVERFLOW');
+  });
+
+  test('should stop a run that exceeds its gas limit', () => {
+    expect(vm.run('spin', context)).toMatchObject({ status: 'reverted', gasUsed: 10000, error: { code: 'OUT_OF_GAS' } });
+    expect(vm.run('increment', { ...context, args: [1], gasLimit: 100 }).error.code).toBe('OUT_OF_GAS');
+  });
+
+  test('should refuse malformed source and code', () => {
+    expect(() => assemble('PUSH 1\nFROB')).toThrow(expect.objectContaining({ code: 'ASSEMBLY_ERROR', message: 'Line 2: unknown instruction FROB' }));
+    expect(() => assemble('JUMP nowhere')).toThrow('unknown label nowhere');
+    expect(() => new ContractVM('ff', {})).toThrow(expect.objectContaining({ code: 'INVALID_CODE' }));
+    expect(() => new ContractVM(code, { get: 1 })).toThrow('does not start an instruction');
+    expect(() => new ContractVM(code, entrypoints, { maxCodeSize: 10 })).toThrow('Code exceeds 10 bytes');
+  });
+});
+
+describe('Contract transactions', () => {
+  let blockchain;
+  let owner;
+  let user;
+
+  beforeAll(() => {
+    owner = new QuantumWallet();
+    user = new QuantumWallet();
+  });
+
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(owner.address);
+    await blockchain.minePendingTransactions(user.address);
+  });
+
+  const mine = () => blockchain.minePendingTransactions(testAddress('miner'));
+  const gasLimit = 10000;
+  const fee = 0.1;
+
+  function deploy(wallet = owner) {
+    const nonce = blockchain.getNextNonce(wallet.address);
+    const address = addressFromCreation(wallet.address, nonce);
+    const transaction = wallet.createTransaction(address, 0, { type: 'contract_deploy', ...assemble(COUNTER), args: [], gasLimit }, { fee, nonce });
+    blockchain.addTransaction(transaction);
+    return { address, transaction };
+  }
+
+  function call(wallet, address, method, args = [], options = {}) {
+    const transaction = wallet.createTransaction(address, 0, { type: 'contract_call', method, args, gasLimit, ...options.data }, {
+      fee: options.fee ?? fee,
+      nonce: blockchain.getNextNonce(wallet.address)
+    });
+    blockchain.addTransaction(transaction);
+    return transaction;
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  test('should deploy and call a contract while mining, with receipts and logs', async () => {
+    // In nonce order behind the deploy, so the call can go in the same block
+    const { address, transaction: deployment } = deploy();
+    const first = call(owner, address, 'increment', [5]);
+    await mine();
+
+    expect(decodeAddress(address).version).toBe(3);
+    expect(blockchain.contracts.get(address)).toMatchObject({ creator: owner.address, deployedAt: 3 });
+    expect(blockchain.contracts.getReceipt(deployment.txHash)).toMatchObject({ status: 'success', blockIndex: 3 });
+    expect(blockchain.contracts.getReceipt(first.txHash)).toMatchObject({
+      status: 'success',
+      method: 'increment',
+      returnValue: 5,
+      logs: [{ contract: address, event: 'Incremented', args: [5] }]
+    });
+
+    call(user, address, 'increment', [2]);
+    await mine();
+
+    const { storage } = blockchain.contracts.get(address);
+    expect(Object.fromEntries(storage)).toEqual({ owner: owner.address, count: 7 });
+    expect(blockchain.getBalance(user.address)).toBeCloseTo(100 - fee);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should keep reverted calls in the block with their fee and no state change', async () => {
+    const { address } = deploy();
+    await mine();
+
+    const reverted = call(user, address, 'reset');
+    const spinning = call(user, address, 'spin');
+    await mine();
+
+    expect(blockchain.contracts.getReceipt(reverted.txHash)).toMatchObject({
+      status: 'reverted', error: { code: 'CONTRACT_REVERTED' }, blockIndex: 4
+    });
+    expect(blockchain.contracts.getReceipt(spinning.txHash)).toMatchObject({ status: 'reverted', gasUsed: gasLimit, error: { code: 'OUT_OF_GAS' } });
+    expect(blockchain.getBalance(user.address)).toBeCloseTo(100 - 2 * fee);
+    expect(blockchain.getNextNonce(user.address)).toBe(2);
+  });
+
+  test('should reject transactions the chain cannot run', async () => {
+    const { address } = deploy();
+    const unknown = testAddress('nowhere');
+
+    // The deploy is still pending, so calls can already follow it
+    expect(rejectionCode(() => call(user, address, 'init'))).toBe('UNKNOWN_METHOD');
+    expect(rejectionCode(() => call(user, address, 'increment', [1], { fee: 0.01 }))).toBe('FEE_TOO_LOW');
+    expect(rejectionCode(() => call(user, address, 'increment', [1], { data: { gasLimit: 10 } }))).toBe('INVALID_GAS_LIMIT');
+    expect(rejectionCode(() => call(user, address, 'increment', [{ nested: true }]))).toBe('INVALID_CONTRACT_OPERATION');
+    expect(rejectionCode(() => call(user, unknown, 'increment', [1]))).toBe('CONTRACT_NOT_FOUND');
+
+    const valued = user.createTransaction(address, 1, { type: 'contract_call', method: 'get', args: [], gasLimit }, {
+      fee, nonce: blockchain.getNextNonce(user.address)
+    });
+    expect(rejectionCode(() => blockchain.addTransaction(valued))).toBe('INVALID_AMOUNT');
+
+    const misplaced = owner.createTransaction(unknown, 0, { type: 'contract_deploy', ...assemble(COUNTER), gasLimit }, {
+      fee, nonce: blockchain.getNextNonce(owner.address)
+    });
+    expect(rejectionCode(() => blockchain.addTransaction(misplaced))).toBe('INVALID_CONTRACT_OPERATION');
+
+    call(user, address, 'increment', [1]);
+    expect(blockchain.pendingTransactions).toHaveLength(2);
+  });
+
+  test('should only cache the programs of contracts that run, up to a bound', () => {
+    const ledger = new ContractLedger();
+    const nonce = blockchain.getNextNonce(owner.address);
+    const unmined = owner.createTransaction(addressFromCreation(owner.address, nonce), 0,
+      { type: 'contract_deploy', ...assemble(COUNTER), args: [], gasLimit }, { fee, nonce });
+
+    expect(ledger.check(unmined)).toBeNull();
+    expect(ledger.programs.size).toBe(0);
+
+    for (let i = 0; i < 300; i++) {
+      const { code, entrypoints } = assemble(`.entry get\n    PUSH ${i}\n    RETURN`);
+      ledger.program(code, entrypoints);
+    }
+    expect(ledger.programs.size).toBe(256);
+  });
+
+  test('should revert contract storage and receipts with their block', async () => {
+    const { address } = deploy();
+    await mine();
+    const increment = call(user, address, 'increment', [3]);
+    await mine();
+
+    blockchain.disconnectTip();
+    expect(blockchain.contracts.get(address).storage.has('count')).toBe(false);
+    expect(blockchain.contracts.getReceipt(increment.txHash)).toBeNull();
+
+    blockchain.disconnectTip();
+    expect(blockchain.contracts.get(address)).toBeNull();
+
+    blockchain.rehydrateIndexes();
+    expect(blockchain.contracts.list()).toEqual([]);
+  });
+
+  describe('API', () => {
+    let app;
+    let address;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      await app.blockchain.minePendingTransactions(owner.address);
+    });
+
+    function route(method, path, params, body = {}) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods[method])
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ params, body, query: {} }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    async function submit(body) {
+      const transaction = QuantumTransaction.deserialize(body.transaction);
+      owner.signTransaction(transaction);
+      app.submitTransaction(QuantumTransaction.serialize(transaction));
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+      return transaction;
+    }
+
+    test('should prepare deploys and calls for local signing and serve contracts and receipts', async () => {
+      const deployed = route('post', '/api/contracts/deploy', {}, { creator: owner.address, source: COUNTER, gasLimit });
+      expect(deployed.body.transaction.fee).toBe(0.1);
+      address = deployed.body.address;
+      await submit(deployed.body);
+
+      const called = route('post', '/api/contracts/:address/call', { address }, { caller: owner.address, method: 'increment', args: [4] });
+      const transaction = await submit(called.body);
+
+      expect(route('get', '/api/contracts/receipts/:txHash', { txHash: transaction.txHash }).body.returnValue).toBe(4);
+      expect(route('get', '/api/contracts/:address', { address }).body.storage).toEqual({ owner: owner.address, count: 4 });
+      expect(route('post', '/api/contracts/:address/query', { address }, { method: 'increment', args: [1] }).body)
+        .toMatchObject({ status: 'success', returnValue: 5 });
+      expect(app.blockchain.contracts.get(address).storage.get('count')).toBe(4);
+    });
+
+    test('should answer unknown contracts with 404 and bad requests with 400', () => {
+      const nowhere = testAddress('nowhere');
+      expect(route('get', '/api/contracts/:address', { address: nowhere }).status).toBe(404);
+      expect(route('get', '/api/contracts/receipts/:txHash', { txHash: 'ab'.repeat(32) }).status).toBe(404);
+      expect(route('post', '/api/contracts/:address/call', { address: nowhere }, { caller: owner.address, method: 'get' }))
+        .toMatchObject({ status: 404, body: { code: 'CONTRACT_NOT_FOUND' } });
+      expect(route('post', '/api/contracts/deploy', {}, { creator: owner.address, source: 'FROB' }))
+        .toMatchObject({ status: 400, body: { code: 'ASSEMBLY_ERROR' } });
+      expect(route('post', '/api/contracts/:address/call', { address }, { caller: owner.address, method: 'init' }))
+        .toMatchObject({ status: 400, body: { code: 'UNKNOWN_METHOD' } });
+      expect(app.rpc.methods.has('contract_prepareCall')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain, QuantumBlock, TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { QuantumDeFiProtocol } = require('../src/defi/QuantumDeFi');
+const { decodeAddress } = require('../src/wallet/Address');
+const { testAddress } = require('./addresses');
+const { openLiquidityPool, submitOperation } = require('./pools');
+
+describe('DeFi settlement', () => {
+  let blockchain;
+  let defi;
+  let trader;
+
+  beforeAll(() => {
+    trader = new QuantumWallet();
+  });
+
+  beforeEach(() => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    defi = new QuantumDeFiProtocol(blockchain);
+  });
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  const mine = () => blockchain.minePendingTransactions(testAddress('miner'));
+
+  test('should settle a swap against the balances of the trader and the pool', async () => {
+    const { poolId } = await openLiquidityPool(blockchain, defi);
+    await blockchain.minePendingTransactions(trader.address);
+
+    expect(decodeAddress(poolId).version).toBe(3);
+    expect(blockchain.getBalance(poolId)).toBe(50);
+    expect(blockchain.getBalance(poolId, 'GOLD')).toBe(100);
+
+    const { amountOut } = submitOperation(blockchain, trader, defi.swap(poolId, 'QTC', 10, 15, trader.address, { fee: 1 }));
+    expect(amountOut).toBe(16);
+    expect(blockchain.getAvailableBalance(trader.address)).toBe(89);
+    await mine();
+
+    expect(blockchain.getBalance(trader.address)).toBe(89);
+    expect(blockchain.getBalance(trader.address, 'GOLD')).toBe(16);
+    expect(defi.getPool(poolId)).toMatchObject({ reserveA: 60, reserveB: 84 });
+    expect(blockchain.getBalance(poolId)).toBe(60);
+    expect(blockchain.getBalance(poolId, 'GOLD')).toBe(84);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should reject operations the sender cannot pay for or the pool does not allow', async () => {
+    const { poolId } = await openLiquidityPool(blockchain, defi);
+    await blockchain.minePendingTransactions(trader.address);
+
+    const unfunded = defi.swap(poolId, 'GOLD', 10, 0, trader.address).transaction;
+    trader.signTransaction(unfunded);
+    expect(rejectionCode(() => blockchain.addTransaction(unfunded))).toBe('INSUFFICIENT_FUNDS');
+
+    // Asking for more than the quote breaks the constant product
+    const { transaction } = defi.swap(poolId, 'QTC', 10, 0, trader.address);
+    const greedy = trader.createTransaction(poolId, 10, { ...transaction.data, amountB: transaction.data.amountB + 1 }, { nonce: transaction.nonce });
+    expect(rejectionCode(() => blockchain.addTransaction(greedy))).toBe('POOL_OUTPUT_EXCEEDED');
+
+    expect(() => defi.swap(poolId, 'QTC', 10, 17, trader.address)).toThrow('Insufficient output amount');
+    expect(() => defi.swap(testAddress('nowhere'), 'QTC', 10, 0, trader.address))
+      .toThrow(expect.objectContaining({ code: 'POOL_NOT_FOUND' }));
+    expect(blockchain.pendingTransactions).toHaveLength(0);
+  });
+
+  test('should quote against the pool as pending operations leave it', async () => {
+    const { poolId, wallet } = await openLiquidityPool(blockchain, defi);
+    await blockchain.minePendingTransactions(trader.address);
+
+    const first = submitOperation(blockchain, trader, defi.swap(poolId, 'QTC', 10, 0, trader.address));
+    const second = submitOperation(blockchain, wallet, defi.swap(poolId, 'QTC', 10, 0, wallet.address));
+    expect(second.amountOut).toBeLessThan(first.amountOut);
+    await mine();
+
+    expect(blockchain.getBalance(wallet.address, 'GOLD')).toBe(900 + second.amountOut);
+    expect(defi.getPool(poolId).reserveA).toBe(70);
+  });
+
+  test('should revert pool state with its block', async () => {
+    const { poolId } = await openLiquidityPool(blockchain, defi);
+    await blockchain.minePendingTransactions(trader.address);
+
+    submitOperation(blockchain, trader, defi.swap(poolId, 'QTC', 10, 0, trader.address));
+    await mine();
+
+    blockchain.disconnectTip();
+    expect(defi.getPool(poolId)).toMatchObject({ reserveA: 50, reserveB: 100 });
+    expect(blockchain.getBalance(trader.address, 'GOLD')).toBe(0);
+
+    blockchain.disconnectTip();
+    blockchain.disconnectTip();
+    expect(defi.getPool(poolId)).toBeNull();
+    expect(blockchain.getBalance(poolId)).toBe(0);
+  });
+
+  test('should lend against collateral and release it on repayment', async () => {
+    const { wallet: lender } = await openLiquidityPool(blockchain, defi);
+    await blockchain.minePendingTransactions(trader.address);
+
+    const { poolId } = submitOperation(blockchain, lender,
+      defi.createLendingPool('GOLD', 0, 150, 200, lender.address, { collateralAsset: 'QTC' }));
+    await mine();
+
+    expect(() => defi.borrow(poolId, 20, 29, trader.address)).toThrow('Insufficient collateral');
+    submitOperation(blockchain, trader, defi.borrow(poolId, 20, 30, trader.address));
+    await mine();
+
+    expect(blockchain.getBalance(trader.address, 'GOLD')).toBe(20);
+    expect(blockchain.getBalance(trader.address)).toBe(70);
+
+    const repaid = submitOperation(blockchain, trader, defi.repay(poolId, 10, trader.address));
+    expect(repaid.collateralReturned).toBe(15);
+    expect(() => defi.withdraw(poolId, 195, lender.address)).toThrow('Insufficient liquidity');
+    await mine();
+
+    expect(blockchain.getBalance(trader.address)).toBe(85);
+    expect(defi.getPool(poolId)).toMatchObject({ totalSupply: 200, totalBorrows: 10, borrowers: { [trader.address]: { borrowed: 10, collateral: 15 } } });
+    expect(blockchain.getBalance(poolId, 'GOLD')).toBe(190);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should stake and unstake the staking token', async () => {
+    const { wallet } = await openLiquidityPool(blockchain, defi);
+
+    const { poolId } = submitOperation(blockchain, wallet, defi.createStakingPool('GOLD', 'GOLD', 1, 100, wallet.address));
+    await mine();
+    submitOperation(blockchain, wallet, defi.stake(poolId, 50, wallet.address));
+    await mine();
+
+    expect(defi.getPool(poolId)).toMatchObject({ totalStaked: 50, rewardReserve: 100 });
+    expect(() => defi.unstake(poolId, 51, wallet.address)).toThrow('Insufficient staked amount');
+    submitOperation(blockchain, wallet, defi.unstake(poolId, 50, wallet.address));
+    await mine();
+
+    expect(blockchain.getBalance(wallet.address, 'GOLD')).toBe(800);
+    expect(blockchain.getBalance(poolId, 'GOLD')).toBe(100);
+  });
+
+  test('should not pay out the reward reserve to a block dated in the future', async () => {
+    const { wallet } = await openLiquidityPool(blockchain, defi);
+
+    // 0.001 GOLD a second takes more than a day to use up the reserve
+    const { poolId } = submitOperation(blockchain, wallet, defi.createStakingPool('GOLD', 'GOLD', 0.001, 100, wallet.address));
+    await mine();
+    submitOperation(blockchain, wallet, defi.stake(poolId, 50, wallet.address));
+    await mine();
+
+    // A miner claiming the whole reserve in a block of its own
+    const claim = wallet.createTransaction(poolId, 100, { type: 'defi_claim_rewards' }, {
+      asset: 'GOLD', nonce: blockchain.getNextNonce(wallet.address)
+    });
+    function blockAt(timestamp) {
+      const index = blockchain.chain.length;
+      const reward = new QuantumTransaction(null, testAddress('miner'), blockchain.miningReward, { type: 'mining_reward', blockIndex: index, fees: 0 });
+      const block = new QuantumBlock(index, blockchain.getLatestBlock().hash, timestamp, { transactions: [claim, reward] }, null,
+        blockchain.getCurrentDifficulty());
+      block.mineBlock(block.difficulty);
+      return JSON.parse(JSON.stringify(block));
+    }
+
+    const tenYears = 10 * 365 * 24 * 3600 * 1000;
+    expect(() => blockchain.addBlock(blockAt(Date.now() + tenYears))).toThrow('at most 7200000 ms ahead');
+    expect(() => blockchain.addBlock(blockAt(Date.now() + blockchain.maxFutureBlockTime))).toThrow('earned');
+
+    expect(defi.getPool(poolId).rewardReserve).toBe(100);
+    expect(blockchain.getBalance(poolId, 'GOLD')).toBe(150);
+  });
+
+  describe('API', () => {
+    let app;
+    let poolId;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      ({ poolId } = await openLiquidityPool(app.blockchain, app.defiProtocol));
+      await app.blockchain.minePendingTransactions(trader.address);
+    });
+
+    function call(method, path, params, body = {}, query = {}) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods[method])
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ params, body, query }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    test('should prepare operations for local signing and list pools', async () => {
+      const { body } = call('post', '/api/defi/swap', {}, { poolId, tokenIn: 'QTC', amountIn: 10, minAmountOut: 0, trader: trader.address });
+      const transaction = QuantumTransaction.deserialize(body.transaction);
+      expect(transaction.txHash).toBe(body.txHash);
+
+      trader.signTransaction(transaction);
+      app.submitTransaction(QuantumTransaction.serialize(transaction));
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+
+      expect(app.blockchain.getBalance(trader.address, 'GOLD')).toBe(body.amountOut);
+      expect(call('get', '/api/defi/pool/:poolId', { poolId }).body.reserveA).toBe(60);
+      expect(call('get', '/api/defi/pool/:poolId', { poolId: testAddress('nowhere') }).status).toBe(404);
+      expect(call('get', '/api/defi/pools', {}, {}, { kind: 'lending' }).body).toEqual([]);
+
+      expect(call('post', '/api/defi/swap', {}, { poolId: testAddress('nowhere'), tokenIn: 'QTC', amountIn: 10, minAmountOut: 0, trader: trader.address }))
+        .toMatchObject({ status: 404, body: { code: 'POOL_NOT_FOUND' } });
+      expect(call('post', '/api/defi/unstake', {}, { poolId, amount: 1, staker: trader.address }).status).toBe(404);
+      expect(app.rpc.methods.has('defi_borrow')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { QuantumBlockchain, QuantumBlock } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { testAddress } = require('./addresses');
+
+describe('Difficulty Retargeting', () => {
+  function fakeChain(blockTimes, difficulty) {
+    return blockTimes.map((timestamp, index) => ({ index, timestamp, difficulty: index === 0 ? 0 : difficulty }));
+  }
+
+  test('should keep the parent difficulty between retarget heights', () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 3, retargetInterval: 5, targetBlockTime: 1000 });
+    const chain = fakeChain([0, 1000, 1001, 1002], 3);
+
+    expect(blockchain.getDifficultyForHeight(1, chain)).toBe(3);
+    expect(blockchain.getDifficultyForHeight(4, chain)).toBe(3);
+  });
+
+  test('should raise difficulty when blocks arrive much faster than the target', () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 3, retargetInterval: 4, targetBlockTime: 1000 });
+    const chain = fakeChain([0, 10000, 10100, 10200, 10300], 3);
+
+    expect(blockchain.getDifficultyForHeight(5, chain)).toBe(4);
+  });
+
+  test('should lower difficulty when blocks arrive much slower than the target', () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 3, retargetInterval: 4, targetBlockTime: 1000 });
+    const chain = fakeChain([0, 10000, 20000, 30000, 40000], 3);
+
+    expect(blockchain.getDifficultyForHeight(5, chain)).toBe(2);
+  });
+
+  test('should not retarget while block times stay near the target', () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 3, retargetInterval: 4, targetBlockTime: 1000 });
+    const chain = fakeChain([0, 10000, 11000, 12500, 13000], 3);
+
+    expect(blockchain.getDifficultyForHeight(5, chain)).toBe(3);
+  });
+
+  test('should store the difficulty in each mined block header', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1, retargetInterval: 2, targetBlockTime: 60000 });
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.chain.map(block => block.difficulty)).toEqual([0, 1, 1, 2]);
+    expect(blockchain.getLatestBlock().hash.startsWith('00')).toBe(true);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should reject blocks mined below the expected difficulty', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1, retargetInterval: 2, targetBlockTime: 60000 });
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    // Re-mine the retargeted block at the old difficulty
+    const block = blockchain.getLatestBlock();
+    block.difficulty = 1;
+    block.nonce = 0;
+    block.hash = block.calculateHash();
+    block.mineBlock(1);
+
+    expect(blockchain.isChainValid()).toBe(false);
+  });
+
+  describe('block timestamps', () => {
+    let miner;
+    let peer;
+
+    beforeEach(async () => {
+      miner = new QuantumBlockchain({ difficulty: 1 });
+      const storage = new MemoryChainStorage();
+      storage.appendBlock(miner.chain[0]);
+      peer = new QuantumBlockchain({ storage, difficulty: 1 });
+
+      for (let i = 0; i < 3; i++) {
+        await miner.minePendingTransactions(testAddress('miner'));
+        peer.addBlock(JSON.parse(JSON.stringify(miner.getLatestBlock())));
+      }
+    });
+
+    // The miner's next block, re-dated and re-mined
+    async function dated(timestamp) {
+      await miner.minePendingTransactions(testAddress('miner'));
+      const block = QuantumBlock.fromJSON(JSON.parse(JSON.stringify(miner.getLatestBlock())));
+      miner.disconnectTip();
+      block.timestamp = timestamp;
+      block.nonce = 0;
+      block.hash = block.calculateHash();
+      block.mineBlock(block.difficulty);
+      return JSON.parse(JSON.stringify(block));
+    }
+
+    test('should reject blocks dated at or before the median of their predecessors', async () => {
+      const median = peer.medianTimePast(4);
+      const [epoch, atMedian, afterMedian] = [await dated(5), await dated(median), await dated(median + 1)];
+
+      expect(() => peer.addBlock(epoch)).toThrow('Block timestamp must follow the median');
+      expect(() => peer.addBlock(atMedian)).toThrow('Block timestamp must follow the median');
+      expect(peer.addBlock(afterMedian).status).toBe('extended');
+    });
+
+    test('should reject blocks dated too far ahead of the clock', async () => {
+      const tenYears = 10 * 365 * 24 * 3600 * 1000;
+      const farAhead = await dated(Date.now() + tenYears);
+      const pastDrift = await dated(Date.now() + peer.maxFutureBlockTime + 60000);
+      const withinDrift = await dated(Date.now() + 60000);
+
+      expect(() => peer.addBlock(farAhead)).toThrow('at most 7200000 ms ahead');
+      expect(() => peer.addBlock(pastDrift)).toThrow('at most 7200000 ms ahead');
+      expect(peer.addBlock(withinDrift).status).toBe('extended');
+    });
+
+    test('should hold stored and existing chains to the same bounds', async () => {
+      const block = peer.getLatestBlock();
+      block.timestamp = 5;
+      block.nonce = 0;
+      block.hash = block.calculateHash();
+      block.mineBlock(block.difficulty);
+      expect(peer.isChainValid()).toBe(false);
+
+      const storage = new MemoryChainStorage();
+      peer.chain.forEach(stored => storage.appendBlock(JSON.parse(JSON.stringify(stored))));
+      expect(() => new QuantumBlockchain({ storage, difficulty: 1 })).toThrow('Stored block 3 has an out-of-range timestamp');
+    });
+  });
+});
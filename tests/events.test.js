@@ -0,0 +1,133 @@
+const http = require('http');
+const { io: connect } = require('socket.io-client');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { QuantumDeFiProtocol } = require('../src/defi/QuantumDeFi');
+const { BitcoinQuantumBridge } = require('../src/bitcoin/BitcoinBridge');
+const { QuantumConsensus } = require('../src/consensus/QuantumConsensus');
+const { EventStream } = require('../src/network/EventStream');
+const { testAddress } = require('./addresses');
+const { openLiquidityPool, submitOperation } = require('./pools');
+
+describe('Event Stream', () => {
+  let blockchain;
+  let defi;
+  let bridge;
+  let consensus;
+  let stream;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    defi = new QuantumDeFiProtocol(blockchain);
+    bridge = new BitcoinQuantumBridge(blockchain);
+    consensus = new QuantumConsensus(blockchain, { minimumStake: 10 });
+
+    server = http.createServer();
+    stream = new EventStream({ blockchain, defi, bridge, consensus });
+    stream.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    client = connect(`http://127.0.0.1:${server.address().port}`, { transports: ['websocket'] });
+    await new Promise(resolve => client.on('connect', resolve));
+  });
+
+  afterEach(async () => {
+    client.close();
+    await stream.close();
+  });
+
+  function subscribe(channels) {
+    return new Promise(resolve => client.emit('subscribe', channels, resolve));
+  }
+
+  function next(event) {
+    return new Promise(resolve => client.once(event, resolve));
+  }
+
+  test('should stream mined blocks to block subscribers', async () => {
+    expect(await subscribe('blocks')).toEqual({ subscribed: ['blocks'] });
+
+    const received = next('block');
+    const block = await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const message = await received;
+    expect(message.channel).toBe('blocks');
+    expect(message.status).toBe('mined');
+    expect(message.block.hash).toBe(block.hash);
+  });
+
+  test('should stream an address\'s pending and confirmed activity only to its channel', async () => {
+    const sender = new QuantumWallet();
+    await blockchain.minePendingTransactions(sender.address);
+    await subscribe([`address:${sender.address}`]);
+
+    const unrelated = jest.fn();
+    client.on('block', unrelated);
+
+    const pending = next('transaction');
+    const transaction = sender.createTransaction(testAddress('recipient'), 10, {}, { nonce: 0 });
+    blockchain.addTransaction(transaction);
+    expect(await pending).toMatchObject({ channel: `address:${sender.address}`, status: 'pending' });
+
+    const confirmed = next('transaction');
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    const message = await confirmed;
+    expect(message).toMatchObject({ status: 'confirmed', blockIndex: 2 });
+    expect(message.transaction.txHash).toBe(transaction.txHash);
+    expect(unrelated).not.toHaveBeenCalled();
+  });
+
+  test('should stream pool reserve changes', async () => {
+    const { poolId, wallet } = await openLiquidityPool(blockchain, defi);
+    await subscribe([`pool:${poolId}`]);
+
+    const received = next('pool');
+    const { amountOut } = submitOperation(blockchain, wallet, defi.swap(poolId, 'QTC', 10, 0, wallet.address));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const { pool } = await received;
+    expect(pool.action).toBe('swap');
+    expect(pool.reserveA).toBe(60);
+    expect(pool.reserveB).toBe(100 - amountOut);
+    expect(pool.reserveB).toBe(defi.getPool(poolId).reserveB);
+  });
+
+  test('should stream bridge transfer status changes', async () => {
+    await subscribe('bridge');
+    const updates = [];
+    client.on('transfer', message => updates.push(message.transfer.status));
+
+    bridge.emit('transferUpdated', { transferId: 'a'.repeat(8), status: 'locked' });
+    bridge.emit('transferUpdated', { transferId: 'a'.repeat(8), status: 'minted' });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(updates).toEqual(['locked', 'minted']);
+  });
+
+  test('should stream consensus events', async () => {
+    await subscribe('consensus');
+
+    const received = next('consensus');
+    consensus.registerValidator(testAddress('validator'), 'key', 10);
+
+    const message = await received;
+    expect(message.type).toBe('validatorRegistered');
+    expect(message.data.address).toBe(testAddress('validator'));
+  });
+
+  test('should reject unknown channels and stop after unsubscribe', async () => {
+    expect(await subscribe(['blocks', 'everything'])).toEqual({ error: 'Unknown channel: everything' });
+
+    await subscribe('blocks');
+    await new Promise(resolve => client.emit('unsubscribe', 'blocks', resolve));
+
+    const received = jest.fn();
+    client.on('block', received);
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(received).not.toHaveBeenCalled();
+  });
+});
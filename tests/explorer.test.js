@@ -0,0 +1,129 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+describe('Explorer API', () => {
+  let app;
+  let blockchain;
+  let sender;
+
+  beforeAll(async () => {
+    app = new QuantumGenesisApp();
+    blockchain = app.blockchain;
+    blockchain.difficulty = 1;
+
+    sender = new QuantumWallet();
+    for (let i = 0; i < 4; i++) {
+      await blockchain.minePendingTransactions(sender.address);
+    }
+  });
+
+  function route(path) {
+    return app.app._router.stack
+      .find(layer => layer.route?.path === path)
+      .route.stack[0].handle;
+  }
+
+  function call(path, req) {
+    const res = { json: jest.fn() };
+    res.status = jest.fn(() => res);
+    route(path)({ params: {}, query: {}, ...req }, res);
+    return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+  }
+
+  test('should page through blocks newest first with a cursor', () => {
+    const first = call('/api/blockchain/blocks', { query: { limit: '2' } }).body;
+    expect(first.blocks.map(block => block.index)).toEqual([4, 3]);
+    expect(first.height).toBe(4);
+
+    const second = call('/api/blockchain/blocks', { query: { limit: '2', cursor: first.nextCursor } }).body;
+    expect(second.blocks.map(block => block.index)).toEqual([2, 1]);
+
+    const last = call('/api/blockchain/blocks', { query: { limit: '2', cursor: second.nextCursor } }).body;
+    expect(last.blocks.map(block => block.index)).toEqual([0]);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  test('should serve height ranges in ascending order', () => {
+    const page = call('/api/blockchain/blocks', { query: { from: '1', to: '3', order: 'asc', limit: '2' } }).body;
+    expect(page.blocks.map(block => block.index)).toEqual([1, 2]);
+
+    const rest = call('/api/blockchain/blocks', { query: { from: '1', to: '3', order: 'asc', cursor: page.nextCursor } }).body;
+    expect(rest.blocks.map(block => block.index)).toEqual([3]);
+    expect(rest.nextCursor).toBeNull();
+  });
+
+  test('should cap the page size', () => {
+    expect(blockchain.getBlocks({ limit: 1000 }).blocks.length).toBe(5);
+    expect(blockchain.getBlocks({ limit: 0 }).blocks.length).toBe(1);
+  });
+
+  test('should reject malformed queries and unknown cursors', () => {
+    expect(call('/api/blockchain/blocks', { query: { limit: 'ten' } }).status).toBe(400);
+    expect(call('/api/blockchain/blocks', { query: { order: 'sideways' } }).status).toBe(400);
+    expect(call('/api/blockchain/blocks', { query: { cursor: 'f'.repeat(64) } }).status).toBe(400);
+  });
+
+  test('should look up blocks by hash with confirmations', () => {
+    const block = blockchain.chain[2];
+    const { body } = call('/api/blockchain/block/hash/:hash', { params: { hash: block.hash } });
+
+    expect(body.block).toBe(block);
+    expect(body.mainChain).toBe(true);
+    expect(body.confirmations).toBe(3);
+    expect(call('/api/blockchain/block/hash/:hash', { params: { hash: 'f'.repeat(64) } }).status).toBe(404);
+  });
+
+  test('should report side-branch blocks as unconfirmed', async () => {
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(blockchain.chain[0]);
+    const fork = new QuantumBlockchain({ storage, difficulty: 1 });
+    const sideBlock = await fork.minePendingTransactions(testAddress('forker'));
+
+    expect(blockchain.addBlock(JSON.parse(JSON.stringify(sideBlock))).status).toBe('side');
+    expect(blockchain.getBlockByHash(sideBlock.hash)).toMatchObject({ mainChain: false, confirmations: 0 });
+  });
+
+  test('should locate confirmed and pending transactions', async () => {
+    const confirmed = blockchain.chain[1].data.transactions[0];
+    const { body } = call('/api/transaction/:txHash', { params: { txHash: confirmed.txHash } });
+
+    expect(body).toMatchObject({
+      status: 'confirmed',
+      blockIndex: 1,
+      blockHash: blockchain.chain[1].hash,
+      position: 0,
+      confirmations: 4
+    });
+    expect(body.transaction.txHash).toBe(confirmed.txHash);
+
+    const pending = sender.createTransaction(testAddress('recipient'), 5, {}, { nonce: blockchain.getNextNonce(sender.address), fee: 1 });
+    blockchain.addTransaction(pending);
+
+    expect(call('/api/transaction/:txHash', { params: { txHash: pending.txHash } }).body)
+      .toMatchObject({ status: 'pending', confirmations: 0 });
+    expect(call('/api/transaction/:txHash', { params: { txHash: 'f'.repeat(64) } }).status).toBe(404);
+
+    await blockchain.minePendingTransactions(sender.address);
+    expect(blockchain.getTransaction(pending.txHash)).toMatchObject({ status: 'confirmed', blockIndex: 5, confirmations: 1 });
+  });
+
+  test('should list the mempool by fee rate', () => {
+    const nonce = blockchain.getNextNonce(sender.address);
+    const cheap = sender.createTransaction(testAddress('recipient'), 1, {}, { nonce, fee: 0 });
+    blockchain.addTransaction(cheap);
+    const generous = sender.createTransaction(testAddress('recipient'), 1, {}, { nonce: nonce + 1, fee: 5 });
+    blockchain.addTransaction(generous);
+
+    const { body } = call('/api/mempool', { query: {} });
+
+    expect(body.count).toBe(2);
+    expect(body.totalFees).toBe(5);
+    expect(body.size).toBeGreaterThan(0);
+    expect(body.transactions.map(trans => trans.txHash)).toEqual([generous.txHash, cheap.txHash]);
+    expect(call('/api/mempool', { query: { offset: '1' } }).body.transactions.map(trans => trans.txHash))
+      .toEqual([cheap.txHash]);
+  });
+});
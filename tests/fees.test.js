@@ -0,0 +1,144 @@
+const { QuantumBlockchain, TransactionRejectedError, BlockRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { QuantumTransaction, QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+describe('Transaction Fees', () => {
+  let blockchain;
+  let alice;
+  let bob;
+  let recipient;
+
+  beforeAll(() => {
+    alice = new QuantumWallet();
+    bob = new QuantumWallet();
+    recipient = new QuantumWallet();
+  });
+
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(alice.address);
+    await blockchain.minePendingTransactions(bob.address);
+  });
+
+  function send(wallet, amount, fee) {
+    return wallet.createTransaction(recipient.address, amount, {}, {
+      nonce: blockchain.getNextNonce(wallet.address),
+      fee
+    });
+  }
+
+  function submit(wallet, amount, fee) {
+    const transaction = send(wallet, amount, fee);
+    blockchain.addTransaction(transaction);
+    return transaction;
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  test('should cover the fee with the transaction signature', () => {
+    const transaction = send(alice, 10, 2);
+    expect(transaction.fee).toBe(2);
+    expect(transaction.isValid()).toBe(true);
+
+    transaction.fee = 0;
+    expect(transaction.isValid()).toBe(false);
+  });
+
+  test('should debit amount plus fee and pay fees to the miner', async () => {
+    submit(alice, 10, 3);
+    expect(blockchain.getAvailableBalance(alice.address)).toBe(87);
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.getBalance(alice.address)).toBe(87);
+    expect(blockchain.getBalance(recipient.address)).toBe(10);
+    expect(blockchain.getBalance(testAddress('miner'))).toBe(blockchain.miningReward + 3);
+    expect(blockchain.getLatestBlock().data.transactions[1].data.fees).toBe(3);
+  });
+
+  test('should reject invalid fees and fees the sender cannot afford', () => {
+    expect(rejectionCode(() => blockchain.addTransaction(send(alice, 10, -1)))).toBe('INVALID_FEE');
+    expect(rejectionCode(() => blockchain.addTransaction(send(alice, 95, 10)))).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  test('should fill blocks by fee rate and leave the rest in the pool', async () => {
+    blockchain.maxBlockTransactions = 2;
+    const low = submit(alice, 5, 1);
+    const high = submit(bob, 5, 50);
+    const middle = submit(bob, 5, 20);
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const included = blockchain.getLatestBlock().data.transactions.map(trans => trans.txHash);
+    expect(included).toEqual([high.txHash, middle.txHash, expect.any(String)]);
+    expect(blockchain.pendingTransactions.map(trans => trans.txHash)).toEqual([low.txHash]);
+    expect(blockchain.getBalance(testAddress('miner'))).toBe(blockchain.miningReward + 70);
+  });
+
+  test('should keep a sender\'s transactions in nonce order regardless of fee', async () => {
+    blockchain.maxBlockTransactions = 2;
+    const first = submit(alice, 5, 0);
+    const second = submit(alice, 5, 90);
+    const other = submit(bob, 5, 10);
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const included = blockchain.getLatestBlock().data.transactions.map(trans => trans.txHash);
+    expect(included.slice(0, 2)).toEqual([other.txHash, first.txHash]);
+    expect(blockchain.pendingTransactions.map(trans => trans.txHash)).toEqual([second.txHash]);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should respect the block size limit', async () => {
+    const transaction = submit(alice, 5, 1);
+    submit(bob, 5, 1);
+    blockchain.maxBlockSize = QuantumTransaction.size(transaction) + 10;
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.getLatestBlock().data.transactions.length).toBe(2);
+    expect(blockchain.pendingTransactions.length).toBe(1);
+  });
+
+  test('should reject peer blocks that overpay the miner', async () => {
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(blockchain.chain[0]);
+    const peer = new QuantumBlockchain({ storage, difficulty: 1 });
+    blockchain.chain.slice(1).forEach(block => peer.addBlock(JSON.parse(JSON.stringify(block))));
+
+    submit(alice, 10, 4);
+    blockchain.miningReward += 5;
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const block = JSON.parse(JSON.stringify(blockchain.getLatestBlock()));
+    expect(() => peer.addBlock(block)).toThrow(BlockRejectedError);
+    expect(() => peer.addBlock(block)).toThrow('invalid mining reward');
+  });
+
+  test('should reject peer blocks whose reward is negative or not a number', async () => {
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(blockchain.chain[0]);
+    const peer = new QuantumBlockchain({ storage, difficulty: 1 });
+    blockchain.chain.slice(1).forEach(block => peer.addBlock(JSON.parse(JSON.stringify(block))));
+
+    for (const reward of [-100, NaN, '100']) {
+      const miner = new QuantumBlockchain({ storage: new MemoryChainStorage(), difficulty: 1 });
+      peer.chain.slice(1).forEach(block => miner.addBlock(JSON.parse(JSON.stringify(block))));
+      miner.miningReward = reward;
+      await miner.minePendingTransactions(testAddress('miner'));
+
+      const block = JSON.parse(JSON.stringify(miner.getLatestBlock()));
+      expect(() => peer.addBlock(block)).toThrow('invalid mining reward');
+    }
+    expect(peer.chain).toHaveLength(blockchain.chain.length);
+  });
+});
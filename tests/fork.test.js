@@ -0,0 +1,144 @@
+const { QuantumBlockchain, BlockRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+
+describe('Fork Handling', () => {
+  let nodeA;
+  let nodeB;
+  let sender;
+  let recipient;
+
+  beforeAll(() => {
+    sender = new QuantumWallet();
+    recipient = new QuantumWallet();
+  });
+
+  // Two nodes sharing a genesis block and a first block that funds the sender
+  beforeEach(async () => {
+    nodeA = new QuantumBlockchain({ difficulty: 1 });
+
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(nodeA.chain[0]);
+    nodeB = new QuantumBlockchain({ storage, difficulty: 1 });
+
+    await nodeA.minePendingTransactions(sender.address);
+    expect(nodeB.addBlock(JSON.parse(JSON.stringify(nodeA.getLatestBlock()))).status).toBe('extended');
+  });
+
+  function relay(block, target) {
+    return target.addBlock(JSON.parse(JSON.stringify(block)));
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(BlockRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected block to be rejected');
+  }
+
+  test('should keep a competing block of equal work on a side branch', async () => {
+    await nodeA.minePendingTransactions(sender.address);
+    await nodeB.minePendingTransactions(recipient.address);
+
+    expect(relay(nodeB.getLatestBlock(), nodeA).status).toBe('side');
+    expect(nodeA.chain.length).toBe(3);
+    expect(nodeA.blocks.has(nodeB.getLatestBlock().hash)).toBe(true);
+  });
+
+  test('should reorganise onto the branch with more cumulative work', async () => {
+    const transaction = sender.createTransaction(recipient.address, 30, {}, { nonce: 0 });
+    nodeA.addTransaction(transaction);
+    await nodeA.minePendingTransactions(sender.address);
+    const abandonedTip = nodeA.getLatestBlock();
+
+    expect(nodeA.getBalance(recipient.address)).toBe(30);
+
+    await nodeB.minePendingTransactions(recipient.address);
+    await nodeB.minePendingTransactions(recipient.address);
+
+    const events = [];
+    nodeA.on('chainReorganized', event => events.push(event));
+
+    relay(nodeB.chain[2], nodeA);
+    expect(relay(nodeB.chain[3], nodeA).status).toBe('reorganized');
+
+    expect(nodeA.getLatestBlock().hash).toBe(nodeB.getLatestBlock().hash);
+    expect(events.length).toBe(1);
+    expect(events[0].oldTip.hash).toBe(abandonedTip.hash);
+    expect(events[0].newTip.hash).toBe(nodeB.getLatestBlock().hash);
+    expect(events[0].forkPoint.index).toBe(1);
+
+    // State reflects the new branch and the abandoned transfer is pending again
+    expect(nodeA.getBalance(recipient.address)).toBe(200);
+    expect(nodeA.getBalance(sender.address)).toBe(100);
+    expect(nodeA.getNonce(sender.address)).toBe(0);
+    expect(nodeA.transactionLocations.has(transaction.txHash)).toBe(false);
+    expect(nodeA.getTransactionHistory(sender.address).every(entry => entry.blockHash !== abandonedTip.hash)).toBe(true);
+    expect(nodeA.pendingTransactions.map(trans => trans.txHash)).toEqual([transaction.txHash]);
+    expect(nodeA.isChainValid()).toBe(true);
+  });
+
+  test('should keep the current chain when the heavier branch contains an invalid transaction', async () => {
+    await nodeA.minePendingTransactions(sender.address);
+    const tip = nodeA.getLatestBlock();
+
+    // Bypass node B's mempool checks to mine an overdraft
+    nodeB.pendingTransactions.push(sender.createTransaction(recipient.address, 5000, {}, { nonce: 0 }));
+    await nodeB.minePendingTransactions(recipient.address);
+    await nodeB.minePendingTransactions(recipient.address);
+
+    relay(nodeB.chain[2], nodeA);
+    expect(rejectionCode(() => relay(nodeB.chain[3], nodeA))).toBe('INVALID_BLOCK');
+
+    expect(nodeA.getLatestBlock().hash).toBe(tip.hash);
+    expect(nodeA.getBalance(sender.address)).toBe(200);
+    expect(rejectionCode(() => relay(nodeB.chain[3], nodeA))).toBe('INVALID_BLOCK');
+  });
+
+  test('should reject blocks that are orphaned or fail proof-of-work', async () => {
+    await nodeB.minePendingTransactions(recipient.address);
+    await nodeB.minePendingTransactions(recipient.address);
+
+    expect(rejectionCode(() => relay(nodeB.chain[3], nodeA))).toBe('ORPHAN_BLOCK');
+
+    const tampered = JSON.parse(JSON.stringify(nodeB.chain[2]));
+    tampered.data.transactions[0].amount = 1000;
+    expect(rejectionCode(() => nodeA.addBlock(tampered))).toBe('INVALID_BLOCK');
+  });
+
+  test('should reject a block whose reward claims the hash of another transaction', async () => {
+    const transfer = sender.createTransaction(recipient.address, 10, {}, { nonce: 0 });
+    nodeB.addTransaction(transfer);
+    await nodeA.minePendingTransactions(recipient.address);
+
+    // The Merkle root covers recomputed hashes, so the txHash field alone can be swapped without re-mining
+    const block = JSON.parse(JSON.stringify(nodeA.getLatestBlock()));
+    block.data.transactions[0].txHash = transfer.txHash;
+
+    expect(rejectionCode(() => nodeB.addBlock(block))).toBe('INVALID_BLOCK');
+    expect(nodeB.pendingTransactions.map(trans => trans.txHash)).toEqual([transfer.txHash]);
+    expect(nodeB.getTransaction(transfer.txHash)).toMatchObject({ status: 'pending', transaction: { fromAddress: sender.address } });
+
+    nodeA.getLatestBlock().data.transactions[0].txHash = transfer.txHash;
+    expect(nodeA.isChainValid()).toBe(false);
+
+    const storage = new MemoryChainStorage();
+    nodeA.chain.forEach(stored => storage.appendBlock(JSON.parse(JSON.stringify(stored))));
+    expect(() => new QuantumBlockchain({ storage, difficulty: 1 })).toThrow('Stored block 2 is corrupted');
+  });
+
+  test('should restore side branches from storage', async () => {
+    await nodeA.minePendingTransactions(sender.address);
+    await nodeB.minePendingTransactions(recipient.address);
+    relay(nodeB.getLatestBlock(), nodeA);
+
+    const restarted = new QuantumBlockchain({ storage: nodeA.storage, difficulty: 1 });
+
+    expect(restarted.getLatestBlock().hash).toBe(nodeA.getLatestBlock().hash);
+    expect(restarted.blocks.has(nodeB.getLatestBlock().hash)).toBe(true);
+    expect(restarted.chainWork.get(nodeB.getLatestBlock().hash)).toBe(nodeA.chainWork.get(nodeA.getLatestBlock().hash));
+  });
+});
@@ -0,0 +1,92 @@
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { HDWallet } = require('../src/wallet/HDWallet');
+const { testAddress } = require('./addresses');
+const {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  entropyToMnemonic,
+  mnemonicToEntropy
+} = require('../src/wallet/Mnemonic');
+
+const ABANDON = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('HD Wallets', () => {
+  describe('Mnemonic', () => {
+    test('should match the BIP39 reference vectors', () => {
+      expect(entropyToMnemonic(Buffer.alloc(16))).toBe(ABANDON);
+      expect(entropyToMnemonic(Buffer.alloc(16, 0x7f)))
+        .toBe('legal winner thank year wave sausage worth useful legal winner thank yellow');
+      expect(mnemonicToSeed(ABANDON, 'TREZOR').toString('hex')).toBe(
+        'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+      );
+    });
+
+    test('should generate phrases that decode back to their entropy', () => {
+      const mnemonic = generateMnemonic();
+
+      expect(mnemonic.split(' ')).toHaveLength(24);
+      expect(validateMnemonic(mnemonic)).toBe(true);
+      expect(entropyToMnemonic(mnemonicToEntropy(mnemonic))).toBe(mnemonic);
+      expect(generateMnemonic(128).split(' ')).toHaveLength(12);
+    });
+
+    test('should reject bad checksums, unknown words and odd lengths', () => {
+      expect(validateMnemonic(ABANDON.replace(/about$/, 'abandon'))).toBe(false);
+      expect(() => mnemonicToEntropy(ABANDON.replace('abandon', 'qwerty'))).toThrow('Unknown mnemonic word: qwerty');
+      expect(() => mnemonicToEntropy('abandon about')).toThrow('12, 15, 18, 21 or 24 words');
+    });
+  });
+
+  describe('Derivation', () => {
+    let hd;
+
+    beforeAll(() => {
+      hd = HDWallet.fromMnemonic(ABANDON);
+    });
+
+    test('should derive the same addresses from the same phrase', () => {
+      const restored = HDWallet.fromMnemonic(`  ${ABANDON.replace(' ', '   ')}\n`);
+
+      expect(restored.deriveAddresses(0, 2)).toEqual(hd.deriveAddresses(0, 2));
+      expect(hd.deriveWallet(0, 1).derivationPath).toBe("m/44'/1977'/0'/0'/1'");
+    });
+
+    test('should give every account and index its own key', () => {
+      const addresses = [...hd.deriveAddresses(0, 2), ...hd.deriveAddresses(1, 2)];
+
+      expect(new Set(addresses).size).toBe(4);
+      expect(addresses.every(address => address.startsWith('qb1'))).toBe(true);
+      expect(HDWallet.fromMnemonic(ABANDON, 'passphrase').deriveAddresses(0, 1)).not.toEqual(hd.deriveAddresses(0, 1));
+    });
+
+    test('should only accept hardened paths', () => {
+      expect(hd.deriveKey("m/44'/1977'/0'").equals(hd.deriveKey('m/44h/1977h/0h'))).toBe(true);
+      expect(() => hd.deriveKey("m/44'/1977'/0")).toThrow('Only hardened derivation');
+      expect(() => hd.deriveKey("44'/0'")).toThrow('must start with m');
+      expect(() => HDWallet.fromMnemonic('not a valid phrase')).toThrow('Invalid mnemonic phrase');
+    });
+  });
+
+  test('should resume signing after a restore without reusing one-time keys', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1 });
+    const { mnemonic } = HDWallet.generate({ strength: 128 });
+    const original = HDWallet.fromMnemonic(mnemonic).deriveWallet(0, 0);
+    original.syncWithChain(blockchain);
+
+    await blockchain.minePendingTransactions(original.address);
+    blockchain.addTransaction(original.createTransaction(testAddress('friend'), 10, {}, { nonce: 0 }));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const restored = HDWallet.fromMnemonic(mnemonic).deriveWallet(0, 0);
+    expect(restored.address).toBe(original.address);
+    expect(() => restored.createTransaction(testAddress('friend'), 5)).toThrow('Sync this wallet with the chain before signing');
+
+    restored.syncWithChain(blockchain);
+    expect(restored.keyPair.nextIndex).toBe(1);
+
+    const transaction = restored.createTransaction(testAddress('friend'), 5);
+    expect(transaction.nonce).toBe(1);
+    expect(() => blockchain.addTransaction(transaction)).not.toThrow();
+  });
+});
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { HashTimeLockedContract, createSecret } = require('../src/wallet/Htlc');
+const { createBitcoinHtlc, htlcClaimWitness } = require('../src/bitcoin/BitcoinHtlc');
+const { decodeAddress } = require('../src/wallet/Address');
+const { testAddress } = require('./addresses');
+
+describe('Hash Time-Locked Contracts', () => {
+  let sender;
+  let recipient;
+  let secret;
+
+  beforeAll(() => {
+    sender = new QuantumWallet();
+    recipient = new QuantumWallet();
+    secret = createSecret();
+  });
+
+  const signed = (wallet, transaction) => {
+    wallet.signTransaction(transaction);
+    return transaction;
+  };
+
+  function rejection(operation) {
+    try {
+      operation();
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  }
+
+  test('should derive a version 2 address from the terms', () => {
+    const terms = { sender: sender.address, recipient: testAddress('bob'), hashlock: secret.hashlock, timelock: 10 };
+    const contract = new HashTimeLockedContract(terms);
+
+    expect(decodeAddress(contract.address).version).toBe(2);
+    expect(new HashTimeLockedContract({ ...terms, timelock: 11 }).address).not.toBe(contract.address);
+    expect(contract.isPreimage(secret.preimage)).toBe(true);
+    expect(contract.isPreimage(createSecret().preimage)).toBe(false);
+
+    // Only 32-byte preimages count, as in the Bitcoin script
+    const short = crypto.randomBytes(16).toString('hex');
+    const shortLocked = new HashTimeLockedContract({ ...terms, hashlock: crypto.createHash('sha256').update(Buffer.from(short, 'hex')).digest('hex') });
+    expect(shortLocked.isPreimage(short)).toBe(false);
+    expect(() => QuantumTransaction.deserialize(QuantumTransaction.serialize(shortLocked.createClaim(short, 1))))
+      .toThrow('32-byte hex preimage');
+
+    expect(rejection(() => new HashTimeLockedContract({ ...terms, hashlock: 'abc' }))).toBe('INVALID_HTLC');
+    expect(rejection(() => new HashTimeLockedContract({ ...terms, recipient: 'qb1bob' }))).toBe('INVALID_HTLC');
+    expect(rejection(() => new HashTimeLockedContract({ ...terms, timelock: 0 }))).toBe('INVALID_HTLC');
+  });
+
+  test('should only let the preimage pay the recipient, and the sender refund after the timelock', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(sender.address);
+
+    const contract = new HashTimeLockedContract({ sender: sender.address, recipient: recipient.address, hashlock: secret.hashlock, timelock: 4 });
+    blockchain.addTransaction(sender.createTransaction(contract.address, 30, {}, { nonce: 0 }));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    const wrongSecret = signed(recipient, contract.createClaim(createSecret().preimage, 30));
+    const redirected = QuantumTransaction.fromJSON({ ...contract.createClaim(secret.preimage, 30).toJSON(), toAddress: testAddress('mallory') });
+    expect(rejection(() => blockchain.addTransaction(wrongSecret))).toBe('INVALID_SIGNATURE');
+    expect(rejection(() => blockchain.addTransaction(redirected))).toBe('INVALID_SIGNATURE');
+    expect(rejection(() => blockchain.addTransaction(contract.createClaim(secret.preimage, 30)))).toBe('MISSING_SIGNATURE');
+    expect(rejection(() => blockchain.addTransaction(signed(sender, contract.createRefund(30))))).toBe('HTLC_LOCKED');
+
+    blockchain.addTransaction(signed(recipient, contract.createClaim(secret.preimage, 29, { fee: 1 })));
+    expect(rejection(() => blockchain.addTransaction(signed(sender, contract.createRefund(30))))).toBe('HTLC_LOCKED');
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.getBalance(recipient.address)).toBe(29);
+    expect(blockchain.getBalance(contract.address)).toBe(0);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should refuse a spend signed by anyone but the party it pays', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(sender.address);
+
+    const contract = new HashTimeLockedContract({ sender: sender.address, recipient: recipient.address, hashlock: secret.hashlock, timelock: 4 });
+    blockchain.addTransaction(sender.createTransaction(contract.address, 30, {}, { nonce: 0 }));
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    // A third party who saw the preimage tries to hand the balance to the miner as a fee
+    const miner = new QuantumWallet();
+    const drain = contract.createClaim(secret.preimage, 1, { fee: 29 });
+    expect(() => miner.signTransaction(drain)).toThrow('You cannot sign transactions for other wallets!');
+
+    drain.publicKey = miner.publicKey;
+    drain.signature = miner.keyPair.sign(drain.calculateHash());
+    expect(rejection(() => blockchain.addTransaction(drain))).toBe('INVALID_SIGNATURE');
+    expect(blockchain.getAvailableBalance(contract.address)).toBe(30);
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      await app.blockchain.minePendingTransactions(sender.address);
+    });
+
+    function call(method, path, params, body = {}) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods[method])
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ params, body }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    // Sign and submit a prepared transaction locally
+    function submit(wallet, prepared) {
+      const transaction = QuantumTransaction.deserialize(prepared.transaction);
+      wallet.signTransaction(transaction);
+      app.submitTransaction(QuantumTransaction.serialize(transaction));
+      return transaction;
+    }
+
+    // Register the terms, then fund them with the prepared transfer
+    async function fundHtlc(terms, amount) {
+      const { body } = call('post', '/api/htlc/create', {}, { ...terms, amount });
+      submit(sender, body.funding);
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+      return body.address;
+    }
+
+    test('should claim with the preimage and reveal it', async () => {
+      const address = await fundHtlc({ sender: sender.address, recipient: recipient.address, hashlock: secret.hashlock, timelock: 100 }, 20);
+      const claim = body => call('post', '/api/htlc/:address/claim', { address }, body);
+
+      expect(call('get', '/api/htlc/:address', { address }).body).toMatchObject({ status: 'locked', balance: 20, preimage: null });
+      expect(claim({ preimage: 'ab' }).body.code).toBe('INVALID_PREIMAGE');
+
+      const prepared = claim({ preimage: secret.preimage, fee: 1 }).body;
+      expect(prepared).toMatchObject({ amount: 19, transaction: { toAddress: recipient.address, fee: 1 } });
+      expect(call('get', '/api/htlc/:address', { address }).body.preimage).toBeNull();
+      submit(recipient, prepared);
+      expect(call('get', '/api/htlc/:address', { address }).body.preimage).toBe(secret.preimage);
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+
+      expect(call('get', '/api/htlc/:address', { address }).body).toMatchObject({ status: 'claimed', balance: 0 });
+      expect(app.blockchain.getBalance(recipient.address)).toBe(19);
+      expect(claim({ preimage: secret.preimage }).body.code).toBe('HTLC_EMPTY');
+    });
+
+    test('should refund the sender from the timelock height on', async () => {
+      const timelock = app.blockchain.chain.length + 2;
+      const address = await fundHtlc({ sender: sender.address, recipient: testAddress('dave'), hashlock: secret.hashlock, timelock }, 10);
+
+      expect(call('post', '/api/htlc/:address/refund', { address }))
+        .toMatchObject({ status: 409, body: { code: 'HTLC_LOCKED' } });
+
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+      expect(call('get', '/api/htlc/:address', { address }).body.status).toBe('refundable');
+      submit(sender, call('post', '/api/htlc/:address/refund', { address }).body);
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+
+      expect(call('get', '/api/htlc/:address', { address }).body.status).toBe('refunded');
+      expect(call('get', '/api/htlc/:address', { address: testAddress('nobody') }).status).toBe(404);
+    });
+  });
+
+  describe('Bitcoin HTLC', () => {
+    const recipientPublicKey = '02' + '11'.repeat(32);
+    const refundPublicKey = '03' + '22'.repeat(32);
+
+    test('should build a regtest P2WSH script with the same hashlock', () => {
+      const htlc = createBitcoinHtlc({ hashlock: secret.hashlock, recipientPublicKey, refundPublicKey, locktime: 500 });
+
+      expect(htlc.address).toMatch(/^bcrt1q/);
+      expect(bitcoin.script.toASM(Buffer.from(htlc.witnessScript, 'hex'))).toBe(
+        `OP_IF OP_SIZE 20 OP_EQUALVERIFY OP_SHA256 ${secret.hashlock} OP_EQUALVERIFY ${recipientPublicKey} ` +
+        `OP_ELSE f401 OP_CHECKLOCKTIMEVERIFY OP_DROP ${refundPublicKey} OP_ENDIF OP_CHECKSIG`
+      );
+      expect(bitcoin.payments.p2wsh({ address: htlc.address, network: bitcoin.networks.regtest }).output.toString('hex'))
+        .toBe(htlc.scriptPubKey);
+
+      const witness = htlcClaimWitness(htlc.witnessScript, '30' + '00'.repeat(8), secret.preimage);
+      expect(witness[1].toString('hex')).toBe(secret.preimage);
+      expect(() => createBitcoinHtlc({ hashlock: secret.hashlock, recipientPublicKey: 'ab', refundPublicKey, locktime: 500 }))
+        .toThrow('recipientPublicKey must be a compressed secp256k1 public key');
+    });
+
+    test('should answer the script from the API', () => {
+      const app = new QuantumGenesisApp();
+      const handler = app.app._router.stack.find(layer => layer.route?.path === '/api/htlc/bitcoin-script').route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+
+      handler({ body: { hashlock: secret.hashlock, recipientPublicKey, refundPublicKey, locktime: 0 } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(app.rpc.methods.has('htlc_bitcoinScript')).toBe(true);
+      expect(app.rpc.methods.has('htlc_prepareClaim')).toBe(true);
+    });
+  });
+});
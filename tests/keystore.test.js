@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const QuantumGenesisApp = require('../src/index');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { encryptKeystore, decryptKeystore } = require('../src/wallet/Keystore');
+const { testAddress } = require('./addresses');
+
+// Cheap scrypt parameters keep the tests fast; the format is the same
+const FAST = { kdfParams: { n: 1024 } };
+
+// The standalone wallet is a browser script; run it with WebCrypto and a stub document
+function loadBrowserWallet() {
+  const context = vm.createContext({ crypto: globalThis.crypto, TextEncoder, console, document: { addEventListener() {} } });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../standalone/quantum-core.js'), 'utf8'), context);
+  return vm.runInContext('({ QuantumKeystore, QuantumWallet })', context);
+}
+
+async function errorCode(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+describe('Keystore', () => {
+  let wallet;
+
+  beforeAll(() => {
+    wallet = new QuantumWallet();
+    wallet.createTransaction(testAddress('friend'), 1, {}, { nonce: 0 });
+  });
+
+  test('should restore the key and its signature index', async () => {
+    const keystore = await wallet.toKeystore('correct horse', FAST);
+
+    expect(keystore).toMatchObject({
+      version: 1,
+      address: wallet.address,
+      signer: { algorithm: 'XMSS^MT-SHA3-256', nextIndex: 1 },
+      crypto: { cipher: 'aes-256-gcm', kdf: 'scrypt', kdfparams: { n: 1024, r: 8, p: 1, dklen: 32 } }
+    });
+    expect(JSON.stringify(keystore)).not.toContain(wallet.privateKey);
+
+    const restored = await QuantumWallet.fromKeystore(JSON.stringify(keystore), 'correct horse');
+    expect(restored.address).toBe(wallet.address);
+    expect(restored.keyPair.nextIndex).toBe(1);
+  });
+
+  test('should reject a wrong password and tampered fields', async () => {
+    const keystore = await wallet.toKeystore('correct horse', FAST);
+
+    expect(await errorCode(decryptKeystore(keystore, 'battery staple'))).toBe('INVALID_PASSWORD');
+    expect(await errorCode(decryptKeystore({ ...keystore, signer: { ...keystore.signer, nextIndex: 0 } }, 'correct horse')))
+      .toBe('INVALID_PASSWORD');
+    expect(await errorCode(decryptKeystore({ ...keystore, version: 2 }, 'correct horse'))).toBe('UNSUPPORTED_KEYSTORE');
+    expect(await errorCode(decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, tag: 'ab' } }, 'correct horse')))
+      .toBe('INVALID_KEYSTORE');
+    expect(await errorCode(decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, kdfparams: { ...keystore.crypto.kdfparams, n: 2 ** 24 } } }, 'correct horse')))
+      .toBe('INVALID_KEYSTORE');
+    expect(await errorCode(decryptKeystore('{not json', 'correct horse'))).toBe('INVALID_KEYSTORE');
+  });
+
+  test('should open files written by the browser wallet and vice versa', async () => {
+    const browser = loadBrowserWallet();
+    const browserWallet = new browser.QuantumWallet();
+
+    const fromBrowser = await browser.QuantumKeystore.encrypt(browserWallet, 'pässword', { n: 1024 });
+    expect((await decryptKeystore(fromBrowser, 'pässword')).privateKey).toBe(browserWallet.privateKey);
+
+    const fromNode = await encryptKeystore(wallet, 'pässword', FAST);
+    const opened = await browser.QuantumKeystore.decrypt(JSON.stringify(fromNode), 'pässword');
+    expect(opened).toMatchObject({ privateKey: wallet.privateKey, address: wallet.address, signer: { nextIndex: 1 } });
+    await expect(browser.QuantumKeystore.decrypt(fromNode, 'password')).rejects.toThrow('Wrong password');
+  });
+
+  describe('API', () => {
+    function call(app, path, params, body) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods.post)
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      return Promise.resolve(handler({ params, body }, res))
+        .then(() => ({ status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] }));
+    }
+
+    test('should load a keystore as a dev wallet and export it again', async () => {
+      const app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      const keystore = await wallet.toKeystore('correct horse', FAST);
+
+      expect((await call(app, '/api/wallet/keystore/import', {}, { keystore, password: 'wrong' })).body.code)
+        .toBe('INVALID_PASSWORD');
+
+      const { status, body } = await call(app, '/api/wallet/keystore/import', {}, { keystore, password: 'correct horse' });
+      expect(status).toBe(200);
+      expect(body.address).toBe(wallet.address);
+
+      await app.blockchain.minePendingTransactions(wallet.address);
+      const transaction = app.wallets.get(wallet.address).createTransaction(testAddress('friend'), 5, {}, { nonce: 0 });
+      expect(() => app.blockchain.addTransaction(transaction)).not.toThrow();
+
+      const exported = await call(app, '/api/wallet/:address/keystore', { address: wallet.address }, { password: 'new password' });
+      expect(exported.body.signer.nextIndex).toBe(2);
+      expect((await call(app, '/api/wallet/:address/keystore', { address: testAddress('nobody') }, { password: 'x' })).status).toBe(404);
+    });
+
+    test('should refuse keystores when dev wallets are disabled', async () => {
+      const app = new QuantumGenesisApp({ devWallets: false });
+
+      expect(await call(app, '/api/wallet/keystore/import', {}, { keystore: {}, password: 'x' }))
+        .toMatchObject({ status: 403, body: { code: 'DEV_WALLETS_DISABLED' } });
+      expect(app.rpc.methods.has('wallet_importKeystore')).toBe(false);
+    });
+  });
+});
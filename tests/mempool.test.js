@@ -0,0 +1,81 @@
+const { QuantumBlockchain, TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+
+describe('Mempool Protection', () => {
+  let blockchain;
+  let sender;
+  let recipient;
+
+  beforeAll(() => {
+    sender = new QuantumWallet();
+    recipient = new QuantumWallet();
+  });
+
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain();
+    blockchain.difficulty = 1;
+    await blockchain.minePendingTransactions(sender.address);
+  });
+
+  function send(amount) {
+    return sender.createTransaction(recipient.address, amount, {}, {
+      nonce: blockchain.getNextNonce(sender.address)
+    });
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  test('should reject transactions exceeding the confirmed balance', () => {
+    const transaction = send(101);
+
+    expect(rejectionCode(() => blockchain.addTransaction(transaction))).toBe('INSUFFICIENT_FUNDS');
+    expect(blockchain.pendingTransactions.length).toBe(0);
+  });
+
+  test('should deduct pending outflows before accepting another spend', () => {
+    blockchain.addTransaction(send(60));
+
+    expect(blockchain.getAvailableBalance(sender.address)).toBe(40);
+    expect(rejectionCode(() => blockchain.addTransaction(send(60))))
+      .toBe('INSUFFICIENT_FUNDS');
+
+    blockchain.addTransaction(send(40));
+    expect(blockchain.getAvailableBalance(sender.address)).toBe(0);
+  });
+
+  test('should reject a transaction already in the pending pool', () => {
+    const transaction = send(10);
+    blockchain.addTransaction(transaction);
+
+    expect(rejectionCode(() => blockchain.addTransaction(transaction))).toBe('DUPLICATE_TRANSACTION');
+  });
+
+  test('should reject a transaction already included in a block', async () => {
+    const transaction = send(10);
+    blockchain.addTransaction(transaction);
+    await blockchain.minePendingTransactions(recipient.address);
+
+    expect(rejectionCode(() => blockchain.addTransaction(transaction))).toBe('DUPLICATE_TRANSACTION');
+  });
+
+  test('should report a distinct code for each malformed transaction', () => {
+    const unsigned = send(10);
+    unsigned.signature = null;
+
+    const tampered = send(10);
+    tampered.toAddress = sender.address;
+
+    expect(rejectionCode(() => blockchain.addTransaction({ fromAddress: sender.address, amount: 1 }))).toBe('MISSING_ADDRESS');
+    expect(rejectionCode(() => blockchain.addTransaction(send(-5)))).toBe('INVALID_AMOUNT');
+    expect(rejectionCode(() => blockchain.addTransaction(unsigned))).toBe('MISSING_SIGNATURE');
+    expect(rejectionCode(() => blockchain.addTransaction(tampered))).toBe('INVALID_SIGNATURE');
+  });
+});
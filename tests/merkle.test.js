@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const QuantumGenesisApp = require('../src/index');
+const { MerkleTree } = require('../src/blockchain/MerkleTree');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+
+describe('Merkle Proofs', () => {
+  const leaves = Array.from({ length: 7 }, (_, i) => crypto.createHash('sha3-256').update(`tx${i}`).digest('hex'));
+
+  test('should verify a proof for every leaf, including the unpaired one', () => {
+    const tree = new MerkleTree(leaves);
+
+    leaves.forEach((leaf, i) => {
+      expect(MerkleTree.verifyProof(leaf, tree.getProof(i), tree.root)).toBe(true);
+    });
+  });
+
+  test('should reject a proof for a leaf that is not in the tree', () => {
+    const tree = new MerkleTree(leaves);
+    const outsider = crypto.createHash('sha3-256').update('outsider').digest('hex');
+
+    expect(MerkleTree.verifyProof(outsider, tree.getProof(0), tree.root)).toBe(false);
+  });
+
+  test('should not give a duplicated last leaf the same root', () => {
+    const odd = new MerkleTree(leaves.slice(0, 3));
+    const padded = new MerkleTree([...leaves.slice(0, 3), leaves[2]]);
+
+    expect(odd.root).not.toBe(padded.root);
+  });
+
+  describe('Block headers', () => {
+    let app;
+    let sender;
+    let recipient;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      sender = new QuantumWallet();
+      recipient = new QuantumWallet();
+
+      await app.blockchain.minePendingTransactions(sender.address);
+      app.blockchain.addTransaction(sender.createTransaction(recipient.address, 25, {}, { nonce: 0 }));
+      await app.blockchain.minePendingTransactions(sender.address);
+    });
+
+    test('should commit to transactions through the merkle root', () => {
+      const block = app.blockchain.getLatestBlock();
+
+      expect(block.merkleRoot).toBe(block.calculateMerkleRoot());
+
+      block.data.transactions[0].amount = 2500;
+      expect(block.calculateMerkleRoot()).not.toBe(block.merkleRoot);
+      expect(app.blockchain.isChainValid()).toBe(false);
+
+      block.data.transactions[0].amount = 25;
+      expect(app.blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should serve an inclusion proof that verifies offline against the header', () => {
+      const transaction = app.blockchain.getLatestBlock().data.transactions[0];
+
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === '/api/transaction/:hash/proof')
+        .route.stack[0].handle;
+      const res = { json: jest.fn(), status: jest.fn() };
+      handler({ params: { hash: transaction.txHash } }, res);
+
+      // Round-trip through JSON as a light client would receive it
+      const response = JSON.parse(JSON.stringify(res.json.mock.calls[0][0]));
+
+      expect(response.position).toBe(0);
+      expect(response.header.merkleRoot).toBe(response.merkleRoot);
+      expect(MerkleTree.verifyProof(transaction.txHash, response.proof, response.header.merkleRoot)).toBe(true);
+    });
+
+    test('should return 404 for unknown transactions', () => {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === '/api/transaction/:hash/proof')
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+
+      handler({ params: { hash: 'f'.repeat(64) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
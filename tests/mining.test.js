@@ -0,0 +1,97 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain, MiningAbortedError, MiningInProgressError } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { testAddress } = require('./addresses');
+
+describe('Worker Thread Mining', () => {
+  test('should resolve with the mined block once it is connected', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 2 });
+    const mined = new Promise(resolve => blockchain.once('blockMined', resolve));
+
+    const block = await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(await mined).toBe(block);
+    expect(blockchain.getLatestBlock()).toBe(block);
+    expect(block.hash.startsWith('00')).toBe(true);
+    expect(blockchain.getBalance(testAddress('miner'))).toBe(100);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should keep the event loop free and report hash-rate progress', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 8 });
+    const progress = new Promise(resolve => blockchain.once('miningProgress', resolve));
+    const mining = blockchain.minePendingTransactions(testAddress('miner'));
+
+    // A timer only fires while mining if the search runs off the main thread
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const report = await progress;
+    expect(report.index).toBe(1);
+    expect(report.hashes).toBeGreaterThan(0);
+    expect(report.hashRate).toBeGreaterThan(0);
+
+    expect(blockchain.cancelMining()).toBe(true);
+    await expect(mining).rejects.toBeInstanceOf(MiningAbortedError);
+    expect(blockchain.chain.length).toBe(1);
+    expect(blockchain.miningJob).toBeNull();
+  });
+
+  test('should abort through an AbortSignal', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 8 });
+    const controller = new AbortController();
+    const mining = blockchain.minePendingTransactions(testAddress('miner'), { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(mining).rejects.toMatchObject({ code: 'MINING_ABORTED' });
+    expect(blockchain.cancelMining()).toBe(false);
+  });
+
+  test('should mine one block at a time', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 8 });
+    const mining = blockchain.minePendingTransactions(testAddress('miner'));
+
+    await expect(blockchain.minePendingTransactions(testAddress('miner'))).rejects.toBeInstanceOf(MiningInProgressError);
+
+    blockchain.cancelMining();
+    await expect(mining).rejects.toBeInstanceOf(MiningAbortedError);
+  });
+
+  test('should answer a second mine request with 409 while a block is being mined', async () => {
+    const app = new QuantumGenesisApp();
+    app.blockchain.difficulty = 8;
+    const mining = app.blockchain.minePendingTransactions(testAddress('miner'));
+
+    const handler = app.app._router.stack.find(layer => layer.route?.path === '/api/blockchain/mine').route.stack[0].handle;
+    const res = { json: jest.fn() };
+    res.status = jest.fn(() => res);
+    await handler({ body: { minerAddress: testAddress('miner') } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ error: 'A block is already being mined', code: 'MINING_IN_PROGRESS' });
+
+    app.blockchain.cancelMining();
+    await expect(mining).rejects.toBeInstanceOf(MiningAbortedError);
+  });
+
+  test('should abort when a competing block at the same height arrives', async () => {
+    const competitor = new QuantumBlockchain({ difficulty: 1 });
+    await competitor.minePendingTransactions(testAddress('competitor'));
+
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(competitor.chain[0]);
+    const blockchain = new QuantumBlockchain({ storage, difficulty: 1 });
+    blockchain.difficulty = 8; // only affects the block this node mines locally
+
+    const mining = blockchain.minePendingTransactions(testAddress('miner'));
+    blockchain.difficulty = 1;
+    expect(blockchain.addBlock(JSON.parse(JSON.stringify(competitor.getLatestBlock()))).status).toBe('extended');
+
+    await expect(mining).rejects.toThrow('Competing block');
+    expect(blockchain.getLatestBlock().hash).toBe(competitor.getLatestBlock().hash);
+    expect(blockchain.getBalance(testAddress('miner'))).toBe(0);
+
+    // Mining can start again on the new tip
+    const block = await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(block.previousHash).toBe(competitor.getLatestBlock().hash);
+  });
+});
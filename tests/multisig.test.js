@@ -0,0 +1,153 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { MultisigAccount } = require('../src/wallet/Multisig');
+const { decodeAddress } = require('../src/wallet/Address');
+const { testAddress } = require('./addresses');
+
+describe('Multisig Accounts', () => {
+  let cosigners;
+  let publicKeys;
+
+  beforeAll(() => {
+    cosigners = [new QuantumWallet(), new QuantumWallet(), new QuantumWallet()];
+    publicKeys = cosigners.map(wallet => wallet.publicKey);
+  });
+
+  function rejection(operation) {
+    try {
+      operation();
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  }
+
+  test('should derive one version 1 address per policy', () => {
+    const account = new MultisigAccount(2, publicKeys);
+
+    expect(new MultisigAccount(2, [...publicKeys].reverse()).address).toBe(account.address);
+    expect(new MultisigAccount(3, publicKeys).address).not.toBe(account.address);
+    expect(decodeAddress(account.address).version).toBe(1);
+
+    expect(rejection(() => new MultisigAccount(4, publicKeys))).toBe('INVALID_MULTISIG');
+    expect(rejection(() => new MultisigAccount(1, [publicKeys[0], publicKeys[0]]))).toBe('INVALID_MULTISIG');
+    expect(rejection(() => new MultisigAccount(1, ['not a key']))).toBe('INVALID_MULTISIG');
+  });
+
+  test('should only accept transactions that meet the threshold', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1 });
+    const account = new MultisigAccount(2, publicKeys);
+    await blockchain.minePendingTransactions(account.address);
+
+    const transaction = account.createTransaction(testAddress('vendor'), 40, {}, { nonce: 0, fee: 1 });
+    expect(() => transaction.signTransaction(new QuantumWallet())).toThrow('not a co-signer');
+
+    cosigners[0].signTransaction(transaction);
+    expect(rejection(() => blockchain.addTransaction(transaction))).toBe('MISSING_SIGNATURE');
+
+    // A signature in the wrong slot does not count
+    const misplaced = QuantumTransaction.fromJSON(JSON.parse(JSON.stringify(transaction)));
+    const { signatures } = misplaced.multisig;
+    signatures[signatures.indexOf(null)] = signatures.find(signature => signature !== null);
+    expect(rejection(() => blockchain.addTransaction(misplaced))).toBe('INVALID_SIGNATURE');
+
+    cosigners[2].signTransaction(transaction);
+    blockchain.addTransaction(transaction);
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.getBalance(account.address)).toBe(59);
+    expect(blockchain.getBalance(testAddress('vendor'))).toBe(40);
+    expect(blockchain.isChainValid()).toBe(true);
+
+    const restored = QuantumTransaction.deserialize(QuantumTransaction.serialize(transaction));
+    expect(restored.isValid()).toBe(true);
+  });
+
+  test('should resume a restored co-signer after the keys its co-signatures used', async () => {
+    const blockchain = new QuantumBlockchain({ difficulty: 1 });
+    const account = new MultisigAccount(1, publicKeys);
+    await blockchain.minePendingTransactions(account.address);
+
+    const transaction = account.createTransaction(testAddress('vendor'), 10, {}, { nonce: 0 });
+    cosigners[1].signTransaction(transaction);
+    blockchain.addTransaction(transaction);
+
+    const restored = new QuantumWallet(cosigners[1].privateKey);
+    const next = account.createTransaction(testAddress('vendor'), 5, {}, { nonce: 1 });
+    expect(() => restored.signTransaction(next)).toThrow('Sync this wallet with the chain before signing');
+
+    restored.syncWithChain(blockchain);
+    expect(restored.keyPair.nextIndex).toBe(cosigners[1].keyPair.nextIndex);
+    expect(restored.nonce).toBe(0);
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeAll(() => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+    });
+
+    function call(method, path, params, body = {}) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods[method])
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ params, body }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    test('should create, propose, co-sign and broadcast', async () => {
+      const { body: account } = call('post', '/api/multisig/create', {}, { threshold: 2, publicKeys });
+      await app.blockchain.minePendingTransactions(account.address);
+
+      const { body: proposal } = call('post', '/api/multisig/:address/propose', { address: account.address }, {
+        toAddress: testAddress('vendor'), amount: 25, fee: 1
+      });
+      expect(proposal).toMatchObject({ threshold: 2, signed: 0, ready: false, transaction: { nonce: 0 } });
+
+      // Each co-signer checks the proposal locally and signs its txHash
+      const sign = wallet => {
+        const transaction = QuantumTransaction.deserialize(proposal.transaction);
+        return call('post', '/api/multisig/proposal/:txHash/sign', { txHash: proposal.txHash }, {
+          publicKey: wallet.publicKey,
+          signature: transaction.cosign(wallet)
+        });
+      };
+
+      expect(sign(cosigners[0]).body.signed).toBe(1);
+      expect(call('post', '/api/multisig/proposal/:txHash/broadcast', { txHash: proposal.txHash }))
+        .toMatchObject({ status: 409, body: { code: 'THRESHOLD_NOT_MET' } });
+      const outsider = new QuantumWallet();
+      expect(call('post', '/api/multisig/proposal/:txHash/sign', { txHash: proposal.txHash }, {
+        publicKey: outsider.publicKey, signature: outsider.keyPair.sign(proposal.txHash)
+      }).body.code).toBe('UNKNOWN_COSIGNER');
+      expect(call('post', '/api/multisig/proposal/:txHash/sign', { txHash: proposal.txHash }, {
+        publicKey: publicKeys[1], signature: 'ab'.repeat(100)
+      }).body.code).toBe('INVALID_SIGNATURE');
+
+      expect(sign(cosigners[1]).body.ready).toBe(true);
+      const { status, body } = call('post', '/api/multisig/proposal/:txHash/broadcast', { txHash: proposal.txHash });
+
+      expect(status).toBe(200);
+      expect(app.blockchain.getTransaction(body.transactionHash).status).toBe('pending');
+      expect(call('get', '/api/multisig/proposal/:txHash', { txHash: proposal.txHash }).status).toBe(404);
+      expect(call('get', '/api/multisig/:address', { address: account.address }).body).toMatchObject({ nonce: 1, proposals: [] });
+    });
+
+    test('should reserve nonces for open proposals and reject bad input', () => {
+      const { body: account } = call('post', '/api/multisig/create', {}, { threshold: 1, publicKeys: publicKeys.slice(0, 2) });
+      const propose = body => call('post', '/api/multisig/:address/propose', { address: account.address }, body);
+
+      expect(propose({ toAddress: testAddress('a'), amount: 1 }).body.transaction.nonce).toBe(0);
+      expect(propose({ toAddress: testAddress('b'), amount: 1 }).body.transaction.nonce).toBe(1);
+      expect(propose({ toAddress: 'qb1typo', amount: 1 }).body.code).toBe('INVALID_ADDRESS');
+      expect(call('post', '/api/multisig/:address/propose', { address: testAddress('nobody') }, { toAddress: testAddress('a'), amount: 1 }).status)
+        .toBe(404);
+      expect(call('post', '/api/multisig/create', {}, { threshold: 0, publicKeys }).body.code).toBe('INVALID_MULTISIG');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const QuantumGenesisApp = require('../src/index');
+const { TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+
+describe('Account Nonces', () => {
+  let app;
+  let blockchain;
+  let sender;
+  let recipient;
+
+  beforeAll(() => {
+    sender = new QuantumWallet();
+    recipient = new QuantumWallet();
+  });
+
+  beforeEach(async () => {
+    app = new QuantumGenesisApp();
+    blockchain = app.blockchain;
+    blockchain.difficulty = 1;
+    await blockchain.minePendingTransactions(sender.address);
+  });
+
+  function transfer(amount, nonce) {
+    return sender.createTransaction(recipient.address, amount, {}, { nonce });
+  }
+
+  test('should include the nonce in the transaction hash', () => {
+    const first = transfer(10, 0);
+    const second = transfer(10, 1);
+    second.timestamp = first.timestamp;
+
+    expect(second.calculateHash()).not.toBe(first.calculateHash());
+  });
+
+  test('should track confirmed and pending nonces per address', async () => {
+    blockchain.addTransaction(transfer(10, 0));
+    blockchain.addTransaction(transfer(10, 1));
+
+    expect(blockchain.getNonce(sender.address)).toBe(0);
+    expect(blockchain.getNextNonce(sender.address)).toBe(2);
+
+    await blockchain.minePendingTransactions(recipient.address);
+
+    expect(blockchain.getNonce(sender.address)).toBe(2);
+    expect(blockchain.getNextNonce(sender.address)).toBe(2);
+  });
+
+  test('should reject transactions that skip or reuse a nonce', async () => {
+    blockchain.addTransaction(transfer(10, 0));
+    await blockchain.minePendingTransactions(recipient.address);
+
+    for (const nonce of [0, 2]) {
+      try {
+        blockchain.addTransaction(transfer(10, nonce));
+        throw new Error('Expected rejection');
+      } catch (error) {
+        expect(error).toBeInstanceOf(TransactionRejectedError);
+        expect(error.code).toBe('INVALID_NONCE');
+      }
+    }
+  });
+
+  test('should invalidate a chain that replays a transaction in a later block', async () => {
+    const transaction = transfer(10, 0);
+    blockchain.addTransaction(transaction);
+    await blockchain.minePendingTransactions(recipient.address);
+
+    // Bypass the mempool to replay the already-confirmed transaction
+    blockchain.pendingTransactions.push(transaction);
+    await blockchain.minePendingTransactions(recipient.address);
+
+    expect(blockchain.isChainValid()).toBe(false);
+  });
+
+  test('should expose the next nonce through the API', () => {
+    blockchain.addTransaction(transfer(10, 0));
+
+    const handler = app.app._router.stack
+      .find(layer => layer.route?.path === '/api/wallet/:address/nonce')
+      .route.stack[0].handle;
+    const res = { json: jest.fn() };
+
+    handler({ params: { address: sender.address } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ address: sender.address, nonce: 1, confirmedNonce: 0 });
+  });
+
+  test('should refuse malformed addresses on the account routes', () => {
+    const cached = blockchain.balanceCache.size;
+
+    const paths = ['balance', 'balances', 'nonce', 'transactions'].map(route => `/api/wallet/:address/${route}`);
+    for (const path of paths) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path)
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+
+      handler({ params: { address: 'not-an-address' }, query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].code).toBe('INVALID_ADDRESS');
+    }
+    expect(blockchain.balanceCache.size).toBe(cached);
+  });
+});
@@ -0,0 +1,187 @@
+const WebSocket = require('ws');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { P2PNode, MessageType } = require('../src/network/P2PNode');
+const { testAddress } = require('./addresses');
+
+describe('P2P Network', () => {
+  let genesis;
+  let nodes;
+
+  beforeEach(() => {
+    genesis = new QuantumBlockchain({ difficulty: 1 }).chain[0];
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.map(node => node.stop()));
+  });
+
+  // Every node starts from the same genesis block, as a devnet would
+  function createBlockchain() {
+    const storage = new MemoryChainStorage();
+    storage.appendBlock(genesis);
+    return new QuantumBlockchain({ storage, difficulty: 1 });
+  }
+
+  async function startNode(blockchain, peers = []) {
+    const node = new P2PNode(blockchain, { host: '127.0.0.1', peers, reconnectInterval: 100 });
+    nodes.push(node);
+    await node.start();
+    return node;
+  }
+
+  function waitFor(condition, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const timer = setInterval(() => {
+        if (condition()) {
+          clearInterval(timer);
+          resolve();
+        } else if (Date.now() - started > timeout) {
+          clearInterval(timer);
+          reject(new Error('Timed out waiting for condition'));
+        }
+      }, 20);
+    });
+  }
+
+  test('should sync missing blocks from a peer on connect', async () => {
+    const chainA = createBlockchain();
+    await chainA.minePendingTransactions(testAddress('miner'));
+    await chainA.minePendingTransactions(testAddress('miner'));
+    await chainA.minePendingTransactions(testAddress('miner'));
+    const nodeA = await startNode(chainA);
+
+    const chainB = createBlockchain();
+    await startNode(chainB, [`ws://127.0.0.1:${nodeA.port}`]);
+
+    await waitFor(() => chainB.chain.length === 4);
+    expect(chainB.getLatestBlock().hash).toBe(chainA.getLatestBlock().hash);
+    expect(chainB.getBalance(testAddress('miner'))).toBe(300);
+  });
+
+  test('should gossip mined blocks across a line of peers', async () => {
+    const chainA = createBlockchain();
+    const chainB = createBlockchain();
+    const chainC = createBlockchain();
+    const nodeA = await startNode(chainA);
+    const nodeB = await startNode(chainB, [`ws://127.0.0.1:${nodeA.port}`]);
+    const nodeC = await startNode(chainC, [`ws://127.0.0.1:${nodeB.port}`]);
+    await waitFor(() => nodeA.getPeers().length === 1 && nodeC.getPeers().length === 1);
+
+    await chainA.minePendingTransactions(testAddress('miner'));
+
+    await waitFor(() => chainC.chain.length === 2);
+    expect(chainC.getLatestBlock().hash).toBe(chainA.getLatestBlock().hash);
+    expect(chainB.getLatestBlock().hash).toBe(chainA.getLatestBlock().hash);
+  });
+
+  test('should gossip new transactions into peer mempools', async () => {
+    const sender = new QuantumWallet();
+    const chainA = createBlockchain();
+    await chainA.minePendingTransactions(sender.address);
+    const nodeA = await startNode(chainA);
+
+    const chainB = createBlockchain();
+    const nodeB = await startNode(chainB, [`ws://127.0.0.1:${nodeA.port}`]);
+    await waitFor(() => chainB.chain.length === 2 && nodeB.getPeers().length === 1);
+
+    const transaction = sender.createTransaction(testAddress('recipient'), 10, {}, { nonce: 0 });
+    chainA.addTransaction(transaction);
+
+    await waitFor(() => chainB.pendingTransactions.length === 1);
+    expect(chainB.pendingTransactions[0].txHash).toBe(transaction.txHash);
+
+    // The transaction is not echoed back to the node it came from
+    expect(chainA.pendingTransactions.length).toBe(1);
+  });
+
+  test('should ban a peer that gossips a transaction with extra fields', async () => {
+    const sender = new QuantumWallet();
+    const chainA = createBlockchain();
+    await chainA.minePendingTransactions(sender.address);
+    const nodeA = await startNode(chainA);
+    const banned = new Promise(resolve => nodeA.once('peerBanned', resolve));
+
+    const chainB = createBlockchain();
+    const nodeB = await startNode(chainB, [`ws://127.0.0.1:${nodeA.port}`]);
+    await waitFor(() => chainB.chain.length === 2 && nodeB.getPeers().length === 1);
+
+    // Correctly signed, but carrying a field the wire format does not define
+    const transaction = sender.createTransaction(testAddress('recipient'), 10, {}, { nonce: 0 });
+    const padded = { ...transaction.toJSON(), smuggled: 'x'.repeat(1000) };
+
+    const socket = new WebSocket(`ws://127.0.0.1:${nodeA.port}`);
+    socket.on('open', () => {
+      socket.send(JSON.stringify({
+        type: MessageType.HANDSHAKE,
+        payload: { nodeId: 'padder', genesisHash: genesis.hash, height: 0, tipHash: genesis.hash }
+      }));
+      socket.send(JSON.stringify({ type: MessageType.NEW_TRANSACTION, payload: { transaction: padded } }));
+    });
+
+    const peer = await banned;
+    expect(peer).toMatchObject({ nodeId: 'padder', reason: 'Malformed transaction: unknown field smuggled' });
+    expect(chainA.pendingTransactions).toEqual([]);
+
+    // Nothing was relayed, so the transaction's real hash is still free to gossip
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(chainB.pendingTransactions).toEqual([]);
+    expect(nodeA.knownTransactions.has(transaction.txHash)).toBe(false);
+  });
+
+  test('should fetch an unknown parent by hash for a block on a longer fork', async () => {
+    const chainA = createBlockchain();
+    const chainB = createBlockchain();
+    await chainA.minePendingTransactions(testAddress('minerA'));
+    await chainA.minePendingTransactions(testAddress('minerA'));
+    await chainB.minePendingTransactions(testAddress('minerB'));
+
+    const nodeA = await startNode(chainA);
+    await startNode(chainB, [`ws://127.0.0.1:${nodeA.port}`]);
+
+    await waitFor(() => chainB.getLatestBlock().hash === chainA.getLatestBlock().hash);
+    expect(chainB.getBalance(testAddress('minerB'))).toBe(0);
+    expect(chainB.getBalance(testAddress('minerA'))).toBe(200);
+  });
+
+  test('should refuse peers with a different genesis block', async () => {
+    const nodeA = await startNode(createBlockchain());
+    const otherNetwork = new QuantumBlockchain({ difficulty: 1, chainName: 'quantum-genesis-devnet' });
+    const nodeB = await startNode(otherNetwork, [`ws://127.0.0.1:${nodeA.port}`]);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(nodeA.getPeers()).toEqual([]);
+    expect(nodeB.getPeers()).toEqual([]);
+  });
+
+  test('should ban a peer that sends an invalid block', async () => {
+    const chainA = createBlockchain();
+    const nodeA = await startNode(chainA);
+    const banned = new Promise(resolve => nodeA.once('peerBanned', resolve));
+
+    const forger = createBlockchain();
+    await forger.minePendingTransactions(testAddress('forger'));
+    const forged = JSON.parse(JSON.stringify(forger.getLatestBlock()));
+    forged.data.transactions[0].amount = 1000000;
+
+    const socket = new WebSocket(`ws://127.0.0.1:${nodeA.port}`);
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    socket.on('open', () => {
+      socket.send(JSON.stringify({
+        type: MessageType.HANDSHAKE,
+        payload: { nodeId: 'forger', genesisHash: genesis.hash, height: 0, tipHash: genesis.hash }
+      }));
+      socket.send(JSON.stringify({ type: MessageType.NEW_BLOCK, payload: { block: forged } }));
+    });
+
+    const peer = await banned;
+    await closed;
+
+    expect(peer.nodeId).toBe('forger');
+    expect(nodeA.bannedPeers.has('forger')).toBe(true);
+    expect(chainA.chain.length).toBe(1);
+  });
+});
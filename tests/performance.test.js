@@ -1,6 +1,8 @@
 const QuantumGenesisApp = require('../src/index');
 const { QuantumWallet } = require('../src/wallet/QuantumWallet');
 const { QuantumBlock } = require('../src/blockchain/QuantumBlockchain');
+const { testAddress } = require('./addresses');
+const { openLiquidityPool } = require('./pools');
 
 describe('Performance Optimizations', () => {
   let app;
@@ -11,19 +13,19 @@ describe('Performance Optimizations', () => {
 
   describe('Blockchain Caching', () => {
     test('should cache balance calculations', () => {
-      const testAddress = 'qb1testaddress123';
+      const address = testAddress('testaddress123');
       
       // First call should calculate and cache
-      const balance1 = app.blockchain.getBalance(testAddress);
+      const balance1 = app.blockchain.getBalance(address);
       
       // Second call should use cache
-      const balance2 = app.blockchain.getBalance(testAddress);
+      const balance2 = app.blockchain.getBalance(address);
       
       expect(balance1).toBe(balance2);
-      expect(app.blockchain.balanceCache.has(testAddress)).toBe(true);
+      expect(app.blockchain.balanceCache.has(address)).toBe(true);
     });
 
-    test('should invalidate cache on new block', () => {
+    test('should invalidate cache on new block', async () => {
       const wallet = new QuantumWallet();
       
       // Get initial balance (will be cached)
@@ -31,7 +33,7 @@ describe('Performance Optimizations', () => {
       expect(app.blockchain.balanceCache.has(wallet.address)).toBe(true);
       
       // Mine a block with reward to this address
-      app.blockchain.minePendingTransactions(wallet.address);
+      await app.blockchain.minePendingTransactions(wallet.address);
       
       // Cache should be invalidated
       expect(app.blockchain.balanceCache.has(wallet.address)).toBe(false);
@@ -41,11 +43,11 @@ describe('Performance Optimizations', () => {
       expect(newBalance).toBeGreaterThan(initialBalance);
     });
 
-    test('should index transactions by address', () => {
+    test('should index transactions by address', async () => {
       const wallet = new QuantumWallet();
       
       // Mine a block to create transactions
-      app.blockchain.minePendingTransactions(wallet.address);
+      await app.blockchain.minePendingTransactions(wallet.address);
       
       // Should have transaction index entry
       expect(app.blockchain.transactionIndex.has(wallet.address)).toBe(true);
@@ -55,9 +57,9 @@ describe('Performance Optimizations', () => {
       expect(history.length).toBeGreaterThan(0);
     });
 
-    test('should use index for fast transaction history lookup', () => {
+    test('should use index for fast transaction history lookup', async () => {
       const wallet = new QuantumWallet();
-      app.blockchain.minePendingTransactions(wallet.address);
+      await app.blockchain.minePendingTransactions(wallet.address);
       
       // Populate index
       app.blockchain.getTransactionHistory(wallet.address);
@@ -91,7 +93,7 @@ describe('Performance Optimizations', () => {
     });
 
     test('should index transfers by address for fast lookup', async () => {
-      const recipient = 'qb1recipient123';
+      const recipient = testAddress('recipient123');
       const txHash = '0'.repeat(64);
       
       // Note: Bridge operations will fail transaction validation but should still index the transfer
@@ -115,7 +117,7 @@ describe('Performance Optimizations', () => {
     });
 
     test('should handle multiple transfers efficiently', async () => {
-      const recipient = 'qb1recipient456';
+      const recipient = testAddress('recipient456');
       
       // Add multiple transfers
       for (let i = 0; i < 10; i++) {
@@ -139,25 +141,26 @@ describe('Performance Optimizations', () => {
 
   describe('DeFi Input Validation', () => {
     test('should fail fast on invalid swap amounts', () => {
-      const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 1000, 2000, 'creator');
+      const poolId = testAddress('pool');
       
       // Should throw immediately without expensive calculations
       expect(() => {
-        app.defiProtocol.swap(poolId, 'TOKENA', 0, 100, 'trader');
+        app.defiProtocol.swap(poolId, 'TOKENA', 0, 100, testAddress('trader'));
       }).toThrow('Invalid input amount');
       
       expect(() => {
-        app.defiProtocol.swap(poolId, 'TOKENA', -10, 100, 'trader');
+        app.defiProtocol.swap(poolId, 'TOKENA', -10, 100, testAddress('trader'));
       }).toThrow('Invalid input amount');
     });
 
-    test('should validate liquidity before swap', () => {
-      const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 100, 200, 'creator');
+    test('should validate liquidity before swap', async () => {
+      app.blockchain.difficulty = 1;
+      const { poolId } = await openLiquidityPool(app.blockchain, app.defiProtocol, { qtc: 100, gold: 200 });
       
       // Test that a large swap that would output more than available liquidity throws
       // The swap formula: output = (input * (1-fee) * reserveOut) / (reserveIn + input * (1-fee))
       // With large input, this approaches reserveOut, which we check against
-      const result = app.defiProtocol.swap(poolId, 'TOKENA', 10000, 0, 'trader');
+      const result = app.defiProtocol.swap(poolId, 'QTC', 10000, 0, testAddress('trader'));
       
       // Should work but output should be less than total reserve
       expect(result.amountOut).toBeLessThan(200); // Less than initial reserveB
@@ -165,38 +168,38 @@ describe('Performance Optimizations', () => {
     });
 
     test('should fail fast on invalid addLiquidity amounts', () => {
-      const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 1000, 2000, 'creator');
+      const poolId = testAddress('pool');
       
       expect(() => {
-        app.defiProtocol.addLiquidity(poolId, 0, 100, 'provider');
+        app.defiProtocol.addLiquidity(poolId, 0, 100, testAddress('provider'));
       }).toThrow('Invalid liquidity amounts');
       
       expect(() => {
-        app.defiProtocol.addLiquidity(poolId, 100, -50, 'provider');
+        app.defiProtocol.addLiquidity(poolId, 100, -50, testAddress('provider'));
       }).toThrow('Invalid liquidity amounts');
     });
 
     test('should fail fast on invalid stake amounts', () => {
-      const poolId = app.defiProtocol.createStakingPool('TOKEN', 'REWARD', 0.1, 'creator');
+      const poolId = testAddress('staking-pool');
       
       expect(() => {
-        app.defiProtocol.stake(poolId, 0, 'staker');
+        app.defiProtocol.stake(poolId, 0, testAddress('staker'));
       }).toThrow('Invalid stake amount');
       
       expect(() => {
-        app.defiProtocol.stake(poolId, -100, 'staker');
+        app.defiProtocol.stake(poolId, -100, testAddress('staker'));
       }).toThrow('Invalid stake amount');
     });
 
     test('should fail fast on invalid borrow amounts', () => {
-      const poolId = app.defiProtocol.createLendingPool('ASSET', 0.05, 150, 'creator');
+      const poolId = testAddress('lending-pool');
       
       expect(() => {
-        app.defiProtocol.borrow(poolId, 0, 100, 'borrower');
+        app.defiProtocol.borrow(poolId, 0, 100, testAddress('borrower'));
       }).toThrow('Invalid borrow amount');
       
       expect(() => {
-        app.defiProtocol.borrow(poolId, 100, 0, 'borrower');
+        app.defiProtocol.borrow(poolId, 100, 0, testAddress('borrower'));
       }).toThrow('Invalid collateral amount');
     });
   });
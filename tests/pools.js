@@ -0,0 +1,27 @@
+const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+// Sign a prepared DeFi operation as `wallet`, add it to the pending pool and return its quote
+function submitOperation(blockchain, wallet, { transaction, ...quote }) {
+  wallet.signTransaction(transaction);
+  blockchain.addTransaction(transaction);
+  return quote;
+}
+
+// QTC/GOLD liquidity pool on the chain, created by a fresh wallet funded with a block reward
+async function openLiquidityPool(blockchain, defi, { qtc = 50, gold = 100 } = {}) {
+  const wallet = new QuantumWallet();
+  await blockchain.minePendingTransactions(wallet.address);
+
+  blockchain.addTransaction(wallet.createTransaction(wallet.address, 1000, { type: 'token_create', decimals: 0 }, {
+    asset: 'GOLD',
+    nonce: blockchain.getNextNonce(wallet.address)
+  }));
+  await blockchain.minePendingTransactions(testAddress('miner'));
+
+  const { poolId } = submitOperation(blockchain, wallet, defi.createLiquidityPool('QTC', 'GOLD', qtc, gold, wallet.address));
+  await blockchain.minePendingTransactions(testAddress('miner'));
+  return { poolId, wallet };
+}
+
+module.exports = { submitOperation, openLiquidityPool };
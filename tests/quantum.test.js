@@ -1,5 +1,7 @@
 const QuantumGenesisApp = require('../src/index');
 const { QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+const { openLiquidityPool } = require('./pools');
 
 describe('Quantum Blockchain Genesis', () => {
   let app;
@@ -27,11 +29,11 @@ describe('Quantum Blockchain Genesis', () => {
       expect(transaction.signature).toBeDefined();
     });
 
-    test('should mine blocks successfully', () => {
+    test('should mine blocks successfully', async () => {
       const wallet = new QuantumWallet();
       const initialLength = app.blockchain.chain.length;
       
-      app.blockchain.minePendingTransactions(wallet.address);
+      await app.blockchain.minePendingTransactions(wallet.address);
       
       expect(app.blockchain.chain.length).toBe(initialLength + 1);
     });
@@ -52,20 +54,26 @@ describe('Quantum Blockchain Genesis', () => {
   });
 
   describe('DeFi Protocol', () => {
+    let defiApp;
+    let poolId;
+
+    beforeAll(async () => {
+      defiApp = new QuantumGenesisApp();
+      defiApp.blockchain.difficulty = 1;
+      ({ poolId } = await openLiquidityPool(defiApp.blockchain, defiApp.defiProtocol));
+    });
+
     test('should create liquidity pools', () => {
-      const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 1000, 2000, 'creator_address');
-      
       expect(poolId).toBeDefined();
-      expect(app.defiProtocol.liquidityPools.has(poolId)).toBe(true);
+      expect(defiApp.defiProtocol.getPool(poolId)).toMatchObject({ tokenA: 'QTC', tokenB: 'GOLD', reserveA: 50, reserveB: 100 });
     });
 
     test('should perform token swaps', () => {
-      const poolId = app.defiProtocol.createLiquidityPool('TOKENA', 'TOKENB', 1000, 2000, 'creator_address');
-      
-      const result = app.defiProtocol.swap(poolId, 'TOKENA', 100, 150, 'trader_address');
+      const result = defiApp.defiProtocol.swap(poolId, 'QTC', 10, 15, testAddress('trader'));
       
       expect(result.amountOut).toBeGreaterThan(0);
       expect(result.fee).toBeGreaterThan(0);
+      expect(result.transaction.data).toMatchObject({ type: 'defi_swap', assetB: 'GOLD', amountB: result.amountOut });
     });
   });
 
@@ -0,0 +1,119 @@
+const QuantumGenesisApp = require('../src/index');
+const { RpcErrorCode } = require('../src/rpc/JsonRpcServer');
+const { testAddress } = require('./addresses');
+const { openLiquidityPool } = require('./pools');
+
+describe('JSON-RPC API', () => {
+  let app;
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    app = new QuantumGenesisApp();
+    app.blockchain.difficulty = 1;
+    server = app.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/rpc`;
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  async function post(body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  }
+
+  function call(method, params, id = 1) {
+    return post({ jsonrpc: '2.0', method, params, id });
+  }
+
+  test('should answer a call with by-name or positional parameters', async () => {
+    const { body: info } = await call('chain_getInfo');
+    expect(info).toMatchObject({ jsonrpc: '2.0', id: 1, result: { height: 0 } });
+
+    const genesisHash = info.result.genesisHash;
+    const byName = await call('chain_getBlockByHash', { hash: genesisHash });
+    const byPosition = await call('chain_getBlockByHash', [genesisHash], 'two');
+
+    expect(byName.body.result).toMatchObject({ mainChain: true, confirmations: 1 });
+    expect(byPosition.body).toMatchObject({ id: 'two', result: { block: { hash: genesisHash } } });
+  });
+
+  test('should run batches in order and skip notifications', async () => {
+    const { body: wallet } = await call('wallet_create');
+    const address = wallet.result.address;
+
+    const { body } = await post([
+      { jsonrpc: '2.0', method: 'chain_mine', params: { minerAddress: address }, id: 1 },
+      { jsonrpc: '2.0', method: 'wallet_getBalance', params: [address] },
+      { jsonrpc: '2.0', method: 'wallet_sendTransaction', params: { fromAddress: address, toAddress: testAddress('friend'), amount: 10, fee: 1 }, id: 2 },
+      { jsonrpc: '2.0', method: 'chain_getMempool', id: 3 }
+    ]);
+
+    expect(body.map(response => response.id)).toEqual([1, 2, 3]);
+    expect(body[0].result.height).toBe(1);
+
+    const { body: lookup } = await call('chain_getTransaction', { txHash: body[1].result.transactionHash });
+    expect(lookup.result).toMatchObject({ status: 'pending' });
+    expect(body[2].result.count).toBe(1);
+  });
+
+  test('should answer notifications alone with no content', async () => {
+    const { status } = await post([{ jsonrpc: '2.0', method: 'chain_getInfo' }]);
+    expect(status).toBe(204);
+  });
+
+  test('should use the standard error codes', async () => {
+    expect((await post('{"jsonrpc": "2.0", "method"')).body.error.code).toBe(RpcErrorCode.PARSE_ERROR);
+    expect((await post({ method: 'chain_getInfo', id: 1 })).body.error.code).toBe(RpcErrorCode.INVALID_REQUEST);
+    expect((await post([])).body.error.code).toBe(RpcErrorCode.INVALID_REQUEST);
+    expect((await call('chain_explode')).body.error.code).toBe(RpcErrorCode.METHOD_NOT_FOUND);
+    expect((await call('chain_getBlockByHash', {})).body.error).toMatchObject({
+      code: RpcErrorCode.INVALID_PARAMS,
+      message: 'Missing parameter: hash'
+    });
+    expect((await call('chain_getBlockByNumber', { index: '1' })).body.error.code).toBe(RpcErrorCode.INVALID_PARAMS);
+    expect((await call('chain_getBlocks', { cursor: 'f'.repeat(64) })).body.error.code).toBe(RpcErrorCode.INVALID_PARAMS);
+    expect((await call('bridge_getTransfer', ['missing'])).body.error.code).toBe(RpcErrorCode.NOT_FOUND);
+
+    for (const method of ['wallet_getBalance', 'wallet_getBalances', 'wallet_getNonce', 'wallet_getTransactions']) {
+      expect((await call(method, ['not-an-address'])).body.error).toMatchObject({
+        code: RpcErrorCode.INVALID_PARAMS,
+        data: { code: 'INVALID_ADDRESS' }
+      });
+    }
+  });
+
+  test('should surface chain rejections and operation failures', async () => {
+    const { body: wallet } = await call('wallet_create');
+    const { body: rejected } = await call('wallet_sendTransaction', {
+      fromAddress: wallet.result.address, toAddress: testAddress('friend'), amount: 10
+    });
+    expect(rejected.error).toMatchObject({ code: RpcErrorCode.REJECTED, data: { code: 'INSUFFICIENT_FUNDS' } });
+
+    const { body: unknownToken } = await call('defi_createPool', ['QTC', 'BTC', 1000, 10, testAddress('creator')]);
+    expect(unknownToken.error).toMatchObject({ code: RpcErrorCode.REJECTED, data: { code: 'INVALID_DEFI_OPERATION' } });
+
+    const { poolId } = await openLiquidityPool(app.blockchain, app.defiProtocol);
+    const { body: swap } = await call('defi_swap', { poolId, tokenIn: 'QTC', amountIn: 10, minAmountOut: 50, trader: testAddress('trader') });
+    expect(swap.error).toMatchObject({ code: RpcErrorCode.APPLICATION_ERROR, message: 'Insufficient output amount' });
+    expect((await call('defi_getPool', [testAddress('nowhere')])).body.error.code).toBe(RpcErrorCode.NOT_FOUND);
+  });
+
+  test('should list every method with its parameter schema', async () => {
+    const { body } = await call('rpc_methods');
+    const swap = body.result.find(method => method.name === 'defi_swap');
+
+    expect(body.result.map(method => method.name)).toEqual(expect.arrayContaining([
+      'chain_getBlockByHash', 'chain_getTransaction', 'wallet_sendTransaction', 'defi_swap',
+      'bridge_getTransfer', 'consensus_getValidators', 'network_getPeers'
+    ]));
+    expect(swap.params[0]).toEqual({ name: 'poolId', type: 'string', required: true, description: '' });
+  });
+});
@@ -0,0 +1,103 @@
+const { QuantumKeyPair } = require('../src/crypto/QuantumSignature');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumTransaction, QuantumWallet } = require('../src/wallet/QuantumWallet');
+
+describe('Quantum Signatures', () => {
+  describe('QuantumKeyPair', () => {
+    test('should produce signatures that verify against the public key alone', () => {
+      const keyPair = new QuantumKeyPair('a'.repeat(64));
+      const signature = keyPair.sign('hello genesis');
+
+      expect(QuantumKeyPair.verify('hello genesis', signature, keyPair.publicKey)).toBe(true);
+      expect(QuantumKeyPair.verify('hello exodus', signature, keyPair.publicKey)).toBe(false);
+    });
+
+    test('should reject signatures from a different key', () => {
+      const keyPair = new QuantumKeyPair('a'.repeat(64));
+      const other = new QuantumKeyPair('b'.repeat(64));
+
+      expect(QuantumKeyPair.verify('message', other.sign('message'), keyPair.publicKey)).toBe(false);
+    });
+
+    test('should derive the same public key from the same private key', () => {
+      expect(new QuantumKeyPair('c'.repeat(64)).publicKey).toBe(new QuantumKeyPair('c'.repeat(64)).publicKey);
+    });
+
+    test('should use a fresh one-time key for every signature across subtrees', () => {
+      const keyPair = new QuantumKeyPair('d'.repeat(64), { layers: 2, subtreeHeight: 2 });
+      const signatures = [];
+
+      for (let i = 0; i < keyPair.capacity; i++) {
+        signatures.push(keyPair.sign(`message ${i}`));
+      }
+
+      expect(new Set(signatures.map(signature => signature.substring(0, 16))).size).toBe(16);
+      signatures.forEach((signature, i) => {
+        expect(QuantumKeyPair.verify(`message ${i}`, signature, keyPair.publicKey)).toBe(true);
+      });
+      expect(() => keyPair.sign('one too many')).toThrow('no one-time signatures left');
+    });
+
+    test('should reject malformed signatures', () => {
+      const keyPair = new QuantumKeyPair('e'.repeat(64));
+      const signature = keyPair.sign('message');
+      const flipped = (parseInt(signature[40], 16) ^ 1).toString(16);
+
+      expect(QuantumKeyPair.verify('message', signature.substring(0, 100), keyPair.publicKey)).toBe(false);
+      expect(QuantumKeyPair.verify('message', signature.substring(0, 40) + flipped + signature.substring(41), keyPair.publicKey)).toBe(false);
+    });
+  });
+
+  describe('Transaction verification', () => {
+    let sender;
+    let recipient;
+
+    beforeAll(() => {
+      sender = new QuantumWallet();
+      recipient = new QuantumWallet();
+    });
+
+    test('should carry the public key and verify without the private key', () => {
+      const transaction = sender.createTransaction(recipient.address, 10);
+      const plain = JSON.parse(JSON.stringify(transaction));
+
+      expect(plain.publicKey).toBe(sender.publicKey);
+      expect(plain.privateKey).toBeUndefined();
+      expect(QuantumTransaction.verifySignature(plain)).toBe(true);
+    });
+
+    test('should reject a transaction whose fields were altered after signing', () => {
+      const transaction = sender.createTransaction(recipient.address, 10);
+      transaction.amount = 1000;
+
+      expect(transaction.isValid()).toBe(false);
+    });
+
+    test('should reject a public key that does not belong to the sender address', () => {
+      const forged = new QuantumTransaction(sender.address, recipient.address, 10);
+      forged.publicKey = recipient.publicKey;
+      forged.signature = recipient.keyPair.sign(forged.calculateHash());
+
+      expect(forged.isValid()).toBe(false);
+
+      const blockchain = new QuantumBlockchain();
+      expect(() => blockchain.addTransaction(forged)).toThrow('Cannot add invalid transaction to chain');
+    });
+
+    test('should detect tampered transactions in isChainValid', async () => {
+      const blockchain = new QuantumBlockchain();
+      blockchain.difficulty = 1;
+      await blockchain.minePendingTransactions(sender.address);
+
+      blockchain.addTransaction(sender.createTransaction(recipient.address, 10, {}, { nonce: 0 }));
+      await blockchain.minePendingTransactions(sender.address);
+      expect(blockchain.isChainValid()).toBe(true);
+
+      const block = blockchain.getLatestBlock();
+      block.data.transactions[0].signature = recipient.keyPair.sign(block.data.transactions[0].txHash);
+      block.hash = block.calculateHash();
+
+      expect(blockchain.isChainValid()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumTransaction, QuantumWallet } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+describe('Client-side Signing', () => {
+  describe('Canonical serialization', () => {
+    test('should hash the same fields identically regardless of key order', () => {
+      const first = new QuantumTransaction('qb1from', 'qb1to', 5, { memo: 'hi', tags: ['a'] }, { timestamp: 1, nonce: 2 });
+      const second = new QuantumTransaction('qb1from', 'qb1to', 5, { tags: ['a'], memo: 'hi' }, { timestamp: 1, nonce: 2 });
+
+      expect(QuantumTransaction.signingPayload(first))
+        .toBe('{"amount":5,"data":{"memo":"hi","tags":["a"]},"fee":0,"fromAddress":"qb1from","nonce":2,"timestamp":1,"toAddress":"qb1to"}');
+      expect(second.txHash).toBe(first.txHash);
+    });
+
+    test('should round-trip a signed transaction', () => {
+      const wallet = new QuantumWallet();
+      const transaction = wallet.createTransaction(testAddress('to'), 7, { memo: 'rent' }, { nonce: 0, fee: 1 });
+
+      const serialized = QuantumTransaction.serialize(transaction);
+      const restored = QuantumTransaction.deserialize(serialized);
+
+      expect(restored).toBeInstanceOf(QuantumTransaction);
+      expect(restored.txHash).toBe(transaction.txHash);
+      expect(restored.isValid()).toBe(true);
+      expect(QuantumTransaction.serialize(restored)).toBe(serialized);
+    });
+
+    test('should reject malformed input', () => {
+      const fields = JSON.parse(QuantumTransaction.serialize(new QuantumTransaction('qb1from', 'qb1to', 5, {}, { timestamp: 1 })));
+      const code = input => {
+        try {
+          QuantumTransaction.deserialize(input);
+        } catch (error) {
+          return error.code === 'MALFORMED_TRANSACTION' && error.message;
+        }
+        return null;
+      };
+
+      expect(code('{not json')).toBe('Malformed transaction: not valid JSON');
+      expect(code({ ...fields, amount: '5' })).toBe('Malformed transaction: amount must be a number');
+      expect(code({ ...fields, nonce: -1 })).toBe('Malformed transaction: nonce must be a non-negative integer');
+      expect(code({ ...fields, admin: true })).toBe('Malformed transaction: unknown field admin');
+      expect(code({ ...fields, amount: 6 })).toBe('Malformed transaction: txHash does not match the signed fields');
+      expect(code(fields)).toBeNull();
+    });
+  });
+
+  describe('Prepare and submit', () => {
+    let app;
+    let wallet;
+
+    beforeEach(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      wallet = new QuantumWallet(); // held by the client only
+      await app.blockchain.minePendingTransactions(wallet.address);
+    });
+
+    function call(path, body) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods.post)
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ body }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    test('should accept a transaction signed with a key the node never sees', () => {
+      const prepared = call('/api/transaction/prepare', { fromAddress: wallet.address, toAddress: testAddress('friend'), amount: 10, fee: 1 }).body;
+      expect(prepared.transaction).toMatchObject({ nonce: 0, signature: null, txHash: prepared.txHash });
+
+      // Client side: rebuild the payload, check it is what the node says, sign it
+      const transaction = QuantumTransaction.deserialize(prepared.transaction);
+      expect(QuantumTransaction.signingPayload(transaction)).toBe(prepared.signingPayload);
+      wallet.signTransaction(transaction);
+
+      const { status, body } = call('/api/transaction/submit', { transaction: QuantumTransaction.serialize(transaction) });
+
+      expect(status).toBe(200);
+      expect(body.transactionHash).toBe(prepared.txHash);
+      expect(app.blockchain.getTransaction(prepared.txHash).status).toBe('pending');
+      expect(app.wallets.size).toBe(0);
+    });
+
+    test('should reject tampered and malformed submissions', () => {
+      const transaction = wallet.createTransaction(testAddress('friend'), 10, {}, { nonce: 0 });
+      const tampered = { ...JSON.parse(QuantumTransaction.serialize(transaction)), amount: 90, txHash: undefined };
+
+      expect(call('/api/transaction/submit', { transaction: tampered }).body.code).toBe('INVALID_SIGNATURE');
+      expect(call('/api/transaction/submit', { transaction: '{"amount":' }).body.code).toBe('MALFORMED_TRANSACTION');
+      expect(call('/api/transaction/prepare', { fromAddress: wallet.address, amount: 10 }).status).toBe(400);
+    });
+
+    test('should only offer server-side wallets when enabled', () => {
+      const production = new QuantumGenesisApp({ devWallets: false });
+      app = production;
+
+      expect(call('/api/wallet/create', {})).toMatchObject({ status: 403, body: { code: 'DEV_WALLETS_DISABLED' } });
+      expect(call('/api/transaction/create', { fromAddress: wallet.address }).status).toBe(403);
+      expect(production.rpc.methods.has('wallet_create')).toBe(false);
+      expect(production.rpc.methods.has('chain_submitTransaction')).toBe(true);
+    });
+  });
+});
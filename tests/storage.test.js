@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuantumBlockchain } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage, FileChainStorage } = require('../src/storage/ChainStorage');
+const { testAddress } = require('./addresses');
+
+describe('Chain Storage', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quantum-chain-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function createBlockchain(storage) {
+    const blockchain = new QuantumBlockchain({ storage });
+    blockchain.difficulty = 1;
+    return blockchain;
+  }
+
+  test('should default to in-memory storage', () => {
+    const blockchain = new QuantumBlockchain();
+
+    expect(blockchain.storage).toBeInstanceOf(MemoryChainStorage);
+    expect(blockchain.chain.length).toBe(1);
+  });
+
+  test('should reload mined blocks instead of minting a new genesis block', async () => {
+    const first = createBlockchain(new FileChainStorage(dataDir));
+    await first.minePendingTransactions(testAddress('miner'));
+    await first.minePendingTransactions(testAddress('miner'));
+
+    const restarted = createBlockchain(new FileChainStorage(dataDir));
+
+    expect(restarted.chain.length).toBe(3);
+    expect(restarted.chain[0].hash).toBe(first.chain[0].hash);
+    expect(restarted.getLatestBlock().hash).toBe(first.getLatestBlock().hash);
+    expect(restarted.getLatestBlock().calculateHash()).toBe(restarted.getLatestBlock().hash);
+  });
+
+  test('should rehydrate balance cache and transaction index on load', async () => {
+    const first = createBlockchain(new FileChainStorage(dataDir));
+    await first.minePendingTransactions(testAddress('miner'));
+    await first.minePendingTransactions(testAddress('miner'));
+
+    const restarted = createBlockchain(new FileChainStorage(dataDir));
+
+    expect(restarted.balanceCache.get(testAddress('miner'))).toBe(200);
+    expect(restarted.transactionIndex.get(testAddress('miner')).length).toBe(2);
+    expect(restarted.getTransactionHistory(testAddress('miner'))[1].blockIndex).toBe(2);
+  });
+
+  test('should persist pending transactions', () => {
+    const first = createBlockchain(new FileChainStorage(dataDir));
+    first.pendingTransactions.push({ fromAddress: null, toAddress: testAddress('pending'), amount: 5 });
+    first.storage.savePendingTransactions(first.pendingTransactions);
+
+    const restarted = createBlockchain(new FileChainStorage(dataDir));
+
+    expect(restarted.pendingTransactions).toEqual([{ fromAddress: null, toAddress: testAddress('pending'), amount: 5 }]);
+  });
+
+  test('should recover blocks appended after the last index write', async () => {
+    const first = createBlockchain(new FileChainStorage(dataDir));
+    await first.minePendingTransactions(testAddress('miner'));
+
+    // Simulate a crash between the log append and the index rewrite
+    const indexFile = path.join(dataDir, 'index.json');
+    const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    index.chain.pop();
+    fs.writeFileSync(indexFile, JSON.stringify(index));
+    fs.appendFileSync(path.join(dataDir, 'blocks.log'), '{"index":2,"torn');
+
+    const restarted = createBlockchain(new FileChainStorage(dataDir));
+
+    expect(restarted.chain.length).toBe(2);
+    expect(restarted.getLatestBlock().hash).toBe(first.getLatestBlock().hash);
+
+    await restarted.minePendingTransactions(testAddress('miner'));
+    expect(createBlockchain(new FileChainStorage(dataDir)).chain.length).toBe(3);
+  });
+
+  test('should refuse to load a tampered block log', async () => {
+    const first = createBlockchain(new FileChainStorage(dataDir));
+    await first.minePendingTransactions(testAddress('miner'));
+
+    const logFile = path.join(dataDir, 'blocks.log');
+    fs.writeFileSync(logFile, fs.readFileSync(logFile, 'utf8').replace('"amount":100', '"amount":900'));
+
+    expect(() => createBlockchain(new FileChainStorage(dataDir))).toThrow('Stored block 1 is corrupted');
+  });
+});
@@ -0,0 +1,127 @@
+const { QuantumBlockchain, QuantumBlock, TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { MemoryChainStorage } = require('../src/storage/ChainStorage');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+describe('Validity Windows', () => {
+  let blockchain;
+  let sender;
+
+  beforeAll(() => {
+    sender = new QuantumWallet();
+  });
+
+  // Height 1 funds the sender, so the next block is at height 2
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(sender.address);
+  });
+
+  function send(amount, window = {}) {
+    return sender.createTransaction(testAddress('payee'), amount, {}, {
+      nonce: blockchain.getNextNonce(sender.address),
+      ...window
+    });
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  test('should cover the window by the hash and leave other hashes unchanged', () => {
+    const options = { nonce: 0, timestamp: 1700000000000 };
+    const plain = new QuantumTransaction(sender.address, testAddress('payee'), 5, {}, options);
+    const windowed = new QuantumTransaction(sender.address, testAddress('payee'), 5, {}, { ...options, validAfter: { height: 10 } });
+
+    expect(QuantumTransaction.signingPayload(plain)).not.toContain('valid');
+    expect(windowed.txHash).not.toBe(plain.txHash);
+
+    const restored = QuantumTransaction.deserialize(QuantumTransaction.serialize(windowed));
+    expect(restored.validAfter).toEqual({ height: 10 });
+    expect(restored.txHash).toBe(windowed.txHash);
+    expect(() => QuantumTransaction.deserialize({ ...JSON.parse(QuantumTransaction.serialize(plain)), validUntil: { block: 3 } }))
+      .toThrow('validUntil must be { height } or { timestamp }');
+  });
+
+  test('should hold a transaction and its successors until the window opens', async () => {
+    const scheduled = send(10, { validAfter: { height: 3 } });
+    blockchain.addTransaction(scheduled);
+    const next = send(5);
+    blockchain.addTransaction(next);
+
+    const early = await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(early.data.transactions).toHaveLength(1);
+    expect(blockchain.pendingTransactions).toHaveLength(2);
+
+    const due = await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(due.data.transactions.map(trans => trans.txHash)).toEqual([scheduled.txHash, next.txHash, expect.any(String)]);
+    expect(blockchain.getBalance(testAddress('payee'))).toBe(15);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should refuse expired transactions and drop ones that expire in the pool', async () => {
+    expect(rejectionCode(() => blockchain.addTransaction(send(10, { validUntil: { height: 1 } })))).toBe('TRANSACTION_EXPIRED');
+    expect(rejectionCode(() => blockchain.addTransaction(send(10, { validAfter: { height: 5 }, validUntil: { height: 4 } }))))
+      .toBe('INVALID_VALIDITY_WINDOW');
+
+    // Never opens: not valid before an hour from now, and expired after height 2
+    blockchain.addTransaction(send(10, { validAfter: { timestamp: Date.now() + 3600000 }, validUntil: { height: 2 } }));
+    blockchain.addTransaction(send(5));
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(blockchain.pendingTransactions).toHaveLength(2);
+
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(blockchain.pendingTransactions).toHaveLength(0);
+    expect(blockchain.getNextNonce(sender.address)).toBe(0);
+  });
+
+  test('should reject blocks that include a transaction outside its window', async () => {
+    const storage = new MemoryChainStorage();
+    blockchain.chain.forEach(block => storage.appendBlock(block));
+    const peer = new QuantumBlockchain({ storage, difficulty: 1 });
+
+    // A miner that ignores the window
+    const scheduled = send(10, { validAfter: { height: 5 } });
+    peer.selectTransactions = () => [scheduled];
+    const block = await peer.minePendingTransactions(testAddress('miner'));
+
+    expect(() => blockchain.addBlock(JSON.parse(JSON.stringify(block)))).toThrow('outside its validity window');
+  });
+
+  test('should not let a miner move a timestamp window by misdating its block', async () => {
+    const storage = new MemoryChainStorage();
+    blockchain.chain.forEach(block => storage.appendBlock(block));
+    const peer = new QuantumBlockchain({ storage, difficulty: 1 });
+
+    // A miner that includes the transaction and dates the block to suit it
+    async function mineDated(transaction, timestamp) {
+      peer.selectTransactions = () => [transaction];
+      const block = QuantumBlock.fromJSON(JSON.parse(JSON.stringify(await peer.minePendingTransactions(testAddress('miner')))));
+      peer.disconnectTip();
+      block.timestamp = timestamp;
+      block.nonce = 0;
+      block.hash = block.calculateHash();
+      block.mineBlock(block.difficulty);
+      return JSON.parse(JSON.stringify(block));
+    }
+
+    const day = 24 * 3600 * 1000;
+    const vesting = send(10, { validAfter: { timestamp: Date.now() + day } });
+    const early = await mineDated(vesting, Date.now() + day + 1);
+    expect(() => blockchain.addBlock(early)).toThrow('Block timestamp must follow the median');
+
+    const median = blockchain.medianTimePast(2);
+    const expired = send(10, { validUntil: { timestamp: median } });
+    const late = await mineDated(expired, median);
+    expect(() => blockchain.addBlock(late)).toThrow('Block timestamp must follow the median');
+
+    expect(blockchain.chain).toHaveLength(2);
+  });
+});
@@ -0,0 +1,159 @@
+const QuantumGenesisApp = require('../src/index');
+const { QuantumBlockchain, TransactionRejectedError } = require('../src/blockchain/QuantumBlockchain');
+const { QuantumWallet, QuantumTransaction } = require('../src/wallet/QuantumWallet');
+const { testAddress } = require('./addresses');
+
+describe('Native Tokens', () => {
+  let blockchain;
+  let issuer;
+  let holder;
+
+  beforeAll(() => {
+    issuer = new QuantumWallet();
+    holder = new QuantumWallet();
+  });
+
+  beforeEach(async () => {
+    blockchain = new QuantumBlockchain({ difficulty: 1 });
+    await blockchain.minePendingTransactions(issuer.address);
+  });
+
+  function send(wallet, toAddress, amount, data = {}, options = {}) {
+    const transaction = wallet.createTransaction(toAddress, amount, data, {
+      nonce: blockchain.getNextNonce(wallet.address),
+      ...options
+    });
+    blockchain.addTransaction(transaction);
+    return transaction;
+  }
+
+  function rejectionCode(operation) {
+    try {
+      operation();
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransactionRejectedError);
+      return error.code;
+    }
+    throw new Error('Expected transaction to be rejected');
+  }
+
+  async function createGold(mintAuthority = issuer.address) {
+    send(issuer, issuer.address, 1000, { type: 'token_create', decimals: 2, mintAuthority }, { asset: 'GOLD', fee: 1 });
+    await blockchain.minePendingTransactions(testAddress('miner'));
+  }
+
+  test('should sign the asset and leave QTC transaction hashes unchanged', () => {
+    const options = { nonce: 0, timestamp: 1700000000000 };
+    const plain = new QuantumTransaction(issuer.address, holder.address, 5, {}, options);
+    const token = new QuantumTransaction(issuer.address, holder.address, 5, {}, { ...options, asset: 'GOLD' });
+
+    expect(QuantumTransaction.signingPayload(plain)).not.toContain('asset');
+    expect(token.txHash).not.toBe(plain.txHash);
+    expect(QuantumTransaction.deserialize(QuantumTransaction.serialize(token)).txHash).toBe(token.txHash);
+  });
+
+  test('should create a token and move it with fees paid in QTC', async () => {
+    const qtcBefore = blockchain.getBalance(issuer.address);
+    await createGold();
+
+    expect(blockchain.tokens.get('GOLD')).toMatchObject({ symbol: 'GOLD', decimals: 2, supply: 1000, mintAuthority: issuer.address });
+    expect(blockchain.getBalance(issuer.address, 'GOLD')).toBe(1000);
+    expect(blockchain.getBalance(issuer.address)).toBe(qtcBefore - 1);
+
+    send(issuer, holder.address, 300, {}, { asset: 'GOLD', fee: 2 });
+    expect(blockchain.getAvailableBalance(issuer.address, 'GOLD')).toBe(700);
+    expect(rejectionCode(() => send(issuer, holder.address, 701, {}, { asset: 'GOLD' }))).toBe('INSUFFICIENT_FUNDS');
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    expect(blockchain.getBalance(holder.address, 'GOLD')).toBe(300);
+    expect(blockchain.getBalance(holder.address)).toBe(0);
+    expect(blockchain.getBalance(issuer.address)).toBe(qtcBefore - 3);
+    expect(blockchain.getBalances(holder.address)).toEqual([
+      { asset: 'QTC', balance: 0 },
+      { asset: 'GOLD', balance: 300, decimals: 2 }
+    ]);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  test('should enforce the token rules', async () => {
+    expect(rejectionCode(() => send(issuer, holder.address, 5, {}, { asset: 'GOLD' }))).toBe('UNKNOWN_TOKEN');
+    expect(rejectionCode(() => send(issuer, holder.address, 5, {}, { asset: 'gold' }))).toBe('INVALID_ASSET');
+    expect(rejectionCode(() => send(issuer, issuer.address, 10, { type: 'token_create', decimals: 19 }, { asset: 'GOLD' })))
+      .toBe('INVALID_TOKEN');
+
+    send(issuer, issuer.address, 10, { type: 'token_create', decimals: 0 }, { asset: 'SILVER' });
+    expect(rejectionCode(() => send(issuer, issuer.address, 10, { type: 'token_create', decimals: 0 }, { asset: 'SILVER' })))
+      .toBe('TOKEN_EXISTS');
+
+    await createGold();
+    expect(rejectionCode(() => send(issuer, holder.address, 1.5, {}, { asset: 'GOLD' }))).toBe('INVALID_AMOUNT');
+    expect(rejectionCode(() => send(holder, holder.address, 50, { type: 'token_mint' }, { asset: 'GOLD' }))).toBe('NOT_MINT_AUTHORITY');
+
+    send(issuer, holder.address, 50, { type: 'token_mint' }, { asset: 'GOLD' });
+    await blockchain.minePendingTransactions(testAddress('miner'));
+    expect(blockchain.tokens.get('GOLD').supply).toBe(1050);
+    expect(blockchain.getBalance(holder.address, 'GOLD')).toBe(50);
+  });
+
+  test('should revert issuance when its block is disconnected', async () => {
+    await createGold();
+    send(issuer, holder.address, 50, { type: 'token_mint' }, { asset: 'GOLD' });
+    await blockchain.minePendingTransactions(testAddress('miner'));
+
+    blockchain.disconnectTip();
+    expect(blockchain.tokens.get('GOLD').supply).toBe(1000);
+    expect(blockchain.getBalance(holder.address, 'GOLD')).toBe(0);
+
+    blockchain.disconnectTip();
+    expect(blockchain.tokens.get('GOLD')).toBeNull();
+    expect(blockchain.getBalance(issuer.address, 'GOLD')).toBe(0);
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeAll(async () => {
+      app = new QuantumGenesisApp();
+      app.blockchain.difficulty = 1;
+      await app.blockchain.minePendingTransactions(issuer.address);
+    });
+
+    function call(method, path, params, body = {}, query = {}) {
+      const handler = app.app._router.stack
+        .find(layer => layer.route?.path === path && layer.route.methods[method])
+        .route.stack[0].handle;
+      const res = { json: jest.fn() };
+      res.status = jest.fn(() => res);
+      handler({ params, body, query }, res);
+      return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+    }
+
+    async function signAndMine(prepared) {
+      const transaction = QuantumTransaction.deserialize(prepared.transaction);
+      issuer.signTransaction(transaction);
+      app.submitTransaction(QuantumTransaction.serialize(transaction));
+      await app.blockchain.minePendingTransactions(testAddress('miner'));
+    }
+
+    test('should prepare creation and minting, and list balances', async () => {
+      const created = call('post', '/api/tokens/create', {}, {
+        creator: issuer.address, symbol: 'BOND', decimals: 0, supply: 500, mintAuthority: issuer.address
+      });
+      await signAndMine(created.body);
+
+      expect(call('get', '/api/tokens/:symbol', { symbol: 'BOND' }).body).toMatchObject({ supply: 500 });
+      expect(call('get', '/api/tokens/:symbol', { symbol: 'NOPE' }).status).toBe(404);
+      expect(call('post', '/api/tokens/create', {}, { creator: issuer.address, symbol: 'BOND', decimals: 0, supply: 1 }))
+        .toMatchObject({ status: 400, body: { code: 'TOKEN_EXISTS' } });
+
+      await signAndMine(call('post', '/api/tokens/:symbol/mint', { symbol: 'BOND' }, { toAddress: holder.address, amount: 25 }).body);
+
+      expect(call('get', '/api/wallet/:address/balance', { address: holder.address }, {}, { asset: 'BOND' }).body)
+        .toEqual({ address: holder.address, asset: 'BOND', balance: 25 });
+      expect(call('get', '/api/wallet/:address/balances', { address: issuer.address }).body.balances)
+        .toContainEqual({ asset: 'BOND', balance: 500, decimals: 0 });
+      expect(call('get', '/api/tokens', {}).body.map(token => token.symbol)).toEqual(['BOND']);
+      expect(app.rpc.methods.has('token_prepareMint')).toBe(true);
+    });
+  });
+});